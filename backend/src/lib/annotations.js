@@ -0,0 +1,112 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Annotations pin a note to a point on a model's surface. Each belongs to
+// the version it was placed on, since a new file can move the surface, and
+// keeps the camera view it was placed from so the viewer can fly back to it.
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_BODY_LENGTH = 1000;
+// Annotations one user can place on a model version, so others can't use
+// up a version's annotations between them
+const MAX_PER_AUTHOR = 100;
+
+const isVector = (value) =>
+  Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+const isCameraView = (value) =>
+  Boolean(value) && isVector(value.position) && isVector(value.target);
+
+// express-validator custom validators: they throw so the message shows up
+const validateVector = (value) => {
+  if (!isVector(value)) throw new Error('Must be an [x, y, z] array of numbers');
+  return true;
+};
+
+const validateCameraView = (value) => {
+  if (!isCameraView(value)) throw new Error('Must be { position, target } with [x, y, z] arrays');
+  return true;
+};
+
+const annotationInclude = {
+  user: {
+    select: {
+      id: true,
+      username: true,
+      avatar: true
+    }
+  }
+};
+
+/**
+ * An annotation as the API returns it, with its 1-based `number` in the
+ * version's list and what `user` may do with it. `modelOwnerId` is the
+ * annotated model's creator, who can delete annotations on it.
+ */
+const serializeAnnotation = (annotation, number, user, modelOwnerId) => {
+  const isAuthor = Boolean(user) && user.id === annotation.userId;
+
+  return {
+    id: annotation.id,
+    number,
+    title: annotation.title,
+    body: annotation.body,
+    position: JSON.parse(annotation.position),
+    normal: JSON.parse(annotation.normal),
+    camera: JSON.parse(annotation.camera),
+    version: annotation.versionNumber,
+    author: annotation.user,
+    createdAt: annotation.createdAt,
+    updatedAt: annotation.updatedAt,
+    canEdit: isAuthor,
+    canDelete: Boolean(user) && (isAuthor || user.id === modelOwnerId || user.role === 'ADMIN')
+  };
+};
+
+// Annotation columns from request fields that were sent
+const annotationData = ({ title, body, position, normal, camera }) => ({
+  ...(title !== undefined ? { title: title || null } : {}),
+  ...(body !== undefined ? { body } : {}),
+  ...(position !== undefined ? { position: JSON.stringify(position) } : {}),
+  ...(normal !== undefined ? { normal: JSON.stringify(normal) } : {}),
+  ...(camera !== undefined
+    ? { camera: JSON.stringify({ position: camera.position, target: camera.target }) }
+    : {})
+});
+
+const annotationOrder = [{ createdAt: 'asc' }, { id: 'asc' }];
+
+// A version's annotations in list order, oldest first
+const findVersionAnnotations = (modelId, versionNumber) =>
+  prisma.annotation.findMany({
+    where: { modelId, versionNumber },
+    include: annotationInclude,
+    orderBy: annotationOrder
+  });
+
+// An annotation's 1-based place in its version's list
+const annotationNumber = async (annotation) =>
+  1 + await prisma.annotation.count({
+    where: {
+      modelId: annotation.modelId,
+      versionNumber: annotation.versionNumber,
+      OR: [
+        { createdAt: { lt: annotation.createdAt } },
+        { createdAt: annotation.createdAt, id: { lt: annotation.id } }
+      ]
+    }
+  });
+
+module.exports = {
+  MAX_TITLE_LENGTH,
+  MAX_BODY_LENGTH,
+  MAX_PER_AUTHOR,
+  validateVector,
+  validateCameraView,
+  annotationInclude,
+  serializeAnnotation,
+  annotationData,
+  findVersionAnnotations,
+  annotationNumber
+};
@@ -0,0 +1,302 @@
+const path = require('path');
+const yauzl = require('yauzl');
+const yazl = require('yazl');
+const { getStorage, modelKey } = require('../storage');
+const { canParse, parseModelFile } = require('../formats');
+const { FORMATS, FileValidationError, formatForFileName, validateModelFile } = require('../formats/registry');
+const { versionFolder } = require('../modelVersions');
+
+// Multi-file uploads: a zip holding a model plus the files it references
+// (glTF with .bin buffers and images, OBJ with .mtl libraries and textures).
+// The zip is unpacked into the version's folder (original/ for the first)
+// with its layout intact, so relative references resolve exactly as they
+// did on the creator's disk.
+
+const BUNDLE_EXTENSIONS = ['zip'];
+const BUNDLE_MIME_TYPE = 'application/zip';
+
+const MAX_BUNDLE_FILES = 1000;
+// Unpacked size limit, so a small zip can't expand into gigabytes
+const MAX_BUNDLE_SIZE = parseInt(process.env.MAX_BUNDLE_SIZE) || 500 * 1024 * 1024;
+
+// Files archivers and operating systems add that nobody wants stored
+const JUNK_FILE = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i;
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+class BundleValidationError extends FileValidationError {
+  constructor(message, details = {}) {
+    super(message);
+    this.details = details;
+  }
+}
+
+const isBundleFileName = (fileName) =>
+  BUNDLE_EXTENSIONS.includes(path.extname(fileName || '').slice(1).toLowerCase());
+
+// Every non-empty zip starts with a local file header
+const sniffZip = (head) =>
+  head.length >= 4 && head.readUInt32LE(0) === 0x04034b50;
+
+// Check the leading bytes of an uploaded zip, like validateModelFile does
+// for model files
+const validateBundleFile = ({ head }) => {
+  if (!sniffZip(head)) {
+    throw new BundleValidationError('File content is not a valid zip archive');
+  }
+};
+
+// yauzl already refuses absolute paths and ".." segments (path traversal);
+// anything else that can't be a storage key is refused here
+const checkEntryPath = (entryPath) => {
+  if (/[\u0000-\u001f]/.test(entryPath) || entryPath.split('/').some(segment => segment === '.')) {
+    throw new BundleValidationError(`Invalid file name in zip: ${JSON.stringify(entryPath)}`);
+  }
+};
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const readZip = async (buffer) => {
+  let zipfile;
+  try {
+    zipfile = await yauzl.fromBufferPromise(buffer, {
+      lazyEntries: true,
+      decodeStrings: true,
+      validateEntrySizes: true
+    });
+  } catch (error) {
+    throw new BundleValidationError(`Invalid zip file: ${error.message}`);
+  }
+
+  const files = [];
+  const seen = new Set();
+  let totalSize = 0;
+
+  try {
+    for await (const entry of zipfile.eachEntry()) {
+      if (entry.fileName.endsWith('/') || JUNK_FILE.test(entry.fileName)) continue;
+
+      checkEntryPath(entry.fileName);
+      if (entry.isEncrypted()) {
+        throw new BundleValidationError(`${entry.fileName} is encrypted; upload an unencrypted zip`);
+      }
+      if (((entry.externalFileAttributes >>> 16) & S_IFMT) === S_IFLNK) {
+        throw new BundleValidationError(`${entry.fileName} is a symbolic link; zip the file itself instead`);
+      }
+      if (seen.has(entry.fileName)) {
+        throw new BundleValidationError(`${entry.fileName} appears more than once in the zip`);
+      }
+      if (files.length >= MAX_BUNDLE_FILES) {
+        throw new BundleValidationError(`Zip bundles can hold at most ${MAX_BUNDLE_FILES} files`);
+      }
+      totalSize += entry.uncompressedSize;
+      if (totalSize > MAX_BUNDLE_SIZE) {
+        throw new BundleValidationError(`Zip contents exceed the ${Math.round(MAX_BUNDLE_SIZE / 1024 / 1024)}MB limit`);
+      }
+
+      seen.add(entry.fileName);
+      files.push({ path: entry.fileName, data: await readStream(await zipfile.openReadStreamPromise(entry)) });
+    }
+  } catch (error) {
+    if (error instanceof BundleValidationError) throw error;
+    if (/absolute path|relative path/.test(error.message)) {
+      throw new BundleValidationError(`Zip entries must stay inside the archive (${error.message})`);
+    }
+    throw new BundleValidationError(`Invalid zip file: ${error.message}`);
+  }
+
+  return files;
+};
+
+// Zips are often made by compressing a folder; drop that outer folder so
+// the model sits at the top of the tree
+const stripCommonFolder = (files) => {
+  const first = files[0].path.split('/')[0];
+  const shared = files.every(file => file.path.includes('/') && file.path.split('/')[0] === first);
+  if (!shared) return files;
+  return stripCommonFolder(files.map(file => ({ ...file, path: file.path.slice(first.length + 1) })));
+};
+
+// The model file of a bundle: formats the server can read first, then
+// registry order, then the one nearest the top of the tree
+const findMainFile = (files) => {
+  const candidates = files
+    .map(file => ({ file, format: formatForFileName(file.path) }))
+    .filter(({ format }) => format);
+
+  const rank = ({ file, format }) => [
+    canParse(format.id) ? 0 : 1,
+    FORMATS.indexOf(format),
+    file.path.split('/').length,
+    file.path
+  ];
+  candidates.sort((a, b) => {
+    const [rankA, rankB] = [rank(a), rank(b)];
+    const index = rankA.findIndex((value, i) => value !== rankB[i]);
+    if (index === -1) return 0;
+    return rankA[index] < rankB[index] ? -1 : 1;
+  });
+
+  return candidates[0] || null;
+};
+
+// Resolve references against the unpacked files the way
+// createResourceResolver will once they are stored, noting the misses
+const createBundleResolver = (files, mainPath) => {
+  const byPath = new Map(files.map(file => [file.path, file.data]));
+  const baseDir = path.posix.dirname(mainPath);
+  const missing = new Set();
+
+  const resolve = async (uri) => {
+    const key = path.posix.normalize(path.posix.join(baseDir, uri));
+    const inside = baseDir === '.' ? !key.startsWith('../') : key.startsWith(`${baseDir}/`);
+    const data = inside ? byPath.get(key) : null;
+    if (!data) missing.add(uri);
+    return data || null;
+  };
+
+  return { resolve, missing };
+};
+
+/**
+ * Unpack and check an uploaded zip bundle, given as a buffer or a stream
+ * (which is read into memory). Resolves to
+ * `{ files: [{ path, data }], mainPath, format, totalSize }`, or throws a
+ * BundleValidationError when the zip is malformed, tries to write outside
+ * its folder, holds no model, or the model references files the zip lacks
+ * (listed in `details.missing`).
+ */
+const unpackBundle = async (source) => {
+  let files = await readZip(Buffer.isBuffer(source) ? source : await readStream(source));
+  if (files.length === 0) {
+    throw new BundleValidationError('Zip file is empty');
+  }
+  files = stripCommonFolder(files);
+
+  const main = findMainFile(files);
+  if (!main) {
+    throw new BundleValidationError('Zip contains no model file');
+  }
+
+  const format = validateModelFile({ fileName: main.file.path, head: main.file.data, size: main.file.data.length });
+
+  if (canParse(format.id)) {
+    const resolver = createBundleResolver(files, main.file.path);
+    try {
+      const result = await parseModelFile(main.file.data, format.id, { resolveResource: resolver.resolve });
+      (result.stats.extras.missingResources || []).forEach(uri => resolver.missing.add(uri));
+    } catch (error) {
+      throw new BundleValidationError(`Could not read ${main.file.path}: ${error.message}`);
+    }
+    if (resolver.missing.size > 0) {
+      const missing = [...resolver.missing];
+      throw new BundleValidationError(
+        `${main.file.path} references files missing from the zip: ${missing.join(', ')}`,
+        { missing }
+      );
+    }
+  }
+
+  return {
+    files,
+    mainPath: main.file.path,
+    format,
+    totalSize: files.reduce((sum, file) => sum + file.data.length, 0)
+  };
+};
+
+// Where the files of a model version's bundle are stored
+const bundleKey = (modelId, filePath, version = 1) => modelKey(modelId, versionFolder(version), filePath);
+
+// Store an unpacked bundle as `version` of a model; resolves to the
+// `bundleFiles` column value
+const storeBundle = async (modelId, { files, mainPath, format }, version = 1) => {
+  const storage = getStorage();
+  for (const file of files) {
+    await storage.putObject(bundleKey(modelId, file.path, version), file.data, {
+      contentType: file.path === mainPath ? format.mimeType : undefined
+    });
+  }
+  return JSON.stringify(files.map(file => ({ path: file.path, size: file.data.length })));
+};
+
+const parseBundleFiles = (value) => {
+  if (!value) return null;
+  try {
+    const files = JSON.parse(value);
+    return Array.isArray(files) ? files : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The bundle functions below take a model row, or a model as it stood at
+// one of its versions (see modelAtVersion)
+
+// Shape a model's bundle for API responses; null for single-file models
+const describeBundle = (model) => {
+  const files = parseBundleFiles(model.bundleFiles);
+  if (!files) return null;
+
+  const mainKey = model.fileUrl;
+  return {
+    files: files.map(file => ({ ...file, isMain: bundleKey(model.id, file.path, model.latestVersion) === mainKey })),
+    totalSize: files.reduce((sum, file) => sum + file.size, 0)
+  };
+};
+
+// Stream a zip of `entries`, each `{ path, key, size }` of a file in storage
+// or `{ path, buffer }`. Stored files are opened only when the archive
+// reaches them; storage errors surface on the returned stream.
+const createZipStream = (entries) => {
+  const zip = new yazl.ZipFile();
+  const storage = getStorage();
+
+  zip.on('error', error => zip.outputStream.destroy(error));
+  for (const entry of entries) {
+    if (entry.buffer) {
+      zip.addBuffer(entry.buffer, entry.path);
+      continue;
+    }
+    zip.addReadStreamLazy(entry.path, { size: entry.size }, (callback) => {
+      callback(null, storage.createReadStream(entry.key));
+    });
+  }
+  zip.end();
+
+  return zip.outputStream;
+};
+
+// Stream a model's bundle back as a zip, with `extraFiles` (as for
+// createZipStream) added alongside
+const createBundleStream = (model, extraFiles = []) => {
+  const files = parseBundleFiles(model.bundleFiles) || [];
+  return createZipStream([
+    ...files.map(file => ({
+      path: file.path,
+      size: file.size,
+      key: bundleKey(model.id, file.path, model.latestVersion)
+    })),
+    ...extraFiles
+  ]);
+};
+
+module.exports = {
+  BUNDLE_EXTENSIONS,
+  BUNDLE_MIME_TYPE,
+  BundleValidationError,
+  isBundleFileName,
+  validateBundleFile,
+  unpackBundle,
+  bundleKey,
+  storeBundle,
+  parseBundleFiles,
+  describeBundle,
+  createZipStream,
+  createBundleStream
+};
@@ -0,0 +1,98 @@
+const yazl = require('yazl');
+const { BundleValidationError, validateBundleFile, unpackBundle } = require('./index');
+
+const TRIANGLE_OBJ = 'mtllib crate.mtl\nv 0 0 0\nv 1 0 0\nv 0 1 0\nusemtl wood\nf 1 2 3\n';
+
+// Zip `entries` of `[path, content, options]` into a buffer
+const makeZip = (entries) => new Promise((resolve, reject) => {
+  const zip = new yazl.ZipFile();
+  for (const [entryPath, content, options] of entries) {
+    zip.addBuffer(Buffer.from(content), entryPath, options);
+  }
+  zip.end();
+
+  const chunks = [];
+  zip.outputStream
+    .on('data', chunk => chunks.push(chunk))
+    .on('end', () => resolve(Buffer.concat(chunks)))
+    .on('error', reject);
+});
+
+// yazl won't write paths that climb out of the archive, so rename an
+// entry of the same length afterwards
+const renameEntry = (zip, from, to) =>
+  Buffer.from(zip.toString('latin1').split(from).join(to), 'latin1');
+
+const expectRejection = async (zip, message) => {
+  const error = await unpackBundle(zip).catch(caught => caught);
+  expect(error).toBeInstanceOf(BundleValidationError);
+  expect(error.message).toMatch(message);
+  return error;
+};
+
+describe('validateBundleFile', () => {
+  it('accepts zips and refuses anything else', async () => {
+    const zip = await makeZip([['a.txt', 'a']]);
+    expect(() => validateBundleFile({ head: zip.subarray(0, 16) })).not.toThrow();
+    expect(() => validateBundleFile({ head: Buffer.from('not a zip') })).toThrow(BundleValidationError);
+  });
+});
+
+describe('unpackBundle', () => {
+  it('finds the model, drops the outer folder and junk files', async () => {
+    const bundle = await unpackBundle(await makeZip([
+      ['crate/crate.obj', TRIANGLE_OBJ],
+      ['crate/crate.mtl', 'newmtl wood\nmap_Kd textures/wood.png\n'],
+      ['crate/textures/wood.png', 'png'],
+      ['crate/.DS_Store', 'junk'],
+      ['__MACOSX/crate/._crate.obj', 'junk']
+    ]));
+
+    expect(bundle.mainPath).toBe('crate.obj');
+    expect(bundle.format.id).toBe('obj');
+    expect(bundle.files.map(file => file.path).sort()).toEqual(['crate.mtl', 'crate.obj', 'textures/wood.png']);
+    expect(bundle.totalSize).toBe(bundle.files.reduce((sum, file) => sum + file.data.length, 0));
+  });
+
+  it('prefers a model the server can read', async () => {
+    const bundle = await unpackBundle(await makeZip([
+      ['source/crate.fbx', 'Kaydara FBX Binary  \u0000'],
+      ['crate.stl', 'solid c\nfacet normal 0 0 0\nouter loop\nvertex 0 0 0\nvertex 1 0 0\nvertex 0 1 0\nendloop\nendfacet\nendsolid c\n']
+    ]));
+
+    expect(bundle.mainPath).toBe('crate.stl');
+  });
+
+  it('lists the files the model references but the zip lacks', async () => {
+    const error = await expectRejection(
+      await makeZip([['crate.obj', TRIANGLE_OBJ], ['crate.mtl', 'newmtl wood\nmap_Kd wood.png\n']]),
+      'references files missing from the zip'
+    );
+    expect(error.details.missing).toEqual(['wood.png']);
+  });
+
+  it('refuses entries that climb out of the archive', async () => {
+    const zip = renameEntry(await makeZip([['crate.obj', TRIANGLE_OBJ], ['aa/evil.txt', 'x']]), 'aa/evil.txt', '../evil.txt');
+    await expectRejection(zip, 'must stay inside the archive');
+  });
+
+  it('refuses symbolic links', async () => {
+    const zip = await makeZip([['crate.obj', TRIANGLE_OBJ], ['link.txt', '/etc/passwd', { mode: 0o120777 }]]);
+    await expectRejection(zip, 'symbolic link');
+  });
+
+  it('refuses entries that appear twice', async () => {
+    const zip = await makeZip([['crate.obj', TRIANGLE_OBJ], ['crate.obj', TRIANGLE_OBJ]]);
+    await expectRejection(zip, 'more than once');
+  });
+
+  it('refuses zips without a model or without files', async () => {
+    await expectRejection(await makeZip([['readme.txt', 'hello']]), 'no model file');
+    await expectRejection(await makeZip([['.DS_Store', 'junk']]), 'empty');
+  });
+
+  it('refuses damaged zips', async () => {
+    const zip = await makeZip([['crate.obj', TRIANGLE_OBJ]]);
+    await expectRejection(zip.subarray(0, zip.length - 10), 'Invalid zip file');
+  });
+});
@@ -0,0 +1,4 @@
+// The categories a model can be filed under
+const MODEL_CATEGORIES = ['characters', 'vehicles', 'buildings', 'props', 'nature', 'furniture', 'weapons', 'other'];
+
+module.exports = { MODEL_CATEGORIES };
@@ -0,0 +1,111 @@
+const { PrismaClient } = require('@prisma/client');
+const { getStorage, publicUrlFor, collectionKey } = require('./storage');
+
+const prisma = new PrismaClient();
+
+// Collections are user-made lists of models. Public ones show on the
+// owner's profile, unlisted ones only open from a shared link, and private
+// ones only for the owner. Items keep the order the owner gave them.
+
+const VISIBILITIES = ['PUBLIC', 'UNLISTED', 'PRIVATE'];
+const MAX_ITEMS = 1000;
+// Thumbnails of the first few items stand in for a missing cover
+const PREVIEW_COUNT = 4;
+
+const deleteCollectionObjects = async (collectionId) => {
+  await getStorage().deletePrefix(collectionKey(collectionId));
+};
+
+const isOwner = (collection, user) => Boolean(user) && collection.userId === user.id;
+
+const canViewCollection = (collection, user) =>
+  collection.visibility !== 'PRIVATE' || isOwner(collection, user);
+
+// Items `user` may see: public models, and their own private ones
+const visibleItemsWhere = (user) => ({
+  model: user ? { OR: [{ isPublic: true }, { userId: user.id }] } : { isPublic: true }
+});
+
+// Include for serializeCollection
+const collectionSummaryInclude = (user) => ({
+  owner: {
+    select: {
+      id: true,
+      username: true,
+      avatar: true
+    }
+  },
+  items: {
+    where: visibleItemsWhere(user),
+    orderBy: { position: 'asc' },
+    take: PREVIEW_COUNT,
+    select: { model: { select: { thumbnailUrl: true } } }
+  },
+  _count: { select: { items: { where: visibleItemsWhere(user) } } }
+});
+
+const serializeCollection = ({ items, _count, userId, ...collection }, user) => ({
+  ...collection,
+  coverUrl: publicUrlFor(collection.coverUrl),
+  previewUrls: items.map(item => publicUrlFor(item.model.thumbnailUrl)).filter(Boolean),
+  itemCount: _count.items,
+  isOwner: isOwner({ userId }, user)
+});
+
+// Add a model at the end of a collection. Resolves to null when it is
+// already in there.
+const addCollectionItem = async (collectionId, modelId) => {
+  const existing = await prisma.collectionItem.findUnique({
+    where: { collectionId_modelId: { collectionId, modelId } }
+  });
+  if (existing) return null;
+
+  const { _max } = await prisma.collectionItem.aggregate({
+    where: { collectionId },
+    _max: { position: true }
+  });
+  const [item] = await prisma.$transaction([
+    prisma.collectionItem.create({
+      data: { collectionId, modelId, position: (_max.position ?? -1) + 1 }
+    }),
+    prisma.collection.update({ where: { id: collectionId }, data: { updatedAt: new Date() } })
+  ]);
+  return item;
+};
+
+/**
+ * Put a collection's items in the order of `modelIds`. Items it leaves out
+ * (models since made private, say) follow in their current order. Resolves
+ * to false when it names a model that isn't in the collection, or one twice.
+ */
+const reorderCollectionItems = async (collectionId, modelIds) => {
+  const items = await prisma.collectionItem.findMany({
+    where: { collectionId },
+    select: { id: true, modelId: true },
+    orderBy: { position: 'asc' }
+  });
+  const byModel = new Map(items.map(item => [item.modelId, item.id]));
+  if (new Set(modelIds).size !== modelIds.length || !modelIds.every(modelId => byModel.has(modelId))) {
+    return false;
+  }
+
+  const listed = new Set(modelIds);
+  const order = [...modelIds, ...items.map(item => item.modelId).filter(modelId => !listed.has(modelId))];
+  await prisma.$transaction(order.map((modelId, position) =>
+    prisma.collectionItem.update({ where: { id: byModel.get(modelId) }, data: { position } })));
+  return true;
+};
+
+module.exports = {
+  VISIBILITIES,
+  MAX_ITEMS,
+  collectionKey,
+  deleteCollectionObjects,
+  isOwner,
+  canViewCollection,
+  visibleItemsWhere,
+  collectionSummaryInclude,
+  serializeCollection,
+  addCollectionItem,
+  reorderCollectionItems
+};
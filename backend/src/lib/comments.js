@@ -0,0 +1,154 @@
+const { PrismaClient } = require('@prisma/client');
+const { renderMarkdown, findMentions } = require('./markdown');
+
+const prisma = new PrismaClient();
+
+// Comments form threads through parentId. Replies nest MAX_DEPTH levels
+// deep; a reply to a comment on the bottom level goes next to it, under the
+// same parent. Deleting a comment only blanks it, so the replies under
+// it keep their place, and every edit keeps the text it replaced.
+
+const MAX_DEPTH = 3;
+const MAX_LENGTH = 2000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Deleted comments are left out once nothing hangs off them
+const visibleCommentWhere = {
+  OR: [{ deletedAt: null }, { replies: { some: {} } }]
+};
+
+const commentInclude = {
+  user: {
+    select: {
+      id: true,
+      username: true,
+      avatar: true
+    }
+  },
+  mentions: {
+    select: { user: { select: { username: true } } }
+  },
+  _count: { select: { replies: { where: visibleCommentWhere } } }
+};
+
+/**
+ * A comment as the API returns it: its Markdown rendered to HTML (and the
+ * source too for its author, to edit), nothing of a deleted one but its
+ * place, and what `user` may do with it. `modelOwnerId` is the commented model's
+ * creator, who can delete comments on it.
+ */
+const serializeComment = (comment, user, modelOwnerId) => {
+  const deleted = Boolean(comment.deletedAt);
+  const isAuthor = Boolean(user) && user.id === comment.userId;
+  const mentions = new Set(comment.mentions.map(mention => mention.user.username.toLowerCase()));
+
+  return {
+    id: comment.id,
+    parentId: comment.parentId,
+    depth: comment.depth,
+    author: deleted ? null : comment.user,
+    html: deleted ? null : renderMarkdown(comment.content, mentions),
+    ...(isAuthor && !deleted ? { content: comment.content } : {}),
+    deleted,
+    editedAt: deleted ? null : comment.editedAt,
+    createdAt: comment.createdAt,
+    replyCount: comment._count.replies,
+    canReply: !deleted,
+    canEdit: isAuthor && !deleted,
+    canDelete: !deleted && Boolean(user) &&
+      (isAuthor || user.id === modelOwnerId || user.role === 'ADMIN')
+  };
+};
+
+// Page size from a query string value
+const pageSize = (limit) => Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+/**
+ * A page of comments matching `where`, starting after the comment with id
+ * `cursor`. Resolves to `{ comments, nextCursor }`; nextCursor is null on
+ * the last page.
+ */
+const findCommentPage = async ({ where, order, cursor, limit }) => {
+  const take = pageSize(limit);
+  const comments = await prisma.comment.findMany({
+    where: { ...where, ...visibleCommentWhere },
+    include: commentInclude,
+    orderBy: [{ createdAt: order }, { id: order }],
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    take: take + 1
+  });
+
+  const hasMore = comments.length > take;
+  const page = comments.slice(0, take);
+  return { comments: page, nextCursor: hasMore ? page[page.length - 1].id : null };
+};
+
+// The users @mentioned in `content` who exist, apart from its author
+const resolveMentions = async (content, authorId) => {
+  const usernames = findMentions(content);
+  if (usernames.length === 0) return [];
+  return prisma.user.findMany({
+    where: { username: { in: usernames }, id: { not: authorId } },
+    select: { id: true }
+  });
+};
+
+/**
+ * Post a comment on a model, as a reply when `parent` is given. Resolves
+ * to the new comment loaded with commentInclude.
+ */
+const createComment = async ({ modelId, userId, content, parent }) => {
+  // Too deep: reply alongside the parent instead
+  const attachTo = parent && parent.depth >= MAX_DEPTH ? parent.parentId : parent?.id;
+  const mentioned = await resolveMentions(content, userId);
+
+  return prisma.comment.create({
+    data: {
+      content,
+      modelId,
+      userId,
+      parentId: attachTo || null,
+      depth: parent ? Math.min(parent.depth + 1, MAX_DEPTH) : 0,
+      mentions: { create: mentioned.map(user => ({ userId: user.id })) }
+    },
+    include: commentInclude
+  });
+};
+
+// Replace a comment's text, keeping the old text as a revision
+const editComment = async (comment, content) => {
+  const mentioned = await resolveMentions(content, comment.userId);
+  const editedAt = new Date();
+
+  const results = await prisma.$transaction([
+    prisma.commentRevision.create({
+      data: {
+        commentId: comment.id,
+        content: comment.content,
+        createdAt: comment.editedAt || comment.createdAt,
+        replacedAt: editedAt
+      }
+    }),
+    prisma.commentMention.deleteMany({ where: { commentId: comment.id } }),
+    ...mentioned.map(user => prisma.commentMention.create({ data: { commentId: comment.id, userId: user.id } })),
+    prisma.comment.update({
+      where: { id: comment.id },
+      data: { content, editedAt },
+      include: commentInclude
+    })
+  ]);
+
+  return results[results.length - 1];
+};
+
+module.exports = {
+  MAX_DEPTH,
+  MAX_LENGTH,
+  visibleCommentWhere,
+  commentInclude,
+  serializeComment,
+  findCommentPage,
+  createComment,
+  editComment
+};
@@ -0,0 +1,178 @@
+const { loadGltf, decodeDataUri } = require('../formats/gltf');
+const { computeBounds } = require('../formats/mesh');
+
+// GLB writers: one that wraps a bare triangle mesh in a minimal glTF
+// document, and one that packs a .gltf with external files into a single GLB
+// without touching its contents.
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a; // "JSON"
+const CHUNK_BIN = 0x004e4942; // "BIN\0"
+
+const FLOAT = 5126;
+const UNSIGNED_SHORT = 5123;
+const UNSIGNED_INT = 5125;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+const GENERATOR = '3Dsharespace converter';
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  ktx2: 'image/ktx2'
+};
+
+class ConversionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConversionError';
+  }
+}
+
+const padTo4 = (length) => (4 - (length % 4)) % 4;
+
+// Assemble the GLB container. Chunks are padded to 4 bytes: JSON with
+// spaces, binary with zeros, as the spec requires.
+const encodeGlb = (json, bin) => {
+  const jsonBuffer = Buffer.from(JSON.stringify(json), 'utf8');
+  const jsonChunk = Buffer.concat([jsonBuffer, Buffer.alloc(padTo4(jsonBuffer.length), 0x20)]);
+  const binChunk = bin && bin.length > 0
+    ? Buffer.concat([bin, Buffer.alloc(padTo4(bin.length))])
+    : null;
+
+  const length = 12 + 8 + jsonChunk.length + (binChunk ? 8 + binChunk.length : 0);
+  const header = Buffer.alloc(20);
+  header.writeUInt32LE(GLB_MAGIC, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(length, 8);
+  header.writeUInt32LE(jsonChunk.length, 12);
+  header.writeUInt32LE(CHUNK_JSON, 16);
+
+  const parts = [header, jsonChunk];
+  if (binChunk) {
+    const binHeader = Buffer.alloc(8);
+    binHeader.writeUInt32LE(binChunk.length, 0);
+    binHeader.writeUInt32LE(CHUNK_BIN, 4);
+    parts.push(binHeader, binChunk);
+  }
+  return Buffer.concat(parts, length);
+};
+
+/**
+ * Write a `{ positions, indices }` mesh as GLB. Only geometry is carried
+ * over; viewers compute flat normals for glTF meshes that have none.
+ */
+const writeGlb = (mesh, { name } = {}) => {
+  const vertexCount = mesh.positions.length / 3;
+  const indices = vertexCount <= 0xffff ? Uint16Array.from(mesh.indices) : Uint32Array.from(mesh.indices);
+  const positionBytes = Buffer.from(mesh.positions.buffer, mesh.positions.byteOffset, mesh.positions.byteLength);
+  const indexBytes = Buffer.from(indices.buffer, indices.byteOffset, indices.byteLength);
+  const indexOffset = positionBytes.length; // Float32 data keeps this 4-aligned
+  const bounds = computeBounds(mesh.positions) || { min: [0, 0, 0], max: [0, 0, 0] };
+
+  const json = {
+    asset: { version: '2.0', generator: GENERATOR },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, ...(name ? { name } : {}) }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0 }, indices: 1, mode: 4 }] }],
+    accessors: [
+      {
+        bufferView: 0,
+        componentType: FLOAT,
+        count: vertexCount,
+        type: 'VEC3',
+        min: bounds.min,
+        max: bounds.max
+      },
+      {
+        bufferView: 1,
+        componentType: indices instanceof Uint16Array ? UNSIGNED_SHORT : UNSIGNED_INT,
+        count: indices.length,
+        type: 'SCALAR'
+      }
+    ],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: positionBytes.length, target: ARRAY_BUFFER },
+      { buffer: 0, byteOffset: indexOffset, byteLength: indexBytes.length, target: ELEMENT_ARRAY_BUFFER }
+    ],
+    buffers: [{ byteLength: positionBytes.length + indexBytes.length }]
+  };
+
+  return encodeGlb(json, Buffer.concat([positionBytes, indexBytes]));
+};
+
+const imageMimeType = (image) => {
+  if (image.mimeType) return image.mimeType;
+  const match = /^data:([^;,]+)/.exec(image.uri) || /\.([a-z0-9]+)$/i.exec(image.uri.split(/[?#]/)[0]);
+  if (!match) return 'image/png';
+  return match[1].includes('/') ? match[1] : IMAGE_TYPES[match[1].toLowerCase()] || 'image/png';
+};
+
+/**
+ * Pack a glTF document and the files it references into one GLB. Every
+ * buffer is moved into the binary chunk and images are embedded as buffer
+ * views, so the result is self-contained. Missing buffers are an error;
+ * missing images are left as external references.
+ */
+const packGltf = async (buffer, { resolveResource } = {}) => {
+  const doc = await loadGltf(buffer, { resolveResource });
+  const json = JSON.parse(JSON.stringify(doc.json));
+  const chunks = [];
+  let length = 0;
+
+  const append = (data) => {
+    const padding = padTo4(length);
+    if (padding) {
+      chunks.push(Buffer.alloc(padding));
+      length += padding;
+    }
+    const offset = length;
+    chunks.push(data);
+    length += data.length;
+    return offset;
+  };
+
+  const bufferOffsets = doc.buffers.map((data, index) => {
+    if (!data) {
+      throw new ConversionError(`Buffer ${json.buffers[index].uri || index} is missing`);
+    }
+    return append(data);
+  });
+
+  (json.bufferViews || []).forEach(view => {
+    view.byteOffset = (view.byteOffset || 0) + bufferOffsets[view.buffer];
+    view.buffer = 0;
+  });
+
+  for (const image of json.images || []) {
+    if (image.bufferView !== undefined || !image.uri) continue;
+    const data = image.uri.startsWith('data:')
+      ? decodeDataUri(image.uri)
+      : resolveResource && await resolveResource(decodeURIComponent(image.uri));
+    if (!data) continue;
+
+    json.bufferViews = json.bufferViews || [];
+    json.bufferViews.push({ buffer: 0, byteOffset: append(data), byteLength: data.length });
+    image.bufferView = json.bufferViews.length - 1;
+    image.mimeType = imageMimeType(image);
+    delete image.uri;
+  }
+
+  if (length > 0) {
+    json.buffers = [{ byteLength: length }];
+  } else {
+    delete json.buffers;
+  }
+
+  return encodeGlb(json, length > 0 ? Buffer.concat(chunks, length) : null);
+};
+
+module.exports = {
+  ConversionError,
+  writeGlb,
+  packGltf
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { getStorage, modelKey, createResourceResolver } = require('../storage');
+const { detectFormat, canParse, parseModelFile } = require('../formats');
+const { getFormat } = require('../formats/registry');
+const { upAxisFor, convertUpAxis } = require('../formats/mesh');
+const { ConversionError, writeGlb, packGltf } = require('./glb');
+const { writeObj, writeStl } = require('./mesh');
+const { enqueueJob, findLatestJob } = require('../jobs');
+const { modelAtVersion } = require('../modelVersions');
+
+const prisma = new PrismaClient();
+
+// Format conversion for downloads. Anything the server can parse converts
+// through its triangle mesh, so converted files carry geometry only; a glTF
+// with external files is packed into a GLB whole instead. Conversions run
+// on the worker and are kept in storage.
+
+const writers = {
+  glb: writeGlb,
+  obj: writeObj,
+  stl: writeStl
+};
+
+const CONVERSION_PREFIX = 'conversions';
+
+/**
+ * Formats a model can be downloaded as besides its own.
+ */
+const conversionTargets = (sourceFormat) => {
+  if (!canParse(sourceFormat)) return [];
+  return Object.keys(writers).filter(format => format !== sourceFormat);
+};
+
+/**
+ * Convert a model file. Resolves to `{ buffer, contentType, extension }`;
+ * rejects with a ConversionError when the file can't be converted.
+ */
+const convertModel = async (buffer, sourceFormat, targetFormat, { resolveResource, name } = {}) => {
+  if (!conversionTargets(sourceFormat).includes(targetFormat)) {
+    throw new ConversionError(`${sourceFormat || 'This'} files can't be converted to ${targetFormat}`);
+  }
+
+  const { mimeType } = getFormat(targetFormat);
+
+  if (sourceFormat === 'gltf' && targetFormat === 'glb') {
+    return { buffer: await packGltf(buffer, { resolveResource }), contentType: mimeType, extension: targetFormat };
+  }
+
+  let result;
+  try {
+    result = await parseModelFile(buffer, sourceFormat, { resolveResource });
+  } catch (error) {
+    throw new ConversionError(`The model file could not be read: ${error.message}`);
+  }
+  if (!result || !result.mesh || result.mesh.indices.length === 0) {
+    throw new ConversionError('The model has no triangle geometry to convert');
+  }
+
+  // Keep "up" pointing up across Z-up (STL) and Y-up formats
+  const mesh = {
+    positions: convertUpAxis(result.mesh.positions, upAxisFor(result.format), upAxisFor(targetFormat)),
+    indices: result.mesh.indices
+  };
+
+  return {
+    buffer: writers[targetFormat](mesh, { name }),
+    contentType: mimeType,
+    extension: targetFormat
+  };
+};
+
+const sha1 = (value) => crypto.createHash('sha1').update(value).digest('hex');
+
+// Identifies the exact source file a conversion was made from. Replacing the
+// file changes its size or modification time, and so the cache key.
+const sourceFingerprint = (fileKey, stat) =>
+  sha1(`${fileKey}:${stat.size}:${new Date(stat.lastModified).getTime()}`).slice(0, 16);
+
+// Where conversions of a model's source file are kept. Each source file
+// (every version of a model has its own) gets a folder.
+const conversionPaths = (model, format, stat) => {
+  const dir = modelKey(model.id, CONVERSION_PREFIX, sha1(model.fileUrl).slice(0, 8));
+  const fingerprint = sourceFingerprint(model.fileUrl, stat);
+  return {
+    dir,
+    fingerprint,
+    key: `${dir}/${fingerprint}.${format}`,
+    // Written in place of the conversion when the file can't be converted
+    errorKey: `${dir}/${fingerprint}.${format}.error`
+  };
+};
+
+/**
+ * Look up a model's conversion to `format` in storage. `model` may also be
+ * a model with the file fields of one of its versions. Resolves to
+ * `{ file }` with `file` as `{ key, size, contentType, extension }` once it
+ * is converted, `{ error }` when it can't be converted, `{}` when it hasn't
+ * been converted yet, or null when the source file is missing from storage.
+ */
+const findConvertedFile = async (model, format) => {
+  const storage = getStorage();
+  const stat = await storage.statObject(model.fileUrl);
+  if (!stat) return null;
+
+  const { key, errorKey } = conversionPaths(model, format, stat);
+  const cached = await storage.statObject(key);
+  if (cached) {
+    const { mimeType } = getFormat(format) || {};
+    return { file: { key, size: cached.size, contentType: mimeType, extension: format } };
+  }
+
+  if (await storage.statObject(errorKey)) {
+    return { error: (await storage.getObject(errorKey)).toString('utf8') };
+  }
+  return {};
+};
+
+/**
+ * Convert a model to `format` and store the result where
+ * findConvertedFile looks for it. A file that can't be converted has the
+ * reason stored instead, so it isn't tried again until the source changes.
+ * Does nothing when the source file is missing.
+ */
+const storeConvertedFile = async (model, format) => {
+  const storage = getStorage();
+  const stat = await storage.statObject(model.fileUrl);
+  if (!stat) return;
+
+  const { dir, fingerprint, key, errorKey } = conversionPaths(model, format, stat);
+  const source = await storage.getObject(model.fileUrl);
+  try {
+    const converted = await convertModel(source, detectFormat(model), format, {
+      resolveResource: createResourceResolver(model.fileUrl),
+      name: model.title
+    });
+    await storage.putObject(key, converted.buffer, { contentType: converted.contentType });
+  } catch (error) {
+    if (!(error instanceof ConversionError)) throw error;
+    await storage.putObject(errorKey, Buffer.from(error.message), { contentType: 'text/plain' });
+  }
+
+  // Conversions of an earlier copy of this source file are stale now
+  const prefix = `${dir}/`;
+  const stale = (await storage.listObjects(prefix))
+    .filter(existing => !existing.slice(prefix.length).startsWith(`${fingerprint}.`));
+  if (stale.length > 0) {
+    await storage.deleteObjects(stale);
+  }
+};
+
+const CONVERT_MODEL_JOB = 'convert-model';
+
+// Always built the same way, so findLatestJob can match it
+const conversionJobPayload = (model, format) => ({ modelId: model.id, version: model.latestVersion, format });
+
+/**
+ * Queue the conversion of a model (or one of its versions, as from
+ * modelAtVersion) for the worker, unless it is queued already. Resolves to
+ * its job.
+ */
+const queueConversion = async (model, format) => {
+  const payload = conversionJobPayload(model, format);
+  const pending = await findLatestJob(CONVERT_MODEL_JOB, payload);
+  if (pending && (pending.status === 'QUEUED' || pending.status === 'RUNNING')) {
+    return pending;
+  }
+  return enqueueJob(CONVERT_MODEL_JOB, payload, { maxAttempts: 3 });
+};
+
+/**
+ * Where a model's conversion to `format` stands: `{ status: 'ready', file }`,
+ * `{ status: 'failed', error }`, `{ status: 'converting' }` while its job is
+ * queued or running, or `{ status: 'none' }` when it hasn't been asked for.
+ * Resolves to null when the source file is missing from storage.
+ */
+const conversionStatus = async (model, format) => {
+  const found = await findConvertedFile(model, format);
+  if (!found) return null;
+  if (found.file) return { status: 'ready', file: found.file };
+  if (found.error) return { status: 'failed', error: found.error };
+
+  const job = await findLatestJob(CONVERT_MODEL_JOB, conversionJobPayload(model, format));
+  if (job && (job.status === 'QUEUED' || job.status === 'RUNNING')) {
+    return { status: 'converting' };
+  }
+  if (job && job.status === 'DEAD') {
+    return { status: 'failed', error: 'The conversion failed, please try again later' };
+  }
+  return { status: 'none' };
+};
+
+// Worker handler for CONVERT_MODEL_JOB. A model or version deleted while
+// the job waited leaves nothing to do.
+const runConvertModelJob = async ({ modelId, version, format }) => {
+  const model = await prisma.model.findUnique({ where: { id: modelId } });
+  if (!model) return;
+
+  let source = model;
+  if (version !== model.latestVersion) {
+    const row = await prisma.modelVersion.findUnique({
+      where: { modelId_number: { modelId, number: version } }
+    });
+    if (!row || !row.fileUrl) return;
+    source = modelAtVersion(model, row);
+  }
+  if (!source.fileUrl) return;
+
+  await storeConvertedFile(source, format);
+};
+
+module.exports = {
+  ConversionError,
+  conversionTargets,
+  convertModel,
+  findConvertedFile,
+  storeConvertedFile,
+  CONVERT_MODEL_JOB,
+  queueConversion,
+  conversionStatus,
+  runConvertModelJob
+};
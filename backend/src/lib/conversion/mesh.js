@@ -0,0 +1,73 @@
+// Writers for the plain mesh formats. Both take the `{ positions, indices }`
+// triangle mesh the format parsers produce.
+
+const HEADER = 'Converted by 3Dsharespace';
+
+const formatNumber = (value) => Number(value.toFixed(6)).toString();
+
+/**
+ * Write a mesh as Wavefront OBJ text: one `v` line per vertex and one
+ * triangle `f` line per face (indices are 1-based).
+ */
+const writeObj = (mesh, { name } = {}) => {
+  const { positions, indices } = mesh;
+  const lines = [`# ${HEADER}`];
+  if (name) lines.push(`o ${name.replace(/\s+/g, '_')}`);
+
+  for (let i = 0; i < positions.length; i += 3) {
+    lines.push(`v ${formatNumber(positions[i])} ${formatNumber(positions[i + 1])} ${formatNumber(positions[i + 2])}`);
+  }
+  for (let i = 0; i + 2 < indices.length; i += 3) {
+    lines.push(`f ${indices[i] + 1} ${indices[i + 1] + 1} ${indices[i + 2] + 1}`);
+  }
+
+  return Buffer.from(`${lines.join('\n')}\n`, 'utf8');
+};
+
+/**
+ * Write a mesh as binary STL. Face normals are computed from the winding,
+ * since STL has no shared vertices to carry smooth ones.
+ */
+const writeStl = (mesh) => {
+  const { positions, indices } = mesh;
+  const triangleCount = Math.floor(indices.length / 3);
+  const buffer = Buffer.alloc(84 + triangleCount * 50);
+  buffer.write(HEADER, 0, 80, 'ascii');
+  buffer.writeUInt32LE(triangleCount, 80);
+
+  let offset = 84;
+  for (let t = 0; t < triangleCount; t++) {
+    const a = indices[t * 3] * 3;
+    const b = indices[t * 3 + 1] * 3;
+    const c = indices[t * 3 + 2] * 3;
+    const ux = positions[b] - positions[a];
+    const uy = positions[b + 1] - positions[a + 1];
+    const uz = positions[b + 2] - positions[a + 2];
+    const vx = positions[c] - positions[a];
+    const vy = positions[c + 1] - positions[a + 1];
+    const vz = positions[c + 2] - positions[a + 2];
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    const length = Math.hypot(nx, ny, nz) || 1;
+
+    buffer.writeFloatLE(nx / length, offset);
+    buffer.writeFloatLE(ny / length, offset + 4);
+    buffer.writeFloatLE(nz / length, offset + 8);
+    offset += 12;
+    for (const vertex of [a, b, c]) {
+      buffer.writeFloatLE(positions[vertex], offset);
+      buffer.writeFloatLE(positions[vertex + 1], offset + 4);
+      buffer.writeFloatLE(positions[vertex + 2], offset + 8);
+      offset += 12;
+    }
+    offset += 2; // Attribute byte count, unused
+  }
+
+  return buffer;
+};
+
+module.exports = {
+  writeObj,
+  writeStl
+};
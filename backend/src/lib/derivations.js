@@ -0,0 +1,290 @@
+const { PrismaClient } = require('@prisma/client');
+const { parseModelUrl } = require('./embed');
+const { publicUrlFor } = require('./storage');
+const { licenseId, findLicense, modelPageUrl, derivativeLicenseError } = require('./licenses');
+
+const prisma = new PrismaClient();
+
+// Remixes: models declare the works they are based on, either models here
+// or works elsewhere given by URL. A model can only be based on one whose
+// license allows it, unless both are by the same creator, and the works it
+// is based on are credited in its attribution.
+
+const MAX_SOURCES = 10;
+const MAX_CREDIT_LENGTH = 200;
+// Generations of parents and remixes shown around a model
+const MAX_TREE_DEPTH = 3;
+// Remixes shown under each model in the tree
+const MAX_TREE_REMIXES = 50;
+
+class DerivationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const isVisible = (model, user) => model.isPublic || user?.id === model.userId;
+
+const parentSelect = {
+  id: true,
+  title: true,
+  attribution: true,
+  license: true,
+  isPublic: true,
+  userId: true,
+  creator: { select: { username: true } }
+};
+
+// The works a model is based on, in the order they were given
+const sourcesInclude = {
+  derivedFrom: {
+    orderBy: { position: 'asc' },
+    include: { parent: { select: parentSelect } }
+  }
+};
+
+const isWebUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const creditText = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.trim().length > MAX_CREDIT_LENGTH) {
+    throw new DerivationError(`Titles and authors of sources must be at most ${MAX_CREDIT_LENGTH} characters`);
+  }
+  return value.trim() || null;
+};
+
+/**
+ * Read one entry of an upload's `basedOn`: a model page URL or id from this
+ * site, another site's URL, or `{ url, title, author, license }` to credit
+ * a work elsewhere properly. Returns `{ modelId }` or the external credit.
+ */
+const parseSourceRef = (ref) => {
+  const value = typeof ref === 'string' ? ref.trim() : ref?.url;
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new DerivationError('Each source must be a model or a URL');
+  }
+
+  const ours = parseModelUrl(value.trim());
+  if (ours) return { modelId: ours.modelId };
+
+  if (isWebUrl(value.trim())) {
+    const license = typeof ref === 'object' ? ref.license || null : null;
+    if (license && !findLicense(license)) {
+      throw new DerivationError(`Unknown license for ${value.trim()}`);
+    }
+    return {
+      url: value.trim(),
+      title: typeof ref === 'object' ? creditText(ref.title) : null,
+      author: typeof ref === 'object' ? creditText(ref.author) : null,
+      license: licenseId(license)
+    };
+  }
+
+  if (typeof ref === 'string' && /^[\w-]+$/.test(value)) return { modelId: value };
+  throw new DerivationError(`"${value}" is not a model or a URL`);
+};
+
+// Every model `modelIds` descend from, to keep remixes from going in circles
+const findAncestorIds = async (modelIds) => {
+  const found = new Set();
+  let frontier = [...modelIds];
+  while (frontier.length > 0) {
+    const rows = await prisma.modelDerivation.findMany({
+      where: { childId: { in: frontier }, parentId: { not: null } },
+      select: { parentId: true }
+    });
+    frontier = rows.map(row => row.parentId).filter(id => !found.has(id));
+    frontier.forEach(id => found.add(id));
+  }
+  return found;
+};
+
+/**
+ * Check the works `user` says a model is based on and resolve them to the
+ * derivation rows to store, with the credit copied from each parent.
+ * `license` is the license the model will have and `childId` the model
+ * itself when it already exists. Throws a DerivationError for a source
+ * that can't be used.
+ */
+const resolveSources = async (refs, { user, license, childId = null }) => {
+  if (!Array.isArray(refs)) throw new DerivationError('basedOn must be a list');
+  if (refs.length > MAX_SOURCES) {
+    throw new DerivationError(`A model can be based on at most ${MAX_SOURCES} works`);
+  }
+
+  const sources = [];
+  const seen = new Set();
+  for (const ref of refs) {
+    const source = parseSourceRef(ref);
+    const key = source.modelId || source.url;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    if (!source.modelId) {
+      const reason = source.license && derivativeLicenseError(source.license, license);
+      if (reason) throw new DerivationError(`${source.url} can't be remixed: ${reason}`);
+      sources.push({ parentId: null, ...source });
+      continue;
+    }
+
+    if (source.modelId === childId) throw new DerivationError('A model can\'t be based on itself');
+
+    const parent = await prisma.model.findUnique({ where: { id: source.modelId }, select: parentSelect });
+    if (!parent || !isVisible(parent, user)) {
+      throw new DerivationError(`Model ${source.modelId} not found`);
+    }
+
+    // Creators may remix their own work whatever it is licensed under
+    if (parent.userId !== user.id) {
+      const reason = derivativeLicenseError(parent.license, license);
+      if (reason) throw new DerivationError(`"${parent.title}" can't be remixed: ${reason}`);
+    }
+
+    sources.push({
+      parentId: parent.id,
+      url: null,
+      title: parent.title,
+      author: parent.attribution || parent.creator.username,
+      license: licenseId(parent.license)
+    });
+  }
+
+  if (childId) {
+    const ancestors = await findAncestorIds(sources.map(source => source.parentId).filter(Boolean));
+    if (ancestors.has(childId)) {
+      throw new DerivationError('A model can\'t be based on one of its own remixes');
+    }
+  }
+
+  return sources;
+};
+
+/**
+ * Check that a model's sources allow `license`, before it is relicensed.
+ * Sources are checked against the license they were remixed under.
+ */
+const checkSourceLicenses = async (childId, license, user) => {
+  const rows = await prisma.modelDerivation.findMany({
+    where: { childId },
+    include: { parent: { select: { userId: true } } }
+  });
+
+  for (const row of rows) {
+    if (!row.license || row.parent?.userId === user.id) continue;
+    const reason = derivativeLicenseError(row.license, license);
+    if (reason) {
+      throw new DerivationError(`"${row.title || row.url}" can't be remixed under that license: ${reason}`);
+    }
+  }
+};
+
+// Replace the works a model is based on with `sources` from resolveSources
+const setModelSources = (childId, sources) =>
+  prisma.$transaction([
+    prisma.modelDerivation.deleteMany({ where: { childId } }),
+    ...sources.map((source, position) =>
+      prisma.modelDerivation.create({ data: { ...source, childId, position } }))
+  ]);
+
+/**
+ * The works a model is based on as licenses.js credits them. Models still
+ * here are credited as they are now, under the license they were remixed
+ * under; deleted or hidden ones by what was copied when they were linked.
+ */
+const sourceCredits = (derivations = []) =>
+  derivations.map(({ parent, url, title, author, license }) => (
+    parent && parent.isPublic
+      ? {
+          title: parent.title,
+          author: parent.attribution || parent.creator.username,
+          url: modelPageUrl(parent.id),
+          license
+        }
+      : { title, author, url, license }
+  ));
+
+const treeModel = (model) => ({
+  id: model.id,
+  title: model.title,
+  thumbnailUrl: publicUrlFor(model.thumbnailUrl),
+  license: licenseId(model.license),
+  creator: { username: model.creator.username }
+});
+
+const treeSelect = { ...parentSelect, thumbnailUrl: true };
+
+// The works `modelId` is based on, and theirs in turn. Parents `user` can't
+// see are left out; deleted ones keep their copied credit.
+const findParents = async (modelId, user, depth, visited) => {
+  const rows = await prisma.modelDerivation.findMany({
+    where: { childId: modelId },
+    orderBy: { position: 'asc' },
+    include: { parent: { select: treeSelect } }
+  });
+
+  const nodes = [];
+  for (const row of rows) {
+    if (row.parent && !isVisible(row.parent, user)) continue;
+    const expand = row.parent && depth > 1 && !visited.has(row.parent.id);
+    if (row.parent) visited.add(row.parent.id);
+    nodes.push({
+      id: row.id,
+      model: row.parent ? treeModel(row.parent) : null,
+      url: row.url,
+      title: row.title,
+      author: row.author,
+      license: row.license,
+      parents: expand ? await findParents(row.parent.id, user, depth - 1, visited) : []
+    });
+  }
+  return nodes;
+};
+
+// The models based on `modelId` that `user` can see, and their remixes
+const findRemixes = async (modelId, user, depth, visited) => {
+  const rows = await prisma.modelDerivation.findMany({
+    where: {
+      parentId: modelId,
+      child: user ? { OR: [{ isPublic: true }, { userId: user.id }] } : { isPublic: true }
+    },
+    orderBy: { createdAt: 'desc' },
+    take: MAX_TREE_REMIXES,
+    include: { child: { select: treeSelect } }
+  });
+
+  const nodes = [];
+  for (const row of rows) {
+    const expand = depth > 1 && !visited.has(row.child.id);
+    visited.add(row.child.id);
+    nodes.push({
+      id: row.id,
+      model: treeModel(row.child),
+      remixes: expand ? await findRemixes(row.child.id, user, depth - 1, visited) : []
+    });
+  }
+  return nodes;
+};
+
+// A model's family: what it was remixed from and what was remixed from it
+const derivationTree = async (modelId, user) => ({
+  parents: await findParents(modelId, user, MAX_TREE_DEPTH, new Set([modelId])),
+  remixes: await findRemixes(modelId, user, MAX_TREE_DEPTH, new Set([modelId]))
+});
+
+module.exports = {
+  MAX_SOURCES,
+  DerivationError,
+  sourcesInclude,
+  resolveSources,
+  checkSourceLicenses,
+  setModelSources,
+  sourceCredits,
+  derivationTree
+};
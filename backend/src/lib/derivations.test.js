@@ -0,0 +1,113 @@
+// In-memory models and derivation rows for the queries resolveSources makes
+const mockModels = {};
+const mockDerivations = [];
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: class {
+    constructor() {
+      this.model = {
+        findUnique: async ({ where }) => {
+          const model = mockModels[where.id];
+          return model ? { ...model, creator: { username: model.userId } } : null;
+        }
+      };
+      this.modelDerivation = {
+        findMany: async ({ where }) => mockDerivations
+          .filter(row => where.childId.in.includes(row.childId) && row.parentId !== null)
+          .map(row => ({ parentId: row.parentId }))
+      };
+    }
+  }
+}));
+
+const { resolveSources, DerivationError } = require('./derivations');
+
+const ann = { id: 'ann' };
+const bob = { id: 'bob' };
+
+const addModel = (id, fields = {}) => {
+  mockModels[id] = { id, title: id, attribution: null, license: 'cc-by', isPublic: true, userId: 'ann', ...fields };
+};
+const derive = (childId, parentId) => mockDerivations.push({ childId, parentId });
+
+const rejection = (promise) => promise.then(() => null, error => error);
+
+beforeEach(() => {
+  Object.keys(mockModels).forEach(id => delete mockModels[id]);
+  mockDerivations.length = 0;
+});
+
+describe('resolveSources', () => {
+  it('copies the credit from each parent, once', async () => {
+    addModel('base', { attribution: 'Ann A.' });
+
+    const sources = await resolveSources(['base', 'base'], { user: bob, license: 'cc-by' });
+
+    expect(sources).toEqual([
+      { parentId: 'base', url: null, title: 'base', author: 'Ann A.', license: 'cc-by' }
+    ]);
+  });
+
+  it('refuses a model based on itself', async () => {
+    addModel('a');
+    const error = await rejection(resolveSources(['a'], { user: ann, license: 'cc-by', childId: 'a' }));
+    expect(error).toBeInstanceOf(DerivationError);
+    expect(error.message).toBe('A model can\'t be based on itself');
+  });
+
+  it('refuses a model based on one of its own remixes, however far down', async () => {
+    ['a', 'b', 'c', 'd'].forEach(id => addModel(id));
+    derive('b', 'a');
+    derive('c', 'b');
+    derive('d', 'c');
+
+    const error = await rejection(resolveSources(['d'], { user: ann, license: 'cc-by', childId: 'a' }));
+    expect(error).toBeInstanceOf(DerivationError);
+    expect(error.message).toBe('A model can\'t be based on one of its own remixes');
+  });
+
+  it('allows models that share an ancestor', async () => {
+    ['root', 'left', 'right'].forEach(id => addModel(id));
+    derive('left', 'root');
+    derive('right', 'root');
+
+    const sources = await resolveSources(['left'], { user: ann, license: 'cc-by', childId: 'right' });
+    expect(sources.map(source => source.parentId)).toEqual(['left']);
+  });
+
+  it('stops walking ancestors that already go in circles', async () => {
+    ['a', 'b', 'c'].forEach(id => addModel(id));
+    derive('a', 'b');
+    derive('b', 'a');
+
+    const sources = await resolveSources(['a'], { user: ann, license: 'cc-by', childId: 'c' });
+    expect(sources.map(source => source.parentId)).toEqual(['a']);
+  });
+
+  it('checks the parent\'s license unless the creator remixes their own work', async () => {
+    addModel('private', { license: 'editorial' });
+
+    const error = await rejection(resolveSources(['private'], { user: bob, license: 'editorial' }));
+    expect(error.message).toMatch('"private" can\'t be remixed: the Editorial Use License doesn\'t allow modifications');
+
+    await expect(resolveSources(['private'], { user: ann, license: 'cc-by' })).resolves.toHaveLength(1);
+  });
+
+  it('hides models the user can\'t see', async () => {
+    addModel('draft', { isPublic: false });
+
+    const error = await rejection(resolveSources(['draft'], { user: bob, license: 'cc-by' }));
+    expect(error.message).toBe('Model draft not found');
+  });
+
+  it('checks the license of works elsewhere when it is given', async () => {
+    const work = { url: 'https://example.com/chair', title: 'Chair', license: 'cc-by-sa' };
+
+    const error = await rejection(resolveSources([work], { user: ann, license: 'cc-by' }));
+    expect(error.message).toMatch('https://example.com/chair can\'t be remixed');
+
+    await expect(resolveSources([work], { user: ann, license: 'cc-by-sa' })).resolves.toEqual([
+      { parentId: null, url: 'https://example.com/chair', title: 'Chair', author: null, license: 'cc-by-sa' }
+    ]);
+  });
+});
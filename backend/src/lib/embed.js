@@ -0,0 +1,71 @@
+// Embedding models on other sites: which models may be embedded, which page
+// URLs map to a model, and the iframe markup oEmbed consumers paste in.
+
+const EMBED_WIDTH = 640;
+const EMBED_HEIGHT = 360;
+
+// Query parameters the embed page understands; anything else on a page URL
+// is dropped rather than passed through to the iframe
+const EMBED_OPTIONS = ['autospin', 'bg', 'ui'];
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Only public, free models can be embedded; a paid model in an iframe would
+// hand the file to anyone who opens the embed
+const isEmbeddable = (model) => Boolean(model && model.isPublic && model.isFree && !model.price);
+
+/**
+ * Parse a model page or embed URL on this site. Returns
+ * `{ modelId, options }`, or null for URLs that aren't ours.
+ */
+const parseModelUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+  if (url.origin !== new URL(frontendUrl()).origin) return null;
+
+  const match = url.pathname.match(/^\/(?:models|embed)\/([^/]+)\/?$/);
+  if (!match) return null;
+
+  const options = {};
+  EMBED_OPTIONS.forEach((name) => {
+    if (url.searchParams.has(name)) options[name] = url.searchParams.get(name);
+  });
+  return { modelId: decodeURIComponent(match[1]), options };
+};
+
+const embedUrlFor = (modelId, options = {}) => {
+  const params = new URLSearchParams(options).toString();
+  return `${frontendUrl()}/embed/${encodeURIComponent(modelId)}${params ? `?${params}` : ''}`;
+};
+
+// 16:9 frame, shrunk to fit the consumer's maxwidth/maxheight if given
+const embedSize = ({ maxWidth, maxHeight } = {}) => {
+  let width = EMBED_WIDTH;
+  if (maxWidth > 0) width = Math.min(width, maxWidth);
+  if (maxHeight > 0) width = Math.min(width, Math.floor(maxHeight * EMBED_WIDTH / EMBED_HEIGHT));
+  return { width, height: Math.round(width * EMBED_HEIGHT / EMBED_WIDTH) };
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const embedHtml = ({ src, title, width, height }) =>
+  `<iframe src="${escapeHtml(src)}" title="${escapeHtml(title)}" width="${width}" height="${height}" ` +
+  'frameborder="0" allow="autoplay; fullscreen; xr-spatial-tracking" allowfullscreen></iframe>';
+
+module.exports = {
+  EMBED_OPTIONS,
+  frontendUrl,
+  isEmbeddable,
+  parseModelUrl,
+  embedUrlFor,
+  embedSize,
+  embedHtml
+};
@@ -0,0 +1,63 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Featured models are picked by admins. The front page (category null) and
+// each category page have FEATURED_SLOTS numbered slots; an entry holds a
+// slot from startsAt until endsAt, so picks can be scheduled ahead of time.
+
+const FEATURED_SLOTS = 6;
+
+// Entries showing at `now`
+const activeAt = (now) => ({
+  startsAt: { lte: now },
+  OR: [{ endsAt: null }, { endsAt: { gt: now } }]
+});
+
+const featuredStatus = (entry, now = new Date()) => {
+  if (entry.startsAt > now) return 'scheduled';
+  if (entry.endsAt && entry.endsAt <= now) return 'ended';
+  return 'active';
+};
+
+/**
+ * The featured entries showing now for a category (null for the front
+ * page), one per slot in slot order, each with its model loaded with
+ * `include`. Where schedules overlap the entry that started last wins, and
+ * a model only shows in its first slot.
+ */
+const getFeaturedEntries = async ({ category = null, include = true, now = new Date() } = {}) => {
+  const entries = await prisma.featuredModel.findMany({
+    where: { category, ...activeAt(now), model: { isPublic: true } },
+    include: { model: include === true ? true : { include } },
+    orderBy: [{ position: 'asc' }, { startsAt: 'desc' }]
+  });
+
+  const positions = new Set();
+  const models = new Set();
+  return entries.filter(entry => {
+    if (positions.has(entry.position) || models.has(entry.modelId)) return false;
+    positions.add(entry.position);
+    models.add(entry.modelId);
+    return entry.position <= FEATURED_SLOTS;
+  });
+};
+
+// Another entry holding the same slot for part of the same time, if any
+const findSlotConflict = ({ id, category, position, startsAt, endsAt }) =>
+  prisma.featuredModel.findFirst({
+    where: {
+      ...(id ? { id: { not: id } } : {}),
+      category,
+      position,
+      ...(endsAt ? { startsAt: { lt: endsAt } } : {}),
+      OR: [{ endsAt: null }, { endsAt: { gt: startsAt } }]
+    }
+  });
+
+module.exports = {
+  FEATURED_SLOTS,
+  featuredStatus,
+  getFeaturedEntries,
+  findSlotConflict
+};
@@ -0,0 +1,467 @@
+const { createMeshBuilder, computeBounds, roundVector } = require('./mesh');
+const { getImageSize } = require('./imageSize');
+
+// glTF 2.0 / GLB reader. Only what the metadata, renderer and converters need
+// is implemented: the JSON document, buffers, accessors and the node tree.
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a; // "JSON"
+const CHUNK_BIN = 0x004e4942; // "BIN\0"
+
+const COMPONENT_ARRAYS = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array
+};
+
+const TYPE_SIZES = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+  VEC4: 4,
+  MAT2: 4,
+  MAT3: 9,
+  MAT4: 16
+};
+
+// Divisors for normalized integer components (KHR_mesh_quantization etc.)
+const NORMALIZE_DIVISORS = {
+  5120: 127,
+  5121: 255,
+  5122: 32767,
+  5123: 65535
+};
+
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+class GltfError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GltfError';
+  }
+}
+
+const isGlb = (buffer) => buffer.length >= 12 && buffer.readUInt32LE(0) === GLB_MAGIC;
+
+const decodeDataUri = (uri) => {
+  const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(uri);
+  if (!match) return null;
+  return match[2]
+    ? Buffer.from(match[3], 'base64')
+    : Buffer.from(decodeURIComponent(match[3]));
+};
+
+const splitGlb = (buffer) => {
+  const version = buffer.readUInt32LE(4);
+  if (version !== 2) {
+    throw new GltfError(`Unsupported GLB version ${version}`);
+  }
+
+  const length = Math.min(buffer.readUInt32LE(8), buffer.length);
+  let offset = 12;
+  let json = null;
+  let bin = null;
+
+  while (offset + 8 <= length) {
+    const chunkLength = buffer.readUInt32LE(offset);
+    const chunkType = buffer.readUInt32LE(offset + 4);
+    const data = buffer.subarray(offset + 8, offset + 8 + chunkLength);
+
+    if (chunkType === CHUNK_JSON && !json) {
+      json = data.toString('utf8');
+    } else if (chunkType === CHUNK_BIN && !bin) {
+      bin = data;
+    }
+    offset += 8 + chunkLength;
+  }
+
+  if (!json) {
+    throw new GltfError('GLB file has no JSON chunk');
+  }
+
+  return { json, bin };
+};
+
+/**
+ * Load a glTF or GLB file into `{ json, buffers, isBinary }`.
+ *
+ * External buffer URIs are fetched through `resolveResource(uri)`, which may
+ * return a Buffer (or a promise of one) or null when the file is unavailable.
+ */
+const loadGltf = async (buffer, { resolveResource } = {}) => {
+  const isBinary = isGlb(buffer);
+  let jsonText;
+  let bin = null;
+
+  if (isBinary) {
+    ({ json: jsonText, bin } = splitGlb(buffer));
+  } else {
+    jsonText = buffer.toString('utf8');
+  }
+
+  let json;
+  try {
+    json = JSON.parse(jsonText);
+  } catch (error) {
+    throw new GltfError('Invalid glTF JSON');
+  }
+
+  if (!json.asset || typeof json.asset.version !== 'string' || !json.asset.version.startsWith('2')) {
+    throw new GltfError('Only glTF 2.0 assets are supported');
+  }
+
+  const buffers = await Promise.all((json.buffers || []).map(async (bufferDef, index) => {
+    if (bufferDef.uri === undefined) {
+      // Only the first buffer of a GLB may omit its uri and use the BIN chunk
+      return index === 0 ? bin : null;
+    }
+    if (bufferDef.uri.startsWith('data:')) {
+      return decodeDataUri(bufferDef.uri);
+    }
+    return resolveResource ? (await resolveResource(decodeURIComponent(bufferDef.uri))) || null : null;
+  }));
+
+  return { json, buffers, isBinary };
+};
+
+const getBufferViewData = (doc, viewIndex) => {
+  const view = doc.json.bufferViews && doc.json.bufferViews[viewIndex];
+  if (!view) return null;
+  const buffer = doc.buffers[view.buffer];
+  if (!buffer) return null;
+  const start = view.byteOffset || 0;
+  return buffer.subarray(start, start + view.byteLength);
+};
+
+const readComponents = (data, byteOffset, byteStride, componentType, itemSize, count) => {
+  const ArrayType = COMPONENT_ARRAYS[componentType];
+  const componentSize = ArrayType.BYTES_PER_ELEMENT;
+  const stride = byteStride || componentSize * itemSize;
+  const out = new ArrayType(count * itemSize);
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  const readers = {
+    5120: (o) => view.getInt8(o),
+    5121: (o) => view.getUint8(o),
+    5122: (o) => view.getInt16(o, true),
+    5123: (o) => view.getUint16(o, true),
+    5125: (o) => view.getUint32(o, true),
+    5126: (o) => view.getFloat32(o, true)
+  };
+  const read = readers[componentType];
+
+  for (let i = 0; i < count; i++) {
+    const base = byteOffset + i * stride;
+    for (let c = 0; c < itemSize; c++) {
+      const offset = base + c * componentSize;
+      if (offset + componentSize > data.byteLength) {
+        throw new GltfError('Accessor reads past the end of its buffer view');
+      }
+      out[i * itemSize + c] = read(offset);
+    }
+  }
+  return out;
+};
+
+/**
+ * Read an accessor into a typed array of `count * itemSize` values, applying
+ * sparse substitution. With `asFloat`, normalized integers are mapped to
+ * their float range, which is what positions and UVs need.
+ */
+const readAccessor = (doc, accessorIndex, { asFloat = false } = {}) => {
+  const accessor = doc.json.accessors && doc.json.accessors[accessorIndex];
+  if (!accessor) {
+    throw new GltfError(`Missing accessor ${accessorIndex}`);
+  }
+
+  const itemSize = TYPE_SIZES[accessor.type];
+  const ArrayType = COMPONENT_ARRAYS[accessor.componentType];
+  if (!itemSize || !ArrayType) {
+    throw new GltfError(`Unsupported accessor type ${accessor.type}/${accessor.componentType}`);
+  }
+
+  let values;
+  if (accessor.bufferView === undefined) {
+    // Accessors without a buffer view are all zeros (usually sparse bases)
+    values = new ArrayType(accessor.count * itemSize);
+  } else {
+    const data = getBufferViewData(doc, accessor.bufferView);
+    if (!data) {
+      throw new GltfError(`Buffer for accessor ${accessorIndex} is unavailable`);
+    }
+    const stride = doc.json.bufferViews[accessor.bufferView].byteStride;
+    values = readComponents(data, accessor.byteOffset || 0, stride, accessor.componentType, itemSize, accessor.count);
+  }
+
+  if (accessor.sparse) {
+    const { count, indices, values: sparseValues } = accessor.sparse;
+    const indexData = getBufferViewData(doc, indices.bufferView);
+    const valueData = getBufferViewData(doc, sparseValues.bufferView);
+    if (indexData && valueData) {
+      const targets = readComponents(indexData, indices.byteOffset || 0, 0, indices.componentType, 1, count);
+      const replacements = readComponents(valueData, sparseValues.byteOffset || 0, 0, accessor.componentType, itemSize, count);
+      for (let i = 0; i < count; i++) {
+        for (let c = 0; c < itemSize; c++) {
+          values[targets[i] * itemSize + c] = replacements[i * itemSize + c];
+        }
+      }
+    }
+  }
+
+  if (asFloat && !(values instanceof Float32Array)) {
+    const divisor = accessor.normalized ? NORMALIZE_DIVISORS[accessor.componentType] : 1;
+    const floats = new Float32Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+      floats[i] = divisor ? Math.max(values[i] / divisor, -1) : values[i];
+    }
+    values = floats;
+  }
+
+  return { values, itemSize, count: accessor.count, accessor };
+};
+
+// --- Node transforms -------------------------------------------------------
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Column-major 4x4 multiply, as glTF stores matrices
+const multiply = (a, b) => {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) {
+        sum += a[k * 4 + row] * b[col * 4 + k];
+      }
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+};
+
+const composeTRS = (translation = [0, 0, 0], rotation = [0, 0, 0, 1], scale = [1, 1, 1]) => {
+  const [x, y, z, w] = rotation;
+  const [sx, sy, sz] = scale;
+  const xx = x * x; const yy = y * y; const zz = z * z;
+  const xy = x * y; const xz = x * z; const yz = y * z;
+  const wx = w * x; const wy = w * y; const wz = w * z;
+
+  return [
+    (1 - 2 * (yy + zz)) * sx, 2 * (xy + wz) * sx, 2 * (xz - wy) * sx, 0,
+    2 * (xy - wz) * sy, (1 - 2 * (xx + zz)) * sy, 2 * (yz + wx) * sy, 0,
+    2 * (xz + wy) * sz, 2 * (yz - wx) * sz, (1 - 2 * (xx + yy)) * sz, 0,
+    translation[0], translation[1], translation[2], 1
+  ];
+};
+
+const localMatrix = (node) =>
+  node.matrix && node.matrix.length === 16
+    ? node.matrix
+    : composeTRS(node.translation, node.rotation, node.scale);
+
+const transformPoint = (m, x, y, z) => [
+  m[0] * x + m[4] * y + m[8] * z + m[12],
+  m[1] * x + m[5] * y + m[9] * z + m[13],
+  m[2] * x + m[6] * y + m[10] * z + m[14]
+];
+
+/**
+ * Visit every mesh instance in the default scene (or every root node when
+ * there is no scene) with its world matrix. Cycles are ignored rather than
+ * recursing forever on malformed files.
+ */
+const forEachMeshInstance = (json, visit) => {
+  const nodes = json.nodes || [];
+  let roots;
+
+  if (json.scenes && json.scenes.length > 0) {
+    roots = json.scenes[json.scene || 0]?.nodes || [];
+  } else {
+    const children = new Set(nodes.flatMap(node => node.children || []));
+    roots = nodes.map((node, index) => index).filter(index => !children.has(index));
+  }
+
+  const visiting = new Set();
+  const walk = (nodeIndex, parentMatrix) => {
+    const node = nodes[nodeIndex];
+    if (!node || visiting.has(nodeIndex)) return;
+    visiting.add(nodeIndex);
+
+    const world = multiply(parentMatrix, localMatrix(node));
+    if (node.mesh !== undefined && json.meshes && json.meshes[node.mesh]) {
+      visit(json.meshes[node.mesh], world, node);
+    }
+    (node.children || []).forEach(child => walk(child, world));
+
+    visiting.delete(nodeIndex);
+  };
+
+  roots.forEach(root => walk(root, IDENTITY));
+
+  // Files without nodes (rare, but valid for libraries) still have meshes
+  if (nodes.length === 0) {
+    (json.meshes || []).forEach(mesh => visit(mesh, IDENTITY, null));
+  }
+};
+
+const primitiveTriangleCount = (json, primitive) => {
+  const mode = primitive.mode === undefined ? MODE_TRIANGLES : primitive.mode;
+  const accessors = json.accessors || [];
+  const source = primitive.indices !== undefined
+    ? accessors[primitive.indices]
+    : accessors[primitive.attributes && primitive.attributes.POSITION];
+  const count = source ? source.count : 0;
+
+  if (mode === MODE_TRIANGLES) return Math.floor(count / 3);
+  if (mode === MODE_TRIANGLE_STRIP || mode === MODE_TRIANGLE_FAN) return Math.max(count - 2, 0);
+  return 0;
+};
+
+// Expand any triangle mode into a flat triangle list of vertex indices
+const triangleListIndices = (mode, indices) => {
+  if (mode === MODE_TRIANGLES) return indices;
+
+  const out = [];
+  for (let i = 2; i < indices.length; i++) {
+    if (mode === MODE_TRIANGLE_STRIP) {
+      if (i % 2 === 0) out.push(indices[i - 2], indices[i - 1], indices[i]);
+      else out.push(indices[i - 1], indices[i - 2], indices[i]);
+    } else {
+      out.push(indices[0], indices[i - 1], indices[i]);
+    }
+  }
+  return out;
+};
+
+const addPrimitiveGeometry = (doc, primitive, world, builder) => {
+  const mode = primitive.mode === undefined ? MODE_TRIANGLES : primitive.mode;
+  if (![MODE_TRIANGLES, MODE_TRIANGLE_STRIP, MODE_TRIANGLE_FAN].includes(mode)) return;
+  if (primitive.attributes.POSITION === undefined) return;
+  // Draco-compressed geometry needs a decoder we don't ship
+  if (primitive.extensions && primitive.extensions.KHR_draco_mesh_compression) return;
+
+  const { values: positions, count } = readAccessor(doc, primitive.attributes.POSITION, { asFloat: true });
+  let indices;
+  if (primitive.indices !== undefined) {
+    indices = readAccessor(doc, primitive.indices).values;
+  } else {
+    indices = Array.from({ length: count }, (value, index) => index);
+  }
+
+  const base = builder.vertexCount();
+  for (let i = 0; i < count; i++) {
+    const [x, y, z] = transformPoint(world, positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    builder.addVertex(x, y, z);
+  }
+
+  const list = triangleListIndices(mode, indices);
+  for (let i = 0; i + 2 < list.length; i += 3) {
+    builder.addTriangle(base + list[i], base + list[i + 1], base + list[i + 2]);
+  }
+};
+
+// Bytes of an image referenced by the document, if they can be had
+const getImageData = async (doc, image, resolveResource) => {
+  if (image.bufferView !== undefined) {
+    return getBufferViewData(doc, image.bufferView);
+  }
+  if (image.uri) {
+    if (image.uri.startsWith('data:')) return decodeDataUri(image.uri);
+    if (resolveResource) return resolveResource(decodeURIComponent(image.uri));
+  }
+  return null;
+};
+
+/**
+ * Parse a glTF 2.0 or GLB file and extract geometry statistics.
+ *
+ * Returns `{ format, stats, mesh }`. `mesh` is null when the geometry can't
+ * be decoded (e.g. Draco compression or missing external buffers); the
+ * statistics come from accessor counts and are available regardless.
+ */
+const parseGltf = async (buffer, { resolveResource } = {}) => {
+  const doc = await loadGltf(buffer, { resolveResource });
+  const { json } = doc;
+
+  let triangleCount = 0;
+  let vertexCount = 0;
+  let hasMorphTargets = false;
+  let meshInstanceCount = 0;
+  const builder = createMeshBuilder();
+  let geometryComplete = true;
+
+  forEachMeshInstance(json, (mesh, world) => {
+    meshInstanceCount++;
+    for (const primitive of mesh.primitives || []) {
+      const position = json.accessors && json.accessors[primitive.attributes?.POSITION];
+      vertexCount += position ? position.count : 0;
+      triangleCount += primitiveTriangleCount(json, primitive);
+      if (primitive.targets && primitive.targets.length > 0) hasMorphTargets = true;
+
+      try {
+        addPrimitiveGeometry(doc, primitive, world, builder);
+      } catch (error) {
+        geometryComplete = false;
+      }
+    }
+  });
+
+  const mesh = builder.vertexCount() > 0 ? builder.build() : null;
+  const bounds = computeBounds(mesh && mesh.positions);
+
+  let maxTextureWidth = null;
+  let maxTextureHeight = null;
+  for (const image of json.images || []) {
+    const size = getImageSize(await getImageData(doc, image, resolveResource));
+    if (size && size.width * size.height > (maxTextureWidth || 0) * (maxTextureHeight || 0)) {
+      maxTextureWidth = size.width;
+      maxTextureHeight = size.height;
+    }
+  }
+
+  const skins = json.skins || [];
+  const animations = json.animations || [];
+
+  return {
+    format: doc.isBinary ? 'glb' : 'gltf',
+    stats: {
+      triangleCount,
+      vertexCount,
+      meshCount: meshInstanceCount,
+      materialCount: (json.materials || []).length,
+      textureCount: (json.textures || []).length,
+      maxTextureWidth,
+      maxTextureHeight,
+      animationCount: animations.length,
+      isAnimated: animations.length > 0,
+      isRigged: skins.length > 0,
+      boundsMin: bounds ? roundVector(bounds.min) : null,
+      boundsMax: bounds ? roundVector(bounds.max) : null,
+      extras: {
+        generator: json.asset.generator || null,
+        extensionsUsed: json.extensionsUsed || [],
+        jointCount: skins.reduce((sum, skin) => sum + (skin.joints || []).length, 0),
+        hasMorphTargets,
+        geometryComplete: geometryComplete && mesh !== null
+      }
+    },
+    mesh
+  };
+};
+
+module.exports = {
+  GltfError,
+  isGlb,
+  decodeDataUri,
+  loadGltf,
+  readAccessor,
+  getBufferViewData,
+  getImageData,
+  forEachMeshInstance,
+  parseGltf
+};
@@ -0,0 +1,130 @@
+const { GltfError, isGlb, parseGltf } = require('./gltf');
+
+// One triangle: three float positions followed by three uint16 indices
+const triangleBuffer = () => {
+  const buffer = Buffer.alloc(44);
+  [0, 0, 0, 1, 0, 0, 0, 1, 0].forEach((value, i) => buffer.writeFloatLE(value, i * 4));
+  [0, 1, 2].forEach((value, i) => buffer.writeUInt16LE(value, 36 + i * 2));
+  return buffer;
+};
+
+// A glTF document drawing the triangle once per entry in `nodes`
+const triangleDocument = ({ uri, nodes = [{ mesh: 0 }], ...rest } = {}) => ({
+  asset: { version: '2.0', generator: 'hand' },
+  scene: 0,
+  scenes: [{ nodes: nodes.map((node, index) => index) }],
+  nodes,
+  meshes: [{ primitives: [{ attributes: { POSITION: 0 }, indices: 1 }] }],
+  accessors: [
+    { bufferView: 0, componentType: 5126, count: 3, type: 'VEC3' },
+    { bufferView: 1, componentType: 5123, count: 3, type: 'SCALAR' }
+  ],
+  bufferViews: [
+    { buffer: 0, byteOffset: 0, byteLength: 36 },
+    { buffer: 0, byteOffset: 36, byteLength: 6 }
+  ],
+  buffers: [{ byteLength: 44, ...(uri !== undefined ? { uri } : {}) }],
+  ...rest
+});
+
+const gltfFile = (json) => Buffer.from(JSON.stringify(json));
+
+const dataUri = (buffer) => `data:application/octet-stream;base64,${buffer.toString('base64')}`;
+
+const glbFile = (json, bin) => {
+  const pad = (buffer, byte) => Buffer.concat([buffer, Buffer.alloc((4 - buffer.length % 4) % 4, byte)]);
+  const chunk = (data, type) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32LE(data.length, 0);
+    header.writeUInt32LE(type, 4);
+    return Buffer.concat([header, data]);
+  };
+  const body = Buffer.concat([
+    chunk(pad(Buffer.from(JSON.stringify(json)), 0x20), 0x4e4f534a),
+    chunk(pad(bin, 0), 0x004e4942)
+  ]);
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546c67, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + body.length, 8);
+  return Buffer.concat([header, body]);
+};
+
+describe('parseGltf', () => {
+  it('reads a glTF with an embedded buffer', async () => {
+    const { format, stats, mesh } = await parseGltf(gltfFile(triangleDocument({ uri: dataUri(triangleBuffer()) })));
+
+    expect(format).toBe('gltf');
+    expect(stats.triangleCount).toBe(1);
+    expect(stats.vertexCount).toBe(3);
+    expect(stats.boundsMin).toEqual([0, 0, 0]);
+    expect(stats.boundsMax).toEqual([1, 1, 0]);
+    expect(stats.extras.generator).toBe('hand');
+    expect(stats.extras.geometryComplete).toBe(true);
+    expect(Array.from(mesh.indices)).toEqual([0, 1, 2]);
+  });
+
+  it('reads a GLB from its BIN chunk', async () => {
+    const buffer = glbFile(triangleDocument(), triangleBuffer());
+    expect(isGlb(buffer)).toBe(true);
+
+    const { format, stats } = await parseGltf(buffer);
+    expect(format).toBe('glb');
+    expect(stats.triangleCount).toBe(1);
+  });
+
+  it('counts each instance of a mesh and applies node transforms', async () => {
+    const nodes = [{ mesh: 0 }, { mesh: 0, translation: [5, 0, 0], scale: [2, 2, 2] }];
+    const { stats, mesh } = await parseGltf(glbFile(triangleDocument({ nodes }), triangleBuffer()));
+
+    expect(stats.meshCount).toBe(2);
+    expect(stats.triangleCount).toBe(2);
+    expect(stats.boundsMax).toEqual([7, 2, 0]);
+    expect(mesh.indices).toHaveLength(6);
+  });
+
+  it('loads external buffers through resolveResource', async () => {
+    const json = triangleDocument({ uri: 'data%20file.bin' });
+    const resolveResource = jest.fn(async () => triangleBuffer());
+
+    const { mesh } = await parseGltf(gltfFile(json), { resolveResource });
+    expect(resolveResource).toHaveBeenCalledWith('data file.bin');
+    expect(mesh).not.toBeNull();
+  });
+
+  it('still counts geometry whose buffers are missing', async () => {
+    const { stats, mesh } = await parseGltf(gltfFile(triangleDocument({ uri: 'missing.bin' })));
+
+    expect(stats.triangleCount).toBe(1);
+    expect(stats.extras.geometryComplete).toBe(false);
+    expect(mesh).toBeNull();
+  });
+
+  it('reports skins, animations and materials', async () => {
+    const json = triangleDocument({
+      uri: dataUri(triangleBuffer()),
+      skins: [{ joints: [0, 1] }],
+      animations: [{ channels: [], samplers: [] }],
+      materials: [{}, {}]
+    });
+    const { stats } = await parseGltf(gltfFile(json));
+
+    expect(stats.isRigged).toBe(true);
+    expect(stats.extras.jointCount).toBe(2);
+    expect(stats.isAnimated).toBe(true);
+    expect(stats.materialCount).toBe(2);
+  });
+
+  it('ignores node cycles rather than recursing forever', async () => {
+    const nodes = [{ mesh: 0, children: [1] }, { children: [0] }];
+    const json = triangleDocument({ uri: dataUri(triangleBuffer()), nodes, scenes: [{ nodes: [0] }] });
+    const { stats } = await parseGltf(gltfFile(json));
+
+    expect(stats.meshCount).toBe(1);
+  });
+
+  it('rejects invalid JSON and glTF 1.0 files', async () => {
+    await expect(parseGltf(Buffer.from('{ nope'))).rejects.toThrow(GltfError);
+    await expect(parseGltf(gltfFile({ asset: { version: '1.0' } }))).rejects.toThrow('Only glTF 2.0');
+  });
+});
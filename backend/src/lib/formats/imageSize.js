@@ -0,0 +1,73 @@
+// Read pixel dimensions from the header of a PNG, JPEG, WebP or GIF image
+// without decoding it. Returns null for anything unrecognised.
+
+const pngSize = (buffer) => {
+  // 8-byte signature, then the IHDR chunk: length, type, width, height
+  if (buffer.length < 24 || buffer.readUInt32BE(0) !== 0x89504e47) return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20), mimeType: 'image/png' };
+};
+
+const jpegSize = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC), carry the size
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+        mimeType: 'image/jpeg'
+      };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+const webpSize = (buffer) => {
+  if (buffer.length < 30 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+    return null;
+  }
+  const format = buffer.toString('ascii', 12, 16);
+  if (format === 'VP8 ') {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+      mimeType: 'image/webp'
+    };
+  }
+  if (format === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1,
+      mimeType: 'image/webp'
+    };
+  }
+  if (format === 'VP8X') {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+      mimeType: 'image/webp'
+    };
+  }
+  return null;
+};
+
+const gifSize = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'GIF') return null;
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8), mimeType: 'image/gif' };
+};
+
+const getImageSize = (buffer) => {
+  if (!buffer) return null;
+  return pngSize(buffer) || jpegSize(buffer) || webpSize(buffer) || gifSize(buffer);
+};
+
+module.exports = { getImageSize };
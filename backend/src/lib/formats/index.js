@@ -0,0 +1,73 @@
+const { parseGltf } = require('./gltf');
+const { parseObj } = require('./obj');
+const { parseStl } = require('./stl');
+const { parsePly } = require('./ply');
+const { analyzeTopology, computeBounds, guessUnits } = require('./mesh');
+const registry = require('./registry');
+
+// Parsers keyed by format id. Each returns `{ format, stats, mesh }`.
+const parsers = {
+  glb: parseGltf,
+  gltf: parseGltf,
+  obj: parseObj,
+  stl: parseStl,
+  ply: parsePly
+};
+
+// Work out a model's format from its stored MIME type, falling back to the
+// extension of the stored file
+const detectFormat = ({ fileType, fileUrl }) => {
+  const format = registry.formatForMimeType(fileType) || registry.formatForFileName(fileUrl);
+  return format ? format.id : null;
+};
+
+const canParse = (format) => Boolean(parsers[format]);
+
+// The registry's formats, flagged with whether the server can read them well
+// enough to extract statistics and render previews
+const describeFormats = () =>
+  registry.describeFormats().map(format => ({ ...format, previewable: canParse(format.id) }));
+
+/**
+ * Parse a model file. Resolves to null for formats without a parser
+ * (FBX, .blend and friends), and rejects if the file is malformed.
+ *
+ * Printability checks (watertightness, unit guess) run here on the parsed
+ * mesh so they are computed the same way for every format.
+ */
+const parseModelFile = async (buffer, format, options = {}) => {
+  const parser = parsers[format];
+  if (!parser) return null;
+
+  const result = await parser(buffer, options);
+  const { stats, mesh } = result;
+
+  if (mesh && mesh.indices.length > 0) {
+    const topology = analyzeTopology(mesh);
+    stats.isWatertight = topology.isWatertight;
+    stats.extras = {
+      ...stats.extras,
+      boundaryEdges: topology.boundaryEdges,
+      nonManifoldEdges: topology.nonManifoldEdges,
+      degenerateTriangles: topology.degenerateTriangles
+    };
+    // STL stores every triangle corner separately; the welded count is the
+    // number people expect to see
+    if (result.format === 'stl') {
+      stats.vertexCount = topology.weldedVertexCount;
+    }
+  } else {
+    stats.isWatertight = null;
+  }
+
+  stats.unitsGuess = guessUnits(mesh ? computeBounds(mesh.positions) : null, result.format);
+
+  return result;
+};
+
+module.exports = {
+  detectFormat,
+  canParse,
+  describeFormats,
+  parseModelFile
+};
@@ -0,0 +1,174 @@
+// Shared helpers for the format parsers. Every parser produces the same
+// shape: a `mesh` of world-space triangle soup (positions + indices) that the
+// renderer and converters can consume, and `stats` for the metadata record.
+
+// Accumulates positions and triangle indices from several primitives
+const createMeshBuilder = () => {
+  const positions = [];
+  const indices = [];
+
+  const addVertex = (x, y, z) => {
+    positions.push(x, y, z);
+    return positions.length / 3 - 1;
+  };
+
+  const addTriangle = (a, b, c) => {
+    indices.push(a, b, c);
+  };
+
+  const vertexCount = () => positions.length / 3;
+
+  const build = () => ({
+    positions: Float32Array.from(positions),
+    indices: Uint32Array.from(indices)
+  });
+
+  return { addVertex, addTriangle, vertexCount, build };
+};
+
+const computeBounds = (positions) => {
+  if (!positions || positions.length < 3) return null;
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let axis = 0; axis < 3; axis++) {
+      const value = positions[i + axis];
+      if (value < min[axis]) min[axis] = value;
+      if (value > max[axis]) max[axis] = value;
+    }
+  }
+
+  return { min, max };
+};
+
+/**
+ * Merge vertices that share a position. Triangle soups (STL) and meshes
+ * split along UV seams need this before their topology means anything.
+ * Returns `{ indices, vertexCount }` with indices into the welded set.
+ */
+const weldVertices = (mesh) => {
+  const { positions, indices } = mesh;
+  const bounds = computeBounds(positions);
+  if (!bounds) return { indices: new Uint32Array(0), vertexCount: 0 };
+
+  // Quantize relative to the model size so the tolerance scales with it
+  const extent = Math.max(...bounds.max.map((value, axis) => value - bounds.min[axis])) || 1;
+  const step = extent * 1e-6;
+  const remap = new Uint32Array(positions.length / 3);
+  const seen = new Map();
+
+  for (let i = 0; i < remap.length; i++) {
+    const key = `${Math.round(positions[i * 3] / step)},${Math.round(positions[i * 3 + 1] / step)},${Math.round(positions[i * 3 + 2] / step)}`;
+    let welded = seen.get(key);
+    if (welded === undefined) {
+      welded = seen.size;
+      seen.set(key, welded);
+    }
+    remap[i] = welded;
+  }
+
+  return {
+    indices: indices.map(index => remap[index]),
+    vertexCount: seen.size
+  };
+};
+
+/**
+ * Check whether a mesh is closed: after welding, every edge must be shared
+ * by exactly two triangles. Open edges mean holes; edges shared by more than
+ * two triangles are non-manifold. Both trip up slicers.
+ */
+const analyzeTopology = (mesh) => {
+  const { indices, vertexCount } = weldVertices(mesh);
+  const edges = new Map();
+  let degenerateTriangles = 0;
+
+  for (let i = 0; i + 2 < indices.length; i += 3) {
+    const a = indices[i];
+    const b = indices[i + 1];
+    const c = indices[i + 2];
+    if (a === b || b === c || a === c) {
+      degenerateTriangles++;
+      continue;
+    }
+    for (const [u, v] of [[a, b], [b, c], [c, a]]) {
+      const key = u < v ? u * vertexCount + v : v * vertexCount + u;
+      edges.set(key, (edges.get(key) || 0) + 1);
+    }
+  }
+
+  let boundaryEdges = 0;
+  let nonManifoldEdges = 0;
+  for (const count of edges.values()) {
+    if (count === 1) boundaryEdges++;
+    else if (count > 2) nonManifoldEdges++;
+  }
+
+  return {
+    weldedVertexCount: vertexCount,
+    isWatertight: edges.size > 0 && boundaryEdges === 0 && nonManifoldEdges === 0,
+    boundaryEdges,
+    nonManifoldEdges,
+    degenerateTriangles
+  };
+};
+
+/**
+ * Guess the unit a model was authored in from its largest dimension.
+ *
+ * glTF is defined in metres. The other formats are unitless; 3D-print files
+ * are overwhelmingly millimetres, and a largest dimension under ~5 units is
+ * far more likely to be metres (or inches) than a 5mm part.
+ */
+const guessUnits = (bounds, format) => {
+  if (format === 'glb' || format === 'gltf') {
+    return 'meters';
+  }
+  if (!bounds) return null;
+
+  const largest = Math.max(...bounds.max.map((value, axis) => value - bounds.min[axis]));
+  if (largest > 5) return 'millimeters';
+  return 'meters';
+};
+
+// STL (and so most 3D-print files) is conventionally Z-up; the other formats
+// are Y-up
+const upAxisFor = (format) => (format === 'stl' ? 'z' : 'y');
+
+// Rotate positions between Z-up and Y-up conventions. Returns the input
+// unchanged when the axes already match.
+const convertUpAxis = (positions, from, to) => {
+  if (from === to) return positions;
+  const out = new Float32Array(positions.length);
+  for (let i = 0; i < positions.length; i += 3) {
+    const x = positions[i];
+    const y = positions[i + 1];
+    const z = positions[i + 2];
+    out[i] = x;
+    if (from === 'z') {
+      out[i + 1] = z;
+      out[i + 2] = -y;
+    } else {
+      out[i + 1] = -z;
+      out[i + 2] = y;
+    }
+  }
+  return out;
+};
+
+// Round to a sensible precision for storage and display
+const roundVector = (vector, digits = 6) =>
+  vector.map(value => Number(value.toFixed(digits)));
+
+module.exports = {
+  createMeshBuilder,
+  computeBounds,
+  weldVertices,
+  analyzeTopology,
+  guessUnits,
+  upAxisFor,
+  convertUpAxis,
+  roundVector
+};
@@ -0,0 +1,204 @@
+const { computeBounds, roundVector } = require('./mesh');
+const { getImageSize } = require('./imageSize');
+
+// Wavefront OBJ reader, including the .mtl material libraries it references
+
+class ObjError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ObjError';
+  }
+}
+
+// Texture statements in .mtl files; the file name is the last token, after
+// any options such as "-bm 0.5" or "-s 1 1 1"
+const TEXTURE_STATEMENTS = new Set([
+  'map_ka', 'map_kd', 'map_ks', 'map_ke', 'map_ns', 'map_d', 'map_bump', 'bump',
+  'disp', 'decal', 'refl', 'norm', 'map_pr', 'map_pm', 'map_ps'
+]);
+
+/**
+ * Parse the text of an .mtl file into `{ materials, textures, maps }`: the
+ * material names it defines, the image paths it references and each
+ * `{ statement, path }` texture assignment.
+ */
+const parseMtl = (text) => {
+  const materials = [];
+  const textures = new Set();
+  const maps = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const [keyword, ...rest] = line.split(/\s+/);
+    const statement = keyword.toLowerCase();
+
+    if (statement === 'newmtl') {
+      materials.push(rest.join(' '));
+    } else if (TEXTURE_STATEMENTS.has(statement) && rest.length > 0) {
+      const texturePath = rest[rest.length - 1].replace(/\\/g, '/');
+      textures.add(texturePath);
+      maps.push({ statement, path: texturePath });
+    }
+  }
+
+  return { materials, textures: [...textures], maps };
+};
+
+// OBJ indices are 1-based, and negative values count back from the end
+const resolveIndex = (token, count) => {
+  const index = parseInt(token.split('/')[0]);
+  if (Number.isNaN(index) || index === 0) return null;
+  return index > 0 ? index - 1 : count + index;
+};
+
+/**
+ * Parse an OBJ file. `resolveResource(path)` is used to load the .mtl
+ * libraries and, through them, the texture images; anything it can't find
+ * is reported in `extras.missingResources` rather than failing the parse.
+ */
+const parseObj = async (buffer, { resolveResource } = {}) => {
+  const text = buffer.toString('utf8');
+  const positions = [];
+  const indices = [];
+  const materialLibraries = [];
+  const usedMaterials = new Set();
+  let objectCount = 0;
+  let groupCount = 0;
+  let faceCount = 0;
+  let hasTexcoords = false;
+  let hasNormals = false;
+
+  const lines = text.split(/\r?\n/);
+  for (let lineNumber = 0; lineNumber < lines.length; lineNumber++) {
+    let line = lines[lineNumber];
+    // Backslash continues a statement onto the next line
+    while (line.endsWith('\\') && lineNumber + 1 < lines.length) {
+      line = line.slice(0, -1) + ' ' + lines[++lineNumber];
+    }
+    line = line.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const parts = line.split(/\s+/);
+    const keyword = parts[0];
+
+    switch (keyword) {
+      case 'v': {
+        const coords = [Number(parts[1]), Number(parts[2]), Number(parts[3])];
+        if (coords.some(Number.isNaN)) {
+          throw new ObjError(`Invalid vertex on line ${lineNumber + 1}`);
+        }
+        positions.push(...coords);
+        break;
+      }
+      case 'vt':
+        hasTexcoords = true;
+        break;
+      case 'vn':
+        hasNormals = true;
+        break;
+      case 'f': {
+        const vertexTotal = positions.length / 3;
+        const corners = parts.slice(1).map(token => resolveIndex(token, vertexTotal));
+        if (corners.length < 3 || corners.some(index => index === null || index < 0 || index >= vertexTotal)) {
+          throw new ObjError(`Invalid face on line ${lineNumber + 1}`);
+        }
+        // Triangulate polygons as a fan, which is right for the convex
+        // faces exporters produce
+        for (let i = 1; i + 1 < corners.length; i++) {
+          indices.push(corners[0], corners[i], corners[i + 1]);
+        }
+        faceCount++;
+        break;
+      }
+      case 'o':
+        objectCount++;
+        break;
+      case 'g':
+        groupCount++;
+        break;
+      case 'usemtl':
+        if (parts[1]) usedMaterials.add(parts.slice(1).join(' '));
+        break;
+      case 'mtllib':
+        materialLibraries.push(...parts.slice(1).map(name => name.replace(/\\/g, '/')));
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (positions.length === 0) {
+    throw new ObjError('OBJ file contains no vertices');
+  }
+
+  const missingResources = [];
+  const definedMaterials = new Set();
+  const texturePaths = new Set();
+
+  for (const library of materialLibraries) {
+    const data = resolveResource ? await resolveResource(library) : null;
+    if (!data) {
+      missingResources.push(library);
+      continue;
+    }
+    const mtl = parseMtl(data.toString('utf8'));
+    mtl.materials.forEach(name => definedMaterials.add(name));
+    mtl.textures.forEach(texture => texturePaths.add(texture));
+  }
+
+  let maxTextureWidth = null;
+  let maxTextureHeight = null;
+  for (const texture of texturePaths) {
+    const data = resolveResource ? await resolveResource(texture) : null;
+    if (!data) {
+      missingResources.push(texture);
+      continue;
+    }
+    const size = getImageSize(data);
+    if (size && size.width * size.height > (maxTextureWidth || 0) * (maxTextureHeight || 0)) {
+      maxTextureWidth = size.width;
+      maxTextureHeight = size.height;
+    }
+  }
+
+  const mesh = {
+    positions: Float32Array.from(positions),
+    indices: Uint32Array.from(indices)
+  };
+  const bounds = computeBounds(mesh.positions);
+
+  return {
+    format: 'obj',
+    stats: {
+      triangleCount: indices.length / 3,
+      vertexCount: positions.length / 3,
+      meshCount: Math.max(objectCount || groupCount, 1),
+      materialCount: definedMaterials.size || usedMaterials.size,
+      textureCount: texturePaths.size,
+      maxTextureWidth,
+      maxTextureHeight,
+      animationCount: 0,
+      isAnimated: false,
+      isRigged: false,
+      boundsMin: bounds ? roundVector(bounds.min) : null,
+      boundsMax: bounds ? roundVector(bounds.max) : null,
+      extras: {
+        faceCount,
+        hasTexcoords,
+        hasNormals,
+        materialLibraries,
+        textures: [...texturePaths],
+        missingResources
+      }
+    },
+    mesh
+  };
+};
+
+module.exports = {
+  ObjError,
+  parseMtl,
+  parseObj
+};
@@ -0,0 +1,80 @@
+const { ObjError, parseMtl, parseObj } = require('./obj');
+
+// The first 24 bytes of a PNG: enough for its size to be read
+const pngHeader = (width, height) => {
+  const buffer = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+};
+
+const CUBE_FACE = [
+  'mtllib parts\\crate.mtl',
+  'o crate',
+  'v 0 0 0',
+  'v 2 0 0',
+  'v 2 1 0',
+  'v 0 1 \\',
+  '  0.5',
+  'vt 0 0',
+  'usemtl wood',
+  'f 1/1 2/1 3/1 -1/1'
+].join('\n');
+
+describe('parseMtl', () => {
+  it('lists materials and the texture paths after any options', () => {
+    expect(parseMtl('newmtl wood\nmap_Kd -s 1 1 1 tex\\wood.png\nbump -bm 0.5 bump.png\n# map_Ks no.png')).toEqual({
+      materials: ['wood'],
+      textures: ['tex/wood.png', 'bump.png'],
+      maps: [
+        { statement: 'map_kd', path: 'tex/wood.png' },
+        { statement: 'bump', path: 'bump.png' }
+      ]
+    });
+  });
+});
+
+describe('parseObj', () => {
+  it('triangulates polygons and resolves negative indices', async () => {
+    const { stats, mesh } = await parseObj(Buffer.from(CUBE_FACE));
+
+    expect(Array.from(mesh.indices)).toEqual([0, 1, 2, 0, 2, 3]);
+    expect(stats.triangleCount).toBe(2);
+    expect(stats.vertexCount).toBe(4);
+    expect(stats.meshCount).toBe(1);
+    expect(stats.boundsMax).toEqual([2, 1, 0.5]);
+    expect(stats.extras.faceCount).toBe(1);
+    expect(stats.extras.hasTexcoords).toBe(true);
+  });
+
+  it('reads materials and texture sizes through resolveResource', async () => {
+    const files = {
+      'parts/crate.mtl': Buffer.from('newmtl wood\nmap_Kd wood.png\nmap_Bump bump.png'),
+      'wood.png': pngHeader(1024, 512)
+    };
+    const { stats } = await parseObj(Buffer.from(CUBE_FACE), { resolveResource: async path => files[path] || null });
+
+    expect(stats.materialCount).toBe(1);
+    expect(stats.textureCount).toBe(2);
+    expect(stats.maxTextureWidth).toBe(1024);
+    expect(stats.maxTextureHeight).toBe(512);
+    expect(stats.extras.missingResources).toEqual(['bump.png']);
+  });
+
+  it('reports a missing material library instead of failing', async () => {
+    const { stats } = await parseObj(Buffer.from(CUBE_FACE));
+
+    expect(stats.materialCount).toBe(1);
+    expect(stats.extras.missingResources).toEqual(['parts/crate.mtl']);
+  });
+
+  it('rejects faces that point past the vertices', async () => {
+    await expect(parseObj(Buffer.from('v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 4'))).rejects.toThrow('Invalid face on line 4');
+  });
+
+  it('rejects files without vertices', async () => {
+    await expect(parseObj(Buffer.from('# nothing here'))).rejects.toThrow(ObjError);
+  });
+});
@@ -0,0 +1,205 @@
+const { computeBounds, roundVector } = require('./mesh');
+
+// Stanford PLY reader for the ascii, binary_little_endian and
+// binary_big_endian encodings
+
+class PlyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PlyError';
+  }
+}
+
+const TYPE_INFO = {
+  char: { size: 1, little: 'readInt8', big: 'readInt8' },
+  int8: { size: 1, little: 'readInt8', big: 'readInt8' },
+  uchar: { size: 1, little: 'readUInt8', big: 'readUInt8' },
+  uint8: { size: 1, little: 'readUInt8', big: 'readUInt8' },
+  short: { size: 2, little: 'readInt16LE', big: 'readInt16BE' },
+  int16: { size: 2, little: 'readInt16LE', big: 'readInt16BE' },
+  ushort: { size: 2, little: 'readUInt16LE', big: 'readUInt16BE' },
+  uint16: { size: 2, little: 'readUInt16LE', big: 'readUInt16BE' },
+  int: { size: 4, little: 'readInt32LE', big: 'readInt32BE' },
+  int32: { size: 4, little: 'readInt32LE', big: 'readInt32BE' },
+  uint: { size: 4, little: 'readUInt32LE', big: 'readUInt32BE' },
+  uint32: { size: 4, little: 'readUInt32LE', big: 'readUInt32BE' },
+  float: { size: 4, little: 'readFloatLE', big: 'readFloatBE' },
+  float32: { size: 4, little: 'readFloatLE', big: 'readFloatBE' },
+  double: { size: 8, little: 'readDoubleLE', big: 'readDoubleBE' },
+  float64: { size: 8, little: 'readDoubleLE', big: 'readDoubleBE' }
+};
+
+const parseHeader = (buffer) => {
+  const end = buffer.indexOf('end_header');
+  if (buffer.toString('ascii', 0, 3) !== 'ply' || end === -1) {
+    throw new PlyError('Missing PLY header');
+  }
+
+  // The body starts after the newline that ends "end_header"
+  let bodyOffset = end + 'end_header'.length;
+  if (buffer[bodyOffset] === 0x0d) bodyOffset++;
+  if (buffer[bodyOffset] === 0x0a) bodyOffset++;
+
+  const header = { format: null, elements: [], comments: [], bodyOffset };
+  let current = null;
+
+  for (const rawLine of buffer.toString('ascii', 0, end).split(/\r?\n/)) {
+    const parts = rawLine.trim().split(/\s+/);
+    switch (parts[0]) {
+      case 'format':
+        header.format = parts[1];
+        break;
+      case 'comment':
+        header.comments.push(parts.slice(1).join(' '));
+        break;
+      case 'element':
+        current = { name: parts[1], count: parseInt(parts[2]), properties: [] };
+        header.elements.push(current);
+        break;
+      case 'property':
+        if (!current) throw new PlyError('Property declared before any element');
+        if (parts[1] === 'list') {
+          current.properties.push({ name: parts[4], list: true, countType: parts[2], type: parts[3] });
+        } else {
+          current.properties.push({ name: parts[2], list: false, type: parts[1] });
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(header.format)) {
+    throw new PlyError(`Unsupported PLY format "${header.format}"`);
+  }
+
+  for (const element of header.elements) {
+    for (const property of element.properties) {
+      if (!TYPE_INFO[property.type] || (property.list && !TYPE_INFO[property.countType])) {
+        throw new PlyError(`Unsupported PLY property type in element "${element.name}"`);
+      }
+    }
+  }
+
+  return header;
+};
+
+// Returns a function that yields successive numbers from the body
+const createAsciiReader = (buffer, offset) => {
+  const tokens = buffer.toString('ascii', offset).split(/\s+/).filter(Boolean);
+  let position = 0;
+  return () => {
+    if (position >= tokens.length) throw new PlyError('Unexpected end of PLY data');
+    return Number(tokens[position++]);
+  };
+};
+
+const createBinaryReader = (buffer, offset, endianness) => {
+  let position = offset;
+  return (type) => {
+    const info = TYPE_INFO[type];
+    if (position + info.size > buffer.length) throw new PlyError('Unexpected end of PLY data');
+    const value = buffer[info[endianness]](position);
+    position += info.size;
+    return value;
+  };
+};
+
+/**
+ * Parse a PLY file. Only the vertex positions and face lists are kept;
+ * other properties (colours, normals) and other elements are skipped.
+ */
+const parsePly = async (buffer) => {
+  const header = parseHeader(buffer);
+  const read = header.format === 'ascii'
+    ? createAsciiReader(buffer, header.bodyOffset)
+    : createBinaryReader(buffer, header.bodyOffset, header.format === 'binary_little_endian' ? 'little' : 'big');
+
+  let positions = null;
+  const indices = [];
+  let faceCount = 0;
+  const vertexProperties = [];
+
+  for (const element of header.elements) {
+    const isVertex = element.name === 'vertex';
+    const isFace = element.name === 'face';
+    const axisIndex = isVertex
+      ? ['x', 'y', 'z'].map(axis => element.properties.findIndex(p => p.name === axis))
+      : null;
+
+    if (isVertex) {
+      if (axisIndex.includes(-1)) throw new PlyError('PLY vertices are missing x, y or z');
+      positions = new Float32Array(element.count * 3);
+      vertexProperties.push(...element.properties.map(p => p.name));
+    }
+
+    for (let item = 0; item < element.count; item++) {
+      const values = [];
+      for (const property of element.properties) {
+        if (property.list) {
+          const length = read(property.countType);
+          const list = [];
+          for (let i = 0; i < length; i++) list.push(read(property.type));
+          values.push(list);
+        } else {
+          values.push(read(property.type));
+        }
+      }
+
+      if (isVertex) {
+        positions[item * 3] = values[axisIndex[0]];
+        positions[item * 3 + 1] = values[axisIndex[1]];
+        positions[item * 3 + 2] = values[axisIndex[2]];
+      } else if (isFace) {
+        const list = values.find(Array.isArray) || [];
+        for (let i = 1; i + 1 < list.length; i++) {
+          indices.push(list[0], list[i], list[i + 1]);
+        }
+        faceCount++;
+      }
+    }
+  }
+
+  if (!positions || positions.length === 0) {
+    throw new PlyError('PLY file contains no vertices');
+  }
+
+  const vertexCount = positions.length / 3;
+  if (indices.some(index => index < 0 || index >= vertexCount)) {
+    throw new PlyError('PLY face references a missing vertex');
+  }
+
+  const mesh = { positions, indices: Uint32Array.from(indices) };
+  const bounds = computeBounds(positions);
+
+  return {
+    format: 'ply',
+    stats: {
+      triangleCount: indices.length / 3,
+      vertexCount,
+      meshCount: 1,
+      materialCount: 0,
+      textureCount: 0,
+      maxTextureWidth: null,
+      maxTextureHeight: null,
+      animationCount: 0,
+      isAnimated: false,
+      isRigged: false,
+      boundsMin: bounds ? roundVector(bounds.min) : null,
+      boundsMax: bounds ? roundVector(bounds.max) : null,
+      extras: {
+        encoding: header.format,
+        faceCount,
+        vertexProperties,
+        comments: header.comments
+      }
+    },
+    // Point clouds have no faces and so nothing to render or analyse
+    mesh: indices.length > 0 ? mesh : null
+  };
+};
+
+module.exports = {
+  PlyError,
+  parsePly
+};
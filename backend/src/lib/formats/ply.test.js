@@ -0,0 +1,75 @@
+const { PlyError, parsePly } = require('./ply');
+
+const HEADER = (format, { vertices = 3, faces = 1 } = {}) => [
+  'ply',
+  `format ${format} 1.0`,
+  'comment made by hand',
+  `element vertex ${vertices}`,
+  'property float x',
+  'property float y',
+  'property float z',
+  `element face ${faces}`,
+  'property list uchar int vertex_indices',
+  'end_header',
+  ''
+].join('\n');
+
+// A unit square as one quad
+const SQUARE = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]];
+
+const binaryPly = (littleEndian) => {
+  const body = Buffer.alloc(SQUARE.length * 12 + 1 + 16);
+  let offset = 0;
+  for (const vertex of SQUARE) {
+    for (const value of vertex) {
+      offset = littleEndian ? body.writeFloatLE(value, offset) : body.writeFloatBE(value, offset);
+    }
+  }
+  offset = body.writeUInt8(4, offset);
+  for (const index of [0, 1, 2, 3]) {
+    offset = littleEndian ? body.writeInt32LE(index, offset) : body.writeInt32BE(index, offset);
+  }
+  const format = littleEndian ? 'binary_little_endian' : 'binary_big_endian';
+  return Buffer.concat([Buffer.from(HEADER(format, { vertices: 4 })), body]);
+};
+
+describe('parsePly', () => {
+  it('reads ASCII files', async () => {
+    const { stats, mesh } = await parsePly(Buffer.from(`${HEADER('ascii')}0 0 0\n1 0 0\n0 1 0\n3 0 1 2\n`));
+
+    expect(Array.from(mesh.indices)).toEqual([0, 1, 2]);
+    expect(stats.triangleCount).toBe(1);
+    expect(stats.extras).toEqual({
+      encoding: 'ascii',
+      faceCount: 1,
+      vertexProperties: ['x', 'y', 'z'],
+      comments: ['made by hand']
+    });
+  });
+
+  it('reads both binary byte orders and triangulates quads', async () => {
+    for (const littleEndian of [true, false]) {
+      const { stats, mesh } = await parsePly(binaryPly(littleEndian));
+
+      expect(Array.from(mesh.indices)).toEqual([0, 1, 2, 0, 2, 3]);
+      expect(stats.boundsMax).toEqual([1, 1, 0]);
+    }
+  });
+
+  it('treats files without faces as point clouds', async () => {
+    const { stats, mesh } = await parsePly(Buffer.from(`${HEADER('ascii', { faces: 0 })}0 0 0\n1 0 0\n0 1 0\n`));
+
+    expect(stats.vertexCount).toBe(3);
+    expect(mesh).toBeNull();
+  });
+
+  it('rejects faces that point past the vertices', async () => {
+    await expect(parsePly(Buffer.from(`${HEADER('ascii')}0 0 0\n1 0 0\n0 1 0\n3 0 1 7\n`)))
+      .rejects.toThrow('missing vertex');
+  });
+
+  it('rejects truncated and headerless files', async () => {
+    await expect(parsePly(binaryPly(true).subarray(0, -4))).rejects.toThrow('Unexpected end of PLY data');
+    await expect(parsePly(Buffer.from('0 0 0\n'))).rejects.toThrow(PlyError);
+  });
+});
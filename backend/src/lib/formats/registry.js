@@ -0,0 +1,188 @@
+const path = require('path');
+const zlib = require('zlib');
+
+// The one list of model formats the platform accepts. Upload validation,
+// format detection and the frontend file picker (via GET /api/formats) all
+// read from here, so adding a format is a single entry.
+//
+// Each sniffer gets the first SNIFF_BYTES of the file plus its total size and
+// checks the magic bytes or structure, so the browser-supplied MIME type never
+// decides anything.
+
+const SNIFF_BYTES = 64 * 1024;
+
+class FileValidationError extends Error {
+  constructor(message) {
+    super(message);
+    // Reuse the error handler's 400 response for validation failures
+    this.name = 'ValidationError';
+  }
+}
+
+const startsWith = (head, signature, offset = 0) =>
+  head.length >= offset + signature.length &&
+  head.toString('latin1', offset, offset + signature.length) === signature;
+
+// Text formats must not contain NUL bytes, which binary files almost always do
+const isText = (head) => !head.includes(0);
+
+const textHead = (head) => head.toString('utf8').replace(/^\uFEFF/, '');
+
+const sniffGlb = (head, size) =>
+  startsWith(head, 'glTF') &&
+  head.length >= 12 &&
+  head.readUInt32LE(4) === 2 &&
+  head.readUInt32LE(8) === size;
+
+// The top-level glTF keys; a JSON object opening with none of these in the
+// sniffed window is some other JSON document
+const GLTF_KEYS = /"(asset|scenes?|nodes|meshes|accessors|bufferViews|buffers|materials|extensionsUsed)"\s*:/;
+
+const sniffGltf = (head) => {
+  if (!isText(head)) return false;
+  const text = textHead(head).trimStart();
+  return text.startsWith('{') && GLTF_KEYS.test(text);
+};
+
+const sniffFbx = (head) => {
+  if (startsWith(head, 'Kaydara FBX Binary  \0')) return true;
+  if (!isText(head)) return false;
+  const text = textHead(head);
+  return /^\s*; FBX \d/.test(text) || text.includes('FBXHeaderExtension:');
+};
+
+const STL_HEADER_SIZE = 80;
+const STL_TRIANGLE_SIZE = 50;
+
+const sniffStl = (head, size) => {
+  if (head.length >= STL_HEADER_SIZE + 4) {
+    const triangles = head.readUInt32LE(STL_HEADER_SIZE);
+    if (triangles > 0 && size === STL_HEADER_SIZE + 4 + triangles * STL_TRIANGLE_SIZE) {
+      return true;
+    }
+  }
+  if (!isText(head)) return false;
+  const text = textHead(head);
+  return /^\s*solid\b/.test(text) && /\bfacet\s+normal\b/.test(text);
+};
+
+const OBJ_STATEMENTS = new Set([
+  'v', 'vt', 'vn', 'vp', 'f', 'l', 'p', 'o', 'g', 's', 'mg', 'usemtl', 'mtllib',
+  'cstype', 'deg', 'bmat', 'step', 'curv', 'curv2', 'surf', 'parm', 'trim',
+  'hole', 'scrv', 'sp', 'end', 'con', 'lod', 'shadow_obj', 'trace_obj',
+  'usemap', 'maplib', 'bevel', 'c_interp', 'd_interp', 'ctech', 'stech'
+]);
+
+// OBJ has no signature, so every statement in the sniffed window has to be a
+// known one and at least one vertex must appear
+const sniffObj = (head, size) => {
+  if (!isText(head)) return false;
+  const lines = textHead(head).split(/\r?\n/);
+  // The window can cut the last line in half
+  if (size > head.length) lines.pop();
+
+  let sawVertex = false;
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    const keyword = line.split(/\s+/)[0];
+    if (!OBJ_STATEMENTS.has(keyword)) return false;
+    if (keyword === 'v') sawVertex = true;
+  }
+  return sawVertex;
+};
+
+const sniffPly = (head) => /^ply\r?\n(comment[^\n]*\n)*format (ascii|binary_little_endian|binary_big_endian) /.test(head.toString('latin1', 0, 1024));
+
+const sniffDae = (head) => isText(head) && /<COLLADA[\s>]/.test(textHead(head));
+
+// 3DS files are a single MAIN3DS chunk (0x4D4D) whose length is the file size
+const sniff3ds = (head, size) =>
+  head.length >= 6 && head.readUInt16LE(0) === 0x4d4d && head.readUInt32LE(2) === size;
+
+// Blender can save compressed files: gzip before 3.0, zstd from 3.0. Gzip is
+// cheap to peek into; zstd is only checked by its frame magic.
+const sniffBlend = (head) => {
+  if (startsWith(head, 'BLENDER')) return true;
+  if (head[0] === 0x1f && head[1] === 0x8b) {
+    try {
+      const inflated = zlib.gunzipSync(head, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      return startsWith(inflated, 'BLENDER');
+    } catch (error) {
+      return false;
+    }
+  }
+  return head.length >= 4 && head.readUInt32LE(0) === 0xfd2fb528;
+};
+
+// 3ds Max scenes are OLE compound documents
+const sniffMax = (head) => startsWith(head, '\xD0\xCF\x11\xE0\xA1\xB1\x1A\xE1');
+
+const sniffMayaAscii = (head) => isText(head) && /^\s*\/\/Maya ASCII/.test(textHead(head));
+
+// Maya binary is IFF: a FOR4 or FOR8 group of type "Maya"
+const sniffMayaBinary = (head) =>
+  (startsWith(head, 'FOR4') && startsWith(head, 'Maya', 8)) ||
+  (startsWith(head, 'FOR8') && startsWith(head, 'Maya', 16));
+
+const FORMATS = [
+  { id: 'glb', name: 'glTF Binary', extensions: ['glb'], mimeType: 'model/gltf-binary', sniff: sniffGlb },
+  { id: 'gltf', name: 'glTF', extensions: ['gltf'], mimeType: 'model/gltf+json', sniff: sniffGltf },
+  { id: 'fbx', name: 'FBX', extensions: ['fbx'], mimeType: 'model/fbx', sniff: sniffFbx },
+  { id: 'obj', name: 'Wavefront OBJ', extensions: ['obj'], mimeType: 'model/obj', sniff: sniffObj },
+  { id: 'stl', name: 'STL', extensions: ['stl'], mimeType: 'model/stl', sniff: sniffStl },
+  { id: 'ply', name: 'Stanford PLY', extensions: ['ply'], mimeType: 'model/ply', sniff: sniffPly },
+  { id: 'dae', name: 'COLLADA', extensions: ['dae'], mimeType: 'model/dae', sniff: sniffDae },
+  { id: '3ds', name: '3D Studio', extensions: ['3ds'], mimeType: 'model/3ds', sniff: sniff3ds },
+  { id: 'blend', name: 'Blender', extensions: ['blend'], mimeType: 'model/blend', sniff: sniffBlend },
+  { id: 'max', name: '3ds Max', extensions: ['max'], mimeType: 'model/max', sniff: sniffMax },
+  { id: 'ma', name: 'Maya ASCII', extensions: ['ma'], mimeType: 'model/ma', sniff: sniffMayaAscii },
+  { id: 'mb', name: 'Maya Binary', extensions: ['mb'], mimeType: 'model/mb', sniff: sniffMayaBinary }
+];
+
+const getFormat = (id) => FORMATS.find(format => format.id === id) || null;
+
+const formatForFileName = (fileName) => {
+  const extension = path.extname(fileName || '').slice(1).toLowerCase();
+  return FORMATS.find(format => format.extensions.includes(extension)) || null;
+};
+
+const formatForMimeType = (mimeType) =>
+  FORMATS.find(format => format.mimeType === mimeType) || null;
+
+// Serializable form for the frontend
+const describeFormats = () =>
+  FORMATS.map(({ id, name, extensions, mimeType }) => ({ id, name, extensions, mimeType }));
+
+/**
+ * Check a model file's name and leading bytes. Returns the matching format
+ * entry, or throws a FileValidationError saying what is wrong with the file.
+ */
+const validateModelFile = ({ fileName, head, size }) => {
+  const format = formatForFileName(fileName);
+  if (!format) {
+    const allowed = FORMATS.flatMap(entry => entry.extensions).join(', ');
+    throw new FileValidationError(`Unsupported file type. Allowed: ${allowed}`);
+  }
+
+  const window = head.length > SNIFF_BYTES ? head.subarray(0, SNIFF_BYTES) : head;
+  if (!format.sniff(window, size)) {
+    const actual = FORMATS.find(entry => entry !== format && entry.sniff(window, size));
+    throw new FileValidationError(actual
+      ? `File content is ${actual.name}, not ${format.name}. Rename it to .${actual.extensions[0]}`
+      : `File content is not a valid ${format.name} file`);
+  }
+
+  return format;
+};
+
+module.exports = {
+  SNIFF_BYTES,
+  FORMATS,
+  FileValidationError,
+  getFormat,
+  formatForFileName,
+  formatForMimeType,
+  describeFormats,
+  validateModelFile
+};
@@ -0,0 +1,121 @@
+const { createMeshBuilder, computeBounds, roundVector } = require('./mesh');
+
+// STL reader for both the binary and ASCII variants
+
+const HEADER_SIZE = 80;
+const TRIANGLE_SIZE = 50; // normal (12) + 3 vertices (36) + attribute (2)
+
+class StlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StlError';
+  }
+}
+
+// ASCII files start with "solid", but so do plenty of binary headers, so the
+// size check is what really decides it
+const isBinaryStl = (buffer) => {
+  if (buffer.length < HEADER_SIZE + 4) return false;
+  const triangles = buffer.readUInt32LE(HEADER_SIZE);
+  if (buffer.length === HEADER_SIZE + 4 + triangles * TRIANGLE_SIZE) return true;
+
+  const start = buffer.toString('ascii', 0, Math.min(buffer.length, 512)).trimStart();
+  return !(start.startsWith('solid') && /facet|endsolid/.test(start));
+};
+
+const readBinary = (buffer, builder) => {
+  const triangles = buffer.readUInt32LE(HEADER_SIZE);
+  const available = Math.floor((buffer.length - HEADER_SIZE - 4) / TRIANGLE_SIZE);
+  if (triangles > available) {
+    throw new StlError(`Binary STL declares ${triangles} triangles but only contains ${available}`);
+  }
+
+  let offset = HEADER_SIZE + 4;
+  for (let t = 0; t < triangles; t++) {
+    const corners = [];
+    for (let v = 0; v < 3; v++) {
+      const base = offset + 12 + v * 12;
+      corners.push(builder.addVertex(
+        buffer.readFloatLE(base),
+        buffer.readFloatLE(base + 4),
+        buffer.readFloatLE(base + 8)
+      ));
+    }
+    builder.addTriangle(corners[0], corners[1], corners[2]);
+    offset += TRIANGLE_SIZE;
+  }
+
+  return {
+    solidName: buffer.toString('ascii', 0, HEADER_SIZE).replace(/\0.*$/s, '').trim() || null,
+    triangles
+  };
+};
+
+const readAscii = (buffer, builder) => {
+  const text = buffer.toString('utf8');
+  const solidMatch = /^\s*solid[ \t]*([^\r\n]*)/.exec(text);
+  const vertexPattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  let corners = [];
+  let triangles = 0;
+  let match;
+
+  while ((match = vertexPattern.exec(text)) !== null) {
+    const coords = [Number(match[1]), Number(match[2]), Number(match[3])];
+    if (coords.some(Number.isNaN)) {
+      throw new StlError('Invalid vertex in ASCII STL');
+    }
+    corners.push(builder.addVertex(...coords));
+    if (corners.length === 3) {
+      builder.addTriangle(corners[0], corners[1], corners[2]);
+      corners = [];
+      triangles++;
+    }
+  }
+
+  if (triangles === 0) {
+    throw new StlError('ASCII STL contains no facets');
+  }
+
+  return { solidName: solidMatch ? solidMatch[1].trim() || null : null, triangles };
+};
+
+/**
+ * Parse an STL file. STL has no materials, textures or animation, so those
+ * statistics are always zero; the vertex count is filled in after welding.
+ */
+const parseStl = async (buffer) => {
+  const builder = createMeshBuilder();
+  const binary = isBinaryStl(buffer);
+  const { solidName, triangles } = binary ? readBinary(buffer, builder) : readAscii(buffer, builder);
+  const mesh = builder.build();
+  const bounds = computeBounds(mesh.positions);
+
+  return {
+    format: 'stl',
+    stats: {
+      triangleCount: triangles,
+      vertexCount: mesh.positions.length / 3,
+      meshCount: 1,
+      materialCount: 0,
+      textureCount: 0,
+      maxTextureWidth: null,
+      maxTextureHeight: null,
+      animationCount: 0,
+      isAnimated: false,
+      isRigged: false,
+      boundsMin: bounds ? roundVector(bounds.min) : null,
+      boundsMax: bounds ? roundVector(bounds.max) : null,
+      extras: {
+        encoding: binary ? 'binary' : 'ascii',
+        solidName
+      }
+    },
+    mesh
+  };
+};
+
+module.exports = {
+  StlError,
+  isBinaryStl,
+  parseStl
+};
@@ -0,0 +1,82 @@
+const { StlError, isBinaryStl, parseStl } = require('./stl');
+const { parseModelFile } = require('./index');
+
+// A closed tetrahedron, as the triangles an STL lists
+const TETRAHEDRON = [
+  [[0, 0, 0], [0, 1, 0], [1, 0, 0]],
+  [[0, 0, 0], [1, 0, 0], [0, 0, 1]],
+  [[0, 0, 0], [0, 0, 1], [0, 1, 0]],
+  [[1, 0, 0], [0, 1, 0], [0, 0, 1]]
+];
+
+const asciiStl = (triangles, name = 'tetra') => Buffer.from([
+  `solid ${name}`,
+  ...triangles.flatMap(corners => [
+    'facet normal 0 0 0',
+    'outer loop',
+    ...corners.map(corner => `vertex ${corner.join(' ')}`),
+    'endloop',
+    'endfacet'
+  ]),
+  `endsolid ${name}`
+].join('\n'));
+
+const binaryStl = (triangles, header = 'binary tetra') => {
+  const buffer = Buffer.alloc(84 + triangles.length * 50);
+  buffer.write(header, 0, 'ascii');
+  buffer.writeUInt32LE(triangles.length, 80);
+  triangles.forEach((corners, t) => {
+    corners.forEach((corner, v) => {
+      corner.forEach((value, axis) => buffer.writeFloatLE(value, 84 + t * 50 + 12 + v * 12 + axis * 4));
+    });
+  });
+  return buffer;
+};
+
+describe('parseStl', () => {
+  it('reads ASCII files', async () => {
+    const { stats, mesh } = await parseStl(asciiStl(TETRAHEDRON));
+
+    expect(stats.triangleCount).toBe(4);
+    expect(stats.extras).toEqual({ encoding: 'ascii', solidName: 'tetra' });
+    expect(stats.boundsMin).toEqual([0, 0, 0]);
+    expect(stats.boundsMax).toEqual([1, 1, 1]);
+    expect(mesh.indices).toHaveLength(12);
+  });
+
+  it('reads binary files, even when the header starts with "solid"', async () => {
+    const buffer = binaryStl(TETRAHEDRON, 'solid but binary');
+    expect(isBinaryStl(buffer)).toBe(true);
+
+    const { stats } = await parseStl(buffer);
+    expect(stats.triangleCount).toBe(4);
+    expect(stats.extras).toEqual({ encoding: 'binary', solidName: 'solid but binary' });
+  });
+
+  it('rejects binary files shorter than their triangle count', async () => {
+    const buffer = binaryStl(TETRAHEDRON);
+    buffer.writeUInt32LE(5, 80);
+    await expect(parseStl(buffer)).rejects.toThrow(StlError);
+  });
+
+  it('rejects ASCII files without facets', async () => {
+    await expect(parseStl(Buffer.from('solid empty\nendsolid empty\n'))).rejects.toThrow('no facets');
+  });
+});
+
+describe('parseModelFile with STL', () => {
+  it('counts welded vertices and finds a closed mesh watertight', async () => {
+    const { stats } = await parseModelFile(binaryStl(TETRAHEDRON), 'stl');
+
+    expect(stats.vertexCount).toBe(4);
+    expect(stats.isWatertight).toBe(true);
+    expect(stats.extras.boundaryEdges).toBe(0);
+  });
+
+  it('finds an open mesh not watertight', async () => {
+    const { stats } = await parseModelFile(asciiStl(TETRAHEDRON.slice(0, 3)), 'stl');
+
+    expect(stats.isWatertight).toBe(false);
+    expect(stats.extras.boundaryEdges).toBe(3);
+  });
+});
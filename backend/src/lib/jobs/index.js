@@ -0,0 +1,157 @@
+const os = require('os');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// A job queue kept in the main database so queued work survives restarts
+// without another service to run. Workers claim jobs with a conditional
+// update, which is safe with any number of worker processes.
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+// Retry delays double from BACKOFF_BASE up to BACKOFF_MAX
+const BACKOFF_BASE = 30 * 1000;
+const BACKOFF_MAX = 60 * 60 * 1000;
+// A RUNNING job whose lock hasn't been renewed for this long belongs to a
+// worker that died
+const JOB_TIMEOUT = parseInt(process.env.JOB_TIMEOUT) || 30 * 60 * 1000;
+// How often workers renew the locks of the jobs they are running
+const HEARTBEAT_INTERVAL = Math.ceil(JOB_TIMEOUT / 4);
+// Stored errors are trimmed to this many characters
+const MAX_ERROR_LENGTH = 2000;
+
+const workerId = () => `${os.hostname()}:${process.pid}`;
+
+const parseJob = (job) => job && { ...job, payload: JSON.parse(job.payload) };
+
+/**
+ * Add a job to the queue. `runAt` delays it; `maxAttempts` is how many
+ * times it is tried before being dead-lettered.
+ */
+const enqueueJob = async (type, payload = {}, { runAt = new Date(), maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) =>
+  parseJob(await prisma.job.create({
+    data: { type, payload: JSON.stringify(payload), runAt, maxAttempts }
+  }));
+
+/**
+ * The most recent job of `type` queued with exactly `payload`, whatever its
+ * status. Payloads are compared as stored, so build them with their keys in
+ * the same order each time. Resolves to null when there is none.
+ */
+const findLatestJob = async (type, payload = {}) =>
+  parseJob(await prisma.job.findFirst({
+    where: { type, payload: JSON.stringify(payload) },
+    orderBy: { createdAt: 'desc' }
+  }));
+
+// Exponential backoff with up to 20% jitter so retries of jobs that failed
+// together don't all land at once
+const retryDelay = (attempts) => {
+  const delay = Math.min(BACKOFF_BASE * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+/**
+ * Claim the next due job of one of `types` for this worker, marking it
+ * RUNNING and counting the attempt. Resolves to null when nothing is due.
+ */
+const claimJob = async (types, lockedBy = workerId()) => {
+  // Another worker can win the race for a job; move on to the next one
+  for (let tries = 0; tries < 5; tries++) {
+    const next = await prisma.job.findFirst({
+      where: { status: 'QUEUED', type: { in: types }, runAt: { lte: new Date() } },
+      orderBy: { runAt: 'asc' }
+    });
+    if (!next) return null;
+
+    const { count } = await prisma.job.updateMany({
+      where: { id: next.id, status: 'QUEUED' },
+      data: { status: 'RUNNING', lockedAt: new Date(), lockedBy, attempts: { increment: 1 } }
+    });
+    if (count === 1) {
+      return parseJob(await prisma.job.findUnique({ where: { id: next.id } }));
+    }
+  }
+  return null;
+};
+
+// The run of a job that `job` was claimed for. Each claim counts an
+// attempt, so once a job is released and claimed again, even by the same
+// worker, the earlier run no longer matches.
+const thisRun = (job) => ({ id: job.id, status: 'RUNNING', lockedBy: job.lockedBy, attempts: job.attempts });
+
+/**
+ * Renew the lock on a job this worker is running so releaseStaleJobs
+ * leaves it alone. Resolves to false once the job is no longer this run's.
+ */
+const heartbeatJob = async (job) => {
+  const { count } = await prisma.job.updateMany({ where: thisRun(job), data: { lockedAt: new Date() } });
+  return count === 1;
+};
+
+// Resolves to false when the job was released in the meantime, leaving
+// the result of the run that has it now in place
+const completeJob = async (job) => {
+  const { count } = await prisma.job.updateMany({
+    where: thisRun(job),
+    data: { status: 'COMPLETED', lockedAt: null, lockedBy: null, lastError: null, finishedAt: new Date() }
+  });
+  return count === 1;
+};
+
+/**
+ * Record a failed attempt: the job is queued again after a backoff, or
+ * dead-lettered once it has used up its attempts. Resolves to the new
+ * status, or null when the job was released in the meantime.
+ */
+const failJob = async (job, error) => {
+  const dead = job.attempts >= job.maxAttempts;
+  const message = String((error && (error.stack || error.message)) || error).slice(0, MAX_ERROR_LENGTH);
+
+  const { count } = await prisma.job.updateMany({
+    where: thisRun(job),
+    data: {
+      status: dead ? 'DEAD' : 'QUEUED',
+      lockedAt: null,
+      lockedBy: null,
+      lastError: message,
+      runAt: dead ? undefined : new Date(Date.now() + retryDelay(job.attempts)),
+      finishedAt: dead ? new Date() : undefined
+    }
+  });
+
+  if (count === 0) return null;
+  return dead ? 'DEAD' : 'QUEUED';
+};
+
+// Put jobs whose worker stopped responding back in the queue. The lost
+// attempt still counts, so a job that keeps crashing its worker ends up
+// dead. Resolves to `{ job, error }` for each job dead-lettered here.
+const releaseStaleJobs = async () => {
+  const stale = await prisma.job.findMany({
+    where: { status: 'RUNNING', lockedAt: { lt: new Date(Date.now() - JOB_TIMEOUT) } }
+  });
+
+  const dead = [];
+  for (const job of stale) {
+    const error = new Error(`Timed out on worker ${job.lockedBy}`);
+    if (await failJob(job, error) === 'DEAD') {
+      dead.push({ job: parseJob(job), error });
+    }
+  }
+  return dead;
+};
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  JOB_TIMEOUT,
+  HEARTBEAT_INTERVAL,
+  workerId,
+  enqueueJob,
+  findLatestJob,
+  retryDelay,
+  claimJob,
+  heartbeatJob,
+  completeJob,
+  failJob,
+  releaseStaleJobs
+};
@@ -0,0 +1,198 @@
+// An in-memory jobs table for the queries the queue makes
+const mockJobs = [];
+
+const mockMatches = (value, condition) => {
+  if (condition instanceof Date) return value instanceof Date && value.getTime() === condition.getTime();
+  if (condition === null || typeof condition !== 'object') return value === condition;
+  return (condition.in === undefined || condition.in.includes(value)) &&
+    (condition.lte === undefined || value <= condition.lte) &&
+    (condition.lt === undefined || (value !== null && value < condition.lt));
+};
+const mockWhere = (where) => (job) =>
+  Object.entries(where).every(([key, condition]) => mockMatches(job[key], condition));
+
+// Lets a test run something between claimJob's read and its update
+let mockBeforeUpdate = null;
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: class {
+    constructor() {
+      this.job = {
+        create: async ({ data }) => {
+          const job = {
+            id: `job${mockJobs.length + 1}`, status: 'QUEUED', attempts: 0, lockedAt: null, lockedBy: null,
+            lastError: null, finishedAt: null, createdAt: new Date(Date.now() + mockJobs.length), ...data
+          };
+          mockJobs.push(job);
+          return { ...job };
+        },
+        findFirst: async ({ where, orderBy }) => {
+          const [[key, direction]] = Object.entries(orderBy);
+          const found = mockJobs.filter(mockWhere(where))
+            .sort((a, b) => (direction === 'asc' ? a[key] - b[key] : b[key] - a[key]))[0];
+          return found ? { ...found } : null;
+        },
+        findUnique: async ({ where }) => ({ ...mockJobs.find(job => job.id === where.id) }),
+        findMany: async ({ where }) => mockJobs.filter(mockWhere(where)).map(job => ({ ...job })),
+        updateMany: async ({ where, data }) => {
+          if (mockBeforeUpdate) {
+            const run = mockBeforeUpdate;
+            mockBeforeUpdate = null;
+            run();
+          }
+          const matching = mockJobs.filter(mockWhere(where));
+          for (const job of matching) {
+            for (const [key, value] of Object.entries(data)) {
+              if (value === undefined) continue;
+              job[key] = value && value.increment !== undefined ? job[key] + value.increment : value;
+            }
+          }
+          return { count: matching.length };
+        }
+      };
+    }
+  }
+}));
+
+const {
+  JOB_TIMEOUT,
+  enqueueJob,
+  findLatestJob,
+  retryDelay,
+  claimJob,
+  heartbeatJob,
+  completeJob,
+  failJob,
+  releaseStaleJobs
+} = require('./index');
+
+const past = (ms) => new Date(Date.now() - ms);
+
+beforeEach(() => {
+  mockJobs.length = 0;
+  mockBeforeUpdate = null;
+});
+
+describe('retryDelay', () => {
+  it('doubles from 30 seconds with up to 20% jitter', () => {
+    for (const [attempts, base] of [[1, 30000], [2, 60000], [3, 120000]]) {
+      const delay = retryDelay(attempts);
+      expect(delay).toBeGreaterThanOrEqual(base);
+      expect(delay).toBeLessThanOrEqual(base * 1.2);
+    }
+  });
+
+  it('stops growing at an hour', () => {
+    expect(retryDelay(30)).toBeLessThanOrEqual(60 * 60 * 1000 * 1.2);
+    expect(retryDelay(30)).toBeGreaterThanOrEqual(60 * 60 * 1000);
+  });
+});
+
+describe('claimJob', () => {
+  it('claims the job that has been due longest, counting the attempt', async () => {
+    await enqueueJob('a', { n: 1 }, { runAt: past(1000) });
+    await enqueueJob('a', { n: 2 }, { runAt: past(5000) });
+
+    const job = await claimJob(['a'], 'worker-1');
+    expect(job.payload).toEqual({ n: 2 });
+    expect(job.status).toBe('RUNNING');
+    expect(job.lockedBy).toBe('worker-1');
+    expect(job.attempts).toBe(1);
+  });
+
+  it('leaves jobs of other types and jobs not yet due', async () => {
+    await enqueueJob('b');
+    await enqueueJob('a', {}, { runAt: new Date(Date.now() + 60000) });
+
+    expect(await claimJob(['a'], 'worker-1')).toBeNull();
+  });
+
+  it('moves on to the next job when another worker wins the race', async () => {
+    const first = await enqueueJob('a', { n: 1 }, { runAt: past(5000) });
+    await enqueueJob('a', { n: 2 }, { runAt: past(1000) });
+    mockBeforeUpdate = () => {
+      Object.assign(mockJobs.find(job => job.id === first.id), { status: 'RUNNING', lockedBy: 'worker-2' });
+    };
+
+    const job = await claimJob(['a'], 'worker-1');
+    expect(job.payload).toEqual({ n: 2 });
+    expect(mockJobs.find(row => row.id === first.id).lockedBy).toBe('worker-2');
+  });
+});
+
+describe('failJob', () => {
+  it('queues the job again after a backoff', async () => {
+    await enqueueJob('a');
+    const job = await claimJob(['a'], 'worker-1');
+
+    expect(await failJob(job, new Error('boom'))).toBe('QUEUED');
+    const [row] = mockJobs;
+    expect(row.status).toBe('QUEUED');
+    expect(row.lockedBy).toBeNull();
+    expect(row.lastError).toContain('boom');
+    expect(row.runAt.getTime()).toBeGreaterThanOrEqual(Date.now() + 29000);
+  });
+
+  it('dead-letters the job on its last attempt', async () => {
+    await enqueueJob('a', {}, { maxAttempts: 1 });
+    const job = await claimJob(['a'], 'worker-1');
+
+    expect(await failJob(job, new Error('boom'))).toBe('DEAD');
+    expect(mockJobs[0].status).toBe('DEAD');
+    expect(mockJobs[0].finishedAt).toBeInstanceOf(Date);
+  });
+
+  it('leaves a job alone once it belongs to another run', async () => {
+    await enqueueJob('a');
+    const job = await claimJob(['a'], 'worker-1');
+    // Released as stale and claimed again by the same worker
+    Object.assign(mockJobs[0], { status: 'QUEUED' });
+    await claimJob(['a'], 'worker-1');
+
+    expect(await failJob(job, new Error('late'))).toBeNull();
+    expect(await completeJob(job)).toBe(false);
+    expect(await heartbeatJob(job)).toBe(false);
+    expect(mockJobs[0]).toMatchObject({ status: 'RUNNING', attempts: 2 });
+  });
+});
+
+describe('completeJob', () => {
+  it('marks the run completed', async () => {
+    await enqueueJob('a');
+    const job = await claimJob(['a'], 'worker-1');
+
+    expect(await heartbeatJob(job)).toBe(true);
+    expect(await completeJob(job)).toBe(true);
+    expect(mockJobs[0]).toMatchObject({ status: 'COMPLETED', lockedBy: null });
+  });
+});
+
+describe('releaseStaleJobs', () => {
+  it('requeues jobs whose lock ran out and reports the ones that died', async () => {
+    await enqueueJob('a');
+    await enqueueJob('a', {}, { maxAttempts: 1 });
+    await enqueueJob('a');
+    await claimJob(['a'], 'worker-1');
+    await claimJob(['a'], 'worker-1');
+    await claimJob(['a'], 'worker-2');
+    mockJobs[0].lockedAt = past(JOB_TIMEOUT + 1000);
+    mockJobs[1].lockedAt = past(JOB_TIMEOUT + 1000);
+
+    const dead = await releaseStaleJobs();
+    expect(dead.map(({ job }) => job.id)).toEqual([mockJobs[1].id]);
+    expect(dead[0].error.message).toContain('worker-1');
+    expect(mockJobs.map(job => job.status)).toEqual(['QUEUED', 'DEAD', 'RUNNING']);
+  });
+});
+
+describe('findLatestJob', () => {
+  it('finds the newest job with the same payload', async () => {
+    await enqueueJob('a', { id: 1 });
+    const newest = await enqueueJob('a', { id: 1 });
+    await enqueueJob('a', { id: 2 });
+    await enqueueJob('b', { id: 1 });
+
+    expect((await findLatestJob('a', { id: 1 })).id).toBe(newest.id);
+    expect(await findLatestJob('a', { id: 3 })).toBeNull();
+  });
+});
@@ -0,0 +1,326 @@
+const { frontendUrl } = require('./embed');
+const { escapeHtml } = require('./markdown');
+
+// The licenses a model can be published under. Each says what it lets
+// people do with the model, in fields other code can act on: search filters
+// on commercialUse, and downloads write the attribution the license asks
+// for into LICENSE.txt, and remixes are only let through when the models
+// they are based on allow it. A model's license is copied onto each version when
+// it is uploaded, so changing it later doesn't change the terms earlier
+// downloads came with.
+
+const LICENSES = {
+  'cc0': {
+    name: 'CC0 1.0 Universal (Public Domain Dedication)',
+    shortName: 'CC0 1.0',
+    url: 'https://creativecommons.org/publicdomain/zero/1.0/',
+    spdx: 'CC0-1.0',
+    commercialUse: true,
+    derivatives: true,
+    shareAlike: false,
+    attributionRequired: false,
+    summary: 'Dedicated to the public domain: use it for anything, no credit needed.'
+  },
+  'cc-by': {
+    name: 'Creative Commons Attribution 4.0 International',
+    shortName: 'CC BY 4.0',
+    url: 'https://creativecommons.org/licenses/by/4.0/',
+    spdx: 'CC-BY-4.0',
+    commercialUse: true,
+    derivatives: true,
+    shareAlike: false,
+    attributionRequired: true,
+    summary: 'Use it for anything, including commercially, as long as you credit the creator.'
+  },
+  'cc-by-sa': {
+    name: 'Creative Commons Attribution-ShareAlike 4.0 International',
+    shortName: 'CC BY-SA 4.0',
+    url: 'https://creativecommons.org/licenses/by-sa/4.0/',
+    spdx: 'CC-BY-SA-4.0',
+    commercialUse: true,
+    derivatives: true,
+    shareAlike: true,
+    attributionRequired: true,
+    summary: 'Use it for anything if you credit the creator and share adaptations under the same license.'
+  },
+  'cc-by-nc': {
+    name: 'Creative Commons Attribution-NonCommercial 4.0 International',
+    shortName: 'CC BY-NC 4.0',
+    url: 'https://creativecommons.org/licenses/by-nc/4.0/',
+    spdx: 'CC-BY-NC-4.0',
+    commercialUse: false,
+    derivatives: true,
+    shareAlike: false,
+    attributionRequired: true,
+    summary: 'Use and adapt it for non-commercial purposes, crediting the creator.'
+  },
+  'cc-by-nc-sa': {
+    name: 'Creative Commons Attribution-NonCommercial-ShareAlike 4.0 International',
+    shortName: 'CC BY-NC-SA 4.0',
+    url: 'https://creativecommons.org/licenses/by-nc-sa/4.0/',
+    spdx: 'CC-BY-NC-SA-4.0',
+    commercialUse: false,
+    derivatives: true,
+    shareAlike: true,
+    attributionRequired: true,
+    summary: 'Non-commercial use only, crediting the creator; adaptations must use the same license.'
+  },
+  'standard': {
+    name: 'Standard Commercial License',
+    shortName: 'Standard',
+    url: null,
+    spdx: 'LicenseRef-Standard-Commercial',
+    commercialUse: true,
+    derivatives: true,
+    shareAlike: false,
+    attributionRequired: false,
+    summary: 'Use it, modified or not, in personal and commercial projects such as games, films and ' +
+      'renders. You may not resell or share the model file itself, on its own or in an asset pack.'
+  },
+  'editorial': {
+    name: 'Editorial Use License',
+    shortName: 'Editorial',
+    url: null,
+    spdx: 'LicenseRef-Editorial',
+    commercialUse: false,
+    derivatives: false,
+    shareAlike: false,
+    attributionRequired: true,
+    summary: 'Use it only to illustrate news, commentary and education, crediting the creator. Not for ' +
+      'advertising, merchandise or other commercial purposes, and not to be modified.'
+  },
+  'custom': {
+    name: 'Custom License',
+    shortName: 'Custom',
+    url: null,
+    spdx: 'LicenseRef-Custom',
+    // Unknown until someone reads the terms, so filters treat them as no
+    commercialUse: false,
+    derivatives: false,
+    shareAlike: false,
+    attributionRequired: true,
+    summary: 'The creator\'s own terms, below.'
+  }
+};
+
+const LICENSE_IDS = Object.keys(LICENSES);
+const COMMERCIAL_LICENSE_IDS = LICENSE_IDS.filter(id => LICENSES[id].commercialUse);
+const MAX_LICENSE_TEXT_LENGTH = 10000;
+const MAX_ATTRIBUTION_LENGTH = 200;
+
+// Models uploaded before the registry may say 'other', which meant terms
+// of the creator's own
+const LEGACY_IDS = { other: 'custom' };
+
+const licenseId = (id) => (id ? LEGACY_IDS[id] || id : null);
+
+// The registry entry for a license id, or null for none or an unknown one
+const findLicense = (id) => LICENSES[licenseId(id)] || null;
+
+const allowsCommercialUse = (id) => Boolean(findLicense(id)?.commercialUse);
+
+const allowsDerivatives = (id) => Boolean(findLicense(id)?.derivatives);
+
+const describeLicenses = () =>
+  LICENSE_IDS.map(id => ({ id, ...LICENSES[id] }));
+
+// The license columns models and versions share, from request fields.
+// Custom terms only go with the custom license.
+const licenseFields = ({ license, licenseText, attribution }) => ({
+  license: licenseId(license) || null,
+  licenseText: licenseId(license) === 'custom' ? licenseText || null : null,
+  attribution: attribution || null
+});
+
+const modelPageUrl = (modelId) => `${frontendUrl()}/models/${modelId}`;
+
+/**
+ * Why a model licensed `childId` can't be based on one licensed `parentId`,
+ * or null if it can. Adaptations of share-alike work keep its license, and
+ * those of non-commercial work can't be licensed for commercial use.
+ */
+const derivativeLicenseError = (parentId, childId) => {
+  const parent = findLicense(parentId);
+  const child = findLicense(childId);
+  if (!parent) return 'its creator reserved all rights';
+  if (!parent.derivatives) return `the ${parent.name} doesn't allow modifications`;
+  if (parent.shareAlike && licenseId(parentId) !== licenseId(childId)) {
+    return `the ${parent.name} requires remixes to use the same license`;
+  }
+  if (!parent.commercialUse && child?.commercialUse) {
+    return `the ${parent.name} doesn't allow commercial use, which the ${child.name} would`;
+  }
+  return null;
+};
+
+const escapeMarkdown = (value) => value.replace(/([\\`*_[\]<>])/g, '\\$1');
+
+// How each attribution format writes a credited work and a license
+const ATTRIBUTION_FORMATS = {
+  text: {
+    credit: ({ title, author, url }) =>
+      [title && `"${title}"`, author && `by ${author}`, title ? url && `(${url})` : url].filter(Boolean).join(' '),
+    license: (license) => (license.url ? `${license.shortName} (${license.url})` : `the ${license.name}`)
+  },
+  markdown: {
+    credit: ({ title, author, url }) => [
+      title ? (url ? `[${escapeMarkdown(title)}](${url})` : escapeMarkdown(title)) : `<${url}>`,
+      author && `by ${escapeMarkdown(author)}`
+    ].filter(Boolean).join(' '),
+    license: (license) => (license.url ? `[${license.shortName}](${license.url})` : `the ${license.name}`)
+  },
+  html: {
+    credit: ({ title, author, url }) => [
+      url ? `<a href="${escapeHtml(url)}">${escapeHtml(title || url)}</a>` : escapeHtml(title),
+      author && `by ${escapeHtml(author)}`
+    ].filter(Boolean).join(' '),
+    license: (license) => (license.url
+      ? `<a href="${escapeHtml(license.url)}" rel="license">${escapeHtml(license.shortName)}</a>`
+      : `the ${escapeHtml(license.name)}`)
+  }
+};
+
+// `work` and each of `sources` are { title, author, url, license } with a
+// license id; works from other sites may only have a url
+const formatAttribution = (format, work, sources) => {
+  const { credit, license: licensePhrase } = ATTRIBUTION_FORMATS[format];
+  const withLicense = (source, joiner) => {
+    const license = findLicense(source.license);
+    return license ? `${credit(source)}${joiner}${licensePhrase(license)}` : credit(source);
+  };
+
+  const line = `${withLicense(work, ' is licensed under ')}.`;
+  if (sources.length === 0) return line;
+  return `${line} Based on ${sources.map(source => withLicense(source, ', licensed under ')).join('; ')}.`;
+};
+
+const creditedWork = (model, creatorName) => ({
+  title: model.title,
+  author: model.attribution || creatorName,
+  url: modelPageUrl(model.id),
+  license: model.license
+});
+
+/**
+ * The credit line for a model, naming `creatorName` unless the model has
+ * an attribution of its own: `"Title" by Name (url) is licensed under CC BY
+ * 4.0 (license url).`, then the `sources` it is based on.
+ */
+const attributionLine = (model, creatorName, sources = []) =>
+  formatAttribution('text', creditedWork(model, creatorName), sources);
+
+// The credit line as plain text, Markdown and HTML, for wherever the model
+// ends up being used
+const attributionFormats = (model, creatorName, sources = []) => {
+  const work = creditedWork(model, creatorName);
+  return Object.fromEntries(Object.keys(ATTRIBUTION_FORMATS)
+    .map(format => [format, formatAttribution(format, work, sources)]));
+};
+
+/**
+ * A model's license as the API returns it, or null when none was chosen.
+ * `model` may be a version read through modelAtVersion, and `sources` are
+ * the works it is based on, as for attributionLine.
+ */
+const serializeLicense = (model, creatorName, sources = []) => {
+  const license = findLicense(model.license);
+  if (!license) return null;
+
+  return {
+    id: licenseId(model.license),
+    name: license.name,
+    shortName: license.shortName,
+    url: license.url,
+    spdx: license.spdx,
+    commercialUse: license.commercialUse,
+    derivatives: license.derivatives,
+    shareAlike: license.shareAlike,
+    attributionRequired: license.attributionRequired,
+    summary: license.summary,
+    text: model.licenseText || null,
+    attribution: attributionLine(model, creatorName, sources),
+    attributionFormats: attributionFormats(model, creatorName, sources)
+  };
+};
+
+const yesNo = (value) => (value ? 'Yes' : 'No');
+
+// The LICENSE.txt that goes with a download of `model` at `version`,
+// crediting the `sources` it is based on too
+const licenseFileText = (model, version, creatorName, sources = []) => {
+  const license = findLicense(model.license);
+  const lines = [
+    `${model.title} (version ${version})`,
+    `by ${creatorName}`,
+    modelPageUrl(model.id),
+    ''
+  ];
+
+  if (!license) {
+    return [
+      ...lines,
+      'No license was chosen for this model, so all rights are reserved by',
+      'its creator. Ask them before using it beyond your own private viewing.',
+      ''
+    ].join('\n');
+  }
+
+  const isCustom = licenseId(model.license) === 'custom';
+  lines.push(
+    `License: ${license.name}`,
+    ...(license.url ? [license.url] : []),
+    '',
+    license.summary
+  );
+  // What custom terms allow is only in their text
+  if (!isCustom) {
+    lines.push(
+      '',
+      `Commercial use allowed: ${yesNo(license.commercialUse)}`,
+      `Modifications allowed:  ${yesNo(license.derivatives)}`,
+      `Attribution required:   ${yesNo(license.attributionRequired)}`
+    );
+  }
+  if (license.shareAlike) {
+    lines.push('Adaptations must be shared under the same license.');
+  }
+
+  lines.push(
+    '',
+    license.attributionRequired ? 'Credit the creator like this:' : 'No credit is required, but if you give it:',
+    '',
+    `  ${attributionLine(model, creatorName, sources)}`,
+    ''
+  );
+
+  if (isCustom) {
+    lines.push(
+      'Terms',
+      '-----',
+      model.licenseText || 'The creator did not write their terms down. Ask them before using this model.',
+      ''
+    );
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  LICENSES,
+  LICENSE_IDS,
+  COMMERCIAL_LICENSE_IDS,
+  MAX_LICENSE_TEXT_LENGTH,
+  MAX_ATTRIBUTION_LENGTH,
+  licenseId,
+  findLicense,
+  allowsCommercialUse,
+  allowsDerivatives,
+  describeLicenses,
+  licenseFields,
+  modelPageUrl,
+  derivativeLicenseError,
+  attributionLine,
+  attributionFormats,
+  serializeLicense,
+  licenseFileText
+};
@@ -0,0 +1,58 @@
+const { derivativeLicenseError, licenseFields, allowsCommercialUse } = require('./licenses');
+
+describe('derivativeLicenseError', () => {
+  it('lets permissive work be remixed under any license', () => {
+    for (const child of ['cc0', 'cc-by', 'cc-by-nc', 'standard', 'editorial', 'custom', null]) {
+      expect(derivativeLicenseError('cc0', child)).toBeNull();
+      expect(derivativeLicenseError('cc-by', child)).toBeNull();
+    }
+  });
+
+  it('keeps share-alike remixes under the same license', () => {
+    expect(derivativeLicenseError('cc-by-sa', 'cc-by-sa')).toBeNull();
+    expect(derivativeLicenseError('cc-by-sa', 'cc-by')).toMatch('requires remixes to use the same license');
+    expect(derivativeLicenseError('cc-by-sa', null)).toMatch('requires remixes to use the same license');
+    expect(derivativeLicenseError('cc-by-nc-sa', 'cc-by-nc-sa')).toBeNull();
+    expect(derivativeLicenseError('cc-by-nc-sa', 'cc-by-nc')).toMatch('same license');
+  });
+
+  it('keeps non-commercial work out of commercial licenses', () => {
+    expect(derivativeLicenseError('cc-by-nc', 'cc-by-nc')).toBeNull();
+    expect(derivativeLicenseError('cc-by-nc', 'cc-by-nc-sa')).toBeNull();
+    expect(derivativeLicenseError('cc-by-nc', 'editorial')).toBeNull();
+    expect(derivativeLicenseError('cc-by-nc', 'cc-by'))
+      .toBe('the Creative Commons Attribution-NonCommercial 4.0 International doesn\'t allow commercial use, ' +
+        'which the Creative Commons Attribution 4.0 International would');
+    expect(derivativeLicenseError('cc-by-nc', 'standard')).toMatch('doesn\'t allow commercial use');
+  });
+
+  it('refuses work that may not be modified or has no license', () => {
+    expect(derivativeLicenseError('editorial', 'editorial')).toMatch('doesn\'t allow modifications');
+    expect(derivativeLicenseError('custom', 'custom')).toMatch('doesn\'t allow modifications');
+    expect(derivativeLicenseError(null, 'cc0')).toBe('its creator reserved all rights');
+    expect(derivativeLicenseError('unknown', 'cc0')).toBe('its creator reserved all rights');
+  });
+
+  it('reads legacy license ids', () => {
+    expect(derivativeLicenseError('other', 'cc0')).toMatch('Custom License');
+    expect(derivativeLicenseError('cc-by', 'other')).toBeNull();
+  });
+});
+
+describe('licenseFields', () => {
+  it('keeps custom terms only with the custom license', () => {
+    expect(licenseFields({ license: 'other', licenseText: 'Ask me', attribution: '' }))
+      .toEqual({ license: 'custom', licenseText: 'Ask me', attribution: null });
+    expect(licenseFields({ license: 'cc-by', licenseText: 'Ask me', attribution: 'Ann' }))
+      .toEqual({ license: 'cc-by', licenseText: null, attribution: 'Ann' });
+  });
+});
+
+describe('allowsCommercialUse', () => {
+  it('treats unknown and custom terms as not commercial', () => {
+    expect(allowsCommercialUse('standard')).toBe(true);
+    expect(allowsCommercialUse('custom')).toBe(false);
+    expect(allowsCommercialUse('nope')).toBe(false);
+    expect(allowsCommercialUse(null)).toBe(false);
+  });
+});
@@ -0,0 +1,116 @@
+// A small Markdown renderer for user-written text such as comments. The
+// text is HTML-escaped before anything else, and the only markup that comes
+// out is the fixed set of tags below, so the result is safe to insert as
+// HTML. Supported: paragraphs and line breaks, **bold**, *italic*,
+// ~~strikethrough~~, `code`, fenced code blocks, > quotes, - and 1. lists,
+// [links](https://...), bare https:// links and @mentions.
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const MENTION_PATTERN = /(^|[^\w@/])@([A-Za-z0-9_]{3,30})(?![\w])/g;
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE = /^\s*```/;
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, ch => ESCAPES[ch]);
+
+const link = (href, label) =>
+  `<a href="${href}" target="_blank" rel="nofollow noopener noreferrer">${label}</a>`;
+
+// Inline markup in one escaped block of text. Code spans, links and mentions
+// are set aside as placeholders first so emphasis can't reach into them.
+const renderInline = (text, mentions) => {
+  const stash = [];
+  const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let html = escapeHtml(text)
+    .replace(/`([^`\n]+)`/g, (_, code) => keep(`<code>${code}</code>`))
+    .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+      (SAFE_URL.test(url) ? keep(link(url, label)) : match))
+    .replace(/(^|[\s(])(https?:\/\/(?:[^\s<&]|&amp;)*(?:[^\s<&.,:;!?)]|&amp;))/g, (_, before, url) => before + keep(link(url, url)))
+    .replace(MENTION_PATTERN, (match, before, username) =>
+      (mentions.has(username.toLowerCase())
+        ? before + keep(`<a href="/profile/${username}" class="mention">@${username}</a>`)
+        : match));
+
+  html = html
+    .replace(/\*\*(?=\S)([^*\n]+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(?=\S)([^_\n]+?)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w*])\*(?=\S)([^*\n]+?)\*(?![\w*])/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w_])_(?=\S)([^_\n]+?)_(?![\w_])/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([^~\n]+?)~~/g, '<del>$1</del>');
+
+  // Links can hold code spans, so placeholders may come back nested
+  while (html.includes('\u0000')) {
+    html = html.replace(/\u0000(\d+)\u0000/g, (_, index) => stash[index]);
+  }
+  return html;
+};
+
+/**
+ * Render Markdown `text` to safe HTML. `mentions` holds the lowercased
+ * usernames that exist; only those @mentions become profile links.
+ */
+const renderMarkdown = (text, mentions = new Set()) => {
+  const lines = String(text || '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  const inline = (line) => renderInline(line, mentions);
+
+  for (let i = 0; i < lines.length;) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+    } else if (FENCE.test(line)) {
+      const code = [];
+      for (i++; i < lines.length && !FENCE.test(lines[i]); i++) code.push(lines[i]);
+      i++;
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    } else if (/^\s*>/.test(line)) {
+      const quoted = [];
+      for (; i < lines.length && /^\s*>/.test(lines[i]); i++) quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+      blocks.push(`<blockquote>${quoted.map(inline).join('<br>')}</blockquote>`);
+    } else if (LIST_ITEM.test(line)) {
+      const ordered = /^\d/.test(line.match(LIST_ITEM)[1]);
+      const items = [];
+      for (; i < lines.length && LIST_ITEM.test(lines[i]) && /^\d/.test(lines[i].match(LIST_ITEM)[1]) === ordered; i++) {
+        items.push(`<li>${inline(lines[i].match(LIST_ITEM)[2])}</li>`);
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      blocks.push(`<${tag}>${items.join('')}</${tag}>`);
+    } else {
+      const paragraph = [];
+      for (; i < lines.length && lines[i].trim() && !FENCE.test(lines[i]) &&
+        !/^\s*>/.test(lines[i]) && !LIST_ITEM.test(lines[i]); i++) {
+        paragraph.push(lines[i]);
+      }
+      blocks.push(`<p>${paragraph.map(inline).join('<br>')}</p>`);
+    }
+  }
+
+  return blocks.join('');
+};
+
+// Usernames @mentioned in `text`, outside code, without duplicates
+const findMentions = (text) => {
+  const prose = String(text || '')
+    .replace(/```[\s\S]*?(```|$)/g, '')
+    .replace(/`[^`\n]+`/g, '');
+  const usernames = new Map();
+  for (const [, , username] of prose.matchAll(MENTION_PATTERN)) {
+    if (!usernames.has(username.toLowerCase())) usernames.set(username.toLowerCase(), username);
+  }
+  return [...usernames.values()];
+};
+
+module.exports = {
+  escapeHtml,
+  renderMarkdown,
+  findMentions
+};
@@ -0,0 +1,68 @@
+const { escapeHtml, renderMarkdown, findMentions } = require('./markdown');
+
+const LINK_ATTRIBUTES = 'target="_blank" rel="nofollow noopener noreferrer"';
+
+describe('renderMarkdown', () => {
+  it('escapes HTML in the text', () => {
+    expect(renderMarkdown('<script>alert(1)</script> & "q"'))
+      .toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt; &amp; &quot;q&quot;</p>');
+    expect(renderMarkdown('<img src=x onerror=alert(1)>')).not.toContain('<img');
+  });
+
+  it('renders emphasis without touching words with underscores or sums', () => {
+    expect(renderMarkdown('**bold** *it* _u_ ~~gone~~ snake_case_name 2*3*4'))
+      .toBe('<p><strong>bold</strong> <em>it</em> <em>u</em> <del>gone</del> snake_case_name 2*3*4</p>');
+    expect(renderMarkdown('**unclosed')).toBe('<p>**unclosed</p>');
+  });
+
+  it('links only http(s) and mailto URLs', () => {
+    expect(renderMarkdown('[x](javascript:alert(1))')).toBe('<p>[x](javascript:alert(1))</p>');
+    expect(renderMarkdown('[x](data:text/html,hi)')).toBe('<p>[x](data:text/html,hi)</p>');
+    expect(renderMarkdown('[docs](https://ex.com/a_b_c)'))
+      .toBe(`<p><a href="https://ex.com/a_b_c" ${LINK_ATTRIBUTES}>docs</a></p>`);
+  });
+
+  it('links bare URLs without trailing punctuation', () => {
+    expect(renderMarkdown('see https://foo.com/x_y_z.'))
+      .toBe(`<p>see <a href="https://foo.com/x_y_z" ${LINK_ATTRIBUTES}>https://foo.com/x_y_z</a>.</p>`);
+  });
+
+  it('keeps quotes in a URL from breaking out of the href', () => {
+    const html = renderMarkdown('https://x.com/"onmouseover="alert(1)');
+    expect(html).toBe(`<p><a href="https://x.com/" ${LINK_ATTRIBUTES}>https://x.com/</a>&quot;onmouseover=&quot;alert(1)</p>`);
+  });
+
+  it('links mentions of existing users only', () => {
+    expect(renderMarkdown('hi @Ann and @nobody, mail a@ann.com', new Set(['ann'])))
+      .toBe('<p>hi <a href="/profile/Ann" class="mention">@Ann</a> and @nobody, mail a@ann.com</p>');
+  });
+
+  it('leaves markup inside code alone', () => {
+    expect(renderMarkdown('```\n<b>code</b> @ann\n```\nafter `@ann **x**`', new Set(['ann'])))
+      .toBe('<pre><code>&lt;b&gt;code&lt;/b&gt; @ann</code></pre><p>after <code>@ann **x**</code></p>');
+  });
+
+  it('renders quotes, lists and paragraphs', () => {
+    expect(renderMarkdown('> quote *a*\n> line2\n\n- one\n- two\n1. a\n2) b\ntext\nmore'))
+      .toBe('<blockquote>quote <em>a</em><br>line2</blockquote>' +
+        '<ul><li>one</li><li>two</li></ul><ol><li>a</li><li>b</li></ol><p>text<br>more</p>');
+  });
+
+  it('drops the NUL characters it uses as placeholders', () => {
+    expect(renderMarkdown('a\u00000\u0000b')).toBe('<p>a0b</p>');
+  });
+});
+
+describe('escapeHtml', () => {
+  it('escapes every character that matters in HTML', () => {
+    expect(escapeHtml(`<a href="x" title='y'>&</a>`))
+      .toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  });
+});
+
+describe('findMentions', () => {
+  it('finds each username once, outside code', () => {
+    expect(findMentions('hi @ann @ANN `@code` ```\n@block\n``` @bob_2 x@y.com @ab'))
+      .toEqual(['ann', 'bob_2']);
+  });
+});
@@ -0,0 +1,42 @@
+const { serializeMetadata } = require('./modelMetadata');
+const { publicUrlFor } = require('./storage');
+const { serializePreviewUrls, serializeTurntable } = require('./modelPreviews');
+const { serializeOptimized } = require('./modelVariants');
+const { isRecentlyUpdated } = require('./modelVersions');
+const { serializeTags, tagsInclude } = require('./tags');
+
+// Models listed as cards: the creator, tags, parsed statistics and counts
+const listInclude = {
+  creator: {
+    select: {
+      id: true,
+      username: true,
+      avatar: true,
+      isVerified: true
+    }
+  },
+  metadata: true,
+  modelTags: tagsInclude,
+  _count: {
+    select: {
+      likes: true,
+      comments: { where: { deletedAt: null } }
+    }
+  }
+};
+
+const serializeListedModel = ({ modelTags, legacyTags, ...model }) => ({
+  ...model,
+  tags: serializeTags(modelTags),
+  thumbnailUrl: publicUrlFor(model.thumbnailUrl),
+  previewUrls: serializePreviewUrls(model.previewUrls),
+  turntable: serializeTurntable(model.turntable),
+  optimized: serializeOptimized(model),
+  metadata: serializeMetadata(model.metadata),
+  recentlyUpdated: isRecentlyUpdated(model)
+});
+
+module.exports = {
+  listInclude,
+  serializeListedModel
+};
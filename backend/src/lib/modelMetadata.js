@@ -0,0 +1,81 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const parseJson = (value, fallback = null) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// The ModelMetadata fields for the statistics a format parser produced
+const metadataFields = ({ format, stats }) => ({
+  format,
+  triangleCount: stats.triangleCount,
+  vertexCount: stats.vertexCount,
+  meshCount: stats.meshCount,
+  materialCount: stats.materialCount,
+  textureCount: stats.textureCount,
+  maxTextureWidth: stats.maxTextureWidth,
+  maxTextureHeight: stats.maxTextureHeight,
+  animationCount: stats.animationCount,
+  isAnimated: stats.isAnimated,
+  isRigged: stats.isRigged,
+  isWatertight: stats.isWatertight ?? null,
+  unitsGuess: stats.unitsGuess || null,
+  boundsMin: stats.boundsMin ? JSON.stringify(stats.boundsMin) : null,
+  boundsMax: stats.boundsMax ? JSON.stringify(stats.boundsMax) : null,
+  extras: JSON.stringify(stats.extras || {}),
+  parsedAt: new Date()
+});
+
+// Store the statistics a format parser produced for a model, replacing any
+// earlier record (e.g. after the file was re-processed)
+const saveModelMetadata = (modelId, result) => {
+  const data = metadataFields(result);
+
+  return prisma.modelMetadata.upsert({
+    where: { modelId },
+    create: { modelId, ...data },
+    update: data
+  });
+};
+
+// Shape a metadata row for API responses, decoding the JSON columns
+const serializeMetadata = (metadata) => {
+  if (!metadata) return null;
+
+  const { id, modelId, boundsMin, boundsMax, extras, ...fields } = metadata;
+  const min = parseJson(boundsMin);
+  const max = parseJson(boundsMax);
+
+  return {
+    ...fields,
+    bounds: min && max
+      ? { min, max, size: max.map((value, axis) => Number((value - min[axis]).toFixed(6))) }
+      : null,
+    extras: parseJson(extras, {})
+  };
+};
+
+// Each version keeps its own copy of the statistics, so versions can be
+// compared after the model has moved on to a newer file
+const saveVersionMetadata = (modelId, number, result) =>
+  prisma.modelVersion.updateMany({
+    where: { modelId, number },
+    data: { metadata: JSON.stringify(metadataFields(result)) }
+  });
+
+// A version's stored statistics in the shape of a ModelMetadata row
+const parseVersionMetadata = (version) => parseJson(version.metadata);
+
+module.exports = {
+  metadataFields,
+  saveModelMetadata,
+  saveVersionMetadata,
+  parseVersionMetadata,
+  serializeMetadata
+};
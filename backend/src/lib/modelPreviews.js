@@ -0,0 +1,42 @@
+const { publicUrlFor } = require('./storage');
+
+// Preview images live in JSON text columns: `previewUrls` holds the storage
+// keys of the creator's uploaded previews and `turntable` the generated
+// sprite sheet and its layout
+
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const parsePreviewKeys = (value) => {
+  const keys = parseJson(value, []);
+  return Array.isArray(keys) ? keys : [];
+};
+
+const parseTurntable = (value) => {
+  const turntable = parseJson(value, null);
+  return turntable && turntable.key ? turntable : null;
+};
+
+const serializePreviewUrls = (value) => parsePreviewKeys(value).map(publicUrlFor);
+
+// Shape the turntable for API responses: a public URL instead of the key
+const serializeTurntable = (value) => {
+  const turntable = parseTurntable(value);
+  if (!turntable) return null;
+
+  const { key, ...layout } = turntable;
+  return { url: publicUrlFor(key), ...layout };
+};
+
+module.exports = {
+  parsePreviewKeys,
+  parseTurntable,
+  serializePreviewUrls,
+  serializeTurntable
+};
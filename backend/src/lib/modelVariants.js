@@ -0,0 +1,113 @@
+const path = require('path');
+const { signedUrlFor } = require('./storage');
+const { isEmbeddable } = require('./embed');
+const { parseBundleFiles, bundleKey } = require('./bundles');
+
+// Optimized derivatives live in the `optimized` JSON column:
+// { key, size, triangleCount, lods: [{ key, size, ratio, triangleCount }] }
+// with the levels of detail ordered from most to least detailed
+
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const parseOptimized = (value) => {
+  const optimized = parseJson(value, null);
+  if (!optimized || !optimized.key) return null;
+  return { ...optimized, lods: Array.isArray(optimized.lods) ? optimized.lods : [] };
+};
+
+// Shape the optimized variants for API responses, with the size comparison
+// against the original file. Their files are left out like the original's;
+// the viewer gets them from viewerSource.
+const serializeOptimized = (model) => {
+  const optimized = parseOptimized(model.optimized);
+  if (!optimized) return null;
+
+  return {
+    size: optimized.size,
+    triangleCount: optimized.triangleCount,
+    originalSize: model.fileSize,
+    // Share of the original size saved; negative when the GLB is larger
+    savings: model.fileSize ? Number((1 - optimized.size / model.fileSize).toFixed(3)) : null,
+    lods: optimized.lods.map(({ key, ...lod }) => lod)
+  };
+};
+
+// Texture variants live in each ModelTexture's `variants` JSON column:
+// [{ key, width, height, size, maxSize }], full size first
+const parseTextureVariants = (value) => {
+  const variants = parseJson(value, []);
+  return Array.isArray(variants) ? variants.filter(variant => variant && variant.key) : [];
+};
+
+// Whether `user` may be handed a model's files to view: its creator can,
+// and so can anyone when the model is public and free. Everyone else has
+// to go through the downloads route, which checks payment.
+const canViewFiles = (model, user) => user?.id === model.userId || isEmbeddable(model);
+
+// Textures are files of the model, so their variants come with signed URLs
+// for those who may view it (see canViewFiles) and are left out otherwise
+const serializeTextures = (textures = [], canView = false) =>
+  Promise.all([...textures]
+    .sort((a, b) => a.index - b.index)
+    .map(async ({ modelId, variants, ...texture }) => ({
+      ...texture,
+      variants: canView
+        ? await Promise.all(parseTextureVariants(variants)
+          .map(async ({ key, ...variant }) => ({ url: await signedUrlFor(key), ...variant })))
+        : []
+    })));
+
+// Signed URLs for a bundle's files under the main file's folder, by their
+// path from there, so the viewer can fetch the buffers, materials and
+// images the main file refers to
+const bundleFileUrls = async (model) => {
+  const files = parseBundleFiles(model.bundleFiles);
+  if (!files) return {};
+
+  const mainDir = path.posix.dirname(model.fileUrl);
+  const urls = {};
+  for (const file of files) {
+    const key = bundleKey(model.id, file.path, model.latestVersion);
+    if (key !== model.fileUrl && key.startsWith(`${mainDir}/`)) {
+      urls[key.slice(mainDir.length + 1)] = await signedUrlFor(key);
+    }
+  }
+  return urls;
+};
+
+/**
+ * What the browser viewer loads: `lods` lightest first, shown while `url`
+ * downloads. glTF models are shown from the optimized GLB, which looks the
+ * same; other formats keep their original file so materials still load.
+ * The URLs are signed and short-lived, so only hand them to those who may
+ * view the model's files; `files` has the other files of a zip upload.
+ */
+const viewerSource = async (model, format) => {
+  if (!model.fileUrl) return null;
+
+  const optimized = parseOptimized(model.optimized);
+  const useOptimized = optimized && (format === 'glb' || format === 'gltf');
+
+  return {
+    url: await signedUrlFor(useOptimized ? optimized.key : model.fileUrl),
+    format: useOptimized ? 'glb' : format,
+    lods: optimized ? (await Promise.all(optimized.lods.map(lod => signedUrlFor(lod.key)))).reverse() : [],
+    files: useOptimized ? {} : await bundleFileUrls(model)
+  };
+};
+
+module.exports = {
+  parseOptimized,
+  serializeOptimized,
+  parseTextureVariants,
+  serializeTextures,
+  canViewFiles,
+  viewerSource
+};
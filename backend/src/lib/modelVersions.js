@@ -0,0 +1,102 @@
+const { detectFormat } = require('./formats');
+const { licenseId } = require('./licenses');
+
+// Every upload of a model's file is a numbered version. Version 1 keeps the
+// original/ folder it has always used; later versions get versions/<n>/ so
+// older files stay downloadable. The model row carries the latest version's
+// file fields, so everything that only cares about the current file reads
+// the model as before.
+
+// Models updated this recently get an "updated" badge
+const RECENT_UPDATE_DAYS = 30;
+
+// Storage folder (under the model's prefix) for a version's files
+const versionFolder = (number = 1) => (number > 1 ? `versions/${number}` : 'original');
+
+// The file fields a version row shares with the model row
+const versionFileFields = ({ fileUrl, fileSize, fileType, bundleFiles }) =>
+  ({ fileUrl, fileSize, fileType, bundleFiles: bundleFiles || null });
+
+// The model as it stood when `version` was its latest, for code (downloads,
+// conversions, bundles, the viewer) that works from a model's file fields.
+// Only the latest version has an optimized GLB.
+const modelAtVersion = (model, version) => ({
+  ...model,
+  ...versionFileFields(version),
+  // Versions from before licenses were kept per version go by the model's
+  ...(version.license
+    ? { license: version.license, licenseText: version.licenseText, attribution: version.attribution }
+    : {}),
+  optimized: version.number === model.latestVersion ? model.optimized : null,
+  latestVersion: version.number
+});
+
+// Models uploaded before versioning have no version rows; their current
+// file is version 1
+const listVersions = (model, versions = []) =>
+  versions.length > 0
+    ? [...versions].sort((a, b) => b.number - a.number)
+    : [{ number: 1, changelog: null, createdAt: model.createdAt, ...versionFileFields(model) }];
+
+const serializeVersions = (model, versions) =>
+  listVersions(model, versions).map(version => ({
+    number: version.number,
+    changelog: version.changelog,
+    createdAt: version.createdAt,
+    fileSize: version.fileSize,
+    format: detectFormat(version),
+    isBundle: Boolean(version.bundleFiles),
+    license: licenseId(version.license || model.license),
+    isCurrent: version.number === model.latestVersion
+  }));
+
+// Statistics compared between versions
+const COMPARED_STATS = ['triangleCount', 'vertexCount', 'meshCount', 'materialCount', 'textureCount', 'animationCount'];
+
+const round = (value) => Number(value.toFixed(6));
+
+const delta = (from, to) => ({
+  from,
+  to,
+  change: to - from,
+  // Relative change in percent; null when there was nothing before
+  percent: from ? Number((((to - from) / from) * 100).toFixed(1)) : null
+});
+
+const vectorDelta = (from, to) => ({ from, to, change: to.map((value, axis) => round(value - from[axis])) });
+
+/**
+ * What changed from version `a` to version `b`, given each as
+ * `{ version, metadata }` with serialized metadata. Statistic deltas are
+ * null when either version's file couldn't be parsed.
+ */
+const compareVersions = (a, b) => {
+  const stats = a.metadata && b.metadata
+    ? Object.fromEntries(COMPARED_STATS.map(key => [key, delta(a.metadata[key] || 0, b.metadata[key] || 0)]))
+    : null;
+  const bounds = a.metadata?.bounds && b.metadata?.bounds
+    ? Object.fromEntries(['min', 'max', 'size'].map(key => [key, vectorDelta(a.metadata.bounds[key], b.metadata.bounds[key])]))
+    : null;
+
+  return {
+    fileSize: delta(a.version.fileSize, b.version.fileSize),
+    formatChanged: detectFormat(a.version) !== detectFormat(b.version),
+    stats,
+    bounds
+  };
+};
+
+const isRecentlyUpdated = (model, now = Date.now()) =>
+  Boolean(model.versionedAt) &&
+  now - new Date(model.versionedAt).getTime() < RECENT_UPDATE_DAYS * 24 * 60 * 60 * 1000;
+
+module.exports = {
+  RECENT_UPDATE_DAYS,
+  versionFolder,
+  versionFileFields,
+  modelAtVersion,
+  listVersions,
+  serializeVersions,
+  compareVersions,
+  isRecentlyUpdated
+};
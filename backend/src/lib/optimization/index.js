@@ -0,0 +1,137 @@
+const { NodeIO, Logger } = require('@gltf-transform/core');
+const { ALL_EXTENSIONS, EXTTextureWebP } = require('@gltf-transform/extensions');
+const { dedup, prune, weld, simplify, meshopt } = require('@gltf-transform/functions');
+const { MeshoptEncoder, MeshoptDecoder, MeshoptSimplifier } = require('meshoptimizer');
+const { packGltf } = require('../conversion/glb');
+const { convertModel } = require('../conversion');
+
+// Web-ready derivatives of a model: a compressed GLB at full detail plus
+// simplified levels of detail for the viewer to show while it loads.
+//
+// Everything is written as GLB with EXT_meshopt_compression and quantized
+// attributes, which three.js and the other web engines decode natively.
+
+// Share of the triangles each level of detail keeps, most detailed first
+const LOD_RATIOS = [0.5, 0.2, 0.05];
+// Below this there is nothing worth simplifying
+const MIN_LOD_TRIANGLES = 2000;
+// A level that kept more than this share of the previous one's triangles hit
+// the simplifier's error limit and isn't worth storing
+const MIN_LOD_REDUCTION = 0.8;
+// Largest deviation a level may introduce, as a share of the mesh's size
+const LOD_ERROR = 0.02;
+
+let ioPromise = null;
+
+const getIO = () => {
+  if (!ioPromise) {
+    ioPromise = Promise.all([MeshoptEncoder.ready, MeshoptDecoder.ready, MeshoptSimplifier.ready])
+      .then(() => new NodeIO()
+        .setLogger(new Logger(Logger.Verbosity.WARN))
+        .registerExtensions(ALL_EXTENSIONS)
+        .registerDependencies({
+          'meshopt.encoder': MeshoptEncoder,
+          'meshopt.decoder': MeshoptDecoder
+        }));
+  }
+  return ioPromise;
+};
+
+const countTriangles = (document) => {
+  let triangles = 0;
+  for (const mesh of document.getRoot().listMeshes()) {
+    for (const primitive of mesh.listPrimitives()) {
+      if (primitive.getMode() !== 4) continue;
+      const indices = primitive.getIndices();
+      const position = primitive.getAttribute('POSITION');
+      triangles += Math.floor((indices ? indices.getCount() : position ? position.getCount() : 0) / 3);
+    }
+  }
+  return triangles;
+};
+
+// Skinned and morphing meshes don't survive simplification intact
+const isDeformable = (document) => {
+  const root = document.getRoot();
+  return root.listSkins().length > 0 || root.listMeshes().some(mesh =>
+    mesh.listPrimitives().some(primitive => primitive.listTargets().length > 0)
+  );
+};
+
+// Every source becomes GLB first: glTF is packed as-is, the mesh formats
+// go through the converter
+const toGlb = async (buffer, format, { resolveResource } = {}) => {
+  if (format === 'glb') return buffer;
+  if (format === 'gltf') return packGltf(buffer, { resolveResource });
+  const { buffer: glb } = await convertModel(buffer, format, 'glb', { resolveResource });
+  return glb;
+};
+
+// Swap images for their re-encoded WebP versions, keyed by image index
+const replaceTextures = (document, textureImages) => {
+  if (!textureImages || textureImages.size === 0) return;
+
+  const textures = document.getRoot().listTextures();
+  let replaced = false;
+  for (const [index, image] of textureImages) {
+    if (!textures[index]) continue;
+    textures[index].setImage(new Uint8Array(image.buffer, image.byteOffset, image.byteLength)).setMimeType('image/webp');
+    replaced = true;
+  }
+  if (replaced) {
+    document.createExtension(EXTTextureWebP).setRequired(true);
+  }
+};
+
+const compress = async (io, document) => {
+  await document.transform(meshopt({ encoder: MeshoptEncoder, level: 'medium' }));
+  return Buffer.from(await io.writeBinary(document));
+};
+
+/**
+ * Build the optimized variants of a model file. Resolves to
+ * `{ optimized, lods }` where `optimized` is `{ buffer, triangleCount }` and
+ * `lods` lists `{ buffer, ratio, triangleCount }` from most to least
+ * detailed (empty for small or animated meshes). For glTF sources,
+ * `textureImages` maps image indices to WebP replacements.
+ */
+const optimizeModel = async (buffer, format, { resolveResource, textureImages } = {}) => {
+  const io = await getIO();
+  const glb = await toGlb(buffer, format, { resolveResource });
+
+  // Each variant starts from a fresh read, as transforms edit in place
+  const read = async () => {
+    const document = await io.readBinary(new Uint8Array(glb.buffer, glb.byteOffset, glb.byteLength));
+    if (format === 'glb' || format === 'gltf') replaceTextures(document, textureImages);
+    await document.transform(dedup(), prune(), weld());
+    return document;
+  };
+
+  const base = await read();
+  const triangleCount = countTriangles(base);
+  const deformable = isDeformable(base);
+  const optimized = { buffer: await compress(io, base), triangleCount };
+
+  const lods = [];
+  if (deformable || triangleCount < MIN_LOD_TRIANGLES) {
+    return { optimized, lods };
+  }
+
+  let previousCount = triangleCount;
+  for (const ratio of LOD_RATIOS) {
+    const document = await read();
+    await document.transform(simplify({ simplifier: MeshoptSimplifier, ratio, error: LOD_ERROR }), prune());
+    const lodCount = countTriangles(document);
+    if (lodCount === 0 || lodCount > previousCount * MIN_LOD_REDUCTION) continue;
+
+    lods.push({ buffer: await compress(io, document), ratio, triangleCount: lodCount });
+    previousCount = lodCount;
+  }
+
+  return { optimized, lods };
+};
+
+module.exports = {
+  LOD_RATIOS,
+  optimizeModel
+};
@@ -0,0 +1,312 @@
+const { PrismaClient } = require('@prisma/client');
+const { getStorage, modelKey, createResourceResolver } = require('../storage');
+const { detectFormat, canParse, parseModelFile } = require('../formats');
+const {
+  metadataFields,
+  saveModelMetadata,
+  saveVersionMetadata,
+  parseVersionMetadata
+} = require('../modelMetadata');
+const { renderThumbnail } = require('../render/thumbnail');
+const { renderTurntable } = require('../render/turntable');
+const { parseTurntable } = require('../modelPreviews');
+const { parseOptimized, parseTextureVariants } = require('../modelVariants');
+const { optimizeModel } = require('../optimization');
+const { extractTextures, encodeTextureVariants, optimizedVariant } = require('../textures');
+const { enqueueJob } = require('../jobs');
+const { modelAtVersion } = require('../modelVersions');
+
+const prisma = new PrismaClient();
+
+// Matches the model only while it still has the file `model` was loaded
+// with. A new version can be uploaded while a job works on the old one,
+// and two jobs for the same model can run at once, so results are only
+// written through this.
+const sameFile = (model) => ({ id: model.id, fileUrl: model.fileUrl, latestVersion: model.latestVersion });
+
+const isCurrentFile = async (model) => (await prisma.model.count({ where: sameFile(model) })) > 0;
+
+const GENERATED_THUMBNAIL = /\/thumbnails\/generated\.\w+$/;
+
+// Whether the model's thumbnail was rendered here rather than uploaded
+const hasGeneratedThumbnail = (model) => GENERATED_THUMBNAIL.test(model.thumbnailUrl || '');
+
+// Render a thumbnail for a model whose creator didn't upload one. The
+// creator's upload can land while this renders, so the update only applies
+// while the model still has no thumbnail (and the same file).
+const generateThumbnail = async (model, result) => {
+  if (model.thumbnailUrl || !result.mesh) return null;
+
+  const thumbnail = await renderThumbnail(result, { format: process.env.THUMBNAIL_FORMAT });
+  const key = modelKey(model.id, 'thumbnails', `generated.${thumbnail.extension}`);
+  const storage = getStorage();
+  await storage.putObject(key, thumbnail.buffer, { contentType: thumbnail.contentType });
+
+  const { count } = await prisma.model.updateMany({
+    where: { ...sameFile(model), thumbnailUrl: null },
+    data: { thumbnailUrl: key, thumbnailWidth: thumbnail.width, thumbnailHeight: thumbnail.height }
+  });
+  if (count === 0) {
+    await storage.deleteObject(key);
+    return null;
+  }
+
+  return key;
+};
+
+// Render the turntable sprite sheet that model cards scrub through on hover.
+// Unlike the thumbnail this is always generated, replacing any earlier one.
+const generateTurntable = async (model, result) => {
+  if (!result.mesh) return null;
+
+  const turntable = await renderTurntable(result, {
+    frames: process.env.TURNTABLE_FRAMES,
+    format: process.env.THUMBNAIL_FORMAT
+  });
+  const key = modelKey(model.id, 'previews', `turntable-${Date.now()}.${turntable.extension}`);
+  const storage = getStorage();
+  await storage.putObject(key, turntable.buffer, { contentType: turntable.contentType });
+
+  const { buffer, contentType, extension, ...layout } = turntable;
+  const { count } = await prisma.model.updateMany({
+    where: sameFile(model),
+    data: { turntable: JSON.stringify({ key, ...layout }) }
+  });
+  if (count === 0) {
+    await storage.deleteObject(key);
+    return null;
+  }
+
+  const previous = parseTurntable(model.turntable);
+  if (previous) {
+    await storage.deleteObject(previous.key);
+  }
+
+  return key;
+};
+
+// Record the model's textures and store WebP re-encodes of each, replacing
+// any earlier set. Resolves to a Map of glTF image index to the WebP the
+// optimized GLB should embed.
+const generateTextureVariants = async (model, buffer, result) => {
+  const textures = await extractTextures(buffer, result, {
+    resolveResource: createResourceResolver(model.fileUrl)
+  });
+
+  const storage = getStorage();
+  const dir = modelKey(model.id, 'textures', String(Date.now()));
+  const replacements = new Map();
+  const rows = [];
+
+  for (const { data, ...texture } of textures) {
+    let variants = [];
+    if (data) {
+      try {
+        variants = await encodeTextureVariants(data);
+      } catch (error) {
+        // KTX2 and the like can't be decoded here; keep the record anyway
+        console.warn(`Encode texture ${texture.name} of model ${model.id} failed:`, error.message);
+      }
+    }
+
+    const records = [];
+    for (const variant of variants) {
+      const key = `${dir}/${texture.index}-${variant.maxSize || 'full'}.webp`;
+      await storage.putObject(key, variant.buffer, { contentType: 'image/webp' });
+      records.push({
+        key,
+        width: variant.width,
+        height: variant.height,
+        size: variant.buffer.length,
+        maxSize: variant.maxSize
+      });
+    }
+
+    const embedded = optimizedVariant(variants);
+    if (embedded && (result.format === 'glb' || result.format === 'gltf')) {
+      replacements.set(texture.index, embedded.buffer);
+    }
+    rows.push({ ...texture, modelId: model.id, variants: JSON.stringify(records) });
+  }
+
+  if (!(await isCurrentFile(model))) {
+    await storage.deletePrefix(`${dir}/`);
+    return new Map();
+  }
+
+  const previous = await prisma.modelTexture.findMany({ where: { modelId: model.id } });
+  await prisma.$transaction([
+    prisma.modelTexture.deleteMany({ where: { modelId: model.id } }),
+    ...rows.map(data => prisma.modelTexture.create({ data }))
+  ]);
+
+  const previousDirs = new Set(previous.flatMap(texture =>
+    parseTextureVariants(texture.variants).map(variant => variant.key.slice(0, variant.key.lastIndexOf('/')))
+  ));
+  for (const previousDir of previousDirs) {
+    if (previousDir !== dir) await storage.deletePrefix(`${previousDir}/`);
+  }
+
+  return replacements;
+};
+
+// Store the compressed GLB and its levels of detail next to the original,
+// replacing any earlier set. `textureImages` swaps in re-encoded textures.
+const generateOptimizedVariants = async (model, buffer, format, { textureImages } = {}) => {
+  const previous = parseOptimized(model.optimized);
+  const { optimized, lods } = await optimizeModel(buffer, format, {
+    resolveResource: createResourceResolver(model.fileUrl),
+    textureImages
+  });
+
+  const storage = getStorage();
+  const dir = modelKey(model.id, 'optimized', String(Date.now()));
+  const contentType = 'model/gltf-binary';
+  const optimizedKey = `${dir}/optimized.glb`;
+  await storage.putObject(optimizedKey, optimized.buffer, { contentType });
+
+  const lodRecords = [];
+  for (const [index, lod] of lods.entries()) {
+    const key = `${dir}/lod${index + 1}.glb`;
+    await storage.putObject(key, lod.buffer, { contentType });
+    lodRecords.push({ key, size: lod.buffer.length, ratio: lod.ratio, triangleCount: lod.triangleCount });
+  }
+
+  const { count } = await prisma.model.updateMany({
+    where: sameFile(model),
+    data: {
+      optimized: JSON.stringify({
+        key: optimizedKey,
+        size: optimized.buffer.length,
+        triangleCount: optimized.triangleCount,
+        lods: lodRecords
+      })
+    }
+  });
+  if (count === 0) {
+    await storage.deletePrefix(`${dir}/`);
+    return null;
+  }
+
+  if (previous) {
+    await storage.deletePrefix(`${previous.key.slice(0, previous.key.lastIndexOf('/'))}/`);
+  }
+
+  return optimizedKey;
+};
+
+/**
+ * Run the post-upload processing for a model: parse the stored file, record
+ * its geometry statistics, render a thumbnail if it has none, render its
+ * turntable, re-encode its textures and build the optimized GLB and levels
+ * of detail. Formats without a parser are skipped. Results for a file
+ * the model no longer has are thrown away.
+ */
+const processModel = async (modelId) => {
+  const model = await prisma.model.findUnique({ where: { id: modelId } });
+  if (!model || !model.fileUrl) return null;
+
+  const format = detectFormat(model);
+  if (!canParse(format)) return null;
+
+  const buffer = await getStorage().getObject(model.fileUrl);
+  const result = await parseModelFile(buffer, format, {
+    resolveResource: createResourceResolver(model.fileUrl)
+  });
+
+  if (!(await isCurrentFile(model))) return null;
+
+  await saveModelMetadata(model.id, result);
+  await saveVersionMetadata(model.id, model.latestVersion, result);
+
+  // A failed render shouldn't throw away the metadata
+  try {
+    await generateThumbnail(model, result);
+    await generateTurntable(model, result);
+  } catch (error) {
+    console.error(`Render previews for model ${model.id} error:`, error);
+  }
+
+  let textureImages = new Map();
+  try {
+    textureImages = await generateTextureVariants(model, buffer, result);
+  } catch (error) {
+    console.error(`Texture variants for model ${model.id} error:`, error);
+  }
+
+  try {
+    await generateOptimizedVariants(model, buffer, format, { textureImages });
+  } catch (error) {
+    console.error(`Optimize model ${model.id} error:`, error);
+  }
+
+  return result;
+};
+
+/**
+ * The statistics of one version of a model, shaped like a ModelMetadata
+ * row. Versions processed before statistics were kept per version are
+ * parsed on first request and stored. Resolves to null for formats without
+ * a parser.
+ */
+const getVersionMetadata = async (model, version) => {
+  const stored = parseVersionMetadata(version);
+  if (stored) return stored;
+
+  const source = modelAtVersion(model, version);
+  const format = detectFormat(source);
+  if (!source.fileUrl || !canParse(format)) return null;
+
+  const buffer = await getStorage().getObject(source.fileUrl);
+  const result = await parseModelFile(buffer, format, {
+    resolveResource: createResourceResolver(source.fileUrl)
+  });
+  await saveVersionMetadata(model.id, version.number, result);
+  return metadataFields(result);
+};
+
+const PROCESS_MODEL_JOB = 'process-model';
+
+// updateMany so a model deleted while its job waited doesn't throw
+const setProcessingStatus = (modelId, processingStatus, processingError = null) =>
+  prisma.model.updateMany({
+    where: { id: modelId },
+    data: { processingStatus, processingError }
+  });
+
+// Queue processing for the worker so it doesn't hold up the upload response
+const queueModelProcessing = async (modelId) => {
+  await setProcessingStatus(modelId, 'QUEUED');
+  return enqueueJob(PROCESS_MODEL_JOB, { modelId });
+};
+
+// Worker handler for PROCESS_MODEL_JOB. A failed attempt leaves the model
+// QUEUED for the retry.
+const runProcessModelJob = async ({ modelId }) => {
+  await setProcessingStatus(modelId, 'PROCESSING');
+  try {
+    await processModel(modelId);
+  } catch (error) {
+    await setProcessingStatus(modelId, 'QUEUED', error.message);
+    throw error;
+  }
+  await setProcessingStatus(modelId, 'READY');
+};
+
+// Called once the job has used up its attempts
+const failModelProcessing = ({ modelId }, error) =>
+  setProcessingStatus(modelId, 'FAILED', error.message);
+
+module.exports = {
+  hasGeneratedThumbnail,
+  generateThumbnail,
+  generateTurntable,
+  generateTextureVariants,
+  generateOptimizedVariants,
+  processModel,
+  getVersionMetadata,
+  PROCESS_MODEL_JOB,
+  queueModelProcessing,
+  runProcessModelJob,
+  failModelProcessing
+};
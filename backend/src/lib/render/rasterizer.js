@@ -0,0 +1,213 @@
+// A small CPU software rasterizer for rendering model previews on servers
+// without a GPU. It draws the triangle mesh the format parsers produce with
+// a perspective camera, a depth buffer and flat-shaded studio lighting.
+
+// Three-quarter view, the angle thumbnails use and turntables start from
+const DEFAULT_YAW = -Math.PI / 5;
+
+const DEFAULTS = {
+  width: 512,
+  height: 512,
+  yaw: DEFAULT_YAW,
+  pitch: Math.PI / 9,
+  fov: Math.PI / 6,
+  upAxis: 'y',
+  color: [0.52, 0.57, 0.65],
+  background: [[248, 250, 252], [226, 232, 240]]
+};
+
+// Light directions in view space (x right, y up, z towards the camera)
+const normalize = ([x, y, z]) => {
+  const length = Math.hypot(x, y, z) || 1;
+  return [x / length, y / length, z / length];
+};
+
+const KEY_LIGHT = normalize([-0.55, 0.7, 0.45]);
+const FILL_LIGHT = normalize([0.7, 0.1, 0.5]);
+const RIM_LIGHT = normalize([0.2, 0.4, -0.9]);
+
+const toSrgb = (linear) => {
+  const value = linear <= 0.0031308 ? linear * 12.92 : 1.055 * Math.pow(linear, 1 / 2.4) - 0.055;
+  return Math.max(0, Math.min(255, Math.round(value * 255)));
+};
+
+const fillBackground = (pixels, width, height, [top, bottom]) => {
+  for (let y = 0; y < height; y++) {
+    const t = height > 1 ? y / (height - 1) : 0;
+    const r = Math.round(top[0] + (bottom[0] - top[0]) * t);
+    const g = Math.round(top[1] + (bottom[1] - top[1]) * t);
+    const b = Math.round(top[2] + (bottom[2] - top[2]) * t);
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      pixels[offset] = r;
+      pixels[offset + 1] = g;
+      pixels[offset + 2] = b;
+      pixels[offset + 3] = 255;
+    }
+  }
+};
+
+// Move the mesh into camera space: re-orient Z-up files to Y-up, centre it,
+// spin it by `yaw`, tilt it by `pitch` and push it in front of the camera
+const transformVertices = (positions, { upAxis, yaw, pitch, fov }) => {
+  const count = positions.length / 3;
+  const oriented = new Float32Array(positions.length);
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  for (let i = 0; i < count; i++) {
+    const x = positions[i * 3];
+    const y = upAxis === 'z' ? positions[i * 3 + 2] : positions[i * 3 + 1];
+    const z = upAxis === 'z' ? -positions[i * 3 + 1] : positions[i * 3 + 2];
+    oriented[i * 3] = x;
+    oriented[i * 3 + 1] = y;
+    oriented[i * 3 + 2] = z;
+    if (x < min[0]) min[0] = x;
+    if (y < min[1]) min[1] = y;
+    if (z < min[2]) min[2] = z;
+    if (x > max[0]) max[0] = x;
+    if (y > max[1]) max[1] = y;
+    if (z > max[2]) max[2] = z;
+  }
+
+  const center = min.map((value, axis) => (value + max[axis]) / 2);
+  const radius = Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) / 2 || 1;
+  // Far enough back that the bounding sphere fits the field of view
+  const distance = radius / Math.sin(fov / 2) * 1.02;
+
+  const cosYaw = Math.cos(yaw);
+  const sinYaw = Math.sin(yaw);
+  const cosPitch = Math.cos(pitch);
+  const sinPitch = Math.sin(pitch);
+  const view = new Float32Array(positions.length);
+
+  for (let i = 0; i < count; i++) {
+    const x = oriented[i * 3] - center[0];
+    const y = oriented[i * 3 + 1] - center[1];
+    const z = oriented[i * 3 + 2] - center[2];
+    // Yaw about the vertical axis, then pitch about the horizontal one so the
+    // camera looks down on the model
+    const x1 = x * cosYaw + z * sinYaw;
+    const z1 = -x * sinYaw + z * cosYaw;
+    const y2 = y * cosPitch - z1 * sinPitch;
+    const z2 = y * sinPitch + z1 * cosPitch;
+    view[i * 3] = x1;
+    view[i * 3 + 1] = y2;
+    view[i * 3 + 2] = z2 - distance;
+  }
+
+  return view;
+};
+
+const shade = (normal, color) => {
+  const key = Math.max(0, normal[0] * KEY_LIGHT[0] + normal[1] * KEY_LIGHT[1] + normal[2] * KEY_LIGHT[2]);
+  const fill = Math.max(0, normal[0] * FILL_LIGHT[0] + normal[1] * FILL_LIGHT[1] + normal[2] * FILL_LIGHT[2]);
+  const rim = Math.max(0, normal[0] * RIM_LIGHT[0] + normal[1] * RIM_LIGHT[1] + normal[2] * RIM_LIGHT[2]);
+  // Cheap hemisphere ambient: surfaces facing up catch more sky
+  const ambient = 0.12 + 0.06 * normal[1];
+  const intensity = ambient + 0.95 * key + 0.3 * fill + 0.25 * rim;
+  return color.map(channel => toSrgb(Math.min(1, channel * intensity)));
+};
+
+/**
+ * Render a mesh (`{ positions, indices }`) to an RGBA pixel buffer.
+ * Returns `{ width, height, data }` where `data` is a Uint8Array of
+ * width * height * 4 bytes.
+ *
+ * Options: `width`, `height`, `yaw` and `pitch` (radians), `fov`, `upAxis`
+ * ('y' or 'z'), `color` (linear RGB 0-1) and `background` (top and bottom
+ * sRGB colours of the backdrop gradient).
+ */
+const renderMesh = (mesh, options = {}) => {
+  const settings = { ...DEFAULTS, ...options };
+  const { width, height, color } = settings;
+  const pixels = new Uint8Array(width * height * 4);
+  fillBackground(pixels, width, height, settings.background);
+
+  if (!mesh || mesh.positions.length < 9 || mesh.indices.length < 3) {
+    return { width, height, data: pixels };
+  }
+
+  const view = transformVertices(mesh.positions, settings);
+  const vertexCount = view.length / 3;
+  const focal = 1 / Math.tan(settings.fov / 2);
+  const scale = Math.min(width, height) / 2;
+
+  // Screen position and 1/depth of every vertex
+  const screenX = new Float32Array(vertexCount);
+  const screenY = new Float32Array(vertexCount);
+  const inverseDepth = new Float32Array(vertexCount);
+  for (let i = 0; i < vertexCount; i++) {
+    const depth = -view[i * 3 + 2];
+    inverseDepth[i] = depth > 1e-6 ? 1 / depth : 0;
+    screenX[i] = width / 2 + view[i * 3] * focal * inverseDepth[i] * scale;
+    screenY[i] = height / 2 - view[i * 3 + 1] * focal * inverseDepth[i] * scale;
+  }
+
+  // Larger 1/depth is closer to the camera
+  const depthBuffer = new Float32Array(width * height);
+  const { indices } = mesh;
+
+  for (let t = 0; t + 2 < indices.length; t += 3) {
+    const a = indices[t];
+    const b = indices[t + 1];
+    const c = indices[t + 2];
+    if (!inverseDepth[a] || !inverseDepth[b] || !inverseDepth[c]) continue;
+
+    // Face normal in view space. Winding can't be trusted across formats,
+    // so faces are lit from whichever side faces the camera.
+    const ux = view[b * 3] - view[a * 3];
+    const uy = view[b * 3 + 1] - view[a * 3 + 1];
+    const uz = view[b * 3 + 2] - view[a * 3 + 2];
+    const vx = view[c * 3] - view[a * 3];
+    const vy = view[c * 3 + 1] - view[a * 3 + 1];
+    const vz = view[c * 3 + 2] - view[a * 3 + 2];
+    let normal = normalize([uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx]);
+    const toCamera = [-view[a * 3], -view[a * 3 + 1], -view[a * 3 + 2]];
+    if (normal[0] * toCamera[0] + normal[1] * toCamera[1] + normal[2] * toCamera[2] < 0) {
+      normal = normal.map(value => -value);
+    }
+    const [r, g, bl] = shade(normal, color);
+
+    const x0 = screenX[a], y0 = screenY[a];
+    const x1 = screenX[b], y1 = screenY[b];
+    const x2 = screenX[c], y2 = screenY[c];
+    const area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+    if (Math.abs(area) < 1e-12) continue;
+
+    const minX = Math.max(0, Math.floor(Math.min(x0, x1, x2)));
+    const maxX = Math.min(width - 1, Math.ceil(Math.max(x0, x1, x2)));
+    const minY = Math.max(0, Math.floor(Math.min(y0, y1, y2)));
+    const maxY = Math.min(height - 1, Math.ceil(Math.max(y0, y1, y2)));
+
+    for (let y = minY; y <= maxY; y++) {
+      const py = y + 0.5;
+      for (let x = minX; x <= maxX; x++) {
+        const px = x + 0.5;
+        // Barycentric weights from the edge functions
+        const w0 = ((x1 - px) * (y2 - py) - (x2 - px) * (y1 - py)) / area;
+        const w1 = ((x2 - px) * (y0 - py) - (x0 - px) * (y2 - py)) / area;
+        const w2 = 1 - w0 - w1;
+        if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+        const depth = w0 * inverseDepth[a] + w1 * inverseDepth[b] + w2 * inverseDepth[c];
+        const index = y * width + x;
+        if (depth <= depthBuffer[index]) continue;
+        depthBuffer[index] = depth;
+
+        const offset = index * 4;
+        pixels[offset] = r;
+        pixels[offset + 1] = g;
+        pixels[offset + 2] = bl;
+        pixels[offset + 3] = 255;
+      }
+    }
+  }
+
+  return { width, height, data: pixels };
+};
+
+module.exports = {
+  DEFAULT_YAW,
+  renderMesh
+};
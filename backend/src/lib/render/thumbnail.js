@@ -0,0 +1,55 @@
+const sharp = require('sharp');
+const { renderMesh } = require('./rasterizer');
+const { upAxisFor } = require('../formats/mesh');
+
+const THUMBNAIL_SIZE = 512;
+// Rendered at twice the size and scaled down, which smooths the edges
+const SUPERSAMPLE = 2;
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// Encode a rendered RGBA buffer, scaled to `width` x `height`
+const encodeImage = (image, { width, height, format }) => {
+  const pipeline = sharp(Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length), {
+    raw: { width: image.width, height: image.height, channels: 4 }
+  }).resize(width, height);
+
+  return format === 'png'
+    ? pipeline.png().toBuffer()
+    : pipeline.webp({ quality: 85 }).toBuffer();
+};
+
+/**
+ * Render a still of a parsed model for use as its thumbnail. Resolves to
+ * `{ buffer, contentType, extension, width, height }`.
+ */
+const renderThumbnail = async ({ mesh, format: modelFormat }, options = {}) => {
+  const size = options.size || THUMBNAIL_SIZE;
+  const format = CONTENT_TYPES[options.format] ? options.format : 'webp';
+
+  const image = renderMesh(mesh, {
+    width: size * SUPERSAMPLE,
+    height: size * SUPERSAMPLE,
+    upAxis: upAxisFor(modelFormat),
+    ...(options.yaw !== undefined && { yaw: options.yaw })
+  });
+
+  return {
+    buffer: await encodeImage(image, { width: size, height: size, format }),
+    contentType: CONTENT_TYPES[format],
+    extension: format,
+    width: size,
+    height: size
+  };
+};
+
+module.exports = {
+  THUMBNAIL_SIZE,
+  SUPERSAMPLE,
+  CONTENT_TYPES,
+  encodeImage,
+  renderThumbnail
+};
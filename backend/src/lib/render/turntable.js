@@ -0,0 +1,73 @@
+const { DEFAULT_YAW, renderMesh } = require('./rasterizer');
+const { SUPERSAMPLE, CONTENT_TYPES, encodeImage } = require('./thumbnail');
+const { upAxisFor } = require('../formats/mesh');
+
+// Model cards are 16:9, so the frames are too
+const FRAME_WIDTH = 384;
+const FRAME_HEIGHT = 216;
+const COLUMNS = 8;
+const MIN_FRAMES = 24;
+const MAX_FRAMES = 36;
+const DEFAULT_FRAMES = 32;
+
+const clampFrames = (frames) => {
+  const value = parseInt(frames);
+  if (isNaN(value)) return DEFAULT_FRAMES;
+  return Math.min(MAX_FRAMES, Math.max(MIN_FRAMES, value));
+};
+
+/**
+ * Render a full turn of a parsed model into one sprite sheet: `frames`
+ * evenly spaced angles laid out left to right, top to bottom, `columns` per
+ * row. Resolves to the encoded image plus the layout needed to play it back.
+ */
+const renderTurntable = async ({ mesh, format: modelFormat }, options = {}) => {
+  const frames = clampFrames(options.frames);
+  const format = CONTENT_TYPES[options.format] ? options.format : 'webp';
+  const columns = Math.min(COLUMNS, frames);
+  const rows = Math.ceil(frames / columns);
+  const frameWidth = FRAME_WIDTH * SUPERSAMPLE;
+  const frameHeight = FRAME_HEIGHT * SUPERSAMPLE;
+  const sheetWidth = columns * frameWidth;
+  const sheet = new Uint8Array(sheetWidth * rows * frameHeight * 4);
+
+  for (let frame = 0; frame < frames; frame++) {
+    const image = renderMesh(mesh, {
+      width: frameWidth,
+      height: frameHeight,
+      upAxis: upAxisFor(modelFormat),
+      yaw: DEFAULT_YAW + (frame / frames) * Math.PI * 2
+    });
+
+    const left = (frame % columns) * frameWidth;
+    const top = Math.floor(frame / columns) * frameHeight;
+    const rowBytes = frameWidth * 4;
+    for (let y = 0; y < frameHeight; y++) {
+      sheet.set(
+        image.data.subarray(y * rowBytes, (y + 1) * rowBytes),
+        ((top + y) * sheetWidth + left) * 4
+      );
+    }
+  }
+
+  const buffer = await encodeImage(
+    { width: sheetWidth, height: rows * frameHeight, data: sheet },
+    { width: columns * FRAME_WIDTH, height: rows * FRAME_HEIGHT, format }
+  );
+
+  return {
+    buffer,
+    contentType: CONTENT_TYPES[format],
+    extension: format,
+    frames,
+    columns,
+    frameWidth: FRAME_WIDTH,
+    frameHeight: FRAME_HEIGHT
+  };
+};
+
+module.exports = {
+  MIN_FRAMES,
+  MAX_FRAMES,
+  renderTurntable
+};
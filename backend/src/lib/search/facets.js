@@ -0,0 +1,93 @@
+// Search results can be narrowed by facet. Each facet's counts are taken
+// over the results with every other facet's filter applied but not its own,
+// so picking one category still shows how many results the others have.
+
+const { licenseId, allowsCommercialUse } = require('../licenses');
+
+// Triangle count buckets, as [key, min, max)
+const POLY_RANGES = [
+  ['under-1k', 0, 1000],
+  ['1k-10k', 1000, 10000],
+  ['10k-100k', 10000, 100000],
+  ['100k-1m', 100000, 1000000],
+  ['over-1m', 1000000, Infinity]
+];
+
+const polyRange = (triangleCount) =>
+  POLY_RANGES.find(([, min, max]) => triangleCount >= min && triangleCount < max)[0];
+
+// Each facet's value for a model, or null when it has none
+const FACETS = {
+  category: model => model.category,
+  format: model => model.metadata?.format || null,
+  license: model => licenseId(model.license),
+  // Whether the license allows commercial use; models without one don't
+  commercial: model => (allowsCommercialUse(model.license) ? 'yes' : 'no'),
+  price: model => (model.isFree ? 'free' : 'paid'),
+  polys: model => (model.metadata ? polyRange(model.metadata.triangleCount) : null)
+};
+
+// Fields a model needs loaded for its facets
+const facetSelect = {
+  category: true,
+  license: true,
+  isFree: true,
+  metadata: {
+    select: {
+      format: true,
+      triangleCount: true
+    }
+  }
+};
+
+/**
+ * Facet filters from a query string: each facet may be given once or more,
+ * or as a comma-separated list, and matches any of its values.
+ */
+const parseFacetFilters = (query) => {
+  const filters = {};
+  for (const facet of Object.keys(FACETS)) {
+    if (query[facet] === undefined) continue;
+    const values = [].concat(query[facet])
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim().toLowerCase())
+      .filter(Boolean);
+    if (values.length > 0) filters[facet] = values;
+  }
+  return filters;
+};
+
+// Whether `model` passes every filter but the `except` facet's
+const matchesFilters = (model, filters, except = null) =>
+  Object.entries(filters).every(([facet, values]) =>
+    facet === except || values.includes(FACETS[facet](model)));
+
+const rangeOrder = POLY_RANGES.map(([key]) => key);
+
+/**
+ * Counts for every facet's values among `models`, as
+ * `{ [facet]: [{ value, count }] }` with the most common values first
+ * (poly ranges smallest first).
+ */
+const countFacets = (models, filters) =>
+  Object.fromEntries(Object.entries(FACETS).map(([facet, valueOf]) => {
+    const counts = new Map();
+    for (const model of models) {
+      const value = valueOf(model);
+      if (value === null || !matchesFilters(model, filters, facet)) continue;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    const values = [...counts].map(([value, count]) => ({ value, count }));
+    values.sort(facet === 'polys'
+      ? (a, b) => rangeOrder.indexOf(a.value) - rangeOrder.indexOf(b.value)
+      : (a, b) => b.count - a.count);
+    return [facet, values];
+  }));
+
+module.exports = {
+  POLY_RANGES,
+  facetSelect,
+  parseFacetFilters,
+  matchesFilters,
+  countFacets
+};
@@ -0,0 +1,262 @@
+const { PrismaClient } = require('@prisma/client');
+const { enqueueJob } = require('../jobs');
+const { tokenize } = require('./tokenize');
+
+const prisma = new PrismaClient();
+
+// Model search runs on our own inverted index (the search_terms table)
+// rather than the database's text search, so it behaves the same on SQLite
+// and Postgres. Every model's title, tags, category, creator and
+// description are split into terms; a query's terms are looked up exactly,
+// as typo-tolerant near misses and, for the last one, as a prefix of
+// longer terms, and matches are ranked with a BM25-style score.
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2.5,
+  category: 1.5,
+  creator: 1.5,
+  description: 1
+};
+
+// How much a term found by prefix or with typos counts against an exact one
+const PREFIX_WEIGHT = 0.8;
+const FUZZY_WEIGHTS = [1, 0.6, 0.4];
+// Longest prefix expansion, list of typo candidates and result list considered
+const MAX_PREFIX_TERMS = 50;
+const MAX_FUZZY_CANDIDATES = 1000;
+const MAX_RESULTS = 500;
+
+const REINDEX_SEARCH_JOB = 'reindex-search';
+const REINDEX_BATCH_SIZE = 100;
+
+// Terms starting with `prefix`, as a range the term index can serve
+// (`startsWith` becomes a LIKE, which SQLite won't use an index for)
+const prefixRange = (prefix) => ({ gte: prefix, lt: `${prefix}\uffff` });
+
+// Typos tolerated in a term of `length` characters
+const maxTypos = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+// Edit distance with adjacent transpositions, giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// The searchable text of a model, by field
+const modelFields = (model) => ({
+  title: model.title,
+  // Aliases too, so "scifi" finds models tagged "sci-fi"
+  tags: model.modelTags
+    .flatMap(({ tag }) => [tag.name, ...tag.aliases.map(alias => alias.slug)])
+    .join(' '),
+  category: model.category,
+  creator: model.creator?.username,
+  description: model.description
+});
+
+// Index rows for a model: each term of each field with its frequency
+const termRows = (model) => {
+  const rows = new Map();
+  for (const [field, text] of Object.entries(modelFields(model))) {
+    for (const term of tokenize(text)) {
+      const key = `${field}:${term}`;
+      const row = rows.get(key) || { term, length: term.length, field, frequency: 0, modelId: model.id };
+      row.frequency += 1;
+      rows.set(key, row);
+    }
+  }
+  return [...rows.values()];
+};
+
+/**
+ * (Re)index a model's text. Call after anything that changes its title,
+ * tags, category or description; deleted models drop out of the index
+ * with their rows.
+ */
+const indexModel = async (modelId) => {
+  const model = await prisma.model.findUnique({
+    where: { id: modelId },
+    include: {
+      creator: { select: { username: true } },
+      modelTags: { include: { tag: { include: { aliases: true } } } }
+    }
+  });
+  if (!model) return;
+
+  await prisma.$transaction([
+    prisma.searchTerm.deleteMany({ where: { modelId } }),
+    ...termRows(model).map(data => prisma.searchTerm.create({ data }))
+  ]);
+};
+
+// Reindex every model, a batch at a time
+const reindexAllModels = async () => {
+  let count = 0;
+  let cursor;
+  for (;;) {
+    const batch = await prisma.model.findMany({
+      select: { id: true },
+      orderBy: { id: 'asc' },
+      take: REINDEX_BATCH_SIZE,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+    });
+    for (const { id } of batch) {
+      await indexModel(id);
+    }
+    count += batch.length;
+    if (batch.length < REINDEX_BATCH_SIZE) return count;
+    cursor = batch[batch.length - 1].id;
+  }
+};
+
+// Worker handler for REINDEX_SEARCH_JOB
+const runReindexSearchJob = async () => {
+  const count = await reindexAllModels();
+  console.log(`Search index rebuilt for ${count} models`);
+};
+
+// Queue a full reindex when there are models but no index yet, as after
+// upgrading a database from before search was indexed, or when the index
+// is from before term lengths were stored (terms are never empty)
+const ensureSearchIndex = async () => {
+  const [indexed, outdated, queued] = await Promise.all([
+    prisma.searchTerm.findFirst({ select: { id: true } }),
+    prisma.searchTerm.findFirst({ where: { length: 0 }, select: { id: true } }),
+    prisma.job.findFirst({ where: { type: REINDEX_SEARCH_JOB, status: { in: ['QUEUED', 'RUNNING'] } } })
+  ]);
+  if ((indexed && !outdated) || queued) return;
+
+  if (await prisma.model.count() > 0) {
+    await enqueueJob(REINDEX_SEARCH_JOB, {}, { maxAttempts: 3 });
+  }
+};
+
+/**
+ * The indexed terms a query term stands for, each with how much a match on
+ * it counts: the term itself, near misses within maxTypos and, with
+ * `prefix`, longer terms it starts.
+ */
+const expandTerm = async (term, prefix) => {
+  const expansions = new Map([[term, 1]]);
+
+  if (prefix) {
+    const completions = await prisma.searchTerm.findMany({
+      where: { term: { ...prefixRange(term), not: term } },
+      distinct: ['term'],
+      select: { term: true },
+      take: MAX_PREFIX_TERMS
+    });
+    for (const completion of completions) {
+      expansions.set(completion.term, PREFIX_WEIGHT * (0.5 + 0.5 * term.length / completion.term.length));
+    }
+  }
+
+  const max = maxTypos(term.length);
+  if (max > 0) {
+    // Only terms within `max` characters of its length can be near misses.
+    // Typos in the first letter are rare enough not to search for.
+    const lengths = Array.from({ length: 2 * max + 1 }, (_, i) => term.length - max + i);
+    const vocabulary = await prisma.searchTerm.findMany({
+      where: { length: { in: lengths }, term: prefixRange(term[0]) },
+      distinct: ['term'],
+      select: { term: true },
+      take: MAX_FUZZY_CANDIDATES
+    });
+    for (const candidate of vocabulary) {
+      if (expansions.has(candidate.term)) continue;
+      const distance = editDistance(term, candidate.term, max);
+      if (distance <= max) expansions.set(candidate.term, FUZZY_WEIGHTS[distance]);
+    }
+  }
+
+  return expansions;
+};
+
+// Term frequency saturation as in BM25
+const tfWeight = (frequency) => (frequency * 2.2) / (frequency + 1.2);
+
+/**
+ * Models matching `query`, best first, as `{ modelId, score, matched }`
+ * where `matched` is how many of the query's terms the model matched.
+ * Models matching more terms rank above better scores on fewer. Private
+ * models are included; callers filter.
+ */
+const matchModels = async (query) => {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  const total = Math.max(await prisma.model.count(), 1);
+  const results = new Map();
+
+  for (const [i, term] of terms.entries()) {
+    const expansions = await expandTerm(term, i === terms.length - 1);
+    const postings = await prisma.searchTerm.findMany({
+      where: { term: { in: [...expansions.keys()] } },
+      select: { term: true, field: true, frequency: true, modelId: true }
+    });
+
+    // How many models each expanded term occurs in
+    const modelsByTerm = new Map();
+    for (const { term: found, modelId } of postings) {
+      if (!modelsByTerm.has(found)) modelsByTerm.set(found, new Set());
+      modelsByTerm.get(found).add(modelId);
+    }
+
+    // Score each model on each expanded term, keeping its best one
+    const termScores = new Map();
+    for (const { term: found, field, frequency, modelId } of postings) {
+      const df = modelsByTerm.get(found).size;
+      const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+      const key = `${modelId}:${found}`;
+      termScores.set(key, (termScores.get(key) || 0) +
+        FIELD_WEIGHTS[field] * tfWeight(frequency) * idf * expansions.get(found));
+    }
+    const best = new Map();
+    for (const [key, score] of termScores) {
+      const modelId = key.slice(0, key.lastIndexOf(':'));
+      best.set(modelId, Math.max(best.get(modelId) || 0, score));
+    }
+
+    for (const [modelId, score] of best) {
+      const result = results.get(modelId) || { modelId, score: 0, matched: 0 };
+      result.score += score;
+      result.matched += 1;
+      results.set(modelId, result);
+    }
+  }
+
+  return [...results.values()]
+    .sort((a, b) => b.matched - a.matched || b.score - a.score)
+    .slice(0, MAX_RESULTS);
+};
+
+module.exports = {
+  REINDEX_SEARCH_JOB,
+  prefixRange,
+  editDistance,
+  indexModel,
+  reindexAllModels,
+  runReindexSearchJob,
+  ensureSearchIndex,
+  matchModels
+};
@@ -0,0 +1,116 @@
+const { tokenize } = require('./tokenize');
+
+// An in-memory search_terms table for the queries matchModels makes
+const mockTerms = [];
+
+const mockMatches = (value, condition) => {
+  if (condition === null || typeof condition !== 'object') return value === condition;
+  return (condition.in === undefined || condition.in.includes(value)) &&
+    (condition.gte === undefined || value >= condition.gte) &&
+    (condition.lt === undefined || value < condition.lt) &&
+    (condition.not === undefined || value !== condition.not);
+};
+
+const mockFindTerms = jest.fn(async ({ where, distinct, take }) => {
+  let rows = mockTerms.filter(row => Object.entries(where).every(([key, condition]) => mockMatches(row[key], condition)));
+  if (distinct) rows = rows.filter((row, i) => rows.findIndex(other => other.term === row.term) === i);
+  return take === undefined ? rows : rows.slice(0, take);
+});
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: class {
+    constructor() {
+      this.model = { count: async () => 100 };
+      this.searchTerm = { findMany: mockFindTerms };
+    }
+  }
+}));
+
+const { editDistance, matchModels } = require('./index');
+
+// Index `fields` of a model the way indexModel does
+const index = (modelId, fields) => {
+  for (const [field, text] of Object.entries(fields)) {
+    const counts = new Map();
+    tokenize(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    for (const [term, frequency] of counts) {
+      mockTerms.push({ term, length: term.length, field, frequency, modelId });
+    }
+  }
+};
+
+const ids = (results) => results.map(result => result.modelId);
+
+beforeEach(() => {
+  mockTerms.length = 0;
+  mockFindTerms.mockClear();
+  index('title-dragon', { title: 'Red Dragon', description: 'A model' });
+  index('description-dragon', { title: 'Castle', description: 'Guarded by dragons' });
+  index('knight', { title: 'Knight', tags: 'castle medieval', description: 'Steel armour' });
+  index('dragonfly', { title: 'Dragonfly', description: 'An insect' });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions, substitutions and transpositions', () => {
+    expect(editDistance('kitten', 'sitting', 3)).toBe(3);
+    expect(editDistance('dargon', 'dragon', 2)).toBe(1);
+    expect(editDistance('dragon', 'dragon', 0)).toBe(0);
+  });
+
+  it('gives up past max', () => {
+    expect(editDistance('dragon', 'castle', 2)).toBe(3);
+    expect(editDistance('a', 'abcd', 1)).toBe(2);
+  });
+});
+
+describe('matchModels', () => {
+  it('ranks a title match above a description match', async () => {
+    const results = ids(await matchModels('dragon'));
+
+    expect(results[0]).toBe('title-dragon');
+    expect(results.indexOf('title-dragon')).toBeLessThan(results.indexOf('description-dragon'));
+  });
+
+  it('ranks models matching more terms first', async () => {
+    const results = await matchModels('castle dragon');
+
+    expect(ids(results)[0]).toBe('description-dragon');
+    expect(results[0].matched).toBe(2);
+  });
+
+  it('completes only the last term as a prefix', async () => {
+    expect(ids(await matchModels('knig'))).toEqual(['knight']);
+    expect(ids(await matchModels('knig dragon'))).not.toContain('knight');
+  });
+
+  it('finds terms with typos, but not in the first letter', async () => {
+    expect(ids(await matchModels('dargon'))).toContain('title-dragon');
+    expect(ids(await matchModels('kniht'))).toEqual(['knight']);
+    expect(await matchModels('fragon')).toEqual([]);
+  });
+
+  it('scores a typo below an exact match', async () => {
+    const typo = (await matchModels('dragoon')).find(result => result.modelId === 'title-dragon');
+    const exact = (await matchModels('dragon')).find(result => result.modelId === 'title-dragon');
+    expect(typo.score).toBeLessThan(exact.score);
+  });
+
+  it('loads typo candidates within the length window, capped', async () => {
+    await matchModels('medieval castle');
+
+    const fuzzyQueries = mockFindTerms.mock.calls
+      .map(([args]) => args)
+      .filter(args => args.where.length);
+    expect(fuzzyQueries.map(args => args.where.length.in)).toEqual([[6, 7, 8, 9, 10], [5, 6, 7]]);
+    expect(fuzzyQueries.map(args => args.where.term)).toEqual([
+      { gte: 'm', lt: 'm\uffff' },
+      { gte: 'c', lt: 'c\uffff' }
+    ]);
+    fuzzyQueries.forEach(args => expect(args.take).toBe(1000));
+  });
+
+  it('finds nothing for queries of stop words', async () => {
+    expect(await matchModels('the of a')).toEqual([]);
+    expect(mockFindTerms).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+const { PrismaClient } = require('@prisma/client');
+const { words } = require('./tokenize');
+
+const prisma = new PrismaClient();
+
+// Submitted searches that found nothing are counted per normalized query,
+// so creators can see what people look for and don't find. Suggestions
+// aren't logged: they are asked for on every keystroke, mostly with half a
+// word.
+
+const MAX_QUERY_LENGTH = 200;
+
+const normalizeQuery = (query) => words(query).join(' ').slice(0, MAX_QUERY_LENGTH);
+
+const logZeroResultQuery = async (query) => {
+  const normalized = normalizeQuery(query);
+  if (!normalized) return;
+
+  await prisma.zeroResultQuery.upsert({
+    where: { query: normalized },
+    create: { query: normalized },
+    update: { count: { increment: 1 }, lastSearchedAt: new Date() }
+  });
+};
+
+/**
+ * Zero-result queries searched for again since `since`, most searched
+ * first. Counts are over all time.
+ */
+const listZeroResultQueries = ({ since, limit = 20 }) =>
+  prisma.zeroResultQuery.findMany({
+    where: { lastSearchedAt: { gte: since } },
+    orderBy: [{ count: 'desc' }, { lastSearchedAt: 'desc' }],
+    take: limit,
+    select: {
+      query: true,
+      count: true,
+      firstSearchedAt: true,
+      lastSearchedAt: true
+    }
+  });
+
+module.exports = {
+  normalizeQuery,
+  logZeroResultQuery,
+  listZeroResultQueries
+};
@@ -0,0 +1,142 @@
+const { PrismaClient } = require('@prisma/client');
+const { stem, words, tokenize } = require('./tokenize');
+const { prefixRange } = require('./index');
+const { slugifyTag } = require('../tags');
+
+const prisma = new PrismaClient();
+
+// Suggestions as you type, from the same index as search. They are
+// prefix-only (no typo expansion) and read a bounded number of index rows,
+// so each takes a couple of indexed queries; recent answers are cached
+// because every keystroke asks again.
+
+// Index fields suggestions come from; tags come from the tag table
+const SUGGEST_FIELDS = ['title', 'category', 'creator'];
+// Index rows read per suggestion query
+const MAX_POSTINGS = 300;
+// Most suggestions of each type, before the overall limit
+const TYPE_LIMITS = { model: 4, tag: 3, category: 2, creator: 2 };
+
+const CACHE_TTL = 60 * 1000;
+const CACHE_SIZE = 500;
+const cache = new Map();
+
+const cached = (key) => {
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > Date.now()) return entry.value;
+  cache.delete(key);
+  return null;
+};
+
+const remember = (key, value) => {
+  // Maps iterate in insertion order, so the first key is the oldest
+  if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL });
+};
+
+const startsWithPrefix = (text, prefix) => tokenize(text).some(term => term.startsWith(prefix));
+
+// Values of one kind across models, counted by how many models have each;
+// values differing only in case are counted together
+const countValues = (models, valuesOf, prefix) => {
+  const counts = new Map();
+  for (const model of models) {
+    const seen = new Set();
+    for (const value of valuesOf(model)) {
+      const text = value.trim();
+      const key = text.toLowerCase();
+      if (!key || seen.has(key) || !startsWithPrefix(key, prefix)) continue;
+      seen.add(key);
+      const entry = counts.get(key) || { text, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Suggestions for a partly typed query, as `{ type, text, ... }` with type
+ * model (with modelId), tag (with slug), category or creator (each with a
+ * count of models). The query's last term is taken as a prefix; models must
+ * also have its earlier terms in their title.
+ */
+const suggest = async (query, limit = 8) => {
+  // The last word is kept even if it is a single letter or a stop word,
+  // since it is probably still being typed
+  const typed = words(query);
+  if (typed.length === 0) return [];
+  const prefix = stem(typed[typed.length - 1]);
+  const earlier = tokenize(typed.slice(0, -1).join(' '));
+
+  const key = `${earlier.join(' ')} ${prefix}:${limit}`;
+  const hit = cached(key);
+  if (hit) return hit;
+
+  // Tags are matched on the whole query as a slug, so "sci f" finds "sci-fi"
+  const tagPrefix = slugifyTag(query);
+  const [postings, tags] = await Promise.all([
+    prisma.searchTerm.findMany({
+      where: {
+        term: prefixRange(prefix),
+        field: { in: SUGGEST_FIELDS },
+        model: { isPublic: true }
+      },
+      select: { field: true, modelId: true },
+      take: MAX_POSTINGS
+    }),
+    tagPrefix
+      ? prisma.tag.findMany({
+        where: {
+          isBanned: false,
+          usageCount: { gt: 0 },
+          OR: [
+            { slug: prefixRange(tagPrefix) },
+            { aliases: { some: { slug: prefixRange(tagPrefix) } } }
+          ]
+        },
+        orderBy: { usageCount: 'desc' },
+        take: TYPE_LIMITS.tag
+      })
+      : []
+  ]);
+
+  const titleMatches = new Set(postings.filter(p => p.field === 'title').map(p => p.modelId));
+  const models = await prisma.model.findMany({
+    where: { id: { in: [...new Set(postings.map(p => p.modelId))] } },
+    select: {
+      id: true,
+      title: true,
+      category: true,
+      downloadCount: true,
+      creator: { select: { username: true } }
+    }
+  });
+
+  const byType = {
+    model: models
+      .filter(model => titleMatches.has(model.id))
+      .filter(model => {
+        const titleTerms = tokenize(model.title);
+        return earlier.every(term => titleTerms.includes(term));
+      })
+      .sort((a, b) => b.downloadCount - a.downloadCount)
+      .map(model => ({ type: 'model', text: model.title, modelId: model.id })),
+    tag: tags.map(tag => ({ type: 'tag', text: tag.name, slug: tag.slug, count: tag.usageCount })),
+    category: countValues(models, model => [model.category], prefix)
+      .map(({ text, count }) => ({ type: 'category', text, count })),
+    creator: countValues(models, model => [model.creator?.username || ''], prefix)
+      .map(({ text, count }) => ({ type: 'creator', text, count }))
+  };
+
+  const suggestions = Object.entries(TYPE_LIMITS)
+    .flatMap(([type, max]) => byType[type].slice(0, max))
+    .slice(0, limit);
+
+  remember(key, suggestions);
+  return suggestions;
+};
+
+module.exports = {
+  suggest
+};
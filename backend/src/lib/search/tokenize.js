@@ -0,0 +1,40 @@
+// Text is indexed and searched as lowercase ASCII-folded terms with plural
+// endings stripped, so "Cafés" and "cafe" find each other
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'the', 'this', 'to', 'with'
+]);
+
+// Crude English plural stemming; it only has to agree with itself
+const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(ches|shes|sses|xes|zes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+// Lowercase words of `text` with accents removed, in order
+const words = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+/**
+ * The index terms of `text`, in order and with repeats. Stop words and
+ * single letters are dropped.
+ */
+const tokenize = (text) =>
+  words(text)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+
+module.exports = {
+  stem,
+  words,
+  tokenize
+};
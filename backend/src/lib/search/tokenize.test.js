@@ -0,0 +1,35 @@
+const { stem, words, tokenize } = require('./tokenize');
+
+describe('words', () => {
+  it('lowercases, folds accents and splits on anything else', () => {
+    expect(words('Café  SCI-FI_v2 "Ångström"')).toEqual(['cafe', 'sci', 'fi', 'v2', 'angstrom']);
+    expect(words(null)).toEqual([]);
+  });
+});
+
+describe('stem', () => {
+  it('strips plural endings', () => {
+    expect(stem('dragons')).toBe('dragon');
+    expect(stem('bodies')).toBe('body');
+    expect(stem('benches')).toBe('bench');
+    expect(stem('boxes')).toBe('box');
+  });
+
+  it('leaves short words, numbers and -ss/-us/-is endings alone', () => {
+    expect(stem('gas')).toBe('gas');
+    expect(stem('2cars')).toBe('2cars');
+    expect(stem('glass')).toBe('glass');
+    expect(stem('cactus')).toBe('cactus');
+    expect(stem('axis')).toBe('axis');
+  });
+});
+
+describe('tokenize', () => {
+  it('drops stop words and single letters and keeps repeats', () => {
+    expect(tokenize('A Castle of the Dragons and a dragon')).toEqual(['castle', 'dragon', 'dragon']);
+  });
+
+  it('gives the same terms for accented and plural spellings', () => {
+    expect(tokenize('Cafés')).toEqual(tokenize('cafe'));
+  });
+});
@@ -0,0 +1,133 @@
+const path = require('path');
+const { createLocalDriver } = require('./localDriver');
+const { createS3Driver } = require('./s3Driver');
+
+let driver = null;
+
+const createDriver = () => {
+  const driverName = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  switch (driverName) {
+    case 'local':
+      return createLocalDriver({
+        root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '../../../uploads'),
+        publicUrl: process.env.STORAGE_PUBLIC_URL || '/uploads',
+        signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+      });
+    case 's3':
+      return createS3Driver({
+        bucket: process.env.AWS_S3_BUCKET,
+        region: process.env.AWS_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || !!process.env.S3_ENDPOINT,
+        publicUrl: process.env.STORAGE_PUBLIC_URL,
+        signingEndpoint: process.env.S3_PUBLIC_ENDPOINT
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driverName}" (expected "local" or "s3")`);
+  }
+};
+
+// Lazily create the configured driver so env.dev has been loaded first
+const getStorage = () => {
+  if (!driver) {
+    driver = createDriver();
+  }
+  return driver;
+};
+
+// Replace the active driver, e.g. with a local driver rooted in a temp dir
+const setStorage = (customDriver) => {
+  driver = customDriver;
+};
+
+// Strip directories and anything outside a conservative character set so
+// client-supplied file names are safe to use inside storage keys.
+const sanitizeFileName = (name) => {
+  const base = path.basename(name || 'file');
+  const cleaned = base.replace(/[^a-zA-Z0-9._-]+/g, '_').replace(/^\.+/, '');
+  return cleaned || 'file';
+};
+
+// Every object belonging to a model lives under models/<id>/ so that deleting
+// the model can remove the whole prefix in one go.
+const modelPrefix = (modelId) => `models/${modelId}/`;
+
+const modelKey = (modelId, ...parts) => modelPrefix(modelId) + parts.join('/');
+
+// A collection's files (its cover) live under collections/<id>/
+const collectionKey = (collectionId, ...parts) => `collections/${collectionId}/${parts.join('/')}`;
+
+// Folders whose files anyone may fetch by URL, with `*` for the id: model
+// thumbnails and preview images, and collection covers. Model files, their
+// versions and variants, textures and upload chunks are only handed out
+// through signed URLs or the downloads route.
+const PUBLIC_FOLDERS = [
+  modelKey('*', 'thumbnails'),
+  modelKey('*', 'previews'),
+  collectionKey('*', 'cover')
+].map(folder => folder.split('/'));
+
+const isPublicKey = (key) => {
+  const parts = key.split('/');
+  if (parts.some(part => !part || part === '.' || part === '..')) return false;
+  const folder = parts.slice(0, -1);
+  return PUBLIC_FOLDERS.some(pattern =>
+    pattern.length === folder.length && pattern.every((part, i) => part === '*' || part === folder[i]));
+};
+
+// How long signed URLs for viewing a model's files last, in seconds
+const SIGNED_URL_TTL = 15 * 60;
+
+// Public URL for a stored key, which only works for public keys. Absolute
+// URLs (older rows, external links) are returned unchanged.
+const publicUrlFor = (key) => {
+  if (!key) return null;
+  if (/^https?:\/\//.test(key)) return key;
+  return getStorage().getPublicUrl(key);
+};
+
+// A short-lived URL for any stored key, for files that aren't public
+const signedUrlFor = async (key, expiresIn = SIGNED_URL_TTL) => {
+  if (!key) return null;
+  if (/^https?:\/\//.test(key)) return key;
+  return getStorage().getSignedUrl(key, expiresIn);
+};
+
+// Resolve files referenced by a model (external .bin buffers, textures)
+// relative to the model file's own directory in storage. References that
+// climb out of that directory are treated as missing.
+const createResourceResolver = (fileKey) => {
+  const baseDir = path.posix.dirname(fileKey);
+
+  return async (uri) => {
+    const key = path.posix.normalize(path.posix.join(baseDir, uri));
+    if (!key.startsWith(`${baseDir}/`)) return null;
+
+    try {
+      return await getStorage().getObject(key);
+    } catch (error) {
+      return null;
+    }
+  };
+};
+
+const deleteModelObjects = async (modelId) => {
+  await getStorage().deletePrefix(modelPrefix(modelId));
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  sanitizeFileName,
+  modelPrefix,
+  modelKey,
+  collectionKey,
+  isPublicKey,
+  publicUrlFor,
+  signedUrlFor,
+  createResourceResolver,
+  deleteModelObjects
+};
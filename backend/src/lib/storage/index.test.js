@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalDriver } = require('./localDriver');
+const { sanitizeFileName, modelKey, collectionKey, isPublicKey } = require('./index');
+
+// The key /uploads serves a local driver URL as, decoded like server.js does
+const keyFromUrl = (url) => decodeURIComponent(url.split('?')[0].replace(/^\/uploads\//, ''));
+
+describe('isPublicKey', () => {
+  it('allows model thumbnails and previews', () => {
+    expect(isPublicKey(modelKey('m1', 'thumbnails', 'generated.png'))).toBe(true);
+    expect(isPublicKey(modelKey('m1', 'previews', 'turntable-1.webp'))).toBe(true);
+  });
+
+  it('allows collection covers stored the way the collections route stores them', () => {
+    const driver = createLocalDriver({ root: os.tmpdir(), publicUrl: '/uploads', signingSecret: 's' });
+    const key = collectionKey('c1', 'cover', `${Date.now()}_${sanitizeFileName('My cover.png')}`);
+
+    expect(isPublicKey(keyFromUrl(driver.getPublicUrl(key)))).toBe(true);
+  });
+
+  it('refuses model files, textures and upload chunks', () => {
+    expect(isPublicKey(modelKey('m1', 'original', 'chair.glb'))).toBe(false);
+    expect(isPublicKey(modelKey('m1', 'versions', '2', 'chair.glb'))).toBe(false);
+    expect(isPublicKey(modelKey('m1', 'textures', '1', 'wood.png'))).toBe(false);
+    expect(isPublicKey('upload-sessions/s1/0')).toBe(false);
+  });
+
+  it('refuses bundle files in folders named like public ones', () => {
+    expect(isPublicKey(modelKey('m1', 'original', 'thumbnails', 'x.png'))).toBe(false);
+    expect(isPublicKey(collectionKey('c1', 'cover', 'sub', 'x.png'))).toBe(false);
+    expect(isPublicKey(collectionKey('c1', 'x.png'))).toBe(false);
+  });
+
+  it('refuses keys that climb out of a public folder', () => {
+    expect(isPublicKey('models/m1/thumbnails/../original/chair.glb')).toBe(false);
+    expect(isPublicKey('models/../thumbnails/x.png')).toBe(false);
+    expect(isPublicKey('models//thumbnails/x.png')).toBe(false);
+  });
+});
+
+describe('local driver signed URLs', () => {
+  let root;
+  let driver;
+  const key = modelKey('m1', 'original', 'chair.glb');
+  const queryOf = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    driver = createLocalDriver({ root, publicUrl: '/uploads', signingSecret: 'secret' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('verifies its own signature for the key it was made for', async () => {
+    const url = await driver.getSignedUrl(key, 60);
+
+    expect(keyFromUrl(url)).toBe(key);
+    expect(driver.verifySignedUrl(key, queryOf(url))).toBe(true);
+  });
+
+  it('refuses the signature for another key', async () => {
+    const url = await driver.getSignedUrl(key, 60);
+
+    expect(driver.verifySignedUrl(modelKey('m1', 'original', 'other.glb'), queryOf(url))).toBe(false);
+  });
+
+  it('refuses a changed expiry or signature', async () => {
+    const query = queryOf(await driver.getSignedUrl(key, 60));
+
+    expect(driver.verifySignedUrl(key, { ...query, expires: String(Number(query.expires) + 1) })).toBe(false);
+    expect(driver.verifySignedUrl(key, { ...query, signature: query.signature.replace(/.$/, c => (c === '0' ? '1' : '0')) })).toBe(false);
+    expect(driver.verifySignedUrl(key, {})).toBe(false);
+  });
+
+  it('refuses URLs that have expired', async () => {
+    const query = queryOf(await driver.getSignedUrl(key, -1));
+
+    expect(driver.verifySignedUrl(key, query)).toBe(false);
+  });
+
+  it('refuses signatures made with another secret', async () => {
+    const other = createLocalDriver({ root, publicUrl: '/uploads', signingSecret: 'other' });
+    const query = queryOf(await other.getSignedUrl(key, 60));
+
+    expect(driver.verifySignedUrl(key, query)).toBe(false);
+  });
+});
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Stores objects as plain files under a root directory. Used for development
+// and tests; the files are served by server.js under /uploads, public ones
+// to anyone and the rest only with a signature from getSignedUrl.
+const createLocalDriver = ({ root, publicUrl, signingSecret }) => {
+  const rootDir = path.resolve(root);
+
+  // Resolve a storage key to an absolute path, refusing keys that would escape
+  // the storage root (e.g. "../../etc/passwd").
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const putObject = async (key, body) => {
+    const filePath = resolveKey(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      await fsp.writeFile(filePath, body);
+    } else {
+      await pipeline(body, fs.createWriteStream(filePath));
+    }
+
+    return { key };
+  };
+
+  const getObject = async (key) => fsp.readFile(resolveKey(key));
+
+  const createReadStream = (key) => fs.createReadStream(resolveKey(key));
+
+  const statObject = async (key) => {
+    try {
+      const stats = await fsp.stat(resolveKey(key));
+      return { size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const exists = async (key) => (await statObject(key)) !== null;
+
+  const deleteObject = async (key) => {
+    await fsp.rm(resolveKey(key), { force: true });
+  };
+
+  const deleteObjects = async (keys) => {
+    await Promise.all(keys.map(deleteObject));
+  };
+
+  const deletePrefix = async (prefix) => {
+    await fsp.rm(resolveKey(prefix), { recursive: true, force: true });
+  };
+
+  const listObjects = async (prefix) => {
+    const dir = resolveKey(prefix);
+    const keys = [];
+
+    const walk = async (current) => {
+      let entries;
+      try {
+        entries = await fsp.readdir(current, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const entryPath = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else {
+          keys.push(path.relative(rootDir, entryPath).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    await walk(dir);
+    return keys;
+  };
+
+  const getPublicUrl = (key) => `${publicUrl.replace(/\/$/, '')}/${key}`;
+
+  const sign = (key, expires) =>
+    crypto.createHmac('sha256', signingSecret).update(`${key}\n${expires}`).digest('hex');
+
+  // The public URL with an expiry and a signature over both, like S3's
+  // presigned URLs. `expiresIn` is in seconds.
+  const getSignedUrl = async (key, expiresIn = 60) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${getPublicUrl(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+  };
+
+  // Whether the `expires` and `signature` query parameters of a request for
+  // `key` came from getSignedUrl and haven't run out
+  const verifySignedUrl = (key, { expires, signature } = {}) => {
+    if (typeof expires !== 'string' || typeof signature !== 'string') return false;
+    if (!(parseInt(expires) > Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(sign(key, expires));
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  };
+
+  return {
+    name: 'local',
+    rootDir,
+    putObject,
+    getObject,
+    createReadStream,
+    statObject,
+    exists,
+    deleteObject,
+    deleteObjects,
+    deletePrefix,
+    listObjects,
+    getPublicUrl,
+    getSignedUrl,
+    verifySignedUrl
+  };
+};
+
+module.exports = { createLocalDriver };
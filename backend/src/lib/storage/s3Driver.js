@@ -0,0 +1,125 @@
+const AWS = require('aws-sdk');
+
+// Stores objects in an S3-compatible bucket. Setting `endpoint` points the
+// driver at MinIO (or any other S3 clone) instead of AWS; `signingEndpoint`
+// is where browsers reach it, when that differs (e.g. a container name).
+const createS3Driver = ({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+  publicUrl,
+  signingEndpoint
+}) => {
+  const clientFor = (clientEndpoint) => new AWS.S3({
+    region,
+    endpoint: clientEndpoint || undefined,
+    accessKeyId,
+    secretAccessKey,
+    s3ForcePathStyle: forcePathStyle,
+    signatureVersion: 'v4'
+  });
+  const s3 = clientFor(endpoint);
+  // A presigned URL is only good for the host it was signed for
+  const signer = signingEndpoint ? clientFor(signingEndpoint) : s3;
+
+  const putObject = async (key, body, { contentType } = {}) => {
+    await s3.upload({
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType || 'application/octet-stream'
+    }).promise();
+
+    return { key };
+  };
+
+  const getObject = async (key) => {
+    const result = await s3.getObject({ Bucket: bucket, Key: key }).promise();
+    return result.Body;
+  };
+
+  const createReadStream = (key) =>
+    s3.getObject({ Bucket: bucket, Key: key }).createReadStream();
+
+  const statObject = async (key) => {
+    try {
+      const head = await s3.headObject({ Bucket: bucket, Key: key }).promise();
+      return { size: head.ContentLength, lastModified: head.LastModified };
+    } catch (error) {
+      if (error.code === 'NotFound' || error.statusCode === 404) return null;
+      throw error;
+    }
+  };
+
+  const exists = async (key) => (await statObject(key)) !== null;
+
+  const deleteObject = async (key) => {
+    await s3.deleteObject({ Bucket: bucket, Key: key }).promise();
+  };
+
+  // S3 caps DeleteObjects at 1000 keys per request
+  const deleteObjects = async (keys) => {
+    for (let i = 0; i < keys.length; i += 1000) {
+      const batch = keys.slice(i, i + 1000);
+      if (batch.length === 0) continue;
+      await s3.deleteObjects({
+        Bucket: bucket,
+        Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true }
+      }).promise();
+    }
+  };
+
+  const listObjects = async (prefix) => {
+    const keys = [];
+    let ContinuationToken;
+
+    do {
+      const page = await s3.listObjectsV2({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken
+      }).promise();
+      keys.push(...page.Contents.map(object => object.Key));
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return keys;
+  };
+
+  const deletePrefix = async (prefix) => {
+    await deleteObjects(await listObjects(prefix));
+  };
+
+  const getPublicUrl = (key) => {
+    if (publicUrl) {
+      return `${publicUrl.replace(/\/$/, '')}/${key}`;
+    }
+    if (endpoint) {
+      return `${endpoint.replace(/\/$/, '')}/${bucket}/${key}`;
+    }
+    return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+  };
+
+  const getSignedUrl = async (key, expiresIn = 60) =>
+    signer.getSignedUrlPromise('getObject', { Bucket: bucket, Key: key, Expires: expiresIn });
+
+  return {
+    name: 's3',
+    putObject,
+    getObject,
+    createReadStream,
+    statObject,
+    exists,
+    deleteObject,
+    deleteObjects,
+    deletePrefix,
+    listObjects,
+    getPublicUrl,
+    getSignedUrl
+  };
+};
+
+module.exports = { createS3Driver };
@@ -0,0 +1,223 @@
+const { PrismaClient } = require('@prisma/client');
+const { enqueueJob } = require('./jobs');
+const { indexModel } = require('./search');
+
+const prisma = new PrismaClient();
+
+// Tags are rows of their own, identified by a slug, and models link to them
+// through ModelTag. Whatever a creator types is slugged and looked up
+// through the aliases, so "Sci Fi", "sci-fi" and an aliased "scifi" all end
+// up on one tag. Each tag keeps a count of its models for autocomplete and
+// tag pages.
+
+const MAX_SLUG_LENGTH = 30;
+const MIGRATE_LEGACY_TAGS_JOB = 'migrate-legacy-tags';
+const MIGRATE_BATCH_SIZE = 100;
+
+const slugifyTag = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+
+// The tag a slug names, directly or through an alias
+const findTagBySlug = async (slug) => {
+  const tag = await prisma.tag.findUnique({ where: { slug } });
+  if (tag) return tag;
+  const alias = await prisma.tagAlias.findUnique({ where: { slug }, include: { tag: true } });
+  return alias ? alias.tag : null;
+};
+
+// Tag names as written, slugged and deduplicated, keeping each slug's first
+// spelling
+const normalizeTagNames = (names = []) => {
+  const bySlug = new Map();
+  for (const name of names) {
+    const slug = slugifyTag(name);
+    if (slug && !bySlug.has(slug)) bySlug.set(slug, String(name).trim());
+  }
+  return bySlug;
+};
+
+// Of `names`, the ones that resolve to banned tags
+const findBannedTags = async (names) => {
+  const banned = [];
+  for (const [slug, name] of normalizeTagNames(names)) {
+    const tag = await findTagBySlug(slug);
+    if (tag?.isBanned) banned.push(name);
+  }
+  return banned;
+};
+
+/**
+ * The tags for `names`, creating any that don't exist yet, in order and
+ * without duplicates. Banned tags are left out.
+ */
+const resolveTags = async (names) => {
+  const tags = new Map();
+  for (const [slug, name] of normalizeTagNames(names)) {
+    const tag = await findTagBySlug(slug) ||
+      await prisma.tag.upsert({ where: { slug }, create: { slug, name }, update: {} });
+    if (!tag.isBanned) tags.set(tag.id, tag);
+  }
+  return [...tags.values()];
+};
+
+// Bring tags' usage counts up to date
+const recountTags = async (tagIds) => {
+  for (const id of new Set(tagIds)) {
+    const usageCount = await prisma.modelTag.count({ where: { tagId: id } });
+    await prisma.tag.updateMany({ where: { id }, data: { usageCount } });
+  }
+};
+
+/**
+ * Replace a model's tags with `names`, in that order, and reindex it for
+ * search. Resolves to the tags it ended up with.
+ */
+const setModelTags = async (modelId, names) => {
+  const tags = await resolveTags(names);
+  const previous = await prisma.modelTag.findMany({ where: { modelId }, select: { tagId: true } });
+
+  await prisma.$transaction([
+    prisma.modelTag.deleteMany({ where: { modelId } }),
+    ...tags.map((tag, position) => prisma.modelTag.create({ data: { modelId, tagId: tag.id, position } }))
+  ]);
+
+  await recountTags([...previous.map(row => row.tagId), ...tags.map(tag => tag.id)]);
+  await indexModel(modelId);
+  return tags;
+};
+
+// Reindex the models carrying a tag, after it changed under them
+const reindexTagged = async (modelIds) => {
+  for (const modelId of modelIds) {
+    await indexModel(modelId);
+  }
+};
+
+/**
+ * Fold `source` into `target`: its models get `target` instead, and its
+ * slug and aliases become aliases of `target` so old links and habits
+ * still land there.
+ */
+const mergeTags = async (source, target) => {
+  const moved = await prisma.modelTag.findMany({ where: { tagId: source.id } });
+  const alreadyTagged = new Set((await prisma.modelTag.findMany({
+    where: { tagId: target.id, modelId: { in: moved.map(row => row.modelId) } },
+    select: { modelId: true }
+  })).map(row => row.modelId));
+
+  await prisma.$transaction([
+    ...moved
+      .filter(row => !alreadyTagged.has(row.modelId))
+      .map(row => prisma.modelTag.create({ data: { modelId: row.modelId, tagId: target.id, position: row.position } })),
+    prisma.tagAlias.updateMany({ where: { tagId: source.id }, data: { tagId: target.id } }),
+    prisma.tag.delete({ where: { id: source.id } }),
+    prisma.tagAlias.create({ data: { slug: source.slug, tagId: target.id } })
+  ]);
+
+  await recountTags([target.id]);
+  await reindexTagged(moved.map(row => row.modelId));
+};
+
+// Models carrying a tag
+const taggedModelIds = async (tagId) =>
+  (await prisma.modelTag.findMany({ where: { tagId }, select: { modelId: true } })).map(row => row.modelId);
+
+// Add or remove an alias of a tag. Aliases are searchable, so the tag's
+// models are reindexed.
+const addTagAlias = async (tag, slug) => {
+  const alias = await prisma.tagAlias.create({ data: { slug, tagId: tag.id } });
+  await reindexTagged(await taggedModelIds(tag.id));
+  return alias;
+};
+
+const removeTagAlias = async (tag, slug) => {
+  const { count } = await prisma.tagAlias.deleteMany({ where: { slug, tagId: tag.id } });
+  if (count > 0) await reindexTagged(await taggedModelIds(tag.id));
+  return count > 0;
+};
+
+// Ban a tag and take it off every model, or lift a ban
+const setTagBanned = async (tag, isBanned) => {
+  if (!isBanned) {
+    return prisma.tag.update({ where: { id: tag.id }, data: { isBanned: false } });
+  }
+
+  const tagged = await taggedModelIds(tag.id);
+  const [, updated] = await prisma.$transaction([
+    prisma.modelTag.deleteMany({ where: { tagId: tag.id } }),
+    prisma.tag.update({ where: { id: tag.id }, data: { isBanned: true, usageCount: 0 } })
+  ]);
+  await reindexTagged(tagged);
+  return updated;
+};
+
+// Models' tags as the API returns them, from ModelTag rows with their tag
+const serializeTags = (modelTags = []) =>
+  [...modelTags]
+    .sort((a, b) => a.position - b.position)
+    .map(({ tag }) => ({ slug: tag.slug, name: tag.name }));
+
+// Include for loading a model's tags for serializeTags
+const tagsInclude = {
+  include: { tag: { select: { slug: true, name: true } } }
+};
+
+// Move models' comma-separated tags from before ModelTag into tag rows, a
+// batch at a time
+const migrateLegacyTags = async () => {
+  let count = 0;
+  for (;;) {
+    const batch = await prisma.model.findMany({
+      where: { legacyTags: { not: '' } },
+      select: { id: true, legacyTags: true },
+      take: MIGRATE_BATCH_SIZE
+    });
+    for (const model of batch) {
+      await setModelTags(model.id, model.legacyTags.split(','));
+      await prisma.model.update({ where: { id: model.id }, data: { legacyTags: '' } });
+    }
+    count += batch.length;
+    if (batch.length < MIGRATE_BATCH_SIZE) return count;
+  }
+};
+
+// Worker handler for MIGRATE_LEGACY_TAGS_JOB
+const runMigrateLegacyTagsJob = async () => {
+  const count = await migrateLegacyTags();
+  console.log(`Moved legacy tags of ${count} models`);
+};
+
+// Queue the legacy tag move when there is anything left to move
+const ensureLegacyTagsMigrated = async () => {
+  const [pending, queued] = await Promise.all([
+    prisma.model.findFirst({ where: { legacyTags: { not: '' } }, select: { id: true } }),
+    prisma.job.findFirst({ where: { type: MIGRATE_LEGACY_TAGS_JOB, status: { in: ['QUEUED', 'RUNNING'] } } })
+  ]);
+  if (pending && !queued) {
+    await enqueueJob(MIGRATE_LEGACY_TAGS_JOB, {}, { maxAttempts: 3 });
+  }
+};
+
+module.exports = {
+  MIGRATE_LEGACY_TAGS_JOB,
+  slugifyTag,
+  findTagBySlug,
+  findBannedTags,
+  setModelTags,
+  mergeTags,
+  addTagAlias,
+  removeTagAlias,
+  setTagBanned,
+  serializeTags,
+  tagsInclude,
+  runMigrateLegacyTagsJob,
+  ensureLegacyTagsMigrated
+};
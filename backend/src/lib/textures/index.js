@@ -0,0 +1,201 @@
+const sharp = require('sharp');
+const { loadGltf, getImageData } = require('../formats/gltf');
+const { parseMtl } = require('../formats/obj');
+const { getImageSize } = require('../formats/imageSize');
+
+// Texture extraction and re-encoding. Textures are pulled out of glTF/GLB
+// files and the .mtl libraries of OBJ files, then re-encoded as WebP at full
+// size and at a few smaller sizes for the web.
+
+// Longest side of the downscaled variants; only sizes below the original's
+// are made
+const VARIANT_SIZES = [2048, 1024, 512];
+// The variant the optimized GLB embeds
+const OPTIMIZED_TEXTURE_SIZE = 2048;
+const WEBP_QUALITY = 90;
+
+// glTF material slots holding colour data; everything else (normals,
+// roughness, occlusion...) is linear
+const SRGB_GLTF_SLOTS = new Set([
+  'baseColorTexture',
+  'emissiveTexture',
+  'diffuseTexture',
+  'specularGlossinessTexture',
+  'specularColorTexture',
+  'sheenColorTexture'
+]);
+
+// .mtl statements holding colour data
+const SRGB_MTL_STATEMENTS = new Set(['map_ka', 'map_kd', 'map_ks', 'map_ke', 'decal', 'refl']);
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  tga: 'image/x-tga',
+  bmp: 'image/bmp',
+  ktx2: 'image/ktx2'
+};
+
+const mimeTypeFor = (name, data, declared) => {
+  const size = data && getImageSize(data);
+  if (size && size.mimeType) return size.mimeType;
+  if (declared) return declared;
+  const extension = (name || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return MIME_TYPES[extension] || null;
+};
+
+const describeTexture = ({ name, data, mimeType, usages, colorSpace }) => {
+  const size = data ? getImageSize(data) : null;
+  return {
+    name,
+    usage: usages.length > 0 ? [...new Set(usages)].join(', ') : null,
+    colorSpace,
+    mimeType: mimeTypeFor(name, data, mimeType),
+    width: size ? size.width : null,
+    height: size ? size.height : null,
+    size: data ? data.length : 0,
+    data
+  };
+};
+
+// The image a glTF texture samples, including through the WebP, AVIF and
+// Basis extensions
+const textureSource = (texture) => {
+  if (!texture) return undefined;
+  if (texture.source !== undefined) return texture.source;
+  const extensions = texture.extensions || {};
+  const extension = extensions.EXT_texture_webp || extensions.EXT_texture_avif || extensions.KHR_texture_basisu;
+  return extension ? extension.source : undefined;
+};
+
+// Visit every `{ index }` texture reference in a material, including those
+// inside material extensions, with the name of the slot it sits in
+const forEachTextureSlot = (material, visit) => {
+  const walk = (value) => {
+    if (!value || typeof value !== 'object') return;
+    for (const [key, child] of Object.entries(value)) {
+      if (key.endsWith('Texture') && child && child.index !== undefined) {
+        visit(key, child.index);
+      } else if (typeof child === 'object') {
+        walk(child);
+      }
+    }
+  };
+  walk(material);
+};
+
+const extractGltfTextures = async (buffer, { resolveResource }) => {
+  const doc = await loadGltf(buffer, { resolveResource });
+  const { json } = doc;
+  const images = json.images || [];
+  const usages = images.map(() => []);
+  const colorSpaces = images.map(() => null);
+
+  for (const material of json.materials || []) {
+    forEachTextureSlot(material, (slot, textureIndex) => {
+      const imageIndex = textureSource((json.textures || [])[textureIndex]);
+      if (imageIndex === undefined || !images[imageIndex]) return;
+      usages[imageIndex].push(slot.replace(/Texture$/, ''));
+      // Colour wins if an image is (oddly) used both ways
+      if (colorSpaces[imageIndex] !== 'srgb') {
+        colorSpaces[imageIndex] = SRGB_GLTF_SLOTS.has(slot) ? 'srgb' : 'linear';
+      }
+    });
+  }
+
+  return Promise.all(images.map(async (image, index) => {
+    const data = await getImageData(doc, image, resolveResource);
+    const uri = image.uri && !image.uri.startsWith('data:') ? decodeURIComponent(image.uri) : null;
+    return {
+      index,
+      ...describeTexture({
+        name: image.name || uri || `image-${index}`,
+        data: data ? Buffer.from(data) : null,
+        mimeType: image.mimeType,
+        usages: usages[index],
+        colorSpace: colorSpaces[index]
+      })
+    };
+  }));
+};
+
+const extractObjTextures = async (materialLibraries, { resolveResource }) => {
+  const byPath = new Map();
+
+  for (const library of materialLibraries) {
+    const data = resolveResource ? await resolveResource(library) : null;
+    if (!data) continue;
+    for (const { statement, path } of parseMtl(data.toString('utf8')).maps) {
+      const entry = byPath.get(path) || { usages: [], colorSpace: null };
+      entry.usages.push(statement);
+      if (entry.colorSpace !== 'srgb') {
+        entry.colorSpace = SRGB_MTL_STATEMENTS.has(statement) ? 'srgb' : 'linear';
+      }
+      byPath.set(path, entry);
+    }
+  }
+
+  const textures = [];
+  for (const [path, { usages, colorSpace }] of byPath) {
+    const data = resolveResource ? await resolveResource(path) : null;
+    textures.push({
+      index: textures.length,
+      ...describeTexture({ name: path, data, usages, colorSpace })
+    });
+  }
+  return textures;
+};
+
+/**
+ * List the textures of a parsed model (the result of `parseModelFile`).
+ * Each entry is `{ index, name, usage, colorSpace, mimeType, width, height,
+ * size, data }`; `data` is null for images that couldn't be found. For glTF
+ * the index is the image's index in the file.
+ */
+const extractTextures = async (buffer, result, { resolveResource } = {}) => {
+  if (result.format === 'glb' || result.format === 'gltf') {
+    return extractGltfTextures(buffer, { resolveResource });
+  }
+  if (result.format === 'obj') {
+    return extractObjTextures(result.stats.extras.materialLibraries || [], { resolveResource });
+  }
+  return [];
+};
+
+/**
+ * Re-encode a texture as WebP: one variant at full size, then one for each
+ * of VARIANT_SIZES smaller than it. Resolves to a list of
+ * `{ buffer, width, height, maxSize }` (maxSize is null for full size).
+ */
+const encodeTextureVariants = async (data) => {
+  const metadata = await sharp(data).metadata();
+  const longest = Math.max(metadata.width || 0, metadata.height || 0);
+  const sizes = [null, ...VARIANT_SIZES.filter(size => size < longest)];
+
+  const variants = [];
+  for (const maxSize of sizes) {
+    let pipeline = sharp(data);
+    if (maxSize) {
+      pipeline = pipeline.resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true });
+    }
+    const { data: buffer, info } = await pipeline.webp({ quality: WEBP_QUALITY }).toBuffer({ resolveWithObject: true });
+    variants.push({ buffer, width: info.width, height: info.height, maxSize });
+  }
+  return variants;
+};
+
+// The variant to embed in optimized downloads: the largest one within
+// OPTIMIZED_TEXTURE_SIZE
+const optimizedVariant = (variants) =>
+  variants.find(variant => Math.max(variant.width, variant.height) <= OPTIMIZED_TEXTURE_SIZE) || null;
+
+module.exports = {
+  VARIANT_SIZES,
+  OPTIMIZED_TEXTURE_SIZE,
+  extractTextures,
+  encodeTextureVariants,
+  optimizedVariant
+};
@@ -0,0 +1,119 @@
+const { PrismaClient } = require('@prisma/client');
+const { enqueueJob } = require('../jobs');
+
+const prisma = new PrismaClient();
+
+// Trending scores rank models by recent engagement. Views, downloads, likes
+// and comments are counted over a few sliding windows, and each window's
+// counts are weighted down the older it is (exponential decay with a
+// half-life), so a burst of activity fades over a few days. The worker
+// recomputes every score on a schedule and stores it on the model, so
+// listing trending models is a plain indexed sort.
+
+const HOUR = 60 * 60 * 1000;
+
+// How much one event of each kind counts towards the score
+const EVENT_WEIGHTS = {
+  view: 1,
+  like: 3,
+  comment: 4,
+  download: 5
+};
+
+// Windows as [from, to] hours ago; events older than the last are ignored
+const WINDOWS = [[0, 6], [6, 24], [24, 72], [72, 168], [168, 336]];
+
+const HALF_LIFE_HOURS = parseFloat(process.env.TRENDING_HALF_LIFE_HOURS) || 48;
+const REFRESH_INTERVAL = parseInt(process.env.TRENDING_REFRESH_INTERVAL) || 15 * 60 * 1000;
+
+const REFRESH_TRENDING_JOB = 'refresh-trending';
+
+// Weight of an event `hours` old
+const decay = (hours) => 0.5 ** (hours / HALF_LIFE_HOURS);
+
+const eventTables = {
+  view: prisma.modelView,
+  like: prisma.like,
+  comment: prisma.comment,
+  download: prisma.download
+};
+
+/**
+ * Compute every model's trending score as of `now`. Resolves to a Map of
+ * model id to score, holding only models with events in the windows.
+ */
+const computeTrendingScores = async (now = new Date()) => {
+  const scores = new Map();
+
+  for (const [from, to] of WINDOWS) {
+    const where = {
+      createdAt: {
+        gt: new Date(now.getTime() - to * HOUR),
+        lte: new Date(now.getTime() - from * HOUR)
+      }
+    };
+    // Every event in a window is taken to be as old as its middle
+    const weight = decay((from + to) / 2);
+
+    for (const [event, table] of Object.entries(eventTables)) {
+      const counts = await table.groupBy({ by: ['modelId'], where, _count: { _all: true } });
+      for (const { modelId, _count } of counts) {
+        scores.set(modelId, (scores.get(modelId) || 0) + _count._all * EVENT_WEIGHTS[event] * weight);
+      }
+    }
+  }
+
+  return scores;
+};
+
+// Store freshly computed scores; models that dropped out of every window go
+// back to zero
+const refreshTrendingScores = async (now = new Date()) => {
+  const scores = await computeTrendingScores(now);
+
+  await prisma.model.updateMany({
+    where: { trendingScore: { gt: 0 }, id: { notIn: [...scores.keys()] } },
+    data: { trendingScore: 0 }
+  });
+  for (const [id, score] of scores) {
+    await prisma.model.updateMany({
+      where: { id },
+      data: { trendingScore: Number(score.toFixed(4)) }
+    });
+  }
+
+  return scores.size;
+};
+
+// Make sure a refresh is queued, at most one at a time however many
+// workers are running
+const scheduleTrendingRefresh = async (runAt = new Date()) => {
+  const queued = await prisma.job.findFirst({
+    where: { type: REFRESH_TRENDING_JOB, status: 'QUEUED' }
+  });
+  if (!queued) {
+    await enqueueJob(REFRESH_TRENDING_JOB, {}, { runAt, maxAttempts: 3 });
+  }
+};
+
+// Worker handler for REFRESH_TRENDING_JOB: refresh, then queue the next run
+const runRefreshTrendingJob = async () => {
+  const count = await refreshTrendingScores();
+  console.log(`Trending scores refreshed for ${count} models`);
+  await scheduleTrendingRefresh(new Date(Date.now() + REFRESH_INTERVAL));
+};
+
+// A refresh that keeps failing still has to hand over to the next one
+const failRefreshTrendingJob = () =>
+  scheduleTrendingRefresh(new Date(Date.now() + REFRESH_INTERVAL));
+
+module.exports = {
+  EVENT_WEIGHTS,
+  HALF_LIFE_HOURS,
+  REFRESH_TRENDING_JOB,
+  computeTrendingScores,
+  refreshTrendingScores,
+  scheduleTrendingRefresh,
+  runRefreshTrendingJob,
+  failRefreshTrendingJob
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { PrismaClient } = require('@prisma/client');
+const { getStorage } = require('./storage');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+const MIN_CHUNK_SIZE = 256 * 1024; // 256KB
+const MAX_CHUNK_SIZE = 20 * 1024 * 1024; // 20MB
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const sessionPrefix = (sessionId) => `upload-sessions/${sessionId}/`;
+
+const chunkKey = (sessionId, index) => `${sessionPrefix(sessionId)}${index}`;
+
+const clampChunkSize = (requested) => {
+  const size = parseInt(requested) || DEFAULT_CHUNK_SIZE;
+  return Math.min(Math.max(size, MIN_CHUNK_SIZE), MAX_CHUNK_SIZE);
+};
+
+// Every chunk is exactly chunkSize bytes except the last, which holds the rest
+const expectedChunkSize = (session, index) => {
+  if (index < session.totalChunks - 1) {
+    return session.chunkSize;
+  }
+  return session.fileSize - session.chunkSize * (session.totalChunks - 1);
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Summarise a session (with its chunks loaded) for API responses
+const describeSession = (session) => {
+  const uploadedChunks = session.chunks
+    .map(chunk => chunk.index)
+    .sort((a, b) => a - b);
+  const receivedBytes = session.chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+
+  return {
+    id: session.id,
+    fileName: session.fileName,
+    fileSize: session.fileSize,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    uploadedChunks,
+    receivedBytes,
+    progress: session.fileSize > 0
+      ? Math.floor((receivedBytes / session.fileSize) * 100)
+      : 0,
+    status: session.status,
+    modelId: session.modelId,
+    error: session.error,
+    expiresAt: session.expiresAt
+  };
+};
+
+const createSession = async ({ userId, fileName, fileSize, mimeType, checksum, chunkSize }) => {
+  const size = clampChunkSize(chunkSize);
+
+  return prisma.uploadSession.create({
+    data: {
+      userId,
+      fileName,
+      fileSize,
+      mimeType,
+      checksum: checksum ? checksum.toLowerCase() : null,
+      chunkSize: size,
+      totalChunks: Math.max(1, Math.ceil(fileSize / size)),
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    },
+    include: { chunks: true }
+  });
+};
+
+const findSession = (sessionId, userId) =>
+  prisma.uploadSession.findFirst({
+    where: { id: sessionId, userId },
+    include: { chunks: true }
+  });
+
+// Store one chunk. Re-sending a chunk that is already stored simply replaces
+// it, which is what a client resuming after a dropped connection will do.
+const storeChunk = async (session, index, buffer, checksum) => {
+  await getStorage().putObject(chunkKey(session.id, index), buffer);
+
+  await prisma.uploadChunk.upsert({
+    where: { sessionId_index: { sessionId: session.id, index } },
+    create: { sessionId: session.id, index, size: buffer.length, checksum },
+    update: { size: buffer.length, checksum }
+  });
+
+  // Touching the session keeps an active upload from expiring mid-way
+  await prisma.uploadSession.update({
+    where: { id: session.id },
+    data: { expiresAt: new Date(Date.now() + SESSION_TTL_MS) }
+  });
+
+  return findSession(session.id, session.userId);
+};
+
+// Stream the chunks back in order, hashing as we go. The returned stream can
+// be handed straight to storage.putObject; `digest()` is valid once it ends.
+const createAssembledStream = (session) => {
+  const storage = getStorage();
+  const hash = crypto.createHash('sha256');
+
+  async function* readChunks() {
+    for (let index = 0; index < session.totalChunks; index++) {
+      for await (const data of storage.createReadStream(chunkKey(session.id, index))) {
+        hash.update(data);
+        yield data;
+      }
+    }
+  }
+
+  return {
+    stream: Readable.from(readChunks()),
+    digest: () => hash.digest('hex')
+  };
+};
+
+const missingChunks = (session) => {
+  const received = new Set(session.chunks.map(chunk => chunk.index));
+  const missing = [];
+  for (let index = 0; index < session.totalChunks; index++) {
+    if (!received.has(index)) missing.push(index);
+  }
+  return missing;
+};
+
+const markSession = (sessionId, data) =>
+  prisma.uploadSession.update({ where: { id: sessionId }, data });
+
+// Move an UPLOADING session to COMPLETING so that only one request
+// assembles it. Resolves to false when another request got there first.
+const claimSession = async (sessionId) => {
+  const { count } = await prisma.uploadSession.updateMany({
+    where: { id: sessionId, status: 'UPLOADING' },
+    data: { status: 'COMPLETING' }
+  });
+  return count > 0;
+};
+
+const deleteSessionChunks = async (sessionId) => {
+  await getStorage().deletePrefix(sessionPrefix(sessionId));
+  await prisma.uploadChunk.deleteMany({ where: { sessionId } });
+};
+
+// Drop sessions that were abandoned before completion, chunks and all
+const purgeExpiredSessions = async () => {
+  const expired = await prisma.uploadSession.findMany({
+    where: {
+      expiresAt: { lt: new Date() },
+      status: { in: ['UPLOADING', 'FAILED'] }
+    },
+    select: { id: true }
+  });
+
+  for (const { id } of expired) {
+    await deleteSessionChunks(id);
+    await markSession(id, { status: 'EXPIRED' });
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  expectedChunkSize,
+  sha256,
+  describeSession,
+  createSession,
+  findSession,
+  storeChunk,
+  createAssembledStream,
+  missingChunks,
+  markSession,
+  claimSession,
+  deleteSessionChunks,
+  purgeExpiredSessions
+};
@@ -1,8 +1,96 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 
 const prisma = new PrismaClient();
 
+// Two kinds of bearer token are accepted: the backend's own, issued by
+// /api/auth/login and /api/auth/register with the user's id in `userId`,
+// and, when SUPABASE_JWT_SECRET is set, the Supabase access tokens the
+// frontend sends. Those are signed with the project's JWT secret and carry
+// the Supabase user id in `sub`, kept in users.authId.
+
+const userSelect = {
+  id: true,
+  email: true,
+  username: true,
+  role: true,
+  isVerified: true,
+  avatar: true,
+  firstName: true,
+  lastName: true
+};
+
+// Roles are upper case (USER, CREATOR, ADMIN); accounts stored before
+// that was settled may have them in lower case
+const withRole = (user) => user && { ...user, role: user.role.toUpperCase() };
+
+const verifySupabaseToken = (token) => {
+  if (!process.env.SUPABASE_JWT_SECRET) {
+    throw new jwt.JsonWebTokenError('Supabase tokens are not accepted');
+  }
+  return jwt.verify(token, process.env.SUPABASE_JWT_SECRET, {
+    algorithms: ['HS256'],
+    audience: 'authenticated'
+  });
+};
+
+// The username asked for at sign-up, or the email's local part
+const baseUsername = (claims) => {
+  const wanted = claims.user_metadata?.username;
+  if (typeof wanted === 'string' && /^[a-zA-Z0-9_]{3,30}$/.test(wanted)) return wanted;
+  const fromEmail = claims.email.split('@')[0].replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 30);
+  return fromEmail.length >= 3 ? fromEmail : `user_${fromEmail}`;
+};
+
+// Create the user row for someone signing in for the first time. Taken
+// usernames get a number added. Resolves to null when the email belongs to
+// another account.
+const createUser = async (claims) => {
+  const base = baseUsername(claims);
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const username = attempt === 0 ? base : `${base.slice(0, 25)}_${crypto.randomInt(1000, 10000)}`;
+    try {
+      return await prisma.user.create({
+        data: {
+          authId: claims.sub,
+          email: claims.email,
+          username,
+          // Passwords are Supabase's; this account has none here
+          password: '',
+          role: 'CREATOR'
+        },
+        select: userSelect
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+      // A request made at the same time may have created it already
+      const existing = await prisma.user.findUnique({ where: { authId: claims.sub }, select: userSelect });
+      if (existing) return existing;
+      if (!String(error.meta?.target).includes('username')) return null;
+    }
+  }
+  throw new Error('Could not pick a free username');
+};
+
+// The user a token belongs to; Supabase users are created on their first
+// request. Throws the jsonwebtoken errors for a bad or expired token.
+const userFromToken = async (token) => {
+  // Which secret to check the token with depends on who issued it
+  if (jwt.decode(token)?.userId) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Get user from database to ensure they still exist and get latest role
+    return withRole(await prisma.user.findUnique({ where: { id: decoded.userId }, select: userSelect }));
+  }
+
+  const claims = verifySupabaseToken(token);
+  if (!claims.sub) return null;
+
+  const user = await prisma.user.findUnique({ where: { authId: claims.sub }, select: userSelect });
+  if (user) return withRole(user);
+  return claims.email ? withRole(await createUser(claims)) : null;
+};
+
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -12,22 +100,7 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database to ensure they still exist and get latest role
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        username: true,
-        role: true,
-        isVerified: true,
-        avatar: true,
-        firstName: true,
-        lastName: true
-      }
-    });
+    const user = await userFromToken(token);
 
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
@@ -84,21 +157,7 @@ const optionalAuth = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        username: true,
-        role: true,
-        isVerified: true,
-        avatar: true,
-        firstName: true,
-        lastName: true
-      }
-    });
-
+    const user = await userFromToken(token);
     req.user = user || null;
     next();
   } catch (error) {
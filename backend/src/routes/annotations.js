@@ -0,0 +1,101 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  MAX_TITLE_LENGTH,
+  MAX_BODY_LENGTH,
+  validateVector,
+  validateCameraView,
+  annotationInclude,
+  serializeAnnotation,
+  annotationData,
+  annotationNumber
+} = require('../lib/annotations');
+
+// Annotations are listed and placed under /api/models/:id/annotations; this
+// router changes single ones
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Load the annotation named by :id, with its model, into req.annotation.
+// Annotations on private models are only there for the model's creator.
+const loadAnnotation = async (req, res, next) => {
+  try {
+    const annotation = await prisma.annotation.findUnique({
+      where: { id: req.params.id },
+      include: {
+        ...annotationInclude,
+        model: { select: { isPublic: true, userId: true } }
+      }
+    });
+    if (!annotation || (!annotation.model.isPublic && req.user.id !== annotation.model.userId)) {
+      return res.status(404).json({ error: 'Annotation not found' });
+    }
+    req.annotation = annotation;
+    next();
+  } catch (error) {
+    console.error('Load annotation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Edit an annotation's text, point or view; only its author can
+router.put('/:id',
+  authenticateToken,
+  body('title').optional({ values: 'null' }).isString().trim().isLength({ max: MAX_TITLE_LENGTH }),
+  body('body').optional().isString().trim().isLength({ min: 1, max: MAX_BODY_LENGTH }),
+  body('position').optional().custom(validateVector),
+  body('normal').optional().custom(validateVector),
+  body('camera').optional().custom(validateCameraView),
+  loadAnnotation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { annotation } = req;
+      if (annotation.userId !== req.user.id) {
+        return res.status(403).json({ error: 'Only the author can edit an annotation' });
+      }
+
+      const updated = await prisma.annotation.update({
+        where: { id: annotation.id },
+        data: annotationData(req.body),
+        include: annotationInclude
+      });
+
+      res.json({
+        message: 'Annotation updated',
+        annotation: serializeAnnotation(updated, await annotationNumber(updated), req.user, annotation.model.userId)
+      });
+    } catch (error) {
+      console.error('Edit annotation error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Delete an annotation: its author, the model's creator and admins can
+router.delete('/:id', authenticateToken, loadAnnotation, async (req, res) => {
+  try {
+    const { annotation } = req;
+    const allowed = annotation.userId === req.user.id ||
+      annotation.model.userId === req.user.id ||
+      req.user.role === 'ADMIN';
+    if (!allowed) {
+      return res.status(403).json({ error: 'You cannot delete this annotation' });
+    }
+
+    await prisma.annotation.delete({ where: { id: annotation.id } });
+
+    res.json({ message: 'Annotation deleted' });
+  } catch (error) {
+    console.error('Delete annotation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -12,7 +13,7 @@ const validateRegistration = [
   body('username').isLength({ min: 3, max: 30 }).matches(/^[a-zA-Z0-9_]+$/),
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 8 }),
-  body('role').isIn(['user', 'creator', 'admin']).optional()
+  body('role').optional().toUpperCase().isIn(['USER', 'CREATOR', 'ADMIN'])
 ];
 
 const validateLogin = [
@@ -28,7 +29,7 @@ router.post('/register', validateRegistration, async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { username, email, password, role = 'user' } = req.body;
+    const { username, email, password, role = 'USER' } = req.body;
 
     // Check if user already exists
     const existingUser = await prisma.user.findFirst({
@@ -57,7 +58,7 @@ router.post('/register', validateRegistration, async (req, res) => {
         email,
         password: hashedPassword,
         role,
-        isVerified: role === 'user' // Auto-verify regular users
+        isVerified: role === 'USER' // Auto-verify regular users
       }
     });
 
@@ -129,17 +130,10 @@ router.post('/login', validateLogin, async (req, res) => {
 });
 
 // Get current user profile
-router.get('/me', async (req, res) => {
+router.get('/me', authenticateToken, async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
+      where: { id: req.user.id },
       select: {
         id: true,
         username: true,
@@ -157,11 +151,9 @@ router.get('/me', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user });
+    // With the role as the middleware normalised it
+    res.json({ user: { ...user, role: req.user.role } });
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
     console.error('Get profile error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
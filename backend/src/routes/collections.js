@@ -0,0 +1,396 @@
+const express = require('express');
+const multer = require('multer');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { getStorage, sanitizeFileName } = require('../lib/storage');
+const { listInclude, serializeListedModel } = require('../lib/modelListing');
+const {
+  VISIBILITIES,
+  MAX_ITEMS,
+  collectionKey,
+  deleteCollectionObjects,
+  isOwner,
+  canViewCollection,
+  visibleItemsWhere,
+  collectionSummaryInclude,
+  serializeCollection,
+  addCollectionItem,
+  reorderCollectionItems
+} = require('../lib/collections');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const coverUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPG, PNG, WEBP and GIF images are allowed.'), false);
+    }
+  }
+});
+
+// Validation middleware; `optional` for updates, where every field may be left out
+const validateCollection = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').isString().trim().isLength({ min: 1, max: 100 }),
+    body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }),
+    body('visibility').optional().isIn(VISIBILITIES)
+  ];
+};
+
+const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Load the collection named by :id into req.collection. Private ones are
+// hidden from everyone but their owner, and with `ownerOnly` the rest can
+// see the collection but not change it.
+const loadCollection = (ownerOnly = false) => async (req, res, next) => {
+  try {
+    const collection = await prisma.collection.findUnique({ where: { id: req.params.id } });
+    if (!collection || !canViewCollection(collection, req.user)) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    if (ownerOnly && !isOwner(collection, req.user)) {
+      return res.status(403).json({ error: 'Only the owner can change this collection' });
+    }
+    req.collection = collection;
+    next();
+  } catch (error) {
+    console.error('Load collection error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// A user's collections, newest first. Others only see the public ones.
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { username } = req.query;
+    if (!username) {
+      return res.status(400).json({ error: 'username is required' });
+    }
+
+    const owner = await prisma.user.findUnique({
+      where: { username },
+      select: { id: true }
+    });
+    if (!owner) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const collections = await prisma.collection.findMany({
+      where: {
+        userId: owner.id,
+        ...(req.user?.id === owner.id ? {} : { visibility: 'PUBLIC' })
+      },
+      include: collectionSummaryInclude(req.user),
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    res.json({ collections: collections.map(collection => serializeCollection(collection, req.user)) });
+  } catch (error) {
+    console.error('List collections error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The signed-in user's collections for the "Save to collection" menu; with
+// ?modelId= each says whether it holds that model
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const { modelId } = req.query;
+
+    const collections = await prisma.collection.findMany({
+      where: { userId: req.user.id },
+      include: collectionSummaryInclude(req.user),
+      orderBy: { updatedAt: 'desc' }
+    });
+    const saved = modelId
+      ? new Set((await prisma.collectionItem.findMany({
+        where: { modelId, collection: { userId: req.user.id } },
+        select: { collectionId: true }
+      })).map(item => item.collectionId))
+      : null;
+
+    res.json({
+      collections: collections.map(collection => ({
+        ...serializeCollection(collection, req.user),
+        ...(saved ? { hasModel: saved.has(collection.id) } : {})
+      }))
+    });
+  } catch (error) {
+    console.error('List own collections error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a collection, optionally saving a first model into it
+router.post('/',
+  authenticateToken,
+  validateCollection(false),
+  body('modelId').optional().isString(),
+  checkValidation,
+  async (req, res) => {
+    try {
+      const { title, description, visibility, modelId } = req.body;
+
+      if (modelId) {
+        const model = await prisma.model.findFirst({
+          where: { id: modelId, ...visibleItemsWhere(req.user).model },
+          select: { id: true }
+        });
+        if (!model) {
+          return res.status(404).json({ error: 'Model not found' });
+        }
+      }
+
+      const collection = await prisma.collection.create({
+        data: {
+          title,
+          description: description || null,
+          visibility,
+          userId: req.user.id
+        }
+      });
+      if (modelId) {
+        await addCollectionItem(collection.id, modelId);
+      }
+
+      const created = await prisma.collection.findUnique({
+        where: { id: collection.id },
+        include: collectionSummaryInclude(req.user)
+      });
+      res.status(201).json({ collection: serializeCollection(created, req.user) });
+    } catch (error) {
+      console.error('Create collection error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// A collection with a page of its models, in the owner's order
+router.get('/:id', optionalAuth, loadCollection(), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 50, 100);
+    const where = { collectionId: req.collection.id, ...visibleItemsWhere(req.user) };
+
+    const [collection, items, total] = await Promise.all([
+      prisma.collection.findUnique({
+        where: { id: req.collection.id },
+        include: collectionSummaryInclude(req.user)
+      }),
+      prisma.collectionItem.findMany({
+        where,
+        include: { model: { include: listInclude } },
+        orderBy: { position: 'asc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.collectionItem.count({ where })
+    ]);
+
+    res.json({
+      collection: serializeCollection(collection, req.user),
+      models: items.map(item => ({ ...serializeListedModel(item.model), savedAt: item.createdAt })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get collection error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.put('/:id',
+  authenticateToken,
+  validateCollection(true),
+  checkValidation,
+  loadCollection(true),
+  async (req, res) => {
+    try {
+      const { title, description, visibility } = req.body;
+
+      await prisma.collection.update({
+        where: { id: req.collection.id },
+        data: {
+          title,
+          description: description === undefined ? undefined : description || null,
+          visibility
+        }
+      });
+
+      const collection = await prisma.collection.findUnique({
+        where: { id: req.collection.id },
+        include: collectionSummaryInclude(req.user)
+      });
+      res.json({ collection: serializeCollection(collection, req.user) });
+    } catch (error) {
+      console.error('Update collection error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+router.delete('/:id', authenticateToken, loadCollection(true), async (req, res) => {
+  try {
+    await prisma.collection.delete({ where: { id: req.collection.id } });
+    await deleteCollectionObjects(req.collection.id);
+
+    res.json({ message: 'Collection deleted' });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Save a model at the end of the collection
+router.post('/:id/items',
+  authenticateToken,
+  body('modelId').isString().isLength({ min: 1 }),
+  checkValidation,
+  loadCollection(true),
+  async (req, res) => {
+    try {
+      const { modelId } = req.body;
+
+      const model = await prisma.model.findFirst({
+        where: { id: modelId, ...visibleItemsWhere(req.user).model },
+        select: { id: true }
+      });
+      if (!model) {
+        return res.status(404).json({ error: 'Model not found' });
+      }
+
+      const count = await prisma.collectionItem.count({ where: { collectionId: req.collection.id } });
+      if (count >= MAX_ITEMS) {
+        return res.status(400).json({ error: `A collection can hold up to ${MAX_ITEMS} models` });
+      }
+
+      const item = await addCollectionItem(req.collection.id, modelId);
+      if (!item) {
+        return res.status(409).json({ error: 'Model is already in this collection' });
+      }
+
+      res.status(201).json({ item });
+    } catch (error) {
+      console.error('Add collection item error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Reorder: `modelIds` lists the collection's models in their new order
+router.put('/:id/items/order',
+  authenticateToken,
+  body('modelIds').isArray({ max: MAX_ITEMS }),
+  body('modelIds.*').isString(),
+  checkValidation,
+  loadCollection(true),
+  async (req, res) => {
+    try {
+      const reordered = await reorderCollectionItems(req.collection.id, req.body.modelIds);
+      if (!reordered) {
+        return res.status(400).json({ error: 'modelIds must name models in the collection, each once' });
+      }
+
+      res.json({ message: 'Collection reordered' });
+    } catch (error) {
+      console.error('Reorder collection error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+router.delete('/:id/items/:modelId', authenticateToken, loadCollection(true), async (req, res) => {
+  try {
+    const { count } = await prisma.collectionItem.deleteMany({
+      where: { collectionId: req.collection.id, modelId: req.params.modelId }
+    });
+    if (count === 0) {
+      return res.status(404).json({ error: 'Model is not in this collection' });
+    }
+
+    res.json({ message: 'Removed from collection' });
+  } catch (error) {
+    console.error('Remove collection item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Upload a cover image, replacing any earlier one
+router.post('/:id/cover',
+  authenticateToken,
+  loadCollection(true),
+  coverUpload.single('cover'),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No cover image provided' });
+      }
+
+      const storageDriver = getStorage();
+      const coverKey = collectionKey(
+        req.collection.id,
+        'cover',
+        `${Date.now()}_${sanitizeFileName(req.file.originalname)}`
+      );
+
+      await storageDriver.putObject(coverKey, req.file.buffer, {
+        contentType: req.file.mimetype
+      });
+      await prisma.collection.update({
+        where: { id: req.collection.id },
+        data: { coverUrl: coverKey }
+      });
+
+      if (req.collection.coverUrl) {
+        await storageDriver.deleteObject(req.collection.coverUrl);
+      }
+
+      res.json({ coverUrl: storageDriver.getPublicUrl(coverKey) });
+    } catch (error) {
+      console.error('Upload collection cover error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Go back to the items' thumbnails
+router.delete('/:id/cover', authenticateToken, loadCollection(true), async (req, res) => {
+  try {
+    if (req.collection.coverUrl) {
+      await prisma.collection.update({
+        where: { id: req.collection.id },
+        data: { coverUrl: null }
+      });
+      await getStorage().deleteObject(req.collection.coverUrl);
+    }
+
+    res.json({ message: 'Cover removed' });
+  } catch (error) {
+    console.error('Remove collection cover error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { renderMarkdown } = require('../lib/markdown');
+const {
+  MAX_LENGTH,
+  commentInclude,
+  serializeComment,
+  findCommentPage,
+  editComment
+} = require('../lib/comments');
+
+// Comments are posted and listed under /api/models/:id/comments; this
+// router handles single comments and their replies
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Load the comment named by :id, with its model, into req.comment. Comments
+// on private models are only there for the model's creator.
+const loadComment = async (req, res, next) => {
+  try {
+    const comment = await prisma.comment.findUnique({
+      where: { id: req.params.id },
+      include: {
+        ...commentInclude,
+        model: { select: { isPublic: true, userId: true } }
+      }
+    });
+    if (!comment || (!comment.model.isPublic && req.user?.id !== comment.model.userId)) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    req.comment = comment;
+    next();
+  } catch (error) {
+    console.error('Load comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Replies to a comment, oldest first, a page at a time like the model's
+// comments
+router.get('/:id/replies', optionalAuth, loadComment, async (req, res) => {
+  try {
+    const { comments, nextCursor } = await findCommentPage({
+      where: { parentId: req.comment.id },
+      order: 'asc',
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+
+    res.json({
+      replies: comments.map(comment => serializeComment(comment, req.user, req.comment.model.userId)),
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Get replies error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Earlier versions of an edited comment, newest first
+router.get('/:id/history', optionalAuth, loadComment, async (req, res) => {
+  try {
+    if (req.comment.deletedAt) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const revisions = await prisma.commentRevision.findMany({
+      where: { commentId: req.comment.id },
+      orderBy: { replacedAt: 'desc' }
+    });
+    const mentions = new Set(req.comment.mentions.map(mention => mention.user.username.toLowerCase()));
+
+    res.json({
+      revisions: revisions.map(revision => ({
+        id: revision.id,
+        html: renderMarkdown(revision.content, mentions),
+        createdAt: revision.createdAt,
+        replacedAt: revision.replacedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get comment history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit a comment; only its author can
+router.put('/:id',
+  authenticateToken,
+  body('content').isString().trim().isLength({ min: 1, max: MAX_LENGTH }),
+  loadComment,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { comment } = req;
+      if (comment.userId !== req.user.id) {
+        return res.status(403).json({ error: 'Only the author can edit a comment' });
+      }
+      if (comment.deletedAt) {
+        return res.status(400).json({ error: 'Deleted comments cannot be edited' });
+      }
+
+      const updated = req.body.content === comment.content
+        ? comment
+        : await editComment(comment, req.body.content);
+
+      res.json({
+        message: 'Comment updated',
+        comment: serializeComment(updated, req.user, comment.model.userId)
+      });
+    } catch (error) {
+      console.error('Edit comment error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Delete a comment: its author, the model's creator and admins can. The
+// comment stays as a placeholder so its replies keep their thread.
+router.delete('/:id', authenticateToken, loadComment, async (req, res) => {
+  try {
+    const { comment } = req;
+    const allowed = comment.userId === req.user.id ||
+      comment.model.userId === req.user.id ||
+      req.user.role === 'ADMIN';
+    if (!allowed) {
+      return res.status(403).json({ error: 'You cannot delete this comment' });
+    }
+    if (comment.deletedAt) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    await prisma.comment.update({
+      where: { id: comment.id },
+      data: { deletedAt: new Date() }
+    });
+
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
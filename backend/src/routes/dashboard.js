@@ -1,6 +1,7 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { requireRole } = require('../middleware/auth');
+const { listZeroResultQueries } = require('../lib/search/queryLog');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -22,7 +23,7 @@ router.get('/overview', requireRole(['CREATOR', 'ADMIN']), async (req, res) => {
       prisma.modelView.count({ where: { model: { userId } } }),
       prisma.download.count({ where: { model: { userId } } }),
       prisma.like.count({ where: { model: { userId } } }),
-      prisma.comment.count({ where: { model: { userId } } })
+      prisma.comment.count({ where: { model: { userId }, deletedAt: null } })
     ]);
 
     // Get recent activity
@@ -36,7 +37,7 @@ router.get('/overview', requireRole(['CREATOR', 'ADMIN']), async (req, res) => {
             views: true,
             downloads: true,
             likes: true,
-            comments: true
+            comments: { where: { deletedAt: null } }
           }
         }
       }
@@ -145,6 +146,28 @@ router.get('/analytics', requireRole(['CREATOR', 'ADMIN']), async (req, res) =>
   }
 });
 
+// Get searches that found nothing, so creators can see what is missing
+router.get('/search-gaps', requireRole(['CREATOR', 'ADMIN']), async (req, res) => {
+  try {
+    const { period = '30d' } = req.query;
+    const days = { '7d': 7, '30d': 30, '90d': 90 }[period] || 30;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const queries = await listZeroResultQueries({
+      since: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+      limit
+    });
+
+    res.json({ period, queries });
+  } catch (error) {
+    console.error('Get search gaps error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch search gaps'
+    });
+  }
+});
+
 // Get earnings data
 router.get('/earnings', requireRole(['CREATOR', 'ADMIN']), async (req, res) => {
   try {
@@ -208,7 +231,7 @@ router.get('/earnings', requireRole(['CREATOR', 'ADMIN']), async (req, res) => {
 router.get('/uploads', requireRole(['CREATOR', 'ADMIN']), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { page = 1, limit = 20, status = 'all' } = req.query;
+    const { page = 1, limit = 20, status = 'all', processing } = req.query;
 
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
@@ -218,6 +241,10 @@ router.get('/uploads', requireRole(['CREATOR', 'ADMIN']), async (req, res) => {
     if (status !== 'all') {
       whereClause.isPublic = status === 'public';
     }
+    // queued, processing, ready or failed
+    if (processing) {
+      whereClause.processingStatus = String(processing).toUpperCase();
+    }
 
     const [models, total] = await Promise.all([
       prisma.model.findMany({
@@ -240,7 +267,10 @@ router.get('/uploads', requireRole(['CREATOR', 'ADMIN']), async (req, res) => {
     ]);
 
     res.json({
-      models,
+      models: models.map(model => ({
+        ...model,
+        processingStatus: model.processingStatus.toLowerCase()
+      })),
       pagination: {
         page: pageNum,
         limit: limitNum,
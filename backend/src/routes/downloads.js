@@ -1,107 +1,334 @@
+const path = require('path');
 const express = require('express');
-const router = express.Router();
-const { supabase } = require('../lib/supabase');
+const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('../middleware/auth');
+const { getStorage, publicUrlFor } = require('../lib/storage');
+const { detectFormat } = require('../lib/formats');
+const { conversionTargets, findConvertedFile, queueConversion, conversionStatus } = require('../lib/conversion');
+const { parseOptimized } = require('../lib/modelVariants');
+const { bundleKey, parseBundleFiles, createZipStream, createBundleStream } = require('../lib/bundles');
+const { modelAtVersion } = require('../lib/modelVersions');
+const { licenseFileText } = require('../lib/licenses');
+const { sourcesInclude, sourceCredits } = require('../lib/derivations');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Title turned into something safe to put in a Content-Disposition header
+const downloadFileName = (title, extension) => {
+  const base = (title || '').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'model';
+  return `${base}.${extension}`;
+};
 
-// Download a model file
-router.post('/:modelId', authenticateToken, async (req, res) => {
+// The LICENSE.txt that goes in a download's zip, named differently if the
+// creator's bundle has one of its own. It credits the works the model is
+// based on as well.
+const licenseEntry = (model, bundlePaths = []) => ({
+  path: bundlePaths.some(path => path.toLowerCase() === 'license.txt') ? 'LICENSE-download.txt' : 'LICENSE.txt',
+  buffer: Buffer.from(licenseFileText(model, model.latestVersion, model.creator.username, sourceCredits(model.derivedFrom)))
+});
+
+// Stream a zip of `entries` back as an attachment
+const sendZip = ({ res, entries, fileName }) => {
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  const stream = createZipStream(entries);
+  stream.on('error', (error) => {
+    console.error('Zip stream error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Log the download and bump the model's counter
+const recordDownload = async (req, model) => {
+  try {
+    await prisma.$transaction([
+      prisma.download.create({
+        data: {
+          modelId: model.id,
+          userId: req.user.id,
+          ipAddress: req.body?.ip_address || req.ip,
+          userAgent: req.body?.user_agent || req.get('User-Agent')
+        }
+      }),
+      prisma.model.update({
+        where: { id: model.id },
+        data: { downloadCount: { increment: 1 } }
+      })
+    ]);
+  } catch (error) {
+    // Don't fail the download if tracking fails
+    console.error('Error recording download:', error);
+  }
+};
+
+// The `version` query parameter: null when absent, NaN when it isn't a
+// positive number
+const parseVersion = (value) => {
+  if (!value) return null;
+  const number = parseInt(value);
+  return number >= 1 ? number : NaN;
+};
+
+// The model the user asked for, or the requested version of it, as
+// `{ model, current }`; or the `{ status, error }` to refuse with
+const findDownloadable = async (modelId, userId, versionNumber) => {
+  const current = await prisma.model.findUnique({
+    where: { id: modelId },
+    include: { creator: { select: { username: true } }, ...sourcesInclude }
+  });
+  const isOwner = current && current.userId === userId;
+
+  if (!current || (!current.isPublic && !isOwner)) {
+    return { status: 404, error: 'Model not found or not public' };
+  }
+
+  // Check if user has permission to download
+  if (!current.isFree && !isOwner) {
+    return { status: 403, error: 'This model requires payment' };
+  }
+
+  if (versionNumber === null || versionNumber === current.latestVersion) {
+    return { model: current, current };
+  }
+
+  // An earlier version is served from its own files, as though it were
+  // still the latest
+  const version = await prisma.modelVersion.findUnique({
+    where: { modelId_number: { modelId, number: versionNumber } }
+  });
+  if (!version || !version.fileUrl) {
+    return { status: 404, error: 'Version not found' };
+  }
+  return { model: modelAtVersion(current, version), current };
+};
+
+const VARIANTS = ['original', 'optimized', 'bundle'];
+
+// Download a model file, converted to `format` (glb, obj, stl) if asked,
+// or its optimized GLB with `variant=optimized`. Models uploaded as a zip
+// can also be had whole with `variant=bundle`, or one `file` at a time.
+// `version` picks an earlier version of the file. A conversion that isn't
+// in storage yet is queued for the worker and answered with 202 and a URL
+// to poll. Every download is a zip with a LICENSE.txt for the version's
+// license.
+const downloadModel = async (req, res) => {
   try {
     const { modelId } = req.params;
     const userId = req.user.id;
-    const { ip_address, user_agent } = req.body;
-
-    // Get model details
-    const { data: model, error: modelError } = await supabase
-      .from('models')
-      .select('*')
-      .eq('id', modelId)
-      .eq('is_public', true)
-      .single();
-
-    if (modelError || !model) {
-      return res.status(404).json({ error: 'Model not found or not public' });
+    const requestedFormat = (req.query.format || req.body?.format || '').toLowerCase() || null;
+    const variant = (req.query.variant || req.body?.variant || 'original').toLowerCase();
+    const requestedFile = req.query.file || req.body?.file || null;
+    const requestedVersion = req.query.version || req.body?.version || null;
+
+    if (!VARIANTS.includes(variant)) {
+      return res.status(400).json({ error: `variant must be one of: ${VARIANTS.join(', ')}` });
+    }
+
+    const versionNumber = parseVersion(requestedVersion);
+    if (Number.isNaN(versionNumber)) {
+      return res.status(400).json({ error: 'version must be a positive number' });
     }
 
-    // Check if user has permission to download
-    if (!model.is_free && model.user_id !== userId) {
-      return res.status(403).json({ error: 'This model requires payment' });
+    const found = await findDownloadable(modelId, userId, versionNumber);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
     }
 
-    // Record the download
-    const { error: downloadError } = await supabase
-      .from('downloads')
-      .insert({
-        model_id: modelId,
-        user_id: userId,
-        ip_address: ip_address || req.ip,
-        user_agent: user_agent || req.get('User-Agent')
+    const { model } = found;
+    const isOlderVersion = model !== found.current;
+    if (isOlderVersion && variant === 'optimized') {
+      return res.status(404).json({ error: 'Only the latest version has an optimized download' });
+    }
+    // Older versions are told apart by their file names
+    const title = isOlderVersion ? `${model.title} v${versionNumber}` : model.title;
+
+    if (variant === 'bundle' || requestedFile) {
+      const files = parseBundleFiles(model.bundleFiles);
+      if (!files) {
+        return res.status(404).json({ error: 'This model was not uploaded as a bundle' });
+      }
+
+      if (requestedFile) {
+        // Only paths listed in the bundle are served, so this can't reach
+        // anything else in storage
+        const file = files.find(entry => entry.path === requestedFile);
+        if (!file) {
+          return res.status(404).json({ error: 'File not found in this model' });
+        }
+
+        const fileName = path.posix.basename(file.path).replace(/[^\w.\- ]+/g, '_');
+        await recordDownload(req, model);
+        return sendZip({
+          res,
+          entries: [
+            { path: fileName, key: bundleKey(model.id, file.path, model.latestVersion), size: file.size },
+            licenseEntry(model, [fileName])
+          ],
+          fileName: downloadFileName(`${title} ${path.posix.basename(fileName, path.posix.extname(fileName))}`, 'zip')
+        });
+      }
+
+      await recordDownload(req, model);
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${downloadFileName(title, 'zip')}"`);
+      const stream = createBundleStream(model, [licenseEntry(model, files.map(file => file.path))]);
+      stream.on('error', (error) => {
+        console.error('Bundle stream error:', error);
+        res.destroy(error);
       });
+      return stream.pipe(res);
+    }
 
-    if (downloadError) {
-      console.error('Error recording download:', downloadError);
-      // Don't fail the download if tracking fails
+    if (variant === 'optimized') {
+      const optimized = parseOptimized(model.optimized);
+      if (!optimized) {
+        return res.status(404).json({ error: 'No optimized version of this model is available' });
+      }
+
+      await recordDownload(req, model);
+      return sendZip({
+        res,
+        entries: [
+          { path: downloadFileName(`${model.title} optimized`, 'glb'), key: optimized.key, size: optimized.size },
+          licenseEntry(model)
+        ],
+        fileName: downloadFileName(`${model.title} optimized`, 'zip')
+      });
+    }
+
+    const sourceFormat = detectFormat(model);
+    const wantsOriginal = !requestedFormat || requestedFormat === 'original' || requestedFormat === sourceFormat;
+    if (!wantsOriginal && !conversionTargets(sourceFormat).includes(requestedFormat)) {
+      return res.status(400).json({
+        error: `This model can't be downloaded as ${requestedFormat}`,
+        formats: [sourceFormat, ...conversionTargets(sourceFormat)].filter(Boolean)
+      });
     }
 
-    // Get the file from Supabase Storage
-    const { data: fileData, error: fileError } = await supabase.storage
-      .from('models')
-      .download(model.file_url);
+    // Older rows point straight at an external file
+    if (wantsOriginal && /^https?:\/\//.test(model.fileUrl)) {
+      await recordDownload(req, model);
+      return res.redirect(model.fileUrl);
+    }
 
-    if (fileError) {
-      console.error('Error downloading file:', fileError);
-      return res.status(500).json({ error: 'Failed to download file' });
+    let file;
+    if (wantsOriginal) {
+      const stat = await getStorage().statObject(model.fileUrl);
+      file = stat && {
+        key: model.fileUrl,
+        size: stat.size,
+        contentType: model.fileType,
+        extension: path.posix.extname(model.fileUrl).slice(1) || sourceFormat
+      };
+    } else {
+      const converted = await findConvertedFile(model, requestedFormat);
+      if (converted && converted.error) {
+        return res.status(422).json({ error: converted.error });
+      }
+      if (converted && !converted.file) {
+        // Converting can take a while, so it happens on the worker
+        await queueConversion(model, requestedFormat);
+        const query = isOlderVersion ? `?version=${versionNumber}` : '';
+        return res.status(202).json({
+          status: 'converting',
+          statusUrl: `${req.baseUrl}/${model.id}/conversions/${requestedFormat}${query}`
+        });
+      }
+      file = converted && converted.file;
     }
 
-    // Set response headers for file download
-    res.setHeader('Content-Type', 'application/octet-stream');
-    res.setHeader('Content-Disposition', `attachment; filename="${model.title}.${model.file_type}"`);
-    res.setHeader('Content-Length', fileData.size);
+    if (!file) {
+      return res.status(404).json({ error: 'Model file not found' });
+    }
 
-    // Stream the file
-    res.send(fileData);
+    await recordDownload(req, model);
 
+    sendZip({
+      res,
+      entries: [
+        { path: downloadFileName(title, file.extension), key: file.key, size: file.size },
+        licenseEntry(model)
+      ],
+      fileName: downloadFileName(title, 'zip')
+    });
   } catch (error) {
     console.error('Download error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
+};
+
+router.get('/:modelId', authenticateToken, downloadModel);
+// Older clients POST to start a download
+router.post('/:modelId', authenticateToken, downloadModel);
+
+// Where a queued conversion stands. `status` is ready (with the URL to
+// download it from), converting, failed (with the reason) or none.
+router.get('/:modelId/conversions/:format', authenticateToken, async (req, res) => {
+  try {
+    const { modelId } = req.params;
+    const format = req.params.format.toLowerCase();
+    const versionNumber = parseVersion(req.query.version);
+    if (Number.isNaN(versionNumber)) {
+      return res.status(400).json({ error: 'version must be a positive number' });
+    }
+
+    const found = await findDownloadable(modelId, req.user.id, versionNumber);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const { model } = found;
+    if (!conversionTargets(detectFormat(model)).includes(format)) {
+      return res.status(400).json({ error: `This model can't be downloaded as ${format}` });
+    }
+
+    const conversion = await conversionStatus(model, format);
+    if (!conversion) {
+      return res.status(404).json({ error: 'Model file not found' });
+    }
+
+    const query = new URLSearchParams({ format, ...(model !== found.current ? { version: versionNumber } : {}) });
+    res.json({
+      status: conversion.status,
+      ...(conversion.status === 'ready' ? { downloadUrl: `${req.baseUrl}/${model.id}?${query}` } : {}),
+      ...(conversion.error ? { error: conversion.error } : {})
+    });
+  } catch (error) {
+    console.error('Conversion status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
 // Get download statistics for a model
 router.get('/:modelId/stats', async (req, res) => {
   try {
     const { modelId } = req.params;
+    const now = new Date();
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const weekAgo = new Date(now);
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    const monthAgo = new Date(now);
+    monthAgo.setMonth(monthAgo.getMonth() - 1);
 
-    const { data: downloads, error } = await supabase
-      .from('downloads')
-      .select('*')
-      .eq('model_id', modelId);
+    const countSince = (since) => prisma.download.count({
+      where: { modelId, ...(since ? { createdAt: { gte: since } } : {}) }
+    });
 
-    if (error) {
-      return res.status(500).json({ error: 'Failed to get download stats' });
-    }
+    const [total, today, thisWeek, thisMonth] = await Promise.all([
+      countSince(null),
+      countSince(startOfToday),
+      countSince(weekAgo),
+      countSince(monthAgo)
+    ]);
 
-    const stats = {
-      total_downloads: downloads.length,
-      downloads_today: downloads.filter(d => {
-        const today = new Date();
-        const downloadDate = new Date(d.downloaded_at);
-        return downloadDate.toDateString() === today.toDateString();
-      }).length,
-      downloads_this_week: downloads.filter(d => {
-        const weekAgo = new Date();
-        weekAgo.setDate(weekAgo.getDate() - 7);
-        const downloadDate = new Date(d.downloaded_at);
-        return downloadDate >= weekAgo;
-      }).length,
-      downloads_this_month: downloads.filter(d => {
-        const monthAgo = new Date();
-        monthAgo.setMonth(monthAgo.getMonth() - 1);
-        const downloadDate = new Date(d.downloaded_at);
-        return downloadDate >= monthAgo;
-      }).length
-    };
-
-    res.json(stats);
+    res.json({
+      total_downloads: total,
+      downloads_today: today,
+      downloads_this_week: thisWeek,
+      downloads_this_month: thisMonth
+    });
   } catch (error) {
     console.error('Stats error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -111,28 +338,29 @@ router.get('/:modelId/stats', async (req, res) => {
 // Get user's download history
 router.get('/user/history', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    const { data: downloads, error } = await supabase
-      .from('downloads')
-      .select(`
-        *,
-        model:models(
-          id,
-          title,
-          description,
-          thumbnail_url,
-          category
-        )
-      `)
-      .eq('user_id', userId)
-      .order('downloaded_at', { ascending: false });
-
-    if (error) {
-      return res.status(500).json({ error: 'Failed to get download history' });
-    }
+    const downloads = await prisma.download.findMany({
+      where: { userId: req.user.id },
+      include: {
+        model: {
+          select: {
+            id: true,
+            title: true,
+            description: true,
+            thumbnailUrl: true,
+            category: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
 
-    res.json(downloads);
+    res.json(downloads.map(download => ({
+      ...download,
+      model: {
+        ...download.model,
+        thumbnailUrl: publicUrlFor(download.model.thumbnailUrl)
+      }
+    })));
   } catch (error) {
     console.error('History error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -0,0 +1,195 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const { publicUrlFor } = require('../lib/storage');
+const { MODEL_CATEGORIES } = require('../lib/categories');
+const { FEATURED_SLOTS, featuredStatus, findSlotConflict } = require('../lib/featured');
+
+// Managing featured picks is for admins; the picks themselves are served
+// by GET /api/models/featured
+const router = express.Router();
+const prisma = new PrismaClient();
+
+router.use(requireRole(['ADMIN']));
+
+const entryInclude = {
+  model: {
+    select: {
+      id: true,
+      title: true,
+      category: true,
+      thumbnailUrl: true,
+      isPublic: true
+    }
+  },
+  createdBy: {
+    select: {
+      id: true,
+      username: true
+    }
+  }
+};
+
+const formatEntry = (entry, now = new Date()) => ({
+  ...entry,
+  status: featuredStatus(entry, now),
+  model: {
+    ...entry.model,
+    thumbnailUrl: publicUrlFor(entry.model.thumbnailUrl)
+  }
+});
+
+// Validation middleware; `optional` for updates, where every field may be left out
+const validateEntry = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('modelId').isString().isLength({ min: 1 }),
+    body('category').optional({ values: 'null' }).isIn(MODEL_CATEGORIES),
+    field('position').isInt({ min: 1, max: FEATURED_SLOTS }).toInt(),
+    body('headline').optional({ values: 'null' }).isLength({ max: 140 }).trim(),
+    body('startsAt').optional().isISO8601().toDate(),
+    body('endsAt').optional({ values: 'null' }).isISO8601().toDate()
+  ];
+};
+
+// Check a new or updated entry against its model and the other entries.
+// Resolves to an error response `{ status, body }`, or null when it's fine.
+const checkEntry = async (entry) => {
+  if (entry.endsAt && entry.endsAt <= entry.startsAt) {
+    return { status: 400, body: { error: 'endsAt must be after startsAt' } };
+  }
+
+  const model = await prisma.model.findUnique({
+    where: { id: entry.modelId },
+    select: { isPublic: true }
+  });
+  if (!model || !model.isPublic) {
+    return { status: 400, body: { error: 'Only public models can be featured' } };
+  }
+
+  const conflict = await findSlotConflict(entry);
+  if (conflict) {
+    return {
+      status: 409,
+      body: { error: `Slot ${entry.position} is already taken for part of that time`, conflictId: conflict.id }
+    };
+  }
+
+  return null;
+};
+
+// List featured entries, optionally for one category (`none` for the front
+// page) or status (scheduled, active, ended)
+router.get('/', async (req, res) => {
+  try {
+    const { category, status } = req.query;
+    const now = new Date();
+
+    const entries = await prisma.featuredModel.findMany({
+      where: category ? { category: category === 'none' ? null : category } : {},
+      include: entryInclude,
+      orderBy: [{ category: 'asc' }, { position: 'asc' }, { startsAt: 'asc' }]
+    });
+
+    res.json({
+      slots: FEATURED_SLOTS,
+      entries: entries
+        .map(entry => formatEntry(entry, now))
+        .filter(entry => !status || entry.status === status)
+    });
+  } catch (error) {
+    console.error('List featured models error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Feature a model in a slot, from startsAt (default now) until endsAt
+// (default open-ended)
+router.post('/', validateEntry(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const entry = {
+      modelId: req.body.modelId,
+      category: req.body.category || null,
+      position: req.body.position,
+      headline: req.body.headline || null,
+      startsAt: req.body.startsAt || new Date(),
+      endsAt: req.body.endsAt || null
+    };
+
+    const problem = await checkEntry(entry);
+    if (problem) {
+      return res.status(problem.status).json(problem.body);
+    }
+
+    const created = await prisma.featuredModel.create({
+      data: { ...entry, createdById: req.user.id },
+      include: entryInclude
+    });
+
+    res.status(201).json({ entry: formatEntry(created) });
+  } catch (error) {
+    console.error('Create featured model error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move, reschedule or retitle a featured entry
+router.patch('/:id', validateEntry(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await prisma.featuredModel.findUnique({ where: { id: req.params.id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Featured entry not found' });
+    }
+
+    const changes = {};
+    for (const field of ['modelId', 'category', 'position', 'headline', 'startsAt', 'endsAt']) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    const entry = { ...existing, ...changes };
+
+    const problem = await checkEntry(entry);
+    if (problem) {
+      return res.status(problem.status).json(problem.body);
+    }
+
+    const updated = await prisma.featuredModel.update({
+      where: { id: existing.id },
+      data: changes,
+      include: entryInclude
+    });
+
+    res.json({ entry: formatEntry(updated) });
+  } catch (error) {
+    console.error('Update featured model error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a featured entry; to end one early while keeping its record, set
+// its endsAt instead
+router.delete('/:id', async (req, res) => {
+  try {
+    const { count } = await prisma.featuredModel.deleteMany({ where: { id: req.params.id } });
+    if (count === 0) {
+      return res.status(404).json({ error: 'Featured entry not found' });
+    }
+
+    res.json({ message: 'Featured entry removed' });
+  } catch (error) {
+    console.error('Delete featured model error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const { describeFormats } = require('../lib/formats');
+const { BUNDLE_EXTENSIONS } = require('../lib/bundles');
+
+const router = express.Router();
+
+// Get the model formats uploads accept (public), plus the archive types
+// multi-file models can be zipped in. The upload form builds its file picker
+// from this so it can't drift from the server-side checks.
+router.get('/', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json({ formats: describeFormats(), bundleExtensions: BUNDLE_EXTENSIONS });
+});
+
+module.exports = router;
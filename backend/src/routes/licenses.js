@@ -0,0 +1,13 @@
+const express = require('express');
+const { describeLicenses } = require('../lib/licenses');
+
+const router = express.Router();
+
+// Get the licenses models can be published under (public), with what each
+// allows. The upload form builds its license picker from this.
+router.get('/', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json({ licenses: describeLicenses() });
+});
+
+module.exports = router;
@@ -2,6 +2,45 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { body, validationResult, query } = require('express-validator');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { serializeMetadata } = require('../lib/modelMetadata');
+const { getVersionMetadata } = require('../lib/processing');
+const { publicUrlFor } = require('../lib/storage');
+const { serializePreviewUrls, serializeTurntable } = require('../lib/modelPreviews');
+const { detectFormat } = require('../lib/formats');
+const { isEmbeddable } = require('../lib/embed');
+const { conversionTargets } = require('../lib/conversion');
+const { serializeOptimized, serializeTextures, canViewFiles, viewerSource } = require('../lib/modelVariants');
+const { describeBundle } = require('../lib/bundles');
+const { getFeaturedEntries } = require('../lib/featured');
+const { listInclude, serializeListedModel } = require('../lib/modelListing');
+const { matchModels } = require('../lib/search');
+const { slugifyTag, serializeTags, tagsInclude } = require('../lib/tags');
+const { COMMERCIAL_LICENSE_IDS, serializeLicense } = require('../lib/licenses');
+const {
+  MAX_LENGTH: COMMENT_MAX_LENGTH,
+  serializeComment,
+  findCommentPage,
+  createComment
+} = require('../lib/comments');
+const {
+  MAX_TITLE_LENGTH: ANNOTATION_TITLE_LENGTH,
+  MAX_BODY_LENGTH: ANNOTATION_BODY_LENGTH,
+  MAX_PER_AUTHOR: ANNOTATIONS_PER_AUTHOR,
+  validateVector,
+  validateCameraView,
+  annotationInclude,
+  serializeAnnotation,
+  annotationData,
+  findVersionAnnotations,
+  annotationNumber
+} = require('../lib/annotations');
+const { sourcesInclude, sourceCredits, derivationTree } = require('../lib/derivations');
+const {
+  modelAtVersion,
+  serializeVersions,
+  compareVersions,
+  isRecentlyUpdated
+} = require('../lib/modelVersions');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -15,144 +54,49 @@ const validateModel = [
   body('tags.*').isLength({ min: 1, max: 20 }).trim()
 ];
 
-
-
-// Get featured models
+// Get featured models: the front page's picks, or a category's with
+// ?category=
 router.get('/featured', async (req, res) => {
   try {
-    // For development, return mock data if database is not available
-    const mockFeaturedModels = [
-      {
-        id: '1',
-        title: 'Sci-Fi Character',
-        description: 'A futuristic character model perfect for sci-fi games',
-        category: 'characters',
-        tags: 'sci-fi, character, futuristic',
-        fileUrl: '/models/sci-fi-character.glb',
-        previewUrl: '/previews/sci-fi-character.jpg',
-        thumbnailUrl: '/thumbnails/sci-fi-character.jpg',
-        fileSize: 2048576,
-        fileType: 'glb',
-        isPublic: true,
-        isFree: true,
-        downloadCount: 156,
-        viewCount: 892,
-        likeCount: 67,
-        createdAt: new Date(),
-        updatedAt: new Date(),
-        userId: 'user1',
-        creator: {
-          id: 'user1',
-          username: 'SciFiArtist',
-          avatar: '/avatars/sci-fi-artist.jpg'
-        },
-        _count: {
-          likes: 67,
-          comments: 23,
-          downloads: 156
-        }
-      },
-      {
-        id: '2',
-        title: 'Medieval Castle',
-        description: 'Detailed medieval castle with towers and walls',
-        category: 'buildings',
-        tags: 'medieval, castle, building, fantasy',
-        fileUrl: '/models/medieval-castle.glb',
-        previewUrl: '/previews/medieval-castle.jpg',
-        thumbnailUrl: '/thumbnails/medieval-castle.jpg',
-        fileSize: 5120000,
-        fileType: 'glb',
-        isPublic: true,
-        isFree: true,
-        downloadCount: 89,
-        viewCount: 445,
-        likeCount: 34,
-        createdAt: new Date(Date.now() - 86400000),
-        updatedAt: new Date(Date.now() - 86400000),
-        userId: 'user2',
-        username: 'MedievalBuilder',
-        avatar: '/avatars/medieval-builder.jpg',
-        _count: {
-          likes: 34,
-          comments: 12,
-          downloads: 89
-        }
-      }
-    ];
+    const entries = await getFeaturedEntries({
+      category: req.query.category || null,
+      include: listInclude
+    });
 
-    res.json({ models: mockFeaturedModels });
+    res.json({
+      models: entries.map(entry => ({
+        ...serializeListedModel(entry.model),
+        featured: {
+          position: entry.position,
+          headline: entry.headline,
+          endsAt: entry.endsAt
+        }
+      }))
+    });
   } catch (error) {
     console.error('Get featured models error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get trending models
+// Get trending models, highest trending score first
 router.get('/trending', async (req, res) => {
   try {
-    // For development, return mock data if database is not available
-    const mockTrendingModels = [
-      {
-        id: '3',
-        title: 'Racing Car',
-        description: 'High-performance racing car with detailed interior',
-        category: 'vehicles',
-        tags: 'car, racing, vehicle, sports',
-        fileUrl: '/models/racing-car.glb',
-        previewUrl: '/previews/racing-car.jpg',
-        thumbnailUrl: '/thumbnails/racing-car.jpg',
-        fileSize: 3072000,
-        fileType: 'glb',
+    const { category } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+
+    const models = await prisma.model.findMany({
+      where: {
         isPublic: true,
-        isFree: true,
-        downloadCount: 234,
-        viewCount: 1200,
-        likeCount: 89,
-        createdAt: new Date(Date.now() - 172800000),
-        updatedAt: new Date(Date.now() - 172800000),
-        userId: 'user3',
-        creator: {
-          id: 'user3',
-          username: 'VehicleDesigner',
-          avatar: '/avatars/vehicle-designer.jpg'
-        },
-        _count: {
-          likes: 89,
-          comments: 31,
-          downloads: 234
-        }
+        trendingScore: { gt: 0 },
+        ...(category ? { category } : {})
       },
-      {
-        id: '4',
-        title: 'Fantasy Sword',
-        description: 'Ornate fantasy sword with magical runes',
-        category: 'weapons',
-        tags: 'sword, weapon, fantasy, magical',
-        fileUrl: '/models/fantasy-sword.glb',
-        previewUrl: '/previews/fantasy-sword.jpg',
-        thumbnailUrl: '/thumbnails/fantasy-sword.jpg',
-        fileSize: 1024000,
-        fileType: 'glb',
-        isPublic: true,
-        isFree: true,
-        downloadCount: 178,
-        viewCount: 890,
-        likeCount: 56,
-        createdAt: new Date(Date.now() - 259200000),
-        updatedAt: new Date(Date.now() - 259200000),
-        userId: 'user4',
-        username: 'WeaponSmith',
-        avatar: '/avatars/weapon-smith.jpg',
-        _count: {
-          likes: 56,
-          comments: 19,
-          downloads: 178
-        }
-      }
-    ];
+      include: listInclude,
+      orderBy: { trendingScore: 'desc' },
+      take: limit
+    });
 
-    res.json({ models: mockTrendingModels });
+    res.json({ models: models.map(serializeListedModel) });
   } catch (error) {
     console.error('Get trending models error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -176,10 +120,16 @@ router.get('/:id', optionalAuth, async (req, res) => {
             isVerified: true
           }
         },
+        metadata: true,
+        textures: true,
+        modelTags: tagsInclude,
+        // Left out while a new version's files are still being stored
+        versions: { where: { fileUrl: { not: '' } } },
+        ...sourcesInclude,
         _count: {
           select: {
             likes: true,
-            comments: true,
+            comments: { where: { deletedAt: null } },
             downloads: true,
             views: true
           }
@@ -197,13 +147,63 @@ router.get('/:id', optionalAuth, async (req, res) => {
       data: { viewCount: { increment: 1 } }
     });
 
-    // Format response
+    const format = detectFormat(model);
+
+    // Past downloaders are told when there is a newer file than theirs
+    let updatedSinceDownload = false;
+    if (req.user && model.versionedAt) {
+      const lastDownload = await prisma.download.findFirst({
+        where: { modelId: id, userId: req.user.id },
+        orderBy: { createdAt: 'desc' },
+        select: { createdAt: true }
+      });
+      updatedSinceDownload = Boolean(lastDownload) && lastDownload.createdAt < model.versionedAt;
+    }
+
+    const canView = canViewFiles(model, req.user);
+
+    // Format response. Storage keys stay out of it: the files of paid
+    // models are only for those the downloads route lets through.
+    const {
+      modelTags,
+      legacyTags,
+      licenseText,
+      attribution,
+      derivedFrom,
+      fileUrl,
+      bundleFiles,
+      optimized,
+      ...fields
+    } = model;
     const response = {
-      ...model,
+      ...fields,
+      tags: serializeTags(modelTags),
+      license: serializeLicense(model, model.creator.username, sourceCredits(derivedFrom)),
       view_count: model.viewCount,
       download_count: model.downloadCount,
       like_count: model.likeCount,
       comment_count: model._count.comments,
+      thumbnailUrl: publicUrlFor(model.thumbnailUrl),
+      previewUrls: serializePreviewUrls(model.previewUrls),
+      turntable: serializeTurntable(model.turntable),
+      metadata: serializeMetadata(model.metadata),
+      hasFile: Boolean(fileUrl),
+      // What the browser viewer loads; it decides which formats it can show
+      viewer: canView ? await viewerSource(model, format) : null,
+      optimized: serializeOptimized(model),
+      textures: await serializeTextures(model.textures, canView),
+      // Every file of a zip upload, for the file tree and single-file downloads
+      bundle: describeBundle(model),
+      versions: serializeVersions(model, model.versions),
+      recentlyUpdated: isRecentlyUpdated(model),
+      updatedSinceDownload,
+      processingStatus: model.processingStatus.toLowerCase(),
+      // Only the creator needs to know why processing failed
+      processingError: req.user?.id === model.userId ? model.processingError : null,
+      isOwner: req.user?.id === model.userId,
+      embeddable: isEmbeddable(model),
+      // The original format first, then what downloads can convert it to
+      downloadFormats: [format, ...conversionTargets(format)].filter(Boolean),
       creator: {
         ...model.creator,
         avatar_url: model.creator.avatar
@@ -217,6 +217,122 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// What the embed page needs to show a model. Private and paid models
+// refuse, so an iframe can't be used to get at them.
+router.get('/:id/embed', async (req, res) => {
+  try {
+    const model = await prisma.model.findUnique({
+      where: { id: req.params.id },
+      include: {
+        creator: {
+          select: { username: true }
+        },
+        metadata: true
+      }
+    });
+
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    if (!isEmbeddable(model)) {
+      return res.status(403).json({ error: 'This model cannot be embedded' });
+    }
+
+    res.json({
+      id: model.id,
+      title: model.title,
+      creator: { username: model.creator.username },
+      thumbnailUrl: publicUrlFor(model.thumbnailUrl),
+      viewer: await viewerSource(model, detectFormat(model)),
+      metadata: serializeMetadata(model.metadata)
+    });
+  } catch (error) {
+    console.error('Get model embed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Compare two versions of a model: each version's statistics and viewer
+// source, and the deltas from version `a` to version `b`
+router.get('/:id/versions/compare', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const numbers = [parseInt(req.query.a), parseInt(req.query.b)];
+
+    if (numbers.some(number => isNaN(number) || number < 1)) {
+      return res.status(400).json({ error: 'a and b must be version numbers' });
+    }
+    if (numbers[0] === numbers[1]) {
+      return res.status(400).json({ error: 'Pick two different versions to compare' });
+    }
+
+    const model = await prisma.model.findUnique({ where: { id } });
+
+    if (!model || (!model.isPublic && req.user?.id !== model.userId)) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    const versions = await prisma.modelVersion.findMany({
+      where: { modelId: id, number: { in: numbers }, fileUrl: { not: '' } }
+    });
+    const [versionA, versionB] = numbers.map(number => versions.find(version => version.number === number));
+
+    if (!versionA || !versionB) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    // Statistics are for everyone; the files only for those who could view
+    // the model's current one
+    const canView = canViewFiles(model, req.user);
+
+    // One at a time, since versions without stored statistics are parsed here
+    const describe = async (version) => {
+      let metadata = null;
+      try {
+        metadata = serializeMetadata(await getVersionMetadata(model, version));
+      } catch (error) {
+        console.error(`Parse version ${version.number} of model ${id} error:`, error);
+      }
+
+      const source = modelAtVersion(model, version);
+      const format = detectFormat(source);
+      return {
+        version,
+        metadata,
+        response: {
+          ...serializeVersions(model, [version])[0],
+          metadata,
+          viewer: canView ? await viewerSource(source, format) : null
+        }
+      };
+    };
+    const a = await describe(versionA);
+    const b = await describe(versionB);
+
+    res.json({
+      a: a.response,
+      b: b.response,
+      changes: compareVersions(a, b)
+    });
+  } catch (error) {
+    console.error('Compare model versions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A page of the models matching `where` in the order of search `matches`,
+// and how many there are in all
+const findByRelevance = async (where, matches, skip, take) => {
+  const found = await prisma.model.findMany({ where, select: { id: true } });
+  const ids = new Set(found.map(model => model.id));
+  const pageIds = matches.map(match => match.modelId).filter(id => ids.has(id)).slice(skip, skip + take);
+
+  const models = await prisma.model.findMany({ where: { id: { in: pageIds } }, include: listInclude });
+  const byId = new Map(models.map(model => [model.id, model]));
+  return [pageIds.map(id => byId.get(id)).filter(Boolean), ids.size];
+};
+
 // Get all models with search and filters
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -224,10 +340,17 @@ router.get('/', optionalAuth, async (req, res) => {
       search,
       category,
       tags,
-      sort = 'newest',
+      sort = search ? 'relevance' : 'newest',
       page = 1,
       limit = 20,
-      creator
+      creator,
+      format,
+      minTriangles,
+      maxTriangles,
+      animated,
+      rigged,
+      watertight,
+      commercial
     } = req.query;
 
     const pageNum = parseInt(page);
@@ -239,26 +362,55 @@ router.get('/', optionalAuth, async (req, res) => {
       isPublic: true
     };
 
+    // Search goes through the search index; sort=relevance keeps its ranking
+    let matches = null;
     if (search) {
-      where.OR = [
-        { title: { contains: search, mode: 'insensitive' } },
-        { description: { contains: search, mode: 'insensitive' } },
-        { tags: { hasSome: [search] } }
-      ];
+      matches = await matchModels(search);
+      where.id = { in: matches.map(match => match.modelId) };
     }
 
     if (category) {
       where.category = category;
     }
 
-    if (tags && Array.isArray(tags)) {
-      where.tags = { hasSome: tags };
+    // Models with any of the tags, by slug (?tags=a&tags=b or ?tags=a,b)
+    if (tags) {
+      const slugs = [].concat(tags).flatMap(tag => String(tag).split(',')).map(slugifyTag).filter(Boolean);
+      where.modelTags = { some: { tag: { slug: { in: slugs } } } };
     }
 
     if (creator) {
       where.creator = { username: creator };
     }
 
+    // Only models whose license allows commercial use
+    if (commercial === 'true') {
+      where.license = { in: COMMERCIAL_LICENSE_IDS };
+    }
+
+    // Geometry filters match against the parsed model metadata
+    const metadataFilter = {};
+    if (format) {
+      metadataFilter.format = String(format).toLowerCase();
+    }
+    if (minTriangles !== undefined || maxTriangles !== undefined) {
+      metadataFilter.triangleCount = {};
+      if (!isNaN(parseInt(minTriangles))) metadataFilter.triangleCount.gte = parseInt(minTriangles);
+      if (!isNaN(parseInt(maxTriangles))) metadataFilter.triangleCount.lte = parseInt(maxTriangles);
+    }
+    if (animated !== undefined) {
+      metadataFilter.isAnimated = animated === 'true';
+    }
+    if (rigged !== undefined) {
+      metadataFilter.isRigged = rigged === 'true';
+    }
+    if (watertight !== undefined) {
+      metadataFilter.isWatertight = watertight === 'true';
+    }
+    if (Object.keys(metadataFilter).length > 0) {
+      where.metadata = { is: metadataFilter };
+    }
+
     // Build order by clause
     let orderBy = {};
     switch (sort) {
@@ -277,36 +429,26 @@ router.get('/', optionalAuth, async (req, res) => {
       case 'likes':
         orderBy = { likeCount: 'desc' };
         break;
+      case 'trending':
+        orderBy = { trendingScore: 'desc' };
+        break;
       default:
         orderBy = { createdAt: 'desc' };
     }
 
     // Get models with pagination
-    const [models, total] = await Promise.all([
-      prisma.model.findMany({
-        where,
-        include: {
-          creator: {
-            select: {
-              id: true,
-              username: true,
-              avatar: true,
-              isVerified: true
-            }
-          },
-          _count: {
-            select: {
-              likes: true,
-              comments: true
-            }
-          }
-        },
-        orderBy,
-        skip,
-        take: limitNum
-      }),
-      prisma.model.count({ where })
-    ]);
+    const [models, total] = matches && sort === 'relevance'
+      ? await findByRelevance(where, matches, skip, limitNum)
+      : await Promise.all([
+        prisma.model.findMany({
+          where,
+          include: listInclude,
+          orderBy,
+          skip,
+          take: limitNum
+        }),
+        prisma.model.count({ where })
+      ]);
 
     // Add like status for authenticated users
     if (req.user) {
@@ -326,7 +468,7 @@ router.get('/', optionalAuth, async (req, res) => {
     }
 
     res.json({
-      models,
+      models: models.map(serializeListedModel),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -340,158 +482,6 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
-// Get featured models
-router.get('/featured', async (req, res) => {
-  try {
-    // For development, return mock data if database is not available
-    const mockFeaturedModels = [
-      {
-        id: '1',
-        title: 'Sci-Fi Character',
-        description: 'A futuristic character model perfect for sci-fi games',
-        category: 'characters',
-        tags: 'sci-fi, character, futuristic',
-        fileUrl: '/models/sci-fi-character.glb',
-        previewUrl: '/previews/sci-fi-character.jpg',
-        thumbnailUrl: '/thumbnails/sci-fi-character.jpg',
-        fileSize: 2048576,
-        fileType: 'glb',
-        isPublic: true,
-        isFree: true,
-        downloadCount: 156,
-        viewCount: 892,
-        likeCount: 67,
-        createdAt: new Date(),
-        updatedAt: new Date(),
-        userId: 'user1',
-        creator: {
-          id: 'user1',
-          username: 'SciFiArtist',
-          avatar: '/avatars/sci-fi-artist.jpg'
-        },
-        _count: {
-          likes: 67,
-          comments: 23,
-          downloads: 156
-        }
-      },
-      {
-        id: '2',
-        title: 'Medieval Castle',
-        description: 'Detailed medieval castle with towers and walls',
-        category: 'buildings',
-        tags: 'medieval, castle, building, fantasy',
-        fileUrl: '/models/medieval-castle.glb',
-        previewUrl: '/previews/medieval-castle.jpg',
-        thumbnailUrl: '/thumbnails/medieval-castle.jpg',
-        fileSize: 5120000,
-        fileType: 'glb',
-        isPublic: true,
-        isFree: true,
-        downloadCount: 89,
-        viewCount: 445,
-        likeCount: 34,
-        createdAt: new Date(Date.now() - 86400000),
-        updatedAt: new Date(Date.now() - 86400000),
-        userId: 'user2',
-        creator: {
-          id: 'user2',
-          username: 'MedievalBuilder',
-          avatar: '/avatars/medieval-builder.jpg'
-        },
-        _count: {
-          likes: 34,
-          comments: 12,
-          downloads: 89
-        }
-      }
-    ];
-
-    res.json({ models: mockFeaturedModels });
-  } catch (error) {
-    console.error('Get featured models error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Get trending models
-router.get('/trending', async (req, res) => {
-  try {
-    // For development, return mock data if database is not available
-    const mockTrendingModels = [
-      {
-        id: '3',
-        title: 'Racing Car',
-        description: 'High-performance racing car with detailed interior',
-        category: 'vehicles',
-        tags: 'car, racing, vehicle, sports',
-        fileUrl: '/models/racing-car.glb',
-        previewUrl: '/previews/racing-car.jpg',
-        thumbnailUrl: '/thumbnails/racing-car.jpg',
-        fileSize: 3072000,
-        fileType: 'glb',
-        isPublic: true,
-        isFree: true,
-        downloadCount: 234,
-        viewCount: 1200,
-        likeCount: 89,
-        createdAt: new Date(Date.now() - 172800000),
-        updatedAt: new Date(Date.now() - 172800000),
-        userId: 'user3',
-        creator: {
-          id: 'user3',
-          username: 'VehicleDesigner',
-          avatar: '/avatars/vehicle-designer.jpg'
-        },
-        _count: {
-          likes: 89,
-          comments: 31,
-          downloads: 234
-        }
-      },
-      {
-        id: '4',
-        title: 'Fantasy Sword',
-        description: 'Ornate fantasy sword with magical runes',
-        category: 'weapons',
-        tags: 'sword, weapon, fantasy, magical',
-        fileUrl: '/models/fantasy-sword.glb',
-        previewUrl: '/previews/fantasy-sword.jpg',
-        thumbnailUrl: '/thumbnails/fantasy-sword.jpg',
-        fileSize: 1024000,
-        fileType: 'glb',
-        isPublic: true,
-        isFree: true,
-        downloadCount: 178,
-        viewCount: 890,
-        likeCount: 56,
-        createdAt: new Date(Date.now() - 259200000),
-        updatedAt: new Date(Date.now() - 259200000),
-        userId: 'user4',
-        creator: {
-          id: 'user4',
-          username: 'WeaponSmith',
-          avatar: '/avatars/weapon-smith.jpg'
-        },
-        _count: {
-          likes: 56,
-          comments: 19,
-          downloads: 178
-        }
-      }
-    ];
-
-    res.json({ models: mockTrendingModels });
-  } catch (error) {
-    console.error('Get trending models error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-
-
-
-
 // Like/unlike a model
 router.post('/:id/like', authenticateToken, async (req, res) => {
   try {
@@ -552,9 +542,47 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
   }
 });
 
-// Add comment to model
+// Top-level comments on a model, newest first, a page at a time: pass the
+// previous page's nextCursor as ?cursor= for the next one. Replies are
+// loaded per comment from /api/comments/:id/replies.
+router.get('/:id/comments', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const model = await prisma.model.findUnique({
+      where: { id },
+      select: { isPublic: true, userId: true }
+    });
+
+    if (!model || (!model.isPublic && req.user?.id !== model.userId)) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    const [{ comments, nextCursor }, total] = await Promise.all([
+      findCommentPage({
+        where: { modelId: id, parentId: null },
+        order: 'desc',
+        cursor: req.query.cursor,
+        limit: req.query.limit
+      }),
+      prisma.comment.count({ where: { modelId: id, deletedAt: null } })
+    ]);
+
+    res.json({
+      comments: comments.map(comment => serializeComment(comment, req.user, model.userId)),
+      nextCursor,
+      total
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a comment to a model, or a reply to one of its comments with parentId
 router.post('/:id/comments', authenticateToken, [
-  body('content').isLength({ min: 1, max: 1000 }).trim()
+  body('content').isString().trim().isLength({ min: 1, max: COMMENT_MAX_LENGTH }),
+  body('parentId').optional({ values: 'null' }).isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -563,49 +591,148 @@ router.post('/:id/comments', authenticateToken, [
     }
 
     const { id } = req.params;
-    const { content } = req.body;
-    const modelId = parseInt(id);
+    const { content, parentId } = req.body;
 
-    if (isNaN(modelId)) {
-      return res.status(400).json({ error: 'Invalid model ID' });
+    const model = await prisma.model.findUnique({
+      where: { id },
+      select: { isPublic: true, userId: true }
+    });
+
+    if (!model || (!model.isPublic && req.user.id !== model.userId)) {
+      return res.status(404).json({ error: 'Model not found' });
     }
 
-    // Check if model exists and is public
-    const model = await prisma.model.findFirst({
-      where: {
-        id: modelId,
-        isPublic: true
+    let parent = null;
+    if (parentId) {
+      parent = await prisma.comment.findFirst({ where: { id: parentId, modelId: id } });
+      if (!parent) {
+        return res.status(404).json({ error: 'Comment to reply to not found' });
+      }
+      if (parent.deletedAt) {
+        return res.status(400).json({ error: 'Cannot reply to a deleted comment' });
       }
+    }
+
+    const comment = await createComment({ modelId: id, userId: req.user.id, content, parent });
+
+    res.status(201).json({ 
+      message: 'Comment added successfully',
+      comment: serializeComment(comment, req.user, model.userId)
     });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (!model) {
+// The models a model was remixed from and the remixes made of it, a few
+// generations each way
+router.get('/:id/derivations', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const model = await prisma.model.findUnique({
+      where: { id },
+      select: { isPublic: true, userId: true }
+    });
+
+    if (!model || (!model.isPublic && req.user?.id !== model.userId)) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    res.json(await derivationTree(id, req.user));
+  } catch (error) {
+    console.error('Get derivations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Annotations on one version of a model (?version=, the latest by default),
+// numbered in the order they were placed
+router.get('/:id/annotations', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const model = await prisma.model.findUnique({
+      where: { id },
+      select: { isPublic: true, userId: true, latestVersion: true }
+    });
+
+    if (!model || (!model.isPublic && req.user?.id !== model.userId)) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    const version = parseInt(req.query.version) || model.latestVersion;
+    const annotations = await findVersionAnnotations(id, version);
+
+    res.json({
+      version,
+      annotations: annotations.map((annotation, index) =>
+        serializeAnnotation(annotation, index + 1, req.user, model.userId))
+    });
+  } catch (error) {
+    console.error('Get annotations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Pin an annotation to a point on a version of the model (the latest
+// unless `version` is given)
+router.post('/:id/annotations', authenticateToken, [
+  body('title').optional({ values: 'null' }).isString().trim().isLength({ max: ANNOTATION_TITLE_LENGTH }),
+  body('body').isString().trim().isLength({ min: 1, max: ANNOTATION_BODY_LENGTH }),
+  body('position').custom(validateVector),
+  body('normal').custom(validateVector),
+  body('camera').custom(validateCameraView),
+  body('version').optional({ values: 'null' }).isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const model = await prisma.model.findUnique({
+      where: { id },
+      select: { isPublic: true, userId: true, latestVersion: true }
+    });
+
+    if (!model || (!model.isPublic && req.user.id !== model.userId)) {
       return res.status(404).json({ error: 'Model not found' });
     }
 
-    // Create comment
-    const comment = await prisma.comment.create({
+    const version = req.body.version || model.latestVersion;
+    if (version > model.latestVersion) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const count = await prisma.annotation.count({
+      where: { modelId: id, versionNumber: version, userId: req.user.id }
+    });
+    if (count >= ANNOTATIONS_PER_AUTHOR) {
+      return res.status(400).json({
+        error: `You can add at most ${ANNOTATIONS_PER_AUTHOR} annotations to a version`
+      });
+    }
+
+    const annotation = await prisma.annotation.create({
       data: {
-        content,
-        modelId: modelId,
-        userId: req.user.id
+        ...annotationData(req.body),
+        modelId: id,
+        userId: req.user.id,
+        versionNumber: version
       },
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-            avatar: true
-          }
-        }
-      }
+      include: annotationInclude
     });
 
-    res.status(201).json({ 
-      message: 'Comment added successfully',
-      comment 
+    res.status(201).json({
+      message: 'Annotation added',
+      annotation: serializeAnnotation(annotation, await annotationNumber(annotation), req.user, model.userId)
     });
   } catch (error) {
-    console.error('Add comment error:', error);
+    console.error('Add annotation error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
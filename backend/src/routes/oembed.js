@@ -0,0 +1,128 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { getStorage, publicUrlFor } = require('../lib/storage');
+const { getImageSize } = require('../lib/formats/imageSize');
+const {
+  frontendUrl,
+  isEmbeddable,
+  parseModelUrl,
+  embedUrlFor,
+  embedSize,
+  embedHtml
+} = require('../lib/embed');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// The pixel size of a model's thumbnail. Thumbnails stored before sizes
+// were kept are measured on first request and the size stored. Resolves to
+// null when it can't be read.
+const thumbnailSize = async (model) => {
+  if (model.thumbnailWidth && model.thumbnailHeight) {
+    return { width: model.thumbnailWidth, height: model.thumbnailHeight };
+  }
+  if (/^https?:\/\//.test(model.thumbnailUrl)) return null;
+
+  let size;
+  try {
+    size = getImageSize(await getStorage().getObject(model.thumbnailUrl));
+  } catch (error) {
+    console.error(`Read thumbnail of model ${model.id} error:`, error);
+    return null;
+  }
+  if (!size) return null;
+
+  // Unless the thumbnail was replaced in the meantime
+  await prisma.model.updateMany({
+    where: { id: model.id, thumbnailUrl: model.thumbnailUrl },
+    data: { thumbnailWidth: size.width, thumbnailHeight: size.height }
+  });
+  return { width: size.width, height: size.height };
+};
+
+// Thumbnails from the local storage driver are site-relative; oEmbed
+// consumers fetch them from elsewhere, so make them absolute
+const absoluteUrl = (req, url) => {
+  if (!url || /^https?:\/\//.test(url)) return url;
+  return `${req.protocol}://${req.get('host')}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+// oEmbed (https://oembed.com) for model pages: a "rich" response whose html
+// is an iframe of the embed viewer. Embed options on the page URL (autospin,
+// bg, ui) carry over to the iframe.
+router.get('/', async (req, res) => {
+  try {
+    const { url, format = 'json' } = req.query;
+
+    if (format !== 'json') {
+      return res.status(501).json({ error: 'Only the json format is supported' });
+    }
+    if (!url) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+
+    const parsed = parseModelUrl(url);
+    if (!parsed) {
+      return res.status(404).json({ error: 'Not a model URL' });
+    }
+
+    const model = await prisma.model.findUnique({
+      where: { id: parsed.modelId },
+      include: {
+        creator: {
+          select: { username: true }
+        }
+      }
+    });
+
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    // The oEmbed spec's answer for resources that can't be shared
+    if (!isEmbeddable(model)) {
+      return res.status(401).json({ error: 'This model cannot be embedded' });
+    }
+
+    const { width, height } = embedSize({
+      maxWidth: parseInt(req.query.maxwidth),
+      maxHeight: parseInt(req.query.maxheight)
+    });
+
+    const response = {
+      version: '1.0',
+      type: 'rich',
+      provider_name: '3Dsharespace',
+      provider_url: frontendUrl(),
+      title: model.title,
+      author_name: model.creator.username,
+      author_url: `${frontendUrl()}/profile/${encodeURIComponent(model.creator.username)}`,
+      html: embedHtml({
+        src: embedUrlFor(model.id, parsed.options),
+        title: model.title,
+        width,
+        height
+      }),
+      width,
+      height,
+      cache_age: 3600
+    };
+
+    // The spec has the thumbnail's size go with it, so a thumbnail of
+    // unknown size is left out
+    const size = model.thumbnailUrl && await thumbnailSize(model);
+    if (size) {
+      response.thumbnail_url = absoluteUrl(req, publicUrlFor(model.thumbnailUrl));
+      response.thumbnail_width = size.width;
+      response.thumbnail_height = size.height;
+    }
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json(response);
+  } catch (error) {
+    console.error('oEmbed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
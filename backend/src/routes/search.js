@@ -0,0 +1,105 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { listInclude, serializeListedModel } = require('../lib/modelListing');
+const { matchModels } = require('../lib/search');
+const { suggest } = require('../lib/search/suggest');
+const { logZeroResultQuery } = require('../lib/search/queryLog');
+const { facetSelect, parseFacetFilters, matchesFilters, countFacets } = require('../lib/search/facets');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Orders other than relevance, as comparators of loaded results
+const SORTS = {
+  newest: (a, b) => b.createdAt - a.createdAt,
+  downloads: (a, b) => b.downloadCount - a.downloadCount,
+  likes: (a, b) => b.likeCount - a.likeCount,
+  trending: (a, b) => b.trendingScore - a.trendingScore
+};
+
+// Suggestions for a partly typed ?q=: model titles, tags, categories and
+// creators
+router.get('/suggest', async (req, res) => {
+  try {
+    const q = String(req.query.q || '');
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+
+    const suggestions = q.trim() ? await suggest(q, limit) : [];
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({ query: q, suggestions });
+  } catch (error) {
+    console.error('Search suggestions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Search public models: ?q= with optional facet filters (category, format,
+// license, commercial, price, polys), sort (relevance, newest, downloads, likes,
+// trending) and pagination. Responds with the page of models and facet
+// counts over all results.
+router.get('/', async (req, res) => {
+  try {
+    const { q = '', sort = 'relevance', page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 20, 100);
+
+    if (!String(q).trim()) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    const matches = await matchModels(String(q));
+    const rank = new Map(matches.map((match, i) => [match.modelId, i]));
+
+    const candidates = await prisma.model.findMany({
+      where: { id: { in: [...rank.keys()] }, isPublic: true },
+      select: {
+        id: true,
+        createdAt: true,
+        downloadCount: true,
+        likeCount: true,
+        trendingScore: true,
+        ...facetSelect
+      }
+    });
+
+    // Logged without waiting; a failure to log shouldn't fail the search
+    if (candidates.length === 0) {
+      logZeroResultQuery(String(q)).catch(error => console.error('Log zero-result search error:', error));
+    }
+
+    const filters = parseFacetFilters(req.query);
+    const results = candidates
+      .filter(model => matchesFilters(model, filters))
+      .sort(SORTS[sort] || ((a, b) => rank.get(a.id) - rank.get(b.id)));
+
+    const pageIds = results
+      .slice((pageNum - 1) * limitNum, pageNum * limitNum)
+      .map(model => model.id);
+    const models = await prisma.model.findMany({
+      where: { id: { in: pageIds } },
+      include: listInclude
+    });
+    const byId = new Map(models.map(model => [model.id, model]));
+
+    res.json({
+      models: pageIds.filter(id => byId.has(id)).map(id => ({
+        ...serializeListedModel(byId.get(id)),
+        relevance: Number(matches[rank.get(id)].score.toFixed(3))
+      })),
+      facets: countFacets(candidates, filters),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: results.length,
+        pages: Math.ceil(results.length / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Search models error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
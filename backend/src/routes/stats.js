@@ -222,7 +222,7 @@ router.get('/model/:id', authenticateToken, async (req, res) => {
         id: modelId,
         OR: [
           { creatorId: req.user.id },
-          { creator: { role: 'admin' } }
+          { creator: { role: 'ADMIN' } }
         ]
       }
     });
@@ -427,7 +427,7 @@ router.get('/trending', async (req, res) => {
     // Get trending creators
     const trendingCreators = await prisma.user.findMany({
       where: {
-        role: { in: ['creator', 'admin'] },
+        role: { in: ['CREATOR', 'ADMIN'] },
         models: {
           some: {
             isPublic: true,
@@ -0,0 +1,241 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { listInclude, serializeListedModel } = require('../lib/modelListing');
+const { prefixRange } = require('../lib/search');
+const {
+  slugifyTag,
+  findTagBySlug,
+  mergeTags,
+  addTagAlias,
+  removeTagAlias,
+  setTagBanned
+} = require('../lib/tags');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const requireAdmin = [authenticateToken, requireRole(['ADMIN'])];
+
+const formatTag = (tag) => ({
+  slug: tag.slug,
+  name: tag.name,
+  usageCount: tag.usageCount,
+  ...(tag.aliases ? { aliases: tag.aliases.map(alias => alias.slug) } : {}),
+  ...(tag.isBanned ? { isBanned: true } : {})
+});
+
+// Load the tag named by :slug (directly or through an alias) into req.tag
+const loadTag = async (req, res, next) => {
+  try {
+    const tag = await findTagBySlug(slugifyTag(req.params.slug));
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    req.tag = tag;
+    next();
+  } catch (error) {
+    console.error('Load tag error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Tags for autocomplete: those starting with ?q= (or with an alias that
+// does), most used first; the most used overall without ?q=
+router.get('/', async (req, res) => {
+  try {
+    const prefix = slugifyTag(req.query.q);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const tags = await prisma.tag.findMany({
+      where: {
+        isBanned: false,
+        ...(prefix
+          ? { OR: [{ slug: prefixRange(prefix) }, { aliases: { some: { slug: prefixRange(prefix) } } }] }
+          : { usageCount: { gt: 0 } })
+      },
+      orderBy: [{ usageCount: 'desc' }, { slug: 'asc' }],
+      take: limit
+    });
+
+    res.json({ tags: tags.map(formatTag) });
+  } catch (error) {
+    console.error('List tags error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A tag with its aliases. Asking for an alias answers with the tag, whose
+// slug then differs from the one asked for.
+router.get('/:slug', loadTag, async (req, res) => {
+  try {
+    if (req.tag.isBanned) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const aliases = await prisma.tagAlias.findMany({
+      where: { tagId: req.tag.id },
+      orderBy: { slug: 'asc' }
+    });
+
+    res.json({ tag: formatTag({ ...req.tag, aliases }) });
+  } catch (error) {
+    console.error('Get tag error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Public models with a tag
+router.get('/:slug/models', loadTag, async (req, res) => {
+  try {
+    const { sort = 'newest', page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 20, 100);
+
+    const orderBy = {
+      newest: { createdAt: 'desc' },
+      popular: { viewCount: 'desc' },
+      downloads: { downloadCount: 'desc' },
+      likes: { likeCount: 'desc' },
+      trending: { trendingScore: 'desc' }
+    }[sort] || { createdAt: 'desc' };
+
+    const where = {
+      isPublic: true,
+      modelTags: { some: { tagId: req.tag.id } }
+    };
+
+    const [models, total] = req.tag.isBanned
+      ? [[], 0]
+      : await Promise.all([
+        prisma.model.findMany({
+          where,
+          include: listInclude,
+          orderBy,
+          skip: (pageNum - 1) * limitNum,
+          take: limitNum
+        }),
+        prisma.model.count({ where })
+      ]);
+
+    res.json({
+      models: models.map(serializeListedModel),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get tag models error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Merge this tag into the one named by `into`; this tag's slug becomes an
+// alias of that one
+router.post('/:slug/merge',
+  requireAdmin,
+  body('into').isString().isLength({ min: 1 }),
+  loadTag,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const target = await findTagBySlug(slugifyTag(req.body.into));
+      if (!target) {
+        return res.status(404).json({ error: 'Tag to merge into not found' });
+      }
+      if (target.id === req.tag.id) {
+        return res.status(400).json({ error: 'A tag cannot be merged into itself' });
+      }
+      if (target.isBanned) {
+        return res.status(400).json({ error: 'Cannot merge into a banned tag' });
+      }
+
+      await mergeTags(req.tag, target);
+
+      const merged = await prisma.tag.findUnique({
+        where: { id: target.id },
+        include: { aliases: { orderBy: { slug: 'asc' } } }
+      });
+      res.json({ message: `Merged ${req.tag.slug} into ${target.slug}`, tag: formatTag(merged) });
+    } catch (error) {
+      console.error('Merge tags error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Ban a tag, taking it off every model, or lift the ban
+router.post('/:slug/ban', requireAdmin, loadTag, async (req, res) => {
+  try {
+    const tag = await setTagBanned(req.tag, true);
+    res.json({ message: `Banned ${tag.slug}`, tag: formatTag(tag) });
+  } catch (error) {
+    console.error('Ban tag error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/:slug/ban', requireAdmin, loadTag, async (req, res) => {
+  try {
+    const tag = await setTagBanned(req.tag, false);
+    res.json({ message: `Unbanned ${tag.slug}`, tag: formatTag(tag) });
+  } catch (error) {
+    console.error('Unban tag error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an alias (synonym) for a tag
+router.post('/:slug/aliases',
+  requireAdmin,
+  body('alias').isString().isLength({ min: 1, max: 30 }),
+  loadTag,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const slug = slugifyTag(req.body.alias);
+      if (!slug) {
+        return res.status(400).json({ error: 'Alias has no letters or digits' });
+      }
+      // A slug that is a tag of its own has to be merged instead
+      if (await findTagBySlug(slug)) {
+        return res.status(409).json({ error: `${slug} is already a tag or alias` });
+      }
+
+      const alias = await addTagAlias(req.tag, slug);
+
+      res.status(201).json({ alias: alias.slug, tag: req.tag.slug });
+    } catch (error) {
+      console.error('Add tag alias error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+router.delete('/:slug/aliases/:alias', requireAdmin, loadTag, async (req, res) => {
+  try {
+    const removed = await removeTagAlias(req.tag, slugifyTag(req.params.alias));
+    if (!removed) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+
+    res.json({ message: 'Alias removed' });
+  } catch (error) {
+    console.error('Remove tag alias error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
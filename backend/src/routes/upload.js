@@ -3,56 +3,230 @@ const multer = require('multer');
 const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  getStorage,
+  sanitizeFileName,
+  modelKey,
+  deleteModelObjects
+} = require('../lib/storage');
+const uploadSessions = require('../lib/uploadSessions');
+const { MODEL_CATEGORIES } = require('../lib/categories');
+const { parsePreviewKeys } = require('../lib/modelPreviews');
+const { hasGeneratedThumbnail, queueModelProcessing } = require('../lib/processing');
+const { findBannedTags, setModelTags } = require('../lib/tags');
+const { versionFolder, versionFileFields, serializeVersions } = require('../lib/modelVersions');
+const {
+  LICENSE_IDS,
+  MAX_LICENSE_TEXT_LENGTH,
+  MAX_ATTRIBUTION_LENGTH,
+  licenseId,
+  licenseFields
+} = require('../lib/licenses');
+const {
+  MAX_SOURCES,
+  DerivationError,
+  resolveSources,
+  checkSourceLicenses,
+  setModelSources
+} = require('../lib/derivations');
+const {
+  BUNDLE_MIME_TYPE,
+  isBundleFileName,
+  validateBundleFile,
+  unpackBundle,
+  bundleKey,
+  storeBundle
+} = require('../lib/bundles');
+const {
+  FileValidationError,
+  formatForFileName,
+  validateModelFile
+} = require('../lib/formats/registry');
+const { getImageSize } = require('../lib/formats/imageSize');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024; // 100MB default
+
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
   storage,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024, // 100MB default
+    fileSize: MAX_FILE_SIZE,
+  },
+  // Browsers rarely send a useful MIME type for 3D formats, so only the
+  // extension is checked here; the content is sniffed once the file is in
+  fileFilter: (req, file, cb) => {
+    if (formatForFileName(file.originalname) || isBundleFileName(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new FileValidationError('Invalid file type. Only 3D model files are allowed.'), false);
+    }
+  }
+});
+
+// Thumbnails and previews are images, so they need their own filter
+const imageUpload = multer({
+  storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
   },
   fileFilter: (req, file, cb) => {
-    // Allow only 3D model file types
-    const allowedTypes = [
-      'model/gltf-binary',
-      'model/gltf+json',
-      'model/obj',
-      'model/fbx',
-      'model/stl',
-      'model/3ds',
-      'model/dae',
-      'model/blend',
-      'model/max',
-      'model/ma',
-      'model/mb'
-    ];
-    
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only 3D model files are allowed.'), false);
+      cb(new Error('Invalid file type. Only JPG, PNG, WEBP and GIF images are allowed.'), false);
     }
   }
 });
 
+// A license from the registry; the custom one needs its terms written out
+const validateLicense = [
+  body('license').optional({ values: 'falsy' }).isIn(LICENSE_IDS),
+  body('licenseText')
+    .if(body('license').equals('custom'))
+    .trim().isLength({ min: 1, max: MAX_LICENSE_TEXT_LENGTH })
+    .withMessage('A custom license needs its terms'),
+  body('attribution').optional({ values: 'falsy' }).isString().trim().isLength({ max: MAX_ATTRIBUTION_LENGTH })
+];
+
 // Validation middleware
 const validateModelUpload = [
   body('title').isLength({ min: 1, max: 100 }).trim(),
   body('description').isLength({ min: 1, max: 1000 }).trim(),
-  body('category').isIn(['characters', 'vehicles', 'buildings', 'props', 'nature', 'other']),
+  body('category').isIn(MODEL_CATEGORIES),
   body('tags').isArray({ min: 0, max: 10 }),
   body('tags.*').isLength({ min: 1, max: 20 }).trim(),
-  body('license').isIn(['cc0', 'cc-by', 'cc-by-sa', 'cc-by-nc', 'cc-by-nc-sa', 'other']),
+  body('tags').custom(async (tags) => {
+    const banned = await findBannedTags(tags);
+    if (banned.length > 0) throw new Error(`These tags aren't allowed: ${banned.join(', ')}`);
+  }),
+  ...validateLicense,
+  // Models or URLs of the works this one remixes; lib/derivations.js checks them
+  body('basedOn').optional().isArray({ max: MAX_SOURCES }),
   body('isPublic').isBoolean().optional()
 ];
 
+const validateVersionUpload = [
+  body('changelog').isLength({ min: 1, max: 2000 }).trim(),
+  ...validateLicense
+];
+
+const validateSessionStart = [
+  body('fileName').isLength({ min: 1, max: 255 })
+    .custom(fileName => Boolean(formatForFileName(fileName)) || isBundleFileName(fileName))
+    .withMessage('Unsupported model file type'),
+  body('fileSize').isInt({ min: 1, max: MAX_FILE_SIZE }),
+  body('checksum').matches(/^[a-fA-F0-9]{64}$/).optional(),
+  body('chunkSize').isInt({ min: 1 }).optional()
+];
+
+// Store the file of one version of a model, or every file of an unpacked
+// zip `bundle`. Resolves to the `fileUrl` and `bundleFiles` to record.
+const storeModelFile = async ({ modelId, version, fileName, mimeType, body: fileBody, bundle }) => {
+  if (bundle) {
+    return {
+      bundleFiles: await storeBundle(modelId, bundle, version),
+      fileUrl: bundleKey(modelId, bundle.mainPath, version)
+    };
+  }
+
+  const fileUrl = modelKey(modelId, versionFolder(version), sanitizeFileName(fileName));
+  await getStorage().putObject(fileUrl, fileBody, { contentType: mimeType });
+  return { fileUrl, bundleFiles: null };
+};
+
+// Create a model record and store its file as version 1. The record is
+// created first so the files can live under the model's id; if a write
+// fails the record is removed again so no model points at a missing file.
+const createModelWithFile = async ({ userId, fields, fileName, fileSize, mimeType, body: fileBody, bundle }) => {
+  const {
+    title,
+    description,
+    category,
+    isPublic = true
+  } = fields;
+  const license = licenseFields(fields);
+
+  const model = await prisma.model.create({
+    data: {
+      title,
+      description,
+      category,
+      ...license,
+      isPublic,
+      userId,
+      fileUrl: '',
+      fileSize,
+      fileType: mimeType,
+      thumbnailUrl: null, // Rendered during processing unless the creator uploads one
+      processingStatus: 'QUEUED',
+      viewCount: 0,
+      downloadCount: 0,
+      likeCount: 0
+    }
+  });
+
+  let stored;
+  try {
+    stored = await storeModelFile({ modelId: model.id, version: 1, fileName, mimeType, body: fileBody, bundle });
+  } catch (storageError) {
+    await prisma.model.delete({ where: { id: model.id } });
+    if (bundle) await deleteModelObjects(model.id);
+    throw storageError;
+  }
+
+  return prisma.model.update({
+    where: { id: model.id },
+    data: {
+      ...stored,
+      versions: {
+        create: { number: 1, ...versionFileFields({ ...stored, fileSize, fileType: mimeType }), ...license }
+      }
+    }
+  });
+};
+
+// Check an uploaded file and work out what to store: a zip is unpacked into
+// its files, anything else is stored as the model file itself. `body` may be
+// a stream for single files.
+const readUploadedFile = async (fileName, body, size) => {
+  if (isBundleFileName(fileName)) {
+    const bundle = await unpackBundle(body);
+    return { fileSize: bundle.totalSize, mimeType: bundle.format.mimeType, bundle };
+  }
+
+  // Chunked uploads had their first chunk sniffed when it arrived
+  const format = Buffer.isBuffer(body)
+    ? validateModelFile({ fileName, head: body, size })
+    : formatForFileName(fileName);
+  return { fileSize: size, mimeType: format.mimeType, body };
+};
+
+// Zips are checked by their own rules until they are unpacked
+const validateUploadHead = ({ fileName, head, size }) =>
+  isBundleFileName(fileName) ? validateBundleFile({ head }) : validateModelFile({ fileName, head, size });
+
+const formatUploadedModel = (model, tags) => ({
+  id: model.id,
+  title: model.title,
+  description: model.description,
+  category: model.category,
+  tags: tags.map(tag => ({ slug: tag.slug, name: tag.name })),
+  license: model.license,
+  attribution: model.attribution,
+  isPublic: model.isPublic,
+  createdAt: model.createdAt
+});
+
 // Upload 3D model
 router.post('/', 
   authenticateToken, 
-  requireRole(['creator', 'admin']),
+  requireRole(['CREATOR', 'ADMIN']),
   upload.single('model'),
   validateModelUpload,
   async (req, res) => {
@@ -66,63 +240,412 @@ router.post('/',
         return res.status(400).json({ error: 'No model file provided' });
       }
 
-      const {
-        title,
-        description,
-        category,
-        tags,
-        license,
-        isPublic = true
-      } = req.body;
+      const sources = await resolveSources(req.body.basedOn || [], {
+        user: req.user,
+        license: licenseFields(req.body).license
+      });
 
-      // TODO: Upload file to AWS S3 or other cloud storage
-      // For now, we'll just store the file metadata
-      const fileInfo = {
-        originalName: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        buffer: req.file.buffer
-      };
-
-      // Create model record in database
-      const model = await prisma.model.create({
-        data: {
-          title,
-          description,
-          category,
-          tags: tags || [],
-          license,
-          isPublic,
-          creatorId: req.user.id,
-          fileUrl: `uploads/${Date.now()}_${req.file.originalname}`, // Placeholder
-          fileSize: req.file.size,
-          fileType: req.file.mimetype,
-          thumbnailUrl: null, // TODO: Generate thumbnail
-          previewUrl: null, // TODO: Generate preview
-          viewCount: 0,
-          downloadCount: 0,
-          likeCount: 0
+      const model = await createModelWithFile({
+        userId: req.user.id,
+        fields: req.body,
+        fileName: req.file.originalname,
+        ...await readUploadedFile(req.file.originalname, req.file.buffer, req.file.size)
+      });
+
+      await setModelSources(model.id, sources);
+      const tags = await setModelTags(model.id, req.body.tags);
+      await queueModelProcessing(model.id);
+
+      res.status(201).json({
+        message: 'Model uploaded successfully',
+        model: formatUploadedModel(model, tags)
+      });
+    } catch (error) {
+      if (error instanceof FileValidationError) {
+        return res.status(400).json({ error: error.message, ...error.details });
+      }
+      if (error instanceof DerivationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Upload model error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Start a chunked upload session for a large model file
+router.post('/sessions',
+  authenticateToken,
+  requireRole(['CREATOR', 'ADMIN']),
+  validateSessionStart,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { fileName, fileSize, checksum, chunkSize } = req.body;
+
+      const session = await uploadSessions.createSession({
+        userId: req.user.id,
+        fileName,
+        fileSize: parseInt(fileSize),
+        mimeType: isBundleFileName(fileName) ? BUNDLE_MIME_TYPE : formatForFileName(fileName).mimeType,
+        checksum,
+        chunkSize
+      });
+
+      // Opportunistically clean up sessions other uploads abandoned
+      uploadSessions.purgeExpiredSessions().catch(error => {
+        console.error('Purge upload sessions error:', error);
+      });
+
+      res.status(201).json({ session: uploadSessions.describeSession(session) });
+    } catch (error) {
+      console.error('Start upload session error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Get the state of an upload session, including which chunks to resume from
+router.get('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await uploadSessions.findSession(req.params.sessionId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    res.json({
+      session: {
+        ...uploadSessions.describeSession(session),
+        missingChunks: uploadSessions.missingChunks(session)
+      }
+    });
+  } catch (error) {
+    console.error('Get upload session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Upload one numbered chunk. The body is the raw chunk bytes and the
+// X-Chunk-Checksum header must carry its SHA-256 as hex.
+router.put('/sessions/:sessionId/chunks/:index',
+  authenticateToken,
+  express.raw({ type: '*/*', limit: uploadSessions.MAX_CHUNK_SIZE }),
+  async (req, res) => {
+    try {
+      const session = await uploadSessions.findSession(req.params.sessionId, req.user.id);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Upload session not found' });
+      }
+
+      if (session.status !== 'UPLOADING') {
+        return res.status(409).json({ error: `Upload session is ${session.status.toLowerCase()}` });
+      }
+
+      const index = parseInt(req.params.index);
+      if (isNaN(index) || index < 0 || index >= session.totalChunks) {
+        return res.status(400).json({ error: 'Invalid chunk index' });
+      }
+
+      const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const expectedSize = uploadSessions.expectedChunkSize(session, index);
+      if (chunk.length !== expectedSize) {
+        return res.status(400).json({
+          error: 'Invalid chunk size',
+          expected: expectedSize,
+          received: chunk.length
+        });
+      }
+
+      const checksum = (req.get('X-Chunk-Checksum') || '').toLowerCase();
+      if (!checksum) {
+        return res.status(400).json({ error: 'X-Chunk-Checksum header is required' });
+      }
+
+      const actualChecksum = uploadSessions.sha256(chunk);
+      if (actualChecksum !== checksum) {
+        return res.status(422).json({
+          error: 'Chunk checksum mismatch',
+          expected: checksum,
+          received: actualChecksum
+        });
+      }
+
+      // The first chunk carries the file's signature, so a file that isn't
+      // what its name claims is turned away before the rest is sent
+      if (index === 0) {
+        try {
+          validateUploadHead({ fileName: session.fileName, head: chunk, size: session.fileSize });
+        } catch (validationError) {
+          if (!(validationError instanceof FileValidationError)) throw validationError;
+          await uploadSessions.markSession(session.id, {
+            status: 'FAILED',
+            error: validationError.message
+          });
+          return res.status(400).json({ error: validationError.message });
         }
+      }
+
+      const updated = await uploadSessions.storeChunk(session, index, chunk, checksum);
+
+      res.json({ session: uploadSessions.describeSession(updated) });
+    } catch (error) {
+      console.error('Upload chunk error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Assemble the uploaded chunks into the model file and create the model
+router.post('/sessions/:sessionId/complete',
+  authenticateToken,
+  requireRole(['CREATOR', 'ADMIN']),
+  validateModelUpload,
+  async (req, res) => {
+    let claimed = false;
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const session = await uploadSessions.findSession(req.params.sessionId, req.user.id);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Upload session not found' });
+      }
+
+      if (session.status !== 'UPLOADING') {
+        return res.status(409).json({ error: `Upload session is ${session.status.toLowerCase()}` });
+      }
+
+      const missing = uploadSessions.missingChunks(session);
+      if (missing.length > 0) {
+        return res.status(409).json({
+          error: 'Upload is incomplete',
+          missingChunks: missing
+        });
+      }
+
+      const sources = await resolveSources(req.body.basedOn || [], {
+        user: req.user,
+        license: licenseFields(req.body).license
+      });
+
+      // Two requests completing the same session would create the model twice
+      claimed = await uploadSessions.claimSession(session.id);
+      if (!claimed) {
+        return res.status(409).json({ error: 'Upload session is already being completed' });
+      }
+
+      const assembled = uploadSessions.createAssembledStream(session);
+      const model = await createModelWithFile({
+        userId: req.user.id,
+        fields: req.body,
+        fileName: session.fileName,
+        ...await readUploadedFile(session.fileName, assembled.stream, session.fileSize)
+      });
+
+      const fileChecksum = assembled.digest();
+      if (session.checksum && session.checksum !== fileChecksum) {
+        await prisma.model.delete({ where: { id: model.id } });
+        await deleteModelObjects(model.id);
+        await uploadSessions.markSession(session.id, {
+          status: 'FAILED',
+          error: 'File checksum mismatch'
+        });
+
+        return res.status(422).json({
+          error: 'File checksum mismatch',
+          expected: session.checksum,
+          received: fileChecksum
+        });
+      }
+
+      await uploadSessions.markSession(session.id, {
+        status: 'COMPLETED',
+        modelId: model.id,
+        checksum: fileChecksum
       });
+      claimed = false;
+      await uploadSessions.deleteSessionChunks(session.id);
 
-      // TODO: Process file upload to cloud storage
-      // await uploadToS3(fileInfo, model.id);
+      await setModelSources(model.id, sources);
+      const tags = await setModelTags(model.id, req.body.tags);
+      await queueModelProcessing(model.id);
 
       res.status(201).json({
         message: 'Model uploaded successfully',
-        model: {
-          id: model.id,
-          title: model.title,
-          description: model.description,
-          category: model.category,
-          tags: model.tags,
-          license: model.license,
-          isPublic: model.isPublic,
-          createdAt: model.createdAt
+        model: formatUploadedModel(model, tags)
+      });
+    } catch (error) {
+      // A bundle that fails its checks won't pass on a retry either
+      if (error instanceof FileValidationError) {
+        await uploadSessions.markSession(req.params.sessionId, { status: 'FAILED', error: error.message });
+        return res.status(400).json({ error: error.message, ...error.details });
+      }
+      // The session stays open so the sources can be fixed and the upload completed
+      if (error instanceof DerivationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Complete upload session error:', error);
+      // Unless the model was made, let the client try completing it again
+      if (claimed) {
+        await uploadSessions.markSession(req.params.sessionId, { status: 'UPLOADING' })
+          .catch(resetError => console.error('Reopen upload session error:', resetError));
+      }
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Abort an upload session and discard its chunks
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await uploadSessions.findSession(req.params.sessionId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    if (session.status === 'COMPLETED' || session.status === 'COMPLETING') {
+      return res.status(409).json({ error: `Upload session is ${session.status.toLowerCase()}` });
+    }
+
+    await uploadSessions.deleteSessionChunks(session.id);
+    await uploadSessions.markSession(session.id, { status: 'ABORTED' });
+
+    res.json({ message: 'Upload session aborted' });
+  } catch (error) {
+    console.error('Abort upload session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Upload a new version of a model's file with a changelog entry. The model
+// moves to the new file and is processed again; earlier versions stay
+// downloadable.
+router.post('/:id/versions',
+  authenticateToken,
+  requireRole(['CREATOR', 'ADMIN']),
+  upload.single('model'),
+  validateVersionUpload,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'No model file provided' });
+      }
+
+      // Check if model exists and user owns it
+      const model = await prisma.model.findFirst({
+        where: {
+          id: req.params.id,
+          userId: req.user.id
         }
       });
+
+      if (!model) {
+        return res.status(404).json({ error: 'Model not found' });
+      }
+
+      // The works the model is based on have to allow a new license
+      if (req.body.license) await checkSourceLicenses(model.id, licenseId(req.body.license), req.user);
+
+      const { body: fileBody, bundle, fileSize, mimeType } =
+        await readUploadedFile(req.file.originalname, req.file.buffer, req.file.size);
+      const number = model.latestVersion + 1;
+      // The new version keeps the model's license unless it comes with another
+      const license = req.body.license ? licenseFields(req.body) : licenseFields(model);
+
+      // Models uploaded before versioning get their current file recorded
+      // as version 1. The new version's number is reserved before its files
+      // are stored, so the unique index turns away a second upload racing
+      // this one.
+      let version;
+      try {
+        if (await prisma.modelVersion.count({ where: { modelId: model.id } }) === 0) {
+          await prisma.modelVersion.create({
+            data: {
+              modelId: model.id,
+              number: 1,
+              createdAt: model.createdAt,
+              ...versionFileFields(model),
+              ...licenseFields(model)
+            }
+          });
+        }
+        version = await prisma.modelVersion.create({
+          data: {
+            modelId: model.id,
+            number,
+            changelog: req.body.changelog,
+            fileUrl: '',
+            fileSize,
+            fileType: mimeType,
+            ...license
+          }
+        });
+      } catch (createError) {
+        if (createError.code !== 'P2002') throw createError;
+        return res.status(409).json({ error: 'Another version of this model is being uploaded' });
+      }
+
+      let stored;
+      try {
+        stored = await storeModelFile({
+          modelId: model.id,
+          version: number,
+          fileName: req.file.originalname,
+          mimeType,
+          body: fileBody,
+          bundle
+        });
+      } catch (storageError) {
+        await prisma.modelVersion.delete({ where: { id: version.id } });
+        await getStorage().deletePrefix(`${modelKey(model.id, versionFolder(number))}/`);
+        throw storageError;
+      }
+
+      const fileFields = versionFileFields({ ...stored, fileSize, fileType: mimeType });
+      await prisma.$transaction([
+        prisma.modelVersion.update({ where: { id: version.id }, data: fileFields }),
+        prisma.model.update({
+          where: { id: model.id },
+          data: {
+            ...fileFields,
+            ...license,
+            latestVersion: number,
+            versionedAt: new Date(),
+            // Rendered again from the new file; an uploaded one is kept
+            ...(hasGeneratedThumbnail(model) ? { thumbnailUrl: null, thumbnailWidth: null, thumbnailHeight: null } : {})
+          }
+        })
+      ]);
+
+      await queueModelProcessing(model.id);
+
+      res.status(201).json({
+        message: 'Version uploaded successfully',
+        version: serializeVersions({ ...model, latestVersion: number }, [{ ...version, ...fileFields }])[0]
+      });
     } catch (error) {
-      console.error('Upload model error:', error);
+      if (error instanceof FileValidationError) {
+        return res.status(400).json({ error: error.message, ...error.details });
+      }
+      if (error instanceof DerivationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Upload model version error:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
@@ -131,16 +654,11 @@ router.post('/',
 // Upload thumbnail for model
 router.post('/:id/thumbnail',
   authenticateToken,
-  requireRole(['creator', 'admin']),
-  upload.single('thumbnail'),
+  requireRole(['CREATOR', 'ADMIN']),
+  imageUpload.single('thumbnail'),
   async (req, res) => {
     try {
-      const { id } = req.params;
-      const modelId = parseInt(id);
-
-      if (isNaN(modelId)) {
-        return res.status(400).json({ error: 'Invalid model ID' });
-      }
+      const { id: modelId } = req.params;
 
       if (!req.file) {
         return res.status(400).json({ error: 'No thumbnail file provided' });
@@ -150,7 +668,7 @@ router.post('/:id/thumbnail',
       const model = await prisma.model.findFirst({
         where: {
           id: modelId,
-          creatorId: req.user.id
+          userId: req.user.id
         }
       });
 
@@ -158,20 +676,36 @@ router.post('/:id/thumbnail',
         return res.status(404).json({ error: 'Model not found' });
       }
 
-      // TODO: Upload thumbnail to cloud storage
-      // await uploadThumbnailToS3(req.file, modelId);
+      const storageDriver = getStorage();
+      const thumbnailKey = modelKey(
+        modelId,
+        'thumbnails',
+        `${Date.now()}_${sanitizeFileName(req.file.originalname)}`
+      );
+
+      await storageDriver.putObject(thumbnailKey, req.file.buffer, {
+        contentType: req.file.mimetype
+      });
 
-      // Update model with thumbnail URL
+      // Kept for oEmbed; null for images whose header can't be read
+      const size = getImageSize(req.file.buffer);
       await prisma.model.update({
         where: { id: modelId },
         data: {
-          thumbnailUrl: `thumbnails/${Date.now()}_${req.file.originalname}` // Placeholder
+          thumbnailUrl: thumbnailKey,
+          thumbnailWidth: size ? size.width : null,
+          thumbnailHeight: size ? size.height : null
         }
       });
 
+      // Remove the thumbnail this one replaces
+      if (model.thumbnailUrl) {
+        await storageDriver.deleteObject(model.thumbnailUrl);
+      }
+
       res.json({
         message: 'Thumbnail uploaded successfully',
-        thumbnailUrl: `thumbnails/${Date.now()}_${req.file.originalname}`
+        thumbnailUrl: storageDriver.getPublicUrl(thumbnailKey)
       });
     } catch (error) {
       console.error('Upload thumbnail error:', error);
@@ -183,16 +717,11 @@ router.post('/:id/thumbnail',
 // Upload preview images for model
 router.post('/:id/previews',
   authenticateToken,
-  requireRole(['creator', 'admin']),
-  upload.array('previews', 5), // Max 5 preview images
+  requireRole(['CREATOR', 'ADMIN']),
+  imageUpload.array('previews', 5), // Max 5 preview images
   async (req, res) => {
     try {
-      const { id } = req.params;
-      const modelId = parseInt(id);
-
-      if (isNaN(modelId)) {
-        return res.status(400).json({ error: 'Invalid model ID' });
-      }
+      const { id: modelId } = req.params;
 
       if (!req.files || req.files.length === 0) {
         return res.status(400).json({ error: 'No preview files provided' });
@@ -202,7 +731,7 @@ router.post('/:id/previews',
       const model = await prisma.model.findFirst({
         where: {
           id: modelId,
-          creatorId: req.user.id
+          userId: req.user.id
         }
       });
 
@@ -210,22 +739,30 @@ router.post('/:id/previews',
         return res.status(404).json({ error: 'Model not found' });
       }
 
-      // TODO: Upload previews to cloud storage
-      const previewUrls = req.files.map(file => 
-        `previews/${Date.now()}_${file.originalname}`
-      );
+      const storageDriver = getStorage();
+      const previewKeys = await Promise.all(req.files.map(async (file, index) => {
+        const key = modelKey(
+          modelId,
+          'previews',
+          `${Date.now()}_${index}_${sanitizeFileName(file.originalname)}`
+        );
+        await storageDriver.putObject(key, file.buffer, { contentType: file.mimetype });
+        return key;
+      }));
 
-      // Update model with preview URLs
       await prisma.model.update({
         where: { id: modelId },
         data: {
-          previewUrls: previewUrls
+          previewUrls: JSON.stringify(previewKeys)
         }
       });
 
+      // A new upload replaces the previous set of previews
+      await storageDriver.deleteObjects(parsePreviewKeys(model.previewUrls));
+
       res.json({
         message: 'Preview images uploaded successfully',
-        previewUrls
+        previewUrls: previewKeys.map(key => storageDriver.getPublicUrl(key))
       });
     } catch (error) {
       console.error('Upload previews error:', error);
@@ -237,7 +774,7 @@ router.post('/:id/previews',
 // Update model metadata
 router.put('/:id',
   authenticateToken,
-  requireRole(['creator', 'admin']),
+  requireRole(['CREATOR', 'ADMIN']),
   validateModelUpload,
   async (req, res) => {
     try {
@@ -246,19 +783,13 @@ router.put('/:id',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { id } = req.params;
-      const modelId = parseInt(id);
-
-      if (isNaN(modelId)) {
-        return res.status(400).json({ error: 'Invalid model ID' });
-      }
+      const { id: modelId } = req.params;
 
       const {
         title,
         description,
         category,
         tags,
-        license,
         isPublic
       } = req.body;
 
@@ -266,7 +797,7 @@ router.put('/:id',
       const existingModel = await prisma.model.findFirst({
         where: {
           id: modelId,
-          creatorId: req.user.id
+          userId: req.user.id
         }
       });
 
@@ -274,25 +805,48 @@ router.put('/:id',
         return res.status(404).json({ error: 'Model not found' });
       }
 
+      // A new license covers the latest version; earlier versions keep the
+      // terms they were downloaded under
+      const license = req.body.license !== undefined ? licenseFields(req.body) : null;
+
+      // New sources are checked against the license the model ends up with,
+      // and a new license against the sources it keeps
+      const nextLicense = (license || existingModel).license;
+      let sources = null;
+      if (req.body.basedOn !== undefined) {
+        sources = await resolveSources(req.body.basedOn, { user: req.user, license: nextLicense, childId: modelId });
+      } else if (license) {
+        await checkSourceLicenses(modelId, nextLicense, req.user);
+      }
+
       // Update model
-      const updatedModel = await prisma.model.update({
-        where: { id: modelId },
-        data: {
-          title,
-          description,
-          category,
-          tags: tags || [],
-          license,
-          isPublic,
-          updatedAt: new Date()
-        }
-      });
+      const [updatedModel] = await prisma.$transaction([
+        prisma.model.update({
+          where: { id: modelId },
+          data: {
+            title,
+            description,
+            category,
+            ...license,
+            isPublic,
+            updatedAt: new Date()
+          }
+        }),
+        ...(license
+          ? [prisma.modelVersion.updateMany({ where: { modelId, number: existingModel.latestVersion }, data: license })]
+          : [])
+      ]);
+      if (sources) await setModelSources(modelId, sources);
+      const updatedTags = await setModelTags(modelId, tags);
 
       res.json({
         message: 'Model updated successfully',
-        model: updatedModel
+        model: formatUploadedModel(updatedModel, updatedTags)
       });
     } catch (error) {
+      if (error instanceof DerivationError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Update model error:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
@@ -302,21 +856,16 @@ router.put('/:id',
 // Delete model
 router.delete('/:id',
   authenticateToken,
-  requireRole(['creator', 'admin']),
+  requireRole(['CREATOR', 'ADMIN']),
   async (req, res) => {
     try {
-      const { id } = req.params;
-      const modelId = parseInt(id);
-
-      if (isNaN(modelId)) {
-        return res.status(400).json({ error: 'Invalid model ID' });
-      }
+      const { id: modelId } = req.params;
 
       // Check if model exists and user owns it
       const model = await prisma.model.findFirst({
         where: {
           id: modelId,
-          creatorId: req.user.id
+          userId: req.user.id
         }
       });
 
@@ -324,16 +873,20 @@ router.delete('/:id',
         return res.status(404).json({ error: 'Model not found' });
       }
 
-      // TODO: Delete files from cloud storage
-      // await deleteFromS3(model.fileUrl);
-      // await deleteThumbnailFromS3(model.thumbnailUrl);
-      // await deletePreviewsFromS3(model.previewUrls);
-
       // Delete model and related data
       await prisma.model.delete({
         where: { id: modelId }
       });
 
+      // The original file, thumbnail and previews all live under the model's
+      // prefix. A storage failure here leaves orphaned objects but must not
+      // resurrect the deleted model, so it is logged rather than returned.
+      try {
+        await deleteModelObjects(modelId);
+      } catch (storageError) {
+        console.error('Delete model files error:', storageError);
+      }
+
       res.json({ message: 'Model deleted successfully' });
     } catch (error) {
       console.error('Delete model error:', error);
@@ -343,21 +896,50 @@ router.delete('/:id',
 );
 
 // Get upload progress (for large files)
+// Accepts either an upload session id or the id of the model it produced
 router.get('/:id/progress', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const modelId = parseInt(id);
 
-    if (isNaN(modelId)) {
-      return res.status(400).json({ error: 'Invalid model ID' });
+    const session = await prisma.uploadSession.findFirst({
+      where: {
+        userId: req.user.id,
+        OR: [{ id }, { modelId: id }]
+      },
+      include: { chunks: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (session) {
+      const progress = uploadSessions.describeSession(session);
+      return res.json({
+        sessionId: progress.id,
+        modelId: progress.modelId,
+        // Once assembled the chunks are deleted, so report the final state
+        progress: progress.status === 'COMPLETED' ? 100 : progress.progress,
+        receivedBytes: progress.status === 'COMPLETED' ? progress.fileSize : progress.receivedBytes,
+        totalBytes: progress.fileSize,
+        uploadedChunks: progress.uploadedChunks.length,
+        totalChunks: progress.totalChunks,
+        status: progress.status.toLowerCase()
+      });
     }
 
-    // TODO: Implement upload progress tracking
-    // This could be stored in Redis or similar for real-time updates
+    // Models uploaded in a single request have no session to report on
+    const model = await prisma.model.findFirst({
+      where: { id, userId: req.user.id },
+      select: { id: true, fileSize: true }
+    });
+
+    if (!model) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
 
     res.json({
-      modelId,
-      progress: 100, // Placeholder
+      modelId: model.id,
+      progress: 100,
+      receivedBytes: model.fileSize,
+      totalBytes: model.fileSize,
       status: 'completed'
     });
   } catch (error) {
@@ -2,10 +2,98 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { publicUrlFor } = require('../lib/storage');
+const { serializePreviewUrls, serializeTurntable } = require('../lib/modelPreviews');
+const { serializeOptimized } = require('../lib/modelVariants');
+const { RECENT_UPDATE_DAYS, isRecentlyUpdated } = require('../lib/modelVersions');
+const { serializeTags, tagsInclude } = require('../lib/tags');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Models with a new version the signed-in user should hear about: ones they
+// downloaded before it came out, and recent updates from creators they follow
+router.get('/me/updates', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const recentSince = new Date(Date.now() - RECENT_UPDATE_DAYS * 24 * 60 * 60 * 1000);
+
+    const [downloads, follows] = await Promise.all([
+      prisma.download.groupBy({
+        by: ['modelId'],
+        where: { userId },
+        _max: { createdAt: true }
+      }),
+      prisma.follow.findMany({
+        where: { followerId: userId },
+        select: { followingId: true }
+      })
+    ]);
+    const lastDownloads = new Map(downloads.map(download => [download.modelId, download._max.createdAt]));
+    const followedIds = new Set(follows.map(follow => follow.followingId));
+
+    const models = await prisma.model.findMany({
+      where: {
+        isPublic: true,
+        versionedAt: { not: null },
+        OR: [
+          { id: { in: [...lastDownloads.keys()] } },
+          { userId: { in: [...followedIds] }, versionedAt: { gte: recentSince } }
+        ]
+      },
+      include: {
+        creator: {
+          select: {
+            id: true,
+            username: true,
+            avatar: true
+          }
+        }
+      },
+      orderBy: { versionedAt: 'desc' }
+    });
+
+    const updates = models
+      .map(model => ({
+        model,
+        downloadedAt: lastDownloads.get(model.id) || null,
+        fromFollowed: followedIds.has(model.userId) && model.versionedAt >= recentSince
+      }))
+      // A download of the latest version leaves nothing new to see
+      .filter(({ model, downloadedAt, fromFollowed }) =>
+        fromFollowed || (downloadedAt && downloadedAt < model.versionedAt))
+      .slice(0, 50);
+
+    const latestVersions = updates.length > 0
+      ? await prisma.modelVersion.findMany({
+        where: { OR: updates.map(({ model }) => ({ modelId: model.id, number: model.latestVersion })) },
+        select: { modelId: true, changelog: true }
+      })
+      : [];
+    const changelogs = new Map(latestVersions.map(version => [version.modelId, version.changelog]));
+
+    res.json({
+      updates: updates.map(({ model, downloadedAt, fromFollowed }) => ({
+        id: model.id,
+        title: model.title,
+        thumbnailUrl: publicUrlFor(model.thumbnailUrl),
+        creator: model.creator,
+        latestVersion: model.latestVersion,
+        versionedAt: model.versionedAt,
+        changelog: changelogs.get(model.id) || null,
+        downloadedAt,
+        fromFollowed
+      }))
+    });
+  } catch (error) {
+    console.error('Get model updates error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch model updates'
+    });
+  }
+});
+
 // Get user profile by username
 router.get('/:username', optionalAuth, async (req, res) => {
   try {
@@ -97,10 +185,11 @@ router.get('/:username/models', optionalAuth, async (req, res) => {
         isPublic: true
       },
       include: {
+        modelTags: tagsInclude,
         _count: {
           select: {
             likes: true,
-            comments: true,
+            comments: { where: { deletedAt: null } },
             views: true,
             downloads: true
           }
@@ -119,7 +208,15 @@ router.get('/:username/models', optionalAuth, async (req, res) => {
     });
 
     res.json({
-      models,
+      models: models.map(({ modelTags, legacyTags, ...model }) => ({
+        ...model,
+        tags: serializeTags(modelTags),
+        thumbnailUrl: publicUrlFor(model.thumbnailUrl),
+        previewUrls: serializePreviewUrls(model.previewUrls),
+        turntable: serializeTurntable(model.turntable),
+        optimized: serializeOptimized(model),
+        recentlyUpdated: isRecentlyUpdated(model)
+      })),
       pagination: {
         page: pageNum,
         limit: limitNum,
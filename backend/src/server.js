@@ -13,8 +13,18 @@ const uploadRoutes = require('./routes/upload');
 const dashboardRoutes = require('./routes/dashboard');
 const statsRoutes = require('./routes/stats');
 const downloadRoutes = require('./routes/downloads');
+const formatRoutes = require('./routes/formats');
+const oembedRoutes = require('./routes/oembed');
+const featuredRoutes = require('./routes/featured');
+const searchRoutes = require('./routes/search');
+const tagRoutes = require('./routes/tags');
+const collectionRoutes = require('./routes/collections');
+const commentRoutes = require('./routes/comments');
+const annotationRoutes = require('./routes/annotations');
+const licenseRoutes = require('./routes/licenses');
 const { errorHandler } = require('./middleware/errorHandler');
 const { authenticateToken } = require('./middleware/auth');
+const { getStorage, isPublicKey } = require('./lib/storage');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -62,6 +72,8 @@ app.use(morgan('combined'));
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
+  // Lets the frontend name downloaded files the way the server does
+  exposedHeaders: ['Content-Disposition'],
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -71,6 +83,26 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Serve stored files when using the local storage driver: thumbnails and
+// previews to anyone, everything else only on a signed URL
+const storage = getStorage();
+if (storage.name === 'local') {
+  app.use('/uploads', (req, res, next) => {
+    let key;
+    try {
+      key = decodeURIComponent(req.path.slice(1));
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid path' });
+    }
+    if (isPublicKey(key) || storage.verifySignedUrl(key, req.query)) return next();
+    res.status(403).json({ error: 'Forbidden' });
+  }, express.static(storage.rootDir, {
+    fallthrough: false,
+    // Helmet defaults to same-origin, which would block the frontend dev server
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/models', modelRoutes);
@@ -79,6 +111,15 @@ app.use('/api/upload', authenticateToken, uploadRoutes);
 app.use('/api/dashboard', authenticateToken, dashboardRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/downloads', downloadRoutes);
+app.use('/api/formats', formatRoutes);
+app.use('/api/licenses', licenseRoutes);
+app.use('/api/oembed', oembedRoutes);
+app.use('/api/featured', authenticateToken, featuredRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/annotations', annotationRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -0,0 +1,171 @@
+require('dotenv').config({ path: process.env.NODE_ENV === 'production' ? '.env' : 'env.dev' });
+
+const {
+  HEARTBEAT_INTERVAL,
+  workerId,
+  claimJob,
+  heartbeatJob,
+  completeJob,
+  failJob,
+  releaseStaleJobs
+} = require('./lib/jobs');
+const {
+  PROCESS_MODEL_JOB,
+  runProcessModelJob,
+  failModelProcessing
+} = require('./lib/processing');
+const {
+  CONVERT_MODEL_JOB,
+  runConvertModelJob
+} = require('./lib/conversion');
+const {
+  REFRESH_TRENDING_JOB,
+  scheduleTrendingRefresh,
+  runRefreshTrendingJob,
+  failRefreshTrendingJob
+} = require('./lib/trending');
+const {
+  REINDEX_SEARCH_JOB,
+  ensureSearchIndex,
+  runReindexSearchJob
+} = require('./lib/search');
+const {
+  MIGRATE_LEGACY_TAGS_JOB,
+  ensureLegacyTagsMigrated,
+  runMigrateLegacyTagsJob
+} = require('./lib/tags');
+
+// Background worker for the database job queue. Run it beside server.js
+// (`npm run worker`); several can run at once.
+
+// Each job type's handler, and what to do once a job is dead-lettered
+const handlers = {
+  [PROCESS_MODEL_JOB]: { run: runProcessModelJob, onDead: failModelProcessing },
+  [CONVERT_MODEL_JOB]: { run: runConvertModelJob },
+  [REFRESH_TRENDING_JOB]: { run: runRefreshTrendingJob, onDead: failRefreshTrendingJob },
+  [REINDEX_SEARCH_JOB]: { run: runReindexSearchJob },
+  [MIGRATE_LEGACY_TAGS_JOB]: { run: runMigrateLegacyTagsJob }
+};
+
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL) || 2000;
+const STALE_CHECK_INTERVAL = 60 * 1000;
+
+const id = workerId();
+let stopping = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const deadLetter = async (job, error) => {
+  console.error(`Job ${job.id} (${job.type}) dead-lettered after ${job.attempts} attempts:`, error);
+  try {
+    await handlers[job.type]?.onDead?.(job.payload, error);
+  } catch (hookError) {
+    console.error(`Dead-letter handler for job ${job.id} error:`, hookError);
+  }
+};
+
+const runJob = async (job) => {
+  const started = Date.now();
+  // Keep the job's lock fresh while the handler runs, however long it takes
+  const heartbeat = setInterval(() => {
+    heartbeatJob(job).catch(error => console.error(`Heartbeat for job ${job.id} error:`, error));
+  }, HEARTBEAT_INTERVAL);
+
+  try {
+    await handlers[job.type].run(job.payload, job);
+    if (await completeJob(job)) {
+      console.log(`Job ${job.id} (${job.type}) done in ${Date.now() - started}ms`);
+    } else {
+      console.error(`Job ${job.id} (${job.type}) finished after its lock was released`);
+    }
+  } catch (error) {
+    const status = await failJob(job, error);
+    if (status === 'DEAD') {
+      await deadLetter(job, error);
+    } else if (status === 'QUEUED') {
+      console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed, will retry:`, error);
+    } else {
+      console.error(`Job ${job.id} (${job.type}) failed after its lock was released:`, error);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// One slot per unit of concurrency, each claiming and running jobs in turn
+const runSlot = async () => {
+  while (!stopping) {
+    let job = null;
+    try {
+      job = await claimJob(Object.keys(handlers), id);
+    } catch (error) {
+      console.error('Claim job error:', error);
+    }
+
+    if (job) {
+      // A database error while recording the outcome mustn't stop the
+      // slot; the job's lock runs out and it is released as stale
+      try {
+        await runJob(job);
+      } catch (error) {
+        console.error(`Job ${job.id} (${job.type}) error:`, error);
+      }
+    } else {
+      await sleep(POLL_INTERVAL);
+    }
+  }
+};
+
+const checkStaleJobs = async () => {
+  try {
+    for (const { job, error } of await releaseStaleJobs()) {
+      await deadLetter(job, error);
+    }
+  } catch (error) {
+    console.error('Release stale jobs error:', error);
+  }
+};
+
+const start = async () => {
+  console.log(`⚙️  3Dsharespace worker ${id} running ${CONCURRENCY} job(s) at a time`);
+
+  await checkStaleJobs();
+  // Trending scores refresh on a schedule that each run extends
+  try {
+    await scheduleTrendingRefresh();
+  } catch (error) {
+    console.error('Schedule trending refresh error:', error);
+  }
+  try {
+    await ensureSearchIndex();
+  } catch (error) {
+    console.error('Check search index error:', error);
+  }
+  try {
+    await ensureLegacyTagsMigrated();
+  } catch (error) {
+    console.error('Check legacy tags error:', error);
+  }
+  const staleTimer = setInterval(checkStaleJobs, STALE_CHECK_INTERVAL);
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, runSlot));
+  clearInterval(staleTimer);
+  console.log('Worker stopped');
+  process.exit(0);
+};
+
+// Let running jobs finish rather than leaving them to time out
+const shutdown = (signal) => {
+  if (stopping) {
+    console.log(`${signal} received again, exiting now`);
+    process.exit(1);
+  }
+  console.log(`${signal} received, finishing running jobs`);
+  stopping = true;
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start();
@@ -1,3 +1,4 @@
+import { lazy, Suspense } from 'react'
 import { Routes, Route } from 'react-router-dom'
 import { AuthProvider } from './contexts/AuthContext'
 import { ThemeProvider } from './contexts/ThemeContext'
@@ -9,22 +10,47 @@ import Upload from './pages/Upload'
 import ForgotPassword from './pages/ForgotPassword'
 import ProfileView from './pages/ProfileView'
 import ModelDetail from './pages/ModelDetail'
+import Search from './pages/Search'
+import TagView from './pages/TagView'
+import CollectionView from './pages/CollectionView'
+
+// Embeds render without the site layout and pull in three.js, so they are
+// split out of the main bundle
+const Embed = lazy(() => import('./pages/Embed'))
 
 function App() {
   return (
     <AuthProvider>
       <ThemeProvider>
-        <Layout>
-          <Routes>
-            <Route path="/" element={<Home />} />
-            <Route path="/login" element={<Login />} />
-            <Route path="/signup" element={<Signup />} />
-            <Route path="/upload" element={<Upload />} />
-            <Route path="/forgot-password" element={<ForgotPassword />} />
-            <Route path="/profile/:username" element={<ProfileView />} />
-            <Route path="/models/:modelId" element={<ModelDetail />} />
-          </Routes>
-        </Layout>
+        <Routes>
+          <Route
+            path="/embed/:modelId"
+            element={
+              <Suspense fallback={null}>
+                <Embed />
+              </Suspense>
+            }
+          />
+          <Route
+            path="*"
+            element={
+              <Layout>
+                <Routes>
+                  <Route path="/" element={<Home />} />
+                  <Route path="/login" element={<Login />} />
+                  <Route path="/signup" element={<Signup />} />
+                  <Route path="/upload" element={<Upload />} />
+                  <Route path="/forgot-password" element={<ForgotPassword />} />
+                  <Route path="/profile/:username" element={<ProfileView />} />
+                  <Route path="/models/:modelId" element={<ModelDetail />} />
+                  <Route path="/search" element={<Search />} />
+                  <Route path="/tags/:slug" element={<TagView />} />
+                  <Route path="/collections/:collectionId" element={<CollectionView />} />
+                </Routes>
+              </Layout>
+            }
+          />
+        </Routes>
       </ThemeProvider>
     </AuthProvider>
   )
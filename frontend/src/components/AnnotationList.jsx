@@ -0,0 +1,227 @@
+import { useState } from 'react'
+import { MapPin, Pencil, Move, Trash2 } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { api, getApiErrorMessage } from '../lib/api'
+import { useAuth } from '../contexts/AuthContext'
+
+const inputClass = 'w-full px-3 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg bg-white dark:bg-secondary-800 text-secondary-900 dark:text-white text-sm'
+
+const AnnotationForm = ({ annotation, submitLabel, onSubmit, onCancel }) => {
+  const [title, setTitle] = useState(annotation?.title || '')
+  const [body, setBody] = useState(annotation?.body || '')
+  const [saving, setSaving] = useState(false)
+
+  const handleSubmit = async e => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      await onSubmit({ title: title.trim() || null, body: body.trim() })
+    } catch (error) {
+      toast.error(getApiErrorMessage(error))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <input
+        type="text"
+        value={title}
+        onChange={e => setTitle(e.target.value)}
+        maxLength={100}
+        placeholder="Title (optional)"
+        aria-label="Title"
+        className={inputClass}
+      />
+      <textarea
+        value={body}
+        onChange={e => setBody(e.target.value)}
+        maxLength={1000}
+        rows={2}
+        required
+        autoFocus
+        placeholder="What should people notice here?"
+        aria-label="Note"
+        className={inputClass}
+      />
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 text-sm text-secondary-600 dark:text-secondary-400 hover:text-secondary-900 dark:hover:text-white"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving || !body.trim()}
+          className="px-3 py-1.5 text-sm bg-primary-600 hover:bg-primary-700 text-white rounded-md disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+// The numbered annotations under the model viewer. Placing and moving
+// annotations happens in the viewer: `onPlace('new')` or `onPlace(id)` asks
+// for the next click on the model, `onPlace(null)` stops waiting for it.
+// `draft` is a picked point waiting for its text.
+const AnnotationList = ({ modelId, annotations, activeId, onSelect, placing, onPlace, draft, onDraftDone, onChanged }) => {
+  const { isAuthenticated } = useAuth()
+  const [editingId, setEditingId] = useState(null)
+
+  const create = async fields => {
+    await api.post(`/models/${modelId}/annotations`, { ...draft, ...fields })
+    toast.success('Annotation added')
+    onDraftDone()
+    onChanged()
+  }
+
+  const update = async (annotation, fields) => {
+    await api.put(`/annotations/${annotation.id}`, fields)
+    setEditingId(null)
+    onChanged()
+  }
+
+  const remove = async annotation => {
+    if (!window.confirm('Delete this annotation?')) return
+    try {
+      await api.delete(`/annotations/${annotation.id}`)
+      toast.success('Annotation deleted')
+      onChanged()
+    } catch (error) {
+      toast.error(getApiErrorMessage(error))
+    }
+  }
+
+  if (annotations.length === 0 && !isAuthenticated) return null
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="flex items-center space-x-2 font-medium text-secondary-900 dark:text-white">
+          <MapPin className="w-4 h-4" />
+          <span>Annotations ({annotations.length})</span>
+        </h4>
+        {isAuthenticated && !draft && (
+          placing ? (
+            <button
+              type="button"
+              onClick={() => onPlace(null)}
+              className="text-sm text-secondary-600 dark:text-secondary-400 hover:text-secondary-900 dark:hover:text-white"
+            >
+              Cancel
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={() => onPlace('new')}
+              className="text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400"
+            >
+              Add annotation
+            </button>
+          )
+        )}
+      </div>
+
+      {draft && (
+        <div className="mb-3 p-3 border border-primary-200 dark:border-primary-800 rounded-lg">
+          <AnnotationForm submitLabel="Add" onSubmit={create} onCancel={onDraftDone} />
+        </div>
+      )}
+
+      {annotations.length === 0 && !draft && (
+        <p className="text-sm text-secondary-500 dark:text-secondary-400">
+          No annotations yet. Add one to point something out on the model.
+        </p>
+      )}
+
+      <ol className="space-y-1">
+        {annotations.map(annotation => (
+          <li
+            key={annotation.id}
+            className={`flex items-start space-x-3 p-2 rounded-lg ${
+              annotation.id === activeId ? 'bg-primary-50 dark:bg-secondary-700' : ''
+            }`}
+          >
+            <button
+              type="button"
+              onClick={() => onSelect(annotation)}
+              className={`w-6 h-6 flex-shrink-0 flex items-center justify-center rounded-full text-xs font-semibold text-white ${
+                annotation.id === activeId ? 'bg-primary-600' : 'bg-secondary-700 hover:bg-primary-600'
+              }`}
+              title="Show on the model"
+            >
+              {annotation.number}
+            </button>
+
+            <div className="flex-1 min-w-0">
+              {editingId === annotation.id ? (
+                <AnnotationForm
+                  annotation={annotation}
+                  submitLabel="Save"
+                  onSubmit={fields => update(annotation, fields)}
+                  onCancel={() => setEditingId(null)}
+                />
+              ) : (
+                <button type="button" onClick={() => onSelect(annotation)} className="block w-full text-left">
+                  {annotation.title && (
+                    <span className="block text-sm font-medium text-secondary-900 dark:text-white">{annotation.title}</span>
+                  )}
+                  <span className="block text-sm text-secondary-700 dark:text-secondary-300 whitespace-pre-line">
+                    {annotation.body}
+                  </span>
+                  <span className="block text-xs text-secondary-400 mt-0.5">
+                    {annotation.author?.username} · {new Date(annotation.createdAt).toLocaleDateString()}
+                  </span>
+                </button>
+              )}
+            </div>
+
+            {editingId !== annotation.id && (annotation.canEdit || annotation.canDelete) && (
+              <div className="flex items-center space-x-1 text-secondary-400">
+                {annotation.canEdit && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => setEditingId(annotation.id)}
+                      className="p-1 hover:text-secondary-700 dark:hover:text-secondary-200"
+                      title="Edit"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onPlace(annotation.id)}
+                      className={`p-1 hover:text-secondary-700 dark:hover:text-secondary-200 ${
+                        placing === annotation.id ? 'text-primary-600' : ''
+                      }`}
+                      title="Move to another point (uses the current view)"
+                    >
+                      <Move className="w-4 h-4" />
+                    </button>
+                  </>
+                )}
+                {annotation.canDelete && (
+                  <button
+                    type="button"
+                    onClick={() => remove(annotation)}
+                    className="p-1 hover:text-red-600"
+                    title="Delete"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
+
+export default AnnotationList
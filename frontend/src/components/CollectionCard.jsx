@@ -0,0 +1,67 @@
+import { Link } from 'react-router-dom'
+import { FolderOpen, Lock, Link2 } from 'lucide-react'
+
+const VISIBILITY_LABELS = {
+  UNLISTED: ['Unlisted', Link2],
+  PRIVATE: ['Private', Lock],
+}
+
+// The cover, or a grid of the first models' thumbnails without one
+export const CollectionCover = ({ collection, className = '' }) => {
+  if (collection.coverUrl) {
+    return <img src={collection.coverUrl} alt={collection.title} className={`object-cover ${className}`} />
+  }
+
+  if (collection.previewUrls.length === 0) {
+    return (
+      <div className={`flex items-center justify-center bg-secondary-100 dark:bg-secondary-700 ${className}`}>
+        <FolderOpen className="w-10 h-10 text-secondary-400" />
+      </div>
+    )
+  }
+
+  return (
+    <div className={`grid grid-cols-2 grid-rows-2 gap-0.5 bg-secondary-100 dark:bg-secondary-700 ${className}`}>
+      {collection.previewUrls.slice(0, 4).map((url, index) => (
+        <img
+          key={url}
+          src={url}
+          alt=""
+          className={`w-full h-full object-cover ${collection.previewUrls.length === 1 ? 'col-span-2 row-span-2' : ''} ${
+            collection.previewUrls.length === 3 && index === 0 ? 'row-span-2' : ''
+          }`}
+        />
+      ))}
+    </div>
+  )
+}
+
+const CollectionCard = ({ collection }) => {
+  const visibility = VISIBILITY_LABELS[collection.visibility]
+  const VisibilityIcon = visibility?.[1]
+
+  return (
+    <Link
+      to={`/collections/${collection.id}`}
+      className="block bg-secondary-50 dark:bg-secondary-700 rounded-lg overflow-hidden hover:shadow-md transition-shadow"
+    >
+      <CollectionCover collection={collection} className="w-full aspect-video" />
+      <div className="p-4">
+        <h3 className="font-semibold text-secondary-900 dark:text-white truncate">
+          {collection.title}
+        </h3>
+        <div className="flex items-center justify-between mt-1 text-sm text-secondary-500 dark:text-secondary-400">
+          <span>{collection.itemCount} {collection.itemCount === 1 ? 'model' : 'models'}</span>
+          {visibility && (
+            <span className="flex items-center space-x-1">
+              <VisibilityIcon className="w-3 h-3" />
+              <span>{visibility[0]}</span>
+            </span>
+          )}
+        </div>
+      </div>
+    </Link>
+  )
+}
+
+export default CollectionCard
@@ -0,0 +1,338 @@
+import { useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { useInfiniteQuery, useQuery, useQueryClient } from 'react-query'
+import { MessageSquare, User } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { api, getApiErrorMessage } from '../lib/api'
+import { useAuth } from '../contexts/AuthContext'
+
+const MAX_LENGTH = 2000
+
+const CommentForm = ({ initialContent = '', submitLabel, placeholder, onSubmit, onCancel, autoFocus }) => {
+  const [content, setContent] = useState(initialContent)
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleSubmit = async e => {
+    e.preventDefault()
+    if (!content.trim()) return
+
+    try {
+      setSubmitting(true)
+      await onSubmit(content.trim())
+      setContent('')
+    } catch (error) {
+      toast.error(getApiErrorMessage(error))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={content}
+        onChange={e => setContent(e.target.value)}
+        maxLength={MAX_LENGTH}
+        rows={3}
+        autoFocus={autoFocus}
+        placeholder={placeholder}
+        aria-label={placeholder}
+        className="w-full px-3 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg bg-white dark:bg-secondary-800 text-secondary-900 dark:text-white text-sm"
+      />
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-secondary-400">
+          Markdown works: **bold**, *italic*, `code`, [links](https://…), @username
+        </span>
+        <div className="flex space-x-2">
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-3 py-1.5 text-sm text-secondary-600 dark:text-secondary-400 hover:text-secondary-900 dark:hover:text-white"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={submitting || !content.trim()}
+            className="px-3 py-1.5 text-sm bg-primary-600 hover:bg-primary-700 text-white rounded-md disabled:opacity-50"
+          >
+            {submitLabel}
+          </button>
+        </div>
+      </div>
+    </form>
+  )
+}
+
+// Server-rendered Markdown. Mentions link to profiles, which open in the app
+// rather than reloading the page.
+const CommentBody = ({ html }) => {
+  const navigate = useNavigate()
+
+  const handleClick = e => {
+    const mention = e.target.closest('a.mention')
+    if (mention) {
+      e.preventDefault()
+      navigate(mention.getAttribute('href'))
+    }
+  }
+
+  return (
+    <div
+      className="markdown text-sm text-secondary-800 dark:text-secondary-200 break-words"
+      onClick={handleClick}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  )
+}
+
+const CommentHistory = ({ commentId }) => {
+  const { data: revisions = [], isLoading, error } = useQuery(['comment-history', commentId], async () => {
+    const { data } = await api.get(`/comments/${commentId}/history`)
+    return data.revisions
+  })
+
+  if (isLoading) return <p className="text-xs text-secondary-500">Loading history...</p>
+  if (error) return <p className="text-xs text-red-600 dark:text-red-400">{getApiErrorMessage(error)}</p>
+
+  return (
+    <ol className="mt-2 space-y-2 border-l-2 border-secondary-200 dark:border-secondary-700 pl-3">
+      {revisions.map(revision => (
+        <li key={revision.id} className="opacity-75">
+          <p className="text-xs text-secondary-500 dark:text-secondary-400 mb-1">
+            Written {new Date(revision.createdAt).toLocaleString()}, replaced {new Date(revision.replacedAt).toLocaleString()}
+          </p>
+          <CommentBody html={revision.html} />
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+const Replies = ({ comment, modelId }) => {
+  const { data, isLoading, hasNextPage, fetchNextPage, isFetchingNextPage } = useInfiniteQuery(
+    ['comment-replies', comment.id],
+    async ({ pageParam }) => {
+      const { data } = await api.get(`/comments/${comment.id}/replies`, { params: { cursor: pageParam } })
+      return data
+    },
+    { getNextPageParam: lastPage => lastPage.nextCursor || undefined }
+  )
+
+  if (isLoading) return <p className="ml-8 text-xs text-secondary-500">Loading replies...</p>
+
+  return (
+    <div className="ml-4 sm:ml-8 pl-4 border-l border-secondary-200 dark:border-secondary-700">
+      {data.pages.flatMap(page => page.replies).map(reply => (
+        <Comment key={reply.id} comment={reply} modelId={modelId} />
+      ))}
+      {hasNextPage && (
+        <button
+          onClick={() => fetchNextPage()}
+          disabled={isFetchingNextPage}
+          className="text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400 disabled:opacity-50"
+        >
+          {isFetchingNextPage ? 'Loading...' : 'More replies'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+const Comment = ({ comment, modelId }) => {
+  const queryClient = useQueryClient()
+  const { isAuthenticated } = useAuth()
+  const [mode, setMode] = useState(null) // 'reply', 'edit' or 'history'
+  const [showReplies, setShowReplies] = useState(false)
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['comments', modelId])
+    queryClient.invalidateQueries('comment-replies')
+  }
+
+  const reply = async content => {
+    await api.post(`/models/${modelId}/comments`, { content, parentId: comment.id })
+    setMode(null)
+    setShowReplies(true)
+    refresh()
+  }
+
+  const edit = async content => {
+    await api.put(`/comments/${comment.id}`, { content })
+    setMode(null)
+    queryClient.removeQueries(['comment-history', comment.id])
+    refresh()
+  }
+
+  const remove = async () => {
+    if (!window.confirm('Delete this comment?')) return
+    try {
+      await api.delete(`/comments/${comment.id}`)
+      toast.success('Comment deleted')
+      refresh()
+    } catch (error) {
+      toast.error(getApiErrorMessage(error))
+    }
+  }
+
+  const toggleMode = next => setMode(current => (current === next ? null : next))
+
+  return (
+    <div className="py-3">
+      <div className="flex space-x-3">
+        <div className="w-8 h-8 flex-shrink-0 bg-primary-100 dark:bg-primary-900 rounded-full flex items-center justify-center overflow-hidden">
+          {comment.author?.avatar ? (
+            <img src={comment.author.avatar} alt="" className="w-8 h-8 object-cover" />
+          ) : (
+            <User className="w-4 h-4 text-primary-600 dark:text-primary-400" />
+          )}
+        </div>
+
+        <div className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-center gap-x-2 text-sm mb-1">
+            {comment.deleted ? (
+              <span className="text-secondary-400 italic">Deleted comment</span>
+            ) : (
+              <Link
+                to={`/profile/${comment.author.username}`}
+                className="font-medium text-secondary-900 dark:text-white hover:text-primary-600"
+              >
+                {comment.author.username}
+              </Link>
+            )}
+            <span className="text-secondary-400">{new Date(comment.createdAt).toLocaleString()}</span>
+            {comment.editedAt && (
+              <button
+                onClick={() => toggleMode('history')}
+                className="text-secondary-400 hover:text-secondary-600 dark:hover:text-secondary-200"
+                title={`Edited ${new Date(comment.editedAt).toLocaleString()}`}
+              >
+                (edited)
+              </button>
+            )}
+          </div>
+
+          {mode === 'edit' ? (
+            <CommentForm
+              initialContent={comment.content}
+              submitLabel="Save"
+              placeholder="Edit your comment"
+              onSubmit={edit}
+              onCancel={() => setMode(null)}
+              autoFocus
+            />
+          ) : (
+            !comment.deleted && <CommentBody html={comment.html} />
+          )}
+
+          <div className="flex items-center space-x-4 mt-1 text-xs text-secondary-500 dark:text-secondary-400">
+            {isAuthenticated && comment.canReply && (
+              <button onClick={() => toggleMode('reply')} className="hover:text-secondary-900 dark:hover:text-white">
+                Reply
+              </button>
+            )}
+            {comment.canEdit && (
+              <button onClick={() => toggleMode('edit')} className="hover:text-secondary-900 dark:hover:text-white">
+                Edit
+              </button>
+            )}
+            {comment.canDelete && (
+              <button onClick={remove} className="hover:text-red-600">
+                Delete
+              </button>
+            )}
+            {comment.replyCount > 0 && (
+              <button
+                onClick={() => setShowReplies(shown => !shown)}
+                className="text-primary-600 hover:text-primary-700 dark:text-primary-400"
+              >
+                {showReplies ? 'Hide replies' : `${comment.replyCount} ${comment.replyCount === 1 ? 'reply' : 'replies'}`}
+              </button>
+            )}
+          </div>
+
+          {mode === 'history' && <CommentHistory commentId={comment.id} />}
+          {mode === 'reply' && (
+            <div className="mt-2">
+              <CommentForm
+                submitLabel="Reply"
+                placeholder={`Reply to ${comment.author.username}`}
+                onSubmit={reply}
+                onCancel={() => setMode(null)}
+                autoFocus
+              />
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showReplies && comment.replyCount > 0 && <Replies comment={comment} modelId={modelId} />}
+    </div>
+  )
+}
+
+// Threaded comments on a model, newest first, loaded a page at a time
+const CommentsPanel = ({ modelId }) => {
+  const queryClient = useQueryClient()
+  const { isAuthenticated } = useAuth()
+
+  const { data, error, isLoading, hasNextPage, fetchNextPage, isFetchingNextPage } = useInfiniteQuery(
+    ['comments', modelId],
+    async ({ pageParam }) => {
+      const { data } = await api.get(`/models/${modelId}/comments`, { params: { cursor: pageParam } })
+      return data
+    },
+    { getNextPageParam: lastPage => lastPage.nextCursor || undefined }
+  )
+
+  const post = async content => {
+    await api.post(`/models/${modelId}/comments`, { content })
+    queryClient.invalidateQueries(['comments', modelId])
+  }
+
+  const comments = data ? data.pages.flatMap(page => page.comments) : []
+  const total = data?.pages[0].total
+
+  return (
+    <div className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm p-6 mt-6">
+      <h2 className="flex items-center space-x-2 text-lg font-semibold text-secondary-900 dark:text-white mb-4">
+        <MessageSquare className="w-5 h-5" />
+        <span>Comments{total ? ` (${total})` : ''}</span>
+      </h2>
+
+      {isAuthenticated ? (
+        <CommentForm submitLabel="Comment" placeholder="Add a comment" onSubmit={post} />
+      ) : (
+        <p className="text-sm text-secondary-600 dark:text-secondary-400">
+          <Link to="/login" className="text-primary-600 hover:text-primary-700 dark:text-primary-400">Sign in</Link> to comment.
+        </p>
+      )}
+
+      {isLoading && <p className="mt-4 text-sm text-secondary-500">Loading comments...</p>}
+      {error && <p className="mt-4 text-sm text-red-600 dark:text-red-400">{getApiErrorMessage(error)}</p>}
+      {data && comments.length === 0 && (
+        <p className="mt-4 text-sm text-secondary-500 dark:text-secondary-400">No comments yet.</p>
+      )}
+
+      <div className="mt-4 divide-y divide-secondary-100 dark:divide-secondary-700">
+        {comments.map(comment => (
+          <Comment key={comment.id} comment={comment} modelId={modelId} />
+        ))}
+      </div>
+
+      {hasNextPage && (
+        <button
+          onClick={() => fetchNextPage()}
+          disabled={isFetchingNextPage}
+          className="mt-4 w-full py-2 text-sm text-secondary-600 dark:text-secondary-400 border border-secondary-200 dark:border-secondary-600 rounded-lg hover:bg-secondary-50 dark:hover:bg-secondary-700 disabled:opacity-50"
+        >
+          {isFetchingNextPage ? 'Loading...' : 'Load more comments'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default CommentsPanel
@@ -0,0 +1,127 @@
+import { Link } from 'react-router-dom'
+import { useQuery } from 'react-query'
+import { GitFork, ExternalLink, Box } from 'lucide-react'
+import { api } from '../lib/api'
+import { useLicenses } from '../lib/licenses'
+
+// One work in the tree: a model here, a work elsewhere, or a model that was
+// deleted, which keeps the credit copied when it was linked
+const WorkCard = ({ node }) => {
+  const { findLicense } = useLicenses()
+  const { model } = node
+  const license = findLicense(model ? model.license : node.license)
+
+  const details = (
+    <span className="block text-xs text-secondary-500 dark:text-secondary-400 truncate">
+      {[model ? model.creator.username : node.author, license?.shortName].filter(Boolean).join(' · ')}
+    </span>
+  )
+
+  if (model) {
+    return (
+      <Link
+        to={`/models/${model.id}`}
+        className="flex items-center space-x-3 p-2 rounded-lg hover:bg-secondary-50 dark:hover:bg-secondary-700"
+      >
+        {model.thumbnailUrl ? (
+          <img src={model.thumbnailUrl} alt="" className="w-10 h-10 rounded object-cover flex-shrink-0" />
+        ) : (
+          <span className="w-10 h-10 rounded bg-secondary-100 dark:bg-secondary-700 flex items-center justify-center flex-shrink-0">
+            <Box className="w-5 h-5 text-secondary-400" />
+          </span>
+        )}
+        <span className="min-w-0">
+          <span className="block text-sm font-medium text-secondary-900 dark:text-white truncate">{model.title}</span>
+          {details}
+        </span>
+      </Link>
+    )
+  }
+
+  if (node.url) {
+    return (
+      <a
+        href={node.url}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="flex items-center space-x-3 p-2 rounded-lg hover:bg-secondary-50 dark:hover:bg-secondary-700"
+      >
+        <span className="w-10 h-10 rounded bg-secondary-100 dark:bg-secondary-700 flex items-center justify-center flex-shrink-0">
+          <ExternalLink className="w-5 h-5 text-secondary-400" />
+        </span>
+        <span className="min-w-0">
+          <span className="block text-sm font-medium text-secondary-900 dark:text-white truncate">
+            {node.title || node.url}
+          </span>
+          {details}
+        </span>
+      </a>
+    )
+  }
+
+  return (
+    <div className="flex items-center space-x-3 p-2">
+      <span className="w-10 h-10 rounded bg-secondary-100 dark:bg-secondary-700 flex-shrink-0" />
+      <span className="min-w-0">
+        <span className="block text-sm text-secondary-600 dark:text-secondary-400 truncate">
+          {node.title || 'A model'} (no longer available)
+        </span>
+        {details}
+      </span>
+    </div>
+  )
+}
+
+// `childKey` is 'parents' going up the tree and 'remixes' going down
+const Branch = ({ nodes, childKey }) => (
+  <ul className="space-y-1">
+    {nodes.map(node => (
+      <li key={node.id}>
+        <WorkCard node={node} />
+        {node[childKey]?.length > 0 && (
+          <div className="ml-5 pl-3 border-l border-secondary-200 dark:border-secondary-700">
+            <Branch nodes={node[childKey]} childKey={childKey} />
+          </div>
+        )}
+      </li>
+    ))}
+  </ul>
+)
+
+// What a model was remixed from and what has been remixed from it, a few
+// generations each way. Nothing shows for models with neither.
+const DerivationTree = ({ modelId }) => {
+  const { data } = useQuery(['derivations', modelId], async () => {
+    const { data } = await api.get(`/models/${modelId}/derivations`)
+    return data
+  })
+
+  if (!data || (data.parents.length === 0 && data.remixes.length === 0)) return null
+
+  return (
+    <div className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm p-6 mb-6">
+      <h3 className="flex items-center space-x-2 text-lg font-semibold text-secondary-900 dark:text-white mb-4">
+        <GitFork className="w-5 h-5" />
+        <span>Remix tree</span>
+      </h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {data.parents.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-2">Remixed from</h4>
+            <Branch nodes={data.parents} childKey="parents" />
+          </div>
+        )}
+        {data.remixes.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-2">
+              Remixes ({data.remixes.length})
+            </h4>
+            <Branch nodes={data.remixes} childKey="remixes" />
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default DerivationTree
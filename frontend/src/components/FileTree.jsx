@@ -0,0 +1,104 @@
+import { useState } from 'react'
+import { ChevronRight, ChevronDown, Folder, File, Box, Download } from 'lucide-react'
+import { formatFileSize } from '../lib/formatFileSize'
+
+// Turn the flat list of bundle paths into nested folders, folders first
+const buildTree = files => {
+  const root = { folders: {}, files: [] }
+  for (const file of files) {
+    const parts = file.path.split('/')
+    let node = root
+    for (const part of parts.slice(0, -1)) {
+      node.folders[part] = node.folders[part] || { folders: {}, files: [] }
+      node = node.folders[part]
+    }
+    node.files.push({ ...file, name: parts[parts.length - 1] })
+  }
+  return root
+}
+
+const folderSize = node =>
+  node.files.reduce((sum, file) => sum + file.size, 0) +
+  Object.values(node.folders).reduce((sum, folder) => sum + folderSize(folder), 0)
+
+const FolderNode = ({ name, node, depth, onDownload, disabled }) => {
+  const [open, setOpen] = useState(true)
+  const Chevron = open ? ChevronDown : ChevronRight
+
+  return (
+    <li>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center space-x-2 py-1 text-left text-secondary-700 dark:text-secondary-300 hover:text-secondary-900 dark:hover:text-white"
+        style={{ paddingLeft: `${depth * 1.25}rem` }}
+        aria-expanded={open}
+      >
+        <Chevron className="w-4 h-4 flex-shrink-0" />
+        <Folder className="w-4 h-4 flex-shrink-0 text-primary-600 dark:text-primary-400" />
+        <span className="truncate">{name}</span>
+        <span className="text-xs text-secondary-500 dark:text-secondary-400">{formatFileSize(folderSize(node))}</span>
+      </button>
+      {open && <TreeLevel node={node} depth={depth + 1} onDownload={onDownload} disabled={disabled} />}
+    </li>
+  )
+}
+
+const TreeLevel = ({ node, depth, onDownload, disabled }) => (
+  <ul>
+    {Object.keys(node.folders).sort().map(name => (
+      <FolderNode
+        key={name}
+        name={name}
+        node={node.folders[name]}
+        depth={depth}
+        onDownload={onDownload}
+        disabled={disabled}
+      />
+    ))}
+    {[...node.files].sort((a, b) => a.name.localeCompare(b.name)).map(file => {
+      const Icon = file.isMain ? Box : File
+      return (
+        <li
+          key={file.path}
+          className="group flex items-center space-x-2 py-1 text-secondary-700 dark:text-secondary-300"
+          style={{ paddingLeft: `${depth * 1.25 + 1.5}rem` }}
+        >
+          <Icon className={`w-4 h-4 flex-shrink-0 ${file.isMain ? 'text-primary-600 dark:text-primary-400' : 'text-secondary-400'}`} />
+          <span className={`truncate ${file.isMain ? 'font-medium text-secondary-900 dark:text-white' : ''}`} title={file.path}>
+            {file.name}
+          </span>
+          <span className="text-xs text-secondary-500 dark:text-secondary-400 whitespace-nowrap">
+            {formatFileSize(file.size)}
+          </span>
+          {onDownload && (
+            <button
+              type="button"
+              onClick={() => onDownload(file)}
+              disabled={disabled}
+              className="p-1 text-secondary-400 hover:text-primary-600 dark:hover:text-primary-400 disabled:opacity-50"
+              aria-label={`Download ${file.path}`}
+              title={`Download ${file.name}`}
+            >
+              <Download className="w-4 h-4" />
+            </button>
+          )}
+        </li>
+      )
+    })}
+  </ul>
+)
+
+// The files of a model uploaded as a zip, as a collapsible folder tree with
+// the model file highlighted and a download button per file
+const FileTree = ({ files, onDownload, disabled = false }) => {
+  if (!files?.length) return null
+
+  return (
+    <div className="text-sm">
+      <TreeLevel node={buildTree(files)} depth={0} onDownload={onDownload} disabled={disabled} />
+    </div>
+  )
+}
+
+export default FileTree
@@ -5,6 +5,7 @@ import { useTheme } from '../contexts/ThemeContext'
 import { Sun, Moon, Loader2, Home, Upload, User, Settings, LogOut } from 'lucide-react'
 import ThemeToggle from './ui/ThemeToggle'
 import UserMenu from './ui/UserMenu'
+import SearchBox from './SearchBox'
 
 const Layout = ({ children }) => {
   const { user, profile, loading, isAuthenticated, logout } = useAuth()
@@ -94,6 +95,11 @@ const Layout = ({ children }) => {
               )}
             </nav>
 
+            {/* Search */}
+            <div className="hidden sm:flex flex-1 justify-center px-4">
+              <SearchBox />
+            </div>
+
             {/* Right side */}
             <div className="flex items-center space-x-4">
               <ThemeToggle />
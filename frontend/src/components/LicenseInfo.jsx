@@ -0,0 +1,143 @@
+import { useState } from 'react'
+import { Scale, Check, X, Copy } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const ATTRIBUTION_FORMATS = [
+  ['text', 'Text'],
+  ['markdown', 'Markdown'],
+  ['html', 'HTML'],
+]
+
+const Permission = ({ allowed, children }) => (
+  <li className="flex items-center space-x-2 text-sm text-secondary-700 dark:text-secondary-300">
+    {allowed ? (
+      <Check className="w-4 h-4 text-green-600 dark:text-green-400" />
+    ) : (
+      <X className="w-4 h-4 text-red-500" />
+    )}
+    <span>{children}</span>
+  </li>
+)
+
+// What a model's license lets people do, and the line to credit it with,
+// ready to copy as plain text, Markdown or HTML
+const LicenseInfo = ({ license }) => {
+  const [showTerms, setShowTerms] = useState(false)
+  const [format, setFormat] = useState('text')
+
+  if (!license) {
+    return (
+      <p className="text-sm text-secondary-600 dark:text-secondary-400">
+        No license was chosen for this model, so all rights are reserved by its creator.
+      </p>
+    )
+  }
+
+  const attribution = license.attributionFormats?.[format] || license.attribution
+
+  const copyAttribution = async () => {
+    try {
+      await navigator.clipboard.writeText(attribution)
+      toast.success('Attribution copied')
+    } catch {
+      toast.error('Could not copy the attribution')
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start space-x-3">
+        <Scale className="w-5 h-5 mt-0.5 text-secondary-500 dark:text-secondary-400" />
+        <div>
+          {license.url ? (
+            <a
+              href={license.url}
+              target="_blank"
+              rel="license noopener noreferrer"
+              className="font-medium text-primary-600 hover:text-primary-700 dark:text-primary-400"
+            >
+              {license.name}
+            </a>
+          ) : (
+            <span className="font-medium text-secondary-900 dark:text-white">{license.name}</span>
+          )}
+          <p className="text-sm text-secondary-600 dark:text-secondary-400">{license.summary}</p>
+        </div>
+      </div>
+
+      {license.id === 'custom' ? (
+        <div>
+          <button
+            type="button"
+            onClick={() => setShowTerms(shown => !shown)}
+            className="text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400"
+          >
+            {showTerms ? 'Hide terms' : 'Read the terms'}
+          </button>
+          {showTerms && (
+            <p className="mt-2 p-3 bg-secondary-50 dark:bg-secondary-900 rounded-lg text-sm text-secondary-700 dark:text-secondary-300 whitespace-pre-line">
+              {license.text || 'The creator has not written their terms down. Ask them before using this model.'}
+            </p>
+          )}
+        </div>
+      ) : (
+        <div>
+          <ul className="grid grid-cols-1 sm:grid-cols-3 gap-1">
+            <Permission allowed={license.commercialUse}>Commercial use</Permission>
+            <Permission allowed={license.derivatives}>Modifications</Permission>
+            <Permission allowed={!license.attributionRequired}>
+              {license.attributionRequired ? 'Credit required' : 'No credit required'}
+            </Permission>
+          </ul>
+          {license.shareAlike && (
+            <p className="mt-1 text-sm text-secondary-600 dark:text-secondary-400">
+              Adaptations must be shared under the same license.
+            </p>
+          )}
+        </div>
+      )}
+
+      <div>
+        <div className="flex items-center justify-between mb-1">
+          <div className="flex items-center space-x-3">
+            <span className="text-sm font-medium text-secondary-700 dark:text-secondary-300">Attribution</span>
+            <div className="flex rounded-md border border-secondary-200 dark:border-secondary-600 overflow-hidden" role="group">
+              {ATTRIBUTION_FORMATS.map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setFormat(value)}
+                  aria-pressed={format === value}
+                  className={`px-2 py-0.5 text-xs ${
+                    format === value
+                      ? 'bg-primary-600 text-white'
+                      : 'text-secondary-600 dark:text-secondary-400 hover:bg-secondary-50 dark:hover:bg-secondary-700'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={copyAttribution}
+            className="flex items-center space-x-1 text-sm text-secondary-500 hover:text-secondary-700 dark:text-secondary-400 dark:hover:text-secondary-200"
+          >
+            <Copy className="w-4 h-4" />
+            <span>Copy</span>
+          </button>
+        </div>
+        <p
+          className={`p-3 bg-secondary-50 dark:bg-secondary-900 rounded-lg text-sm text-secondary-700 dark:text-secondary-300 break-words ${
+            format === 'text' ? '' : 'font-mono text-xs'
+          }`}
+        >
+          {attribution}
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default LicenseInfo
@@ -0,0 +1,79 @@
+import { Box, Triangle, Layers, Image, Film, Bone } from 'lucide-react'
+
+const formatNumber = value => (value ?? 0).toLocaleString()
+
+const formatSize = size =>
+  size.map(value => Number(value.toFixed(3)).toString()).join(' × ')
+
+const UNIT_LABELS = { millimeters: 'mm', meters: 'm' }
+
+// Geometry statistics extracted from the model file on the server
+const ModelStats = ({ metadata }) => {
+  if (!metadata) {
+    return (
+      <p className="text-sm text-secondary-500 dark:text-secondary-400">
+        Model statistics are not available for this file yet.
+      </p>
+    )
+  }
+
+  const stats = [
+    { icon: Triangle, label: 'Triangles', value: formatNumber(metadata.triangleCount) },
+    { icon: Box, label: 'Vertices', value: formatNumber(metadata.vertexCount) },
+    { icon: Layers, label: 'Materials', value: formatNumber(metadata.materialCount) },
+    {
+      icon: Image,
+      label: 'Textures',
+      value: metadata.maxTextureWidth
+        ? `${metadata.textureCount} (up to ${metadata.maxTextureWidth}×${metadata.maxTextureHeight})`
+        : formatNumber(metadata.textureCount),
+    },
+    {
+      icon: Film,
+      label: 'Animated',
+      value: metadata.isAnimated
+        ? `Yes (${metadata.animationCount} clip${metadata.animationCount === 1 ? '' : 's'})`
+        : 'No',
+    },
+    { icon: Bone, label: 'Rigged', value: metadata.isRigged ? 'Yes' : 'No' },
+  ]
+
+  return (
+    <div>
+      <dl className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        {stats.map(({ icon: Icon, label, value }) => (
+          <div
+            key={label}
+            className="flex items-center space-x-3 p-3 bg-secondary-50 dark:bg-secondary-700 rounded-lg"
+          >
+            <Icon className="w-5 h-5 text-primary-600 dark:text-primary-400" />
+            <div>
+              <dt className="text-xs text-secondary-500 dark:text-secondary-400">
+                {label}
+              </dt>
+              <dd className="font-medium text-secondary-900 dark:text-white">
+                {value}
+              </dd>
+            </div>
+          </div>
+        ))}
+      </dl>
+      {metadata.bounds && (
+        <p className="mt-4 text-sm text-secondary-500 dark:text-secondary-400">
+          Dimensions: {formatSize(metadata.bounds.size)}
+          {metadata.unitsGuess && ` ${UNIT_LABELS[metadata.unitsGuess] || metadata.unitsGuess} (estimated)`}
+          {' '}({metadata.format.toUpperCase()})
+        </p>
+      )}
+      {metadata.isWatertight !== null && metadata.isWatertight !== undefined && (
+        <p className="mt-1 text-sm text-secondary-500 dark:text-secondary-400">
+          {metadata.isWatertight
+            ? 'Watertight mesh, ready for 3D printing'
+            : 'Mesh has holes or non-manifold edges and may need repair before printing'}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default ModelStats
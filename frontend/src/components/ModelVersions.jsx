@@ -0,0 +1,123 @@
+import { useState } from 'react'
+import { Download, History, Upload } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { api, getApiErrorMessage } from '../lib/api'
+import { useModelFormats } from '../lib/modelFormats'
+import { formatFileSize } from '../lib/formatFileSize'
+
+// Lets the creator publish a new file for the model with a changelog entry
+const NewVersionForm = ({ modelId, onUploaded }) => {
+  const modelFormats = useModelFormats()
+  const [file, setFile] = useState(null)
+  const [changelog, setChangelog] = useState('')
+  const [uploading, setUploading] = useState(false)
+
+  const handleSubmit = async e => {
+    e.preventDefault()
+    if (!file || !changelog.trim()) return
+
+    const formData = new FormData()
+    formData.append('model', file)
+    formData.append('changelog', changelog.trim())
+
+    try {
+      setUploading(true)
+      const { data } = await api.post(`/upload/${modelId}/versions`, formData)
+      toast.success(`Version ${data.version.number} uploaded`)
+      setFile(null)
+      setChangelog('')
+      e.target.reset()
+      onUploaded?.()
+    } catch (error) {
+      toast.error(getApiErrorMessage(error))
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 pt-4 border-t border-secondary-200 dark:border-secondary-700 space-y-3">
+      <h4 className="font-medium text-secondary-900 dark:text-white">Upload a new version</h4>
+      <input
+        type="file"
+        accept={modelFormats.accept || undefined}
+        onChange={e => setFile(e.target.files[0] || null)}
+        disabled={uploading}
+        className="block w-full text-sm text-secondary-700 dark:text-secondary-300"
+        aria-label="New version file"
+      />
+      <textarea
+        value={changelog}
+        onChange={e => setChangelog(e.target.value)}
+        maxLength={2000}
+        rows={3}
+        disabled={uploading}
+        placeholder="What changed in this version?"
+        className="w-full px-3 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg bg-white dark:bg-secondary-800 text-secondary-900 dark:text-white"
+        aria-label="Changelog"
+      />
+      <button
+        type="submit"
+        disabled={uploading || !file || !changelog.trim()}
+        className="flex items-center space-x-2 px-4 py-2 bg-primary-600 hover:bg-primary-700 disabled:bg-primary-400 text-white rounded-lg font-medium transition-colors disabled:cursor-not-allowed"
+      >
+        <Upload className="w-4 h-4" />
+        <span>{uploading ? 'Uploading...' : 'Publish version'}</span>
+      </button>
+    </form>
+  )
+}
+
+// A model's versions, newest first, with their changelogs and downloads of
+// the earlier files
+const ModelVersions = ({ model, onDownload, disabled = false, onVersionUploaded }) => {
+  const versions = model.versions || []
+
+  return (
+    <div>
+      <ol className="divide-y divide-secondary-200 dark:divide-secondary-700">
+        {versions.map(version => (
+          <li key={version.number} className="flex items-start space-x-3 py-3">
+            <History className="w-5 h-5 mt-0.5 flex-shrink-0 text-secondary-400" />
+            <div className="min-w-0 flex-1">
+              <p className="font-medium text-secondary-900 dark:text-white">
+                Version {version.number}
+                {version.isCurrent && (
+                  <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-primary-100 dark:bg-primary-900 text-primary-700 dark:text-primary-300">
+                    Current
+                  </span>
+                )}
+              </p>
+              <p className="text-sm text-secondary-500 dark:text-secondary-400">
+                {new Date(version.createdAt).toLocaleDateString()}
+                {version.format && ` · ${version.format.toUpperCase()}`}
+                {version.isBundle && ' · ZIP'}
+                {` · ${formatFileSize(version.fileSize)}`}
+              </p>
+              {version.changelog && (
+                <p className="text-sm text-secondary-700 dark:text-secondary-300 mt-1 whitespace-pre-line">
+                  {version.changelog}
+                </p>
+              )}
+            </div>
+            {!version.isCurrent && (
+              <button
+                type="button"
+                onClick={() => onDownload(version)}
+                disabled={disabled}
+                className="p-2 text-secondary-400 hover:text-primary-600 dark:hover:text-primary-400 disabled:opacity-50"
+                aria-label={`Download version ${version.number}`}
+                title={`Download version ${version.number}`}
+              >
+                <Download className="w-4 h-4" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ol>
+      {model.isOwner && <NewVersionForm modelId={model.id} onUploaded={onVersionUploaded} />}
+    </div>
+  )
+}
+
+export default ModelVersions
@@ -0,0 +1,389 @@
+import { useEffect, useRef, useState } from 'react'
+import { Box, Grid3x3, Circle, Palette, RotateCcw, Play, Pause } from 'lucide-react'
+import { createViewer, isWebGLAvailable, ENVIRONMENTS } from '../lib/viewer/createViewer'
+import { loadModel, isViewableFormat } from '../lib/viewer/loaders'
+
+const DISPLAY_MODE_OPTIONS = [
+  { value: 'shaded', label: 'Shaded', icon: Box },
+  { value: 'wireframe', label: 'Wireframe', icon: Grid3x3 },
+  { value: 'matcap', label: 'Matcap', icon: Circle },
+  { value: 'normals', label: 'Normals', icon: Palette },
+]
+
+// `detail`, such as the error behind the message, shows on hover
+const Fallback = ({ thumbnailUrl, title, message, detail }) => (
+  <div className="relative w-full h-full">
+    {thumbnailUrl ? (
+      <img src={thumbnailUrl} alt={title} className="w-full h-full object-cover" />
+    ) : (
+      <div className="w-full h-full flex items-center justify-center">
+        <Box className="w-16 h-16 text-secondary-400" />
+      </div>
+    )}
+    {message && (
+      <p
+        className="absolute bottom-3 left-3 right-3 text-center text-xs text-secondary-600 dark:text-secondary-300 bg-white/80 dark:bg-secondary-800/80 rounded px-2 py-1"
+        title={detail}
+      >
+        {message}
+      </p>
+    )}
+  </div>
+)
+
+// Interactive WebGL preview of a model file. Falls back to the static
+// thumbnail when WebGL is unavailable, the format can't be shown in the
+// browser or the file fails to load. With `fill` it takes its parent's full
+// size instead of a 16:9 frame; `showControls` hides the toolbar. `lods` are
+// GLB levels of detail, lightest first; the lightest is shown while `src`
+// downloads. `files` are signed URLs of the files `src` refers to, by path.
+//
+// `annotations` show as numbered hotspots over the model; picking one (or
+// changing `activeAnnotationId`) flies the camera to its saved view. While
+// `onSurfacePick` is set, clicking the model calls it with the point, the
+// surface normal there and the current camera view.
+const ModelViewer = ({
+  src,
+  format,
+  lods,
+  thumbnailUrl,
+  title,
+  materialLibraries,
+  files,
+  autoRotate = false,
+  background = null,
+  showControls = true,
+  fill = false,
+  className = '',
+  annotations = [],
+  activeAnnotationId = null,
+  onAnnotationSelect,
+  onSurfacePick,
+}) => {
+  const containerRef = useRef(null)
+  const viewerRef = useRef(null)
+  const hotspotRefs = useRef(new Map())
+  const annotationsRef = useRef(annotations)
+  const pointerDownRef = useRef(null)
+  // Signed URLs change with every fetch of the model, so the viewer only
+  // reloads when the file itself does; these hold the latest URLs
+  const sourceRef = useRef({ src, files, previewSrc: lods?.[0] || null })
+  annotationsRef.current = annotations
+  sourceRef.current = { src, files, previewSrc: lods?.[0] || null }
+  const [status, setStatus] = useState('loading')
+  const [loadError, setLoadError] = useState(null)
+  const [missingMaterials, setMissingMaterials] = useState([])
+  const [displayMode, setDisplayMode] = useState('shaded')
+  const [environment, setEnvironment] = useState('studio')
+  const [clips, setClips] = useState([])
+  const [activeClip, setActiveClip] = useState(null)
+  const [playing, setPlaying] = useState(true)
+  const [hasWebGL] = useState(isWebGLAvailable)
+
+  const canRender = Boolean(src) && isViewableFormat(format) && hasWebGL
+  // A string, so a refetched model with the same libraries doesn't reload
+  const materialKey = (materialLibraries || []).join('\n')
+  const srcPath = src ? src.split('?')[0] : null
+  const previewPath = lods?.[0] ? lods[0].split('?')[0] : null
+  const hasModel = status === 'ready' || status === 'refining'
+
+  useEffect(() => {
+    if (!canRender || !containerRef.current) return undefined
+
+    let cancelled = false
+    const viewer = createViewer(containerRef.current)
+    viewerRef.current = viewer
+    setStatus('loading')
+    setLoadError(null)
+    setMissingMaterials([])
+    setClips([])
+    setActiveClip(null)
+
+    let previewShown = false
+    let fullShown = false
+    const { src, files, previewSrc } = sourceRef.current
+
+    const show = ({ object, animations }, options) => {
+      viewer.setModel(object, animations, options)
+      setClips(animations.map((clip, index) => clip.name || `Clip ${index + 1}`))
+      if (animations.length > 0) viewer.playClip(0)
+      setActiveClip(animations.length > 0 ? 0 : null)
+    }
+
+    // Both downloads start together; the light preview only goes on screen
+    // if it beats the full model. A preview that fails to load is skipped:
+    // the full model is still on its way and reports its own failure.
+    if (previewSrc) {
+      loadModel({ url: previewSrc, format: 'glb' })
+        .then(result => {
+          if (cancelled || fullShown) return
+          show(result)
+          previewShown = true
+          setStatus('refining')
+        })
+        .catch(() => {})
+    }
+
+    loadModel({
+      url: src,
+      format,
+      materialLibraries: materialKey ? materialKey.split('\n') : [],
+      files,
+    })
+      .then(result => {
+        if (cancelled) return
+        show(result, { keepView: previewShown })
+        setMissingMaterials(result.missingMaterials)
+        fullShown = true
+        setStatus('ready')
+      })
+      .catch(error => {
+        if (cancelled) return
+        setLoadError(error.message || 'The file could not be read')
+        // A preview on screen beats an error message
+        setStatus(previewShown ? 'ready' : 'error')
+      })
+
+    return () => {
+      cancelled = true
+      viewer.dispose()
+      viewerRef.current = null
+    }
+  }, [srcPath, format, materialKey, previewPath, canRender])
+
+  useEffect(() => {
+    viewerRef.current?.setAutoRotate(autoRotate)
+  }, [autoRotate, hasModel])
+
+  useEffect(() => {
+    viewerRef.current?.setBackground(background)
+  }, [background, status])
+
+  useEffect(() => {
+    viewerRef.current?.setDisplayMode(displayMode)
+  }, [displayMode, status])
+
+  useEffect(() => {
+    viewerRef.current?.setEnvironment(environment)
+  }, [environment, status])
+
+  // Keep the hotspots over their points as the camera moves
+  useEffect(() => {
+    const viewer = viewerRef.current
+    if (!viewer || !hasModel) return undefined
+
+    viewer.setFrameCallback(() => {
+      annotationsRef.current.forEach(annotation => {
+        const element = hotspotRefs.current.get(annotation.id)
+        if (!element) return
+        const { x, y, visible } = viewer.projectPoint(annotation.position, annotation.normal)
+        element.style.transform = `translate(${x}px, ${y}px) translate(-50%, -50%)`
+        element.style.opacity = visible ? '1' : '0.3'
+      })
+    })
+    return () => viewer.setFrameCallback(null)
+  }, [hasModel])
+
+  useEffect(() => {
+    const annotation = annotationsRef.current.find(({ id }) => id === activeAnnotationId)
+    if (annotation && hasModel) viewerRef.current?.flyTo(annotation.camera)
+  }, [activeAnnotationId, hasModel])
+
+  const handleHotspotClick = annotation => {
+    viewerRef.current?.flyTo(annotation.camera)
+    onAnnotationSelect?.(annotation)
+  }
+
+  // A click, not the end of a drag, places a point
+  const handlePointerDown = e => {
+    pointerDownRef.current = { x: e.clientX, y: e.clientY }
+  }
+
+  const handlePointerUp = e => {
+    const start = pointerDownRef.current
+    pointerDownRef.current = null
+    if (!onSurfacePick || !start || Math.hypot(e.clientX - start.x, e.clientY - start.y) > 5) return
+
+    const point = viewerRef.current?.pickPoint(e.clientX, e.clientY)
+    if (point) onSurfacePick({ ...point, camera: viewerRef.current.getView() })
+  }
+
+  const handleClipChange = e => {
+    const index = e.target.value === '' ? null : parseInt(e.target.value)
+    setActiveClip(index)
+    viewerRef.current?.playClip(index)
+  }
+
+  const togglePlaying = () => {
+    viewerRef.current?.setPlaying(!playing)
+    setPlaying(!playing)
+  }
+
+  const frameClassName = fill
+    ? 'relative w-full h-full overflow-hidden'
+    : 'relative aspect-video bg-secondary-100 dark:bg-secondary-700 rounded-lg overflow-hidden'
+
+  if (!canRender) {
+    const message = !src || isViewableFormat(format)
+      ? '3D preview needs WebGL, which this browser does not support'
+      : `${format?.toUpperCase() || 'This'} files can't be previewed in 3D`
+    return (
+      <div className={`${frameClassName} ${className}`}>
+        <Fallback thumbnailUrl={thumbnailUrl} title={title} message={src ? message : null} />
+      </div>
+    )
+  }
+
+  return (
+    <div className={`${fill ? 'flex flex-col h-full' : ''} ${className}`}>
+      <div className={fill ? 'relative flex-1 min-h-0 overflow-hidden' : frameClassName}>
+        <div
+          ref={containerRef}
+          className={`absolute inset-0 ${onSurfacePick ? 'cursor-crosshair' : ''}`}
+          onPointerDown={handlePointerDown}
+          onPointerUp={handlePointerUp}
+        />
+
+        {hasModel && annotations.length > 0 && (
+          <div className="absolute inset-0 overflow-hidden pointer-events-none">
+            {annotations.map(annotation => (
+              <button
+                key={annotation.id}
+                ref={element => {
+                  if (element) hotspotRefs.current.set(annotation.id, element)
+                  else hotspotRefs.current.delete(annotation.id)
+                }}
+                type="button"
+                onClick={() => handleHotspotClick(annotation)}
+                title={annotation.title || annotation.body}
+                className={`absolute left-0 top-0 w-7 h-7 flex items-center justify-center rounded-full border-2 border-white text-xs font-semibold text-white shadow-md pointer-events-auto transition-opacity ${
+                  annotation.id === activeAnnotationId ? 'bg-primary-600' : 'bg-secondary-900/80 hover:bg-primary-600'
+                }`}
+              >
+                {annotation.number}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {hasModel && onSurfacePick && (
+          <p className="absolute top-2 left-1/2 -translate-x-1/2 px-2 py-1 rounded bg-white/80 dark:bg-secondary-800/80 text-xs text-secondary-700 dark:text-secondary-200 pointer-events-none">
+            Click the model to place the annotation
+          </p>
+        )}
+
+        {status === 'loading' && (
+          <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+            <div className="w-8 h-8 border-4 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        )}
+
+        {status === 'refining' && (
+          <div className="absolute bottom-2 right-2 flex items-center space-x-2 px-2 py-1 rounded bg-white/80 dark:bg-secondary-800/80 text-xs text-secondary-600 dark:text-secondary-300 pointer-events-none">
+            <div className="w-3 h-3 border-2 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+            <span>Loading full detail</span>
+          </div>
+        )}
+
+        {status === 'ready' && missingMaterials.length > 0 && (
+          <p
+            className="absolute bottom-2 left-2 px-2 py-1 rounded bg-white/80 dark:bg-secondary-800/80 text-xs text-secondary-600 dark:text-secondary-300"
+            title={missingMaterials.join(', ')}
+          >
+            Materials could not be loaded; showing plain geometry
+          </p>
+        )}
+
+        {status === 'ready' && loadError && (
+          <p
+            className="absolute bottom-2 right-2 px-2 py-1 rounded bg-white/80 dark:bg-secondary-800/80 text-xs text-secondary-600 dark:text-secondary-300"
+            title={loadError}
+          >
+            Showing a simplified model; full detail could not be loaded
+          </p>
+        )}
+
+        {status === 'error' && (
+          <div className="absolute inset-0">
+            <Fallback
+              thumbnailUrl={thumbnailUrl}
+              title={title}
+              message="The 3D preview could not be loaded"
+              detail={loadError}
+            />
+          </div>
+        )}
+      </div>
+
+      {hasModel && showControls && (
+        <div className={`flex flex-wrap items-center gap-3 ${fill ? 'p-2' : 'mt-3'}`}>
+          <div className="inline-flex rounded-lg border border-secondary-200 dark:border-secondary-600 overflow-hidden">
+            {DISPLAY_MODE_OPTIONS.map(({ value, label, icon: Icon }) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setDisplayMode(value)}
+                title={label}
+                className={`flex items-center space-x-1 px-3 py-1.5 text-sm transition-colors ${
+                  displayMode === value
+                    ? 'bg-primary-600 text-white'
+                    : 'text-secondary-600 dark:text-secondary-300 hover:bg-secondary-100 dark:hover:bg-secondary-700'
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+                <span className="hidden sm:inline">{label}</span>
+              </button>
+            ))}
+          </div>
+
+          <select
+            value={environment}
+            onChange={e => setEnvironment(e.target.value)}
+            className="px-3 py-1.5 text-sm border border-secondary-200 dark:border-secondary-600 rounded-lg bg-white dark:bg-secondary-800 text-secondary-700 dark:text-secondary-300"
+            aria-label="Lighting"
+          >
+            {Object.entries(ENVIRONMENTS).map(([value, preset]) => (
+              <option key={value} value={value}>{preset.label} lighting</option>
+            ))}
+          </select>
+
+          {clips.length > 0 && (
+            <div className="flex items-center space-x-2">
+              <select
+                value={activeClip ?? ''}
+                onChange={handleClipChange}
+                className="px-3 py-1.5 text-sm border border-secondary-200 dark:border-secondary-600 rounded-lg bg-white dark:bg-secondary-800 text-secondary-700 dark:text-secondary-300"
+                aria-label="Animation"
+              >
+                <option value="">No animation</option>
+                {clips.map((name, index) => (
+                  <option key={index} value={index}>{name}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={togglePlaying}
+                disabled={activeClip === null}
+                title={playing ? 'Pause' : 'Play'}
+                className="p-1.5 text-secondary-600 dark:text-secondary-300 hover:text-secondary-900 dark:hover:text-white disabled:opacity-50"
+              >
+                {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+              </button>
+            </div>
+          )}
+
+          <button
+            type="button"
+            onClick={() => viewerRef.current?.resetView()}
+            title="Reset view"
+            className="ml-auto p-1.5 text-secondary-600 dark:text-secondary-300 hover:text-secondary-900 dark:hover:text-white"
+          >
+            <RotateCcw className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ModelViewer
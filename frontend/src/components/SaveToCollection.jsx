@@ -0,0 +1,186 @@
+import { useState, useRef, useEffect } from 'react'
+import { useQuery } from 'react-query'
+import { Bookmark, Check, Plus, Lock, Link2 } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { api, getApiErrorMessage } from '../lib/api'
+import { useAuth } from '../contexts/AuthContext'
+import { VISIBILITY_OPTIONS } from '../lib/collections'
+
+const VISIBILITY_ICONS = {
+  UNLISTED: Link2,
+  PRIVATE: Lock,
+}
+
+// Bookmark button opening a menu of the user's collections. Ticking one
+// saves the model there, unticking takes it out, and a new collection can be
+// made on the spot with the model already in it.
+const SaveToCollection = ({ modelId }) => {
+  const { isAuthenticated } = useAuth()
+  const [isOpen, setIsOpen] = useState(false)
+  const [pending, setPending] = useState(null)
+  const [newTitle, setNewTitle] = useState('')
+  const [newVisibility, setNewVisibility] = useState('PUBLIC')
+  const menuRef = useRef(null)
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  const { data: collections = [], isLoading, refetch } = useQuery(
+    ['my-collections', modelId],
+    async () => {
+      const { data } = await api.get('/collections/mine', { params: { modelId } })
+      return data.collections
+    },
+    { enabled: isOpen && isAuthenticated }
+  )
+
+  const isSaved = collections.some(collection => collection.hasModel)
+
+  const toggle = async (collection) => {
+    try {
+      setPending(collection.id)
+      if (collection.hasModel) {
+        await api.delete(`/collections/${collection.id}/items/${modelId}`)
+        toast.success(`Removed from ${collection.title}`)
+      } else {
+        await api.post(`/collections/${collection.id}/items`, { modelId })
+        toast.success(`Saved to ${collection.title}`)
+      }
+      await refetch()
+    } catch (error) {
+      toast.error(getApiErrorMessage(error))
+    } finally {
+      setPending(null)
+    }
+  }
+
+  const create = async (e) => {
+    e.preventDefault()
+    if (!newTitle.trim()) return
+
+    try {
+      setPending('new')
+      const { data } = await api.post('/collections', {
+        title: newTitle.trim(),
+        visibility: newVisibility,
+        modelId,
+      })
+      toast.success(`Saved to ${data.collection.title}`)
+      setNewTitle('')
+      setNewVisibility('PUBLIC')
+      await refetch()
+    } catch (error) {
+      toast.error(getApiErrorMessage(error))
+    } finally {
+      setPending(null)
+    }
+  }
+
+  const handleOpen = () => {
+    if (!isAuthenticated) {
+      toast.error('Please sign in to save models to collections')
+      return
+    }
+    setIsOpen(open => !open)
+  }
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={handleOpen}
+        className="p-2 text-secondary-500 hover:text-secondary-700 dark:text-secondary-400 dark:hover:text-secondary-200 transition-colors"
+        title="Save to collection"
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+      >
+        <Bookmark className={`w-5 h-5 ${isSaved ? 'fill-current text-primary-600' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-20 mt-2 w-72 bg-white dark:bg-secondary-800 border border-secondary-200 dark:border-secondary-700 rounded-lg shadow-lg">
+          <div className="px-4 pt-3 pb-2 text-sm font-semibold text-secondary-900 dark:text-white">
+            Save to collection
+          </div>
+
+          <ul className="max-h-64 overflow-y-auto">
+            {isLoading && (
+              <li className="px-4 py-2 text-sm text-secondary-500 dark:text-secondary-400">Loading...</li>
+            )}
+            {!isLoading && collections.length === 0 && (
+              <li className="px-4 py-2 text-sm text-secondary-500 dark:text-secondary-400">
+                No collections yet. Make one below.
+              </li>
+            )}
+            {collections.map(collection => {
+              const VisibilityIcon = VISIBILITY_ICONS[collection.visibility]
+              return (
+                <li key={collection.id}>
+                  <button
+                    type="button"
+                    onClick={() => toggle(collection)}
+                    disabled={pending !== null}
+                    className="flex items-center w-full space-x-3 px-4 py-2 text-sm text-left text-secondary-700 dark:text-secondary-300 hover:bg-secondary-50 dark:hover:bg-secondary-700 disabled:opacity-50"
+                  >
+                    <span
+                      className={`flex items-center justify-center w-4 h-4 rounded border ${
+                        collection.hasModel
+                          ? 'bg-primary-600 border-primary-600 text-white'
+                          : 'border-secondary-300 dark:border-secondary-500'
+                      }`}
+                    >
+                      {collection.hasModel && <Check className="w-3 h-3" />}
+                    </span>
+                    <span className="flex-1 truncate">{collection.title}</span>
+                    {VisibilityIcon && <VisibilityIcon className="w-3 h-3 text-secondary-400" />}
+                  </button>
+                </li>
+              )
+            })}
+          </ul>
+
+          <form onSubmit={create} className="p-3 border-t border-secondary-200 dark:border-secondary-700 space-y-2">
+            <input
+              type="text"
+              value={newTitle}
+              onChange={e => setNewTitle(e.target.value)}
+              maxLength={100}
+              placeholder="New collection name"
+              aria-label="New collection name"
+              className="w-full px-3 py-1.5 text-sm border border-secondary-200 dark:border-secondary-600 rounded-md bg-white dark:bg-secondary-700 text-secondary-900 dark:text-white"
+            />
+            <div className="flex items-center space-x-2">
+              <select
+                value={newVisibility}
+                onChange={e => setNewVisibility(e.target.value)}
+                aria-label="Visibility"
+                className="flex-1 px-2 py-1.5 text-sm border border-secondary-200 dark:border-secondary-600 rounded-md bg-white dark:bg-secondary-700 text-secondary-700 dark:text-secondary-300"
+              >
+                {VISIBILITY_OPTIONS.map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={!newTitle.trim() || pending !== null}
+                className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-primary-600 hover:bg-primary-700 text-white rounded-md disabled:opacity-50"
+              >
+                <Plus className="w-4 h-4" />
+                <span>Create</span>
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SaveToCollection
@@ -0,0 +1,211 @@
+import { useState, useRef, useEffect } from 'react'
+import { useNavigate, useLocation } from 'react-router-dom'
+import { useQuery } from 'react-query'
+import { Search, Clock, Package, Tag, Folder, User } from 'lucide-react'
+import { api } from '../lib/api'
+import { getRecentSearches, addRecentSearch, clearRecentSearches } from '../lib/recentSearches'
+
+const SUGGEST_DELAY = 150
+
+const TYPE_ICONS = {
+  recent: Clock,
+  model: Package,
+  tag: Tag,
+  category: Folder,
+  creator: User,
+}
+
+const TYPE_LABELS = {
+  tag: 'Tag',
+  category: 'Category',
+  creator: 'Creator',
+}
+
+// Header search with suggestions as you type, and recent searches while the
+// box is empty. Arrow keys move through the list, Enter picks the
+// highlighted item or searches for what was typed, Escape closes the list.
+const SearchBox = () => {
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [query, setQuery] = useState('')
+  const [debouncedQuery, setDebouncedQuery] = useState('')
+  const [isOpen, setIsOpen] = useState(false)
+  const [highlighted, setHighlighted] = useState(-1)
+  const [recent, setRecent] = useState(getRecentSearches)
+  const boxRef = useRef(null)
+  const inputRef = useRef(null)
+
+  // Show the current search in the box on the results page
+  useEffect(() => {
+    if (location.pathname === '/search') {
+      setQuery(new URLSearchParams(location.search).get('q') || '')
+    }
+  }, [location.pathname, location.search])
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(query.trim()), SUGGEST_DELAY)
+    return () => clearTimeout(timer)
+  }, [query])
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (boxRef.current && !boxRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  const { data: suggestions = [] } = useQuery(
+    ['search-suggest', debouncedQuery],
+    async () => {
+      const { data } = await api.get('/search/suggest', { params: { q: debouncedQuery } })
+      return data.suggestions
+    },
+    { enabled: Boolean(debouncedQuery), staleTime: 60 * 1000, keepPreviousData: true }
+  )
+
+  const items = query.trim()
+    ? suggestions
+    : recent.map(text => ({ type: 'recent', text }))
+
+  const close = () => {
+    setIsOpen(false)
+    setHighlighted(-1)
+    inputRef.current?.blur()
+  }
+
+  const search = (text, params = {}) => {
+    addRecentSearch(text)
+    setRecent(getRecentSearches())
+    navigate(`/search?${new URLSearchParams({ q: text, ...params })}`)
+    close()
+  }
+
+  const pick = (item) => {
+    switch (item.type) {
+      case 'model':
+        navigate(`/models/${item.modelId}`)
+        close()
+        break
+      case 'creator':
+        navigate(`/profile/${item.text}`)
+        close()
+        break
+      case 'tag':
+        navigate(`/tags/${item.slug}`)
+        close()
+        break
+      case 'category':
+        search(item.text, { category: item.text.toLowerCase() })
+        break
+      default:
+        search(item.text)
+    }
+  }
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault()
+        setIsOpen(true)
+        setHighlighted(index => (items.length ? (index + 1) % items.length : -1))
+        break
+      case 'ArrowUp':
+        event.preventDefault()
+        setHighlighted(index => (items.length ? (index <= 0 ? items.length - 1 : index - 1) : -1))
+        break
+      case 'Enter':
+        event.preventDefault()
+        if (isOpen && items[highlighted]) pick(items[highlighted])
+        else if (query.trim()) search(query.trim())
+        break
+      case 'Escape':
+        close()
+        break
+      default:
+        break
+    }
+  }
+
+  const showList = isOpen && items.length > 0
+
+  return (
+    <div className="relative w-full max-w-xs" ref={boxRef}>
+      <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-secondary-400 pointer-events-none" />
+      <input
+        ref={inputRef}
+        type="search"
+        value={query}
+        onChange={e => {
+          setQuery(e.target.value)
+          setIsOpen(true)
+          setHighlighted(-1)
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search models"
+        role="combobox"
+        aria-label="Search models"
+        aria-expanded={showList}
+        aria-controls="search-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={highlighted >= 0 ? `search-suggestion-${highlighted}` : undefined}
+        className="w-full pl-9 pr-3 py-2 text-sm border border-secondary-200 dark:border-secondary-600 rounded-lg bg-secondary-50 dark:bg-secondary-700 text-secondary-900 dark:text-white placeholder-secondary-400 focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+
+      {showList && (
+        <div className="absolute z-50 mt-1 w-full bg-white dark:bg-secondary-800 border border-secondary-200 dark:border-secondary-700 rounded-lg shadow-lg overflow-hidden">
+          {!query.trim() && (
+            <div className="flex items-center justify-between px-3 pt-2 text-xs text-secondary-500 dark:text-secondary-400">
+              <span>Recent searches</span>
+              <button
+                type="button"
+                onClick={() => {
+                  clearRecentSearches()
+                  setRecent([])
+                }}
+                className="hover:text-secondary-900 dark:hover:text-white"
+              >
+                Clear
+              </button>
+            </div>
+          )}
+          <ul id="search-suggestions" role="listbox" className="py-1">
+            {items.map((item, index) => {
+              const Icon = TYPE_ICONS[item.type]
+              return (
+                <li
+                  key={`${item.type}:${item.modelId || item.text}`}
+                  id={`search-suggestion-${index}`}
+                  role="option"
+                  aria-selected={index === highlighted}
+                  onMouseDown={e => e.preventDefault()}
+                  onClick={() => pick(item)}
+                  onMouseEnter={() => setHighlighted(index)}
+                  className={`flex items-center space-x-2 px-3 py-2 text-sm cursor-pointer ${
+                    index === highlighted
+                      ? 'bg-primary-50 dark:bg-primary-900/20 text-primary-700 dark:text-primary-300'
+                      : 'text-secondary-700 dark:text-secondary-300'
+                  }`}
+                >
+                  <Icon className="w-4 h-4 flex-shrink-0 text-secondary-400" />
+                  <span className="flex-1 truncate">{item.text}</span>
+                  {TYPE_LABELS[item.type] && (
+                    <span className="text-xs text-secondary-400">
+                      {TYPE_LABELS[item.type]}{item.count ? ` · ${item.count}` : ''}
+                    </span>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SearchBox
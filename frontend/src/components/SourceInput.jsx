@@ -0,0 +1,91 @@
+import { Plus, X } from 'lucide-react'
+import { useLicenses } from '../lib/licenses'
+import { isExternalUrl } from '../lib/derivations'
+
+const inputClass = 'w-full px-3 py-2 border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 dark:bg-secondary-700 dark:text-white text-sm'
+
+const emptySource = { ref: '', title: '', author: '', license: '' }
+
+// The works a model is based on, one per row: a model here by its link or
+// id, or a link to a work elsewhere, which can be credited by title, author
+// and license
+const SourceInput = ({ id, value, onChange, max = 10 }) => {
+  const { licenses } = useLicenses()
+
+  const update = (index, fields) =>
+    onChange(value.map((source, i) => (i === index ? { ...source, ...fields } : source)))
+
+  const remove = index => onChange(value.filter((_, i) => i !== index))
+
+  return (
+    <div className="space-y-3">
+      {value.map((source, index) => (
+        <div key={index} className="space-y-2">
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              id={index === 0 ? id : undefined}
+              value={source.ref}
+              onChange={e => update(index, { ref: e.target.value })}
+              className={inputClass}
+              placeholder="Link or ID of a model here, or a link to a work elsewhere"
+            />
+            <button
+              type="button"
+              onClick={() => remove(index)}
+              className="p-2 text-secondary-400 hover:text-secondary-700 dark:hover:text-secondary-200"
+              title="Remove"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          {isExternalUrl(source.ref) && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2 pr-10">
+              <input
+                type="text"
+                value={source.title}
+                onChange={e => update(index, { title: e.target.value })}
+                maxLength={200}
+                className={inputClass}
+                placeholder="Title"
+                aria-label="Title of the work"
+              />
+              <input
+                type="text"
+                value={source.author}
+                onChange={e => update(index, { author: e.target.value })}
+                maxLength={200}
+                className={inputClass}
+                placeholder="Author"
+                aria-label="Author of the work"
+              />
+              <select
+                value={source.license}
+                onChange={e => update(index, { license: e.target.value })}
+                className={inputClass}
+                aria-label="License of the work"
+              >
+                <option value="">License unknown</option>
+                {licenses.map(license => (
+                  <option key={license.id} value={license.id}>{license.shortName}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+      ))}
+      {value.length < max && (
+        <button
+          type="button"
+          onClick={() => onChange([...value, emptySource])}
+          className="flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add a work this is based on</span>
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default SourceInput
@@ -0,0 +1,154 @@
+import { useState, useEffect } from 'react'
+import { useQuery } from 'react-query'
+import { X } from 'lucide-react'
+import { api } from '../lib/api'
+
+const SUGGEST_DELAY = 150
+const MAX_TAG_LENGTH = 20
+
+// Tags as removable chips, with existing tags suggested as you type. Enter
+// or a comma adds what was typed (or the highlighted suggestion), Backspace
+// in an empty box removes the last tag.
+const TagInput = ({ id, value, onChange, max = 10 }) => {
+  const [text, setText] = useState('')
+  const [debouncedText, setDebouncedText] = useState('')
+  const [highlighted, setHighlighted] = useState(-1)
+  const [isOpen, setIsOpen] = useState(false)
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedText(text.trim()), SUGGEST_DELAY)
+    return () => clearTimeout(timer)
+  }, [text])
+
+  const { data: suggestions = [] } = useQuery(
+    ['tag-suggest', debouncedText],
+    async () => {
+      const { data } = await api.get('/tags', { params: { q: debouncedText, limit: 8 } })
+      return data.tags
+    },
+    { enabled: Boolean(debouncedText), staleTime: 60 * 1000, keepPreviousData: true }
+  )
+
+  const taken = value.map(tag => tag.toLowerCase())
+  const options = text.trim()
+    ? suggestions.filter(tag => !taken.includes(tag.name.toLowerCase()))
+    : []
+  const isFull = value.length >= max
+
+  const add = (name) => {
+    const tag = name.trim().slice(0, MAX_TAG_LENGTH)
+    if (tag && !isFull && !taken.includes(tag.toLowerCase())) {
+      onChange([...value, tag])
+    }
+    setText('')
+    setHighlighted(-1)
+  }
+
+  const remove = (index) => onChange(value.filter((_, i) => i !== index))
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'Enter':
+      case ',':
+        event.preventDefault()
+        add(options[highlighted]?.name || text)
+        break
+      case 'Backspace':
+        if (!text && value.length) remove(value.length - 1)
+        break
+      case 'ArrowDown':
+        event.preventDefault()
+        setHighlighted(index => (options.length ? (index + 1) % options.length : -1))
+        break
+      case 'ArrowUp':
+        event.preventDefault()
+        setHighlighted(index => (options.length ? (index <= 0 ? options.length - 1 : index - 1) : -1))
+        break
+      case 'Escape':
+        setIsOpen(false)
+        break
+      default:
+        break
+    }
+  }
+
+  const showList = isOpen && options.length > 0
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-2 w-full px-3 py-2 border border-secondary-300 dark:border-secondary-600 rounded-md focus-within:ring-2 focus-within:ring-primary-500 focus-within:border-primary-500 dark:bg-secondary-700">
+        {value.map((tag, index) => (
+          <span
+            key={tag}
+            className="flex items-center space-x-1 px-2 py-0.5 bg-secondary-100 dark:bg-secondary-600 text-secondary-700 dark:text-secondary-200 rounded-full text-sm"
+          >
+            <span>{tag}</span>
+            <button
+              type="button"
+              onClick={() => remove(index)}
+              className="text-secondary-400 hover:text-secondary-700 dark:hover:text-white"
+              aria-label={`Remove ${tag}`}
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          id={id}
+          type="text"
+          value={text}
+          onChange={e => {
+            setText(e.target.value)
+            setIsOpen(true)
+            setHighlighted(-1)
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => {
+            setIsOpen(false)
+            if (text.trim()) add(text)
+          }}
+          disabled={isFull}
+          maxLength={MAX_TAG_LENGTH}
+          role="combobox"
+          aria-expanded={showList}
+          aria-controls={`${id}-suggestions`}
+          aria-autocomplete="list"
+          aria-activedescendant={highlighted >= 0 ? `${id}-suggestion-${highlighted}` : undefined}
+          className="flex-1 min-w-[8rem] bg-transparent focus:outline-none text-secondary-900 dark:text-white disabled:cursor-not-allowed"
+          placeholder={isFull ? `Up to ${max} tags` : value.length ? 'Add another tag' : 'e.g. character, fantasy, warrior'}
+        />
+      </div>
+
+      {showList && (
+        <ul
+          id={`${id}-suggestions`}
+          role="listbox"
+          className="absolute z-10 mt-1 w-full py-1 bg-white dark:bg-secondary-800 border border-secondary-200 dark:border-secondary-700 rounded-md shadow-lg"
+        >
+          {options.map((tag, index) => (
+            <li
+              key={tag.slug}
+              id={`${id}-suggestion-${index}`}
+              role="option"
+              aria-selected={index === highlighted}
+              onMouseDown={e => e.preventDefault()}
+              onClick={() => add(tag.name)}
+              onMouseEnter={() => setHighlighted(index)}
+              className={`flex items-center justify-between px-3 py-2 text-sm cursor-pointer ${
+                index === highlighted
+                  ? 'bg-primary-50 dark:bg-primary-900/20 text-primary-700 dark:text-primary-300'
+                  : 'text-secondary-700 dark:text-secondary-300'
+              }`}
+            >
+              <span>{tag.name}</span>
+              <span className="text-xs text-secondary-400">{tag.usageCount}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default TagInput
@@ -0,0 +1,62 @@
+import { Image } from 'lucide-react'
+import { formatFileSize } from '../lib/formatFileSize'
+
+const COLOR_SPACE_LABELS = { srgb: 'sRGB', linear: 'Linear' }
+
+const variantLabel = variant =>
+  variant.maxSize ? `${variant.width}×${variant.height}` : 'Full size'
+
+// Textures found in the model file, with links to their WebP re-encodes
+const TextureList = ({ textures }) => {
+  if (!textures?.length) return null
+
+  return (
+    <ul className="divide-y divide-secondary-200 dark:divide-secondary-700">
+      {textures.map(texture => (
+        <li key={texture.id} className="flex items-start space-x-3 py-3">
+          {texture.variants.length > 0 ? (
+            <img
+              src={texture.variants[texture.variants.length - 1].url}
+              alt={texture.name}
+              loading="lazy"
+              className="w-12 h-12 rounded object-cover bg-secondary-100 dark:bg-secondary-700"
+            />
+          ) : (
+            <div className="w-12 h-12 rounded flex items-center justify-center bg-secondary-100 dark:bg-secondary-700">
+              <Image className="w-5 h-5 text-secondary-400" />
+            </div>
+          )}
+          <div className="min-w-0 flex-1">
+            <p className="font-medium text-secondary-900 dark:text-white truncate" title={texture.name}>
+              {texture.name}
+            </p>
+            <p className="text-sm text-secondary-500 dark:text-secondary-400">
+              {texture.width ? `${texture.width}×${texture.height}` : 'Missing from upload'}
+              {texture.colorSpace && ` · ${COLOR_SPACE_LABELS[texture.colorSpace] || texture.colorSpace}`}
+              {texture.size > 0 && ` · ${formatFileSize(texture.size)}`}
+              {texture.usage && ` · ${texture.usage}`}
+            </p>
+            {texture.variants.length > 0 && (
+              <p className="text-xs mt-1 space-x-2">
+                <span className="text-secondary-500 dark:text-secondary-400">WebP:</span>
+                {texture.variants.map(variant => (
+                  <a
+                    key={variant.url}
+                    href={variant.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-primary-600 dark:text-primary-400 hover:underline"
+                  >
+                    {variantLabel(variant)} ({formatFileSize(variant.size)})
+                  </a>
+                ))}
+              </p>
+            )}
+          </div>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default TextureList
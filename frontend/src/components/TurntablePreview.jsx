@@ -0,0 +1,65 @@
+import { useState } from 'react'
+
+const toPercent = (index, count) => (count > 1 ? (index / (count - 1)) * 100 : 0)
+
+// Model card image that scrubs through the generated turntable sprite sheet
+// as the pointer moves across it, and shows the thumbnail otherwise
+const TurntablePreview = ({ thumbnailUrl, turntable, alt, className = '' }) => {
+  const [frame, setFrame] = useState(null)
+
+  if (!thumbnailUrl && !turntable) return null
+
+  // Map the pointer's horizontal position across the card to a frame
+  const scrub = (clientX, target) => {
+    if (!turntable) return
+    const rect = target.getBoundingClientRect()
+    const position = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 0.999)
+    setFrame(Math.floor(position * turntable.frames))
+  }
+
+  const handleMouseMove = e => scrub(e.clientX, e.currentTarget)
+
+  const handleTouchMove = e => {
+    if (e.touches[0]) scrub(e.touches[0].clientX, e.currentTarget)
+  }
+
+  // Without a thumbnail the first frame stands in for it
+  const shownFrame = frame ?? (thumbnailUrl ? null : 0)
+  let spriteStyle = null
+  if (turntable && shownFrame !== null) {
+    const rows = Math.ceil(turntable.frames / turntable.columns)
+    spriteStyle = {
+      backgroundImage: `url(${turntable.url})`,
+      backgroundSize: `${turntable.columns * 100}% ${rows * 100}%`,
+      backgroundPosition: `${toPercent(shownFrame % turntable.columns, turntable.columns)}% ${toPercent(Math.floor(shownFrame / turntable.columns), rows)}%`,
+    }
+  }
+
+  return (
+    <div
+      className={`relative aspect-video bg-secondary-200 dark:bg-secondary-600 overflow-hidden ${className}`}
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => setFrame(null)}
+      onTouchMove={handleTouchMove}
+      onTouchEnd={() => setFrame(null)}
+    >
+      {thumbnailUrl && (
+        <img
+          src={thumbnailUrl}
+          alt={alt}
+          className="w-full h-full object-cover"
+        />
+      )}
+      {spriteStyle && (
+        <div
+          className="absolute inset-0 bg-no-repeat"
+          style={spriteStyle}
+          role={thumbnailUrl ? undefined : 'img'}
+          aria-label={thumbnailUrl ? undefined : alt}
+        />
+      )}
+    </div>
+  )
+}
+
+export default TurntablePreview
@@ -0,0 +1,10 @@
+// Marks a model that got a new version recently
+const UpdatedBadge = ({ version, className = '' }) => (
+  <span
+    className={`inline-block px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 dark:bg-green-900 text-green-700 dark:text-green-300 ${className}`}
+  >
+    Updated{version > 1 ? ` · v${version}` : ''}
+  </span>
+)
+
+export default UpdatedBadge
@@ -0,0 +1,185 @@
+import { useState, lazy, Suspense } from 'react'
+import { useQuery } from 'react-query'
+import { GitCompare } from 'lucide-react'
+import { api, getApiErrorMessage } from '../lib/api'
+import { formatFileSize } from '../lib/formatFileSize'
+
+const ModelViewer = lazy(() => import('./ModelViewer'))
+
+const STAT_ROWS = [
+  ['triangleCount', 'Triangles'],
+  ['vertexCount', 'Vertices'],
+  ['meshCount', 'Meshes'],
+  ['materialCount', 'Materials'],
+  ['textureCount', 'Textures'],
+  ['animationCount', 'Animations'],
+]
+
+const formatNumber = value => value.toLocaleString()
+const formatSize = size => size.map(value => Number(value.toFixed(3))).join(' × ')
+
+const ChangeCell = ({ delta, format = formatNumber }) => {
+  if (!delta.change) {
+    return <td className="py-2 text-right text-secondary-400">No change</td>
+  }
+  const sign = delta.change > 0 ? '+' : '−'
+  return (
+    <td className={`py-2 text-right ${delta.change > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+      {sign}{format(Math.abs(delta.change))}
+      {delta.percent !== null && ` (${sign}${Math.abs(delta.percent)}%)`}
+    </td>
+  )
+}
+
+const VersionViewer = ({ version, title }) => (
+  <div>
+    <p className="text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-2">
+      Version {version.number}{version.isCurrent && ' (current)'}
+    </p>
+    <Suspense fallback={<div className="aspect-video bg-secondary-100 dark:bg-secondary-700 rounded-lg" />}>
+      <ModelViewer
+        src={version.viewer?.url}
+        format={version.viewer?.format}
+        lods={version.viewer?.lods}
+        title={`${title} v${version.number}`}
+        materialLibraries={version.metadata?.extras?.materialLibraries}
+        files={version.viewer?.files}
+        showControls={false}
+      />
+    </Suspense>
+  </div>
+)
+
+// Two versions of a model side by side in the viewer, with the changes in
+// their statistics from the older pick to the newer one
+const VersionCompare = ({ model }) => {
+  const versions = model.versions || []
+  const [open, setOpen] = useState(false)
+  const [from, setFrom] = useState(versions[1]?.number)
+  const [to, setTo] = useState(versions[0]?.number)
+
+  const { data, error, isLoading } = useQuery(
+    ['model-version-compare', model.id, from, to],
+    async () => {
+      const { data } = await api.get(`/models/${model.id}/versions/compare`, { params: { a: from, b: to } })
+      return data
+    },
+    { enabled: open && from !== to, staleTime: Infinity }
+  )
+
+  if (versions.length < 2) return null
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="flex items-center space-x-2 px-4 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg text-secondary-700 dark:text-secondary-300 hover:bg-secondary-50 dark:hover:bg-secondary-700 transition-colors"
+      >
+        <GitCompare className="w-4 h-4" />
+        <span>Compare versions</span>
+      </button>
+    )
+  }
+
+  const versionSelect = (value, onChange, label) => (
+    <select
+      value={value}
+      onChange={e => onChange(parseInt(e.target.value))}
+      className="px-3 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg bg-white dark:bg-secondary-800 text-secondary-700 dark:text-secondary-300"
+      aria-label={label}
+    >
+      {versions.map(version => (
+        <option key={version.number} value={version.number}>
+          Version {version.number}{version.isCurrent ? ' (current)' : ''}
+        </option>
+      ))}
+    </select>
+  )
+
+  const { changes } = data || {}
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center space-x-3 text-secondary-700 dark:text-secondary-300">
+        {versionSelect(from, setFrom, 'Compare from version')}
+        <span>to</span>
+        {versionSelect(to, setTo, 'Compare to version')}
+      </div>
+
+      {from === to && (
+        <p className="text-sm text-secondary-500 dark:text-secondary-400">Pick two different versions.</p>
+      )}
+      {isLoading && (
+        <p className="text-sm text-secondary-500 dark:text-secondary-400">Comparing versions...</p>
+      )}
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">{getApiErrorMessage(error)}</p>
+      )}
+
+      {data && from !== to && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <VersionViewer version={data.a} title={model.title} />
+            <VersionViewer version={data.b} title={model.title} />
+          </div>
+
+          <table className="w-full text-sm text-secondary-700 dark:text-secondary-300">
+            <thead>
+              <tr className="border-b border-secondary-200 dark:border-secondary-700 text-secondary-500 dark:text-secondary-400">
+                <th className="py-2 text-left font-medium" />
+                <th className="py-2 text-right font-medium">v{data.a.number}</th>
+                <th className="py-2 text-right font-medium">v{data.b.number}</th>
+                <th className="py-2 text-right font-medium">Change</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-secondary-200 dark:divide-secondary-700">
+              {changes.stats && STAT_ROWS.map(([key, label]) => (
+                <tr key={key}>
+                  <td className="py-2">{label}</td>
+                  <td className="py-2 text-right">{formatNumber(changes.stats[key].from)}</td>
+                  <td className="py-2 text-right">{formatNumber(changes.stats[key].to)}</td>
+                  <ChangeCell delta={changes.stats[key]} />
+                </tr>
+              ))}
+              {changes.bounds && (
+                <tr>
+                  <td className="py-2">Size</td>
+                  <td className="py-2 text-right">{formatSize(changes.bounds.size.from)}</td>
+                  <td className="py-2 text-right">{formatSize(changes.bounds.size.to)}</td>
+                  <td className="py-2 text-right">
+                    {changes.bounds.size.change.every(value => value === 0)
+                      ? <span className="text-secondary-400">No change</span>
+                      : formatSize(changes.bounds.size.change)}
+                  </td>
+                </tr>
+              )}
+              <tr>
+                <td className="py-2">File size</td>
+                <td className="py-2 text-right">{formatFileSize(changes.fileSize.from)}</td>
+                <td className="py-2 text-right">{formatFileSize(changes.fileSize.to)}</td>
+                <ChangeCell delta={changes.fileSize} format={formatFileSize} />
+              </tr>
+              {changes.formatChanged && (
+                <tr>
+                  <td className="py-2">Format</td>
+                  <td className="py-2 text-right">{data.a.format?.toUpperCase()}</td>
+                  <td className="py-2 text-right">{data.b.format?.toUpperCase()}</td>
+                  <td className="py-2" />
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          {!changes.stats && (
+            <p className="text-sm text-secondary-500 dark:text-secondary-400">
+              Statistics are unavailable for one of these versions, so only file sizes are compared.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default VersionCompare
@@ -0,0 +1,27 @@
+import axios from 'axios'
+import { supabase } from './supabase'
+
+// Client for the Express backend. In development Vite proxies /api to
+// localhost:5000; in production VITE_API_URL points at the API host.
+export const api = axios.create({
+  baseURL: `${import.meta.env.VITE_API_URL || ''}/api`,
+})
+
+// Attach the current session's access token to every request
+api.interceptors.request.use(async config => {
+  const {
+    data: { session },
+  } = await supabase.auth.getSession()
+
+  if (session?.access_token) {
+    config.headers.Authorization = `Bearer ${session.access_token}`
+  }
+  return config
+})
+
+// Pull the most useful message out of an API error response
+export const getApiErrorMessage = error =>
+  error?.response?.data?.message ||
+  error?.response?.data?.error ||
+  error?.message ||
+  'Request failed'
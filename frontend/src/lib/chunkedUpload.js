@@ -0,0 +1,117 @@
+import { api } from './api'
+
+const MAX_CHUNK_RETRIES = 5
+const SESSION_STORAGE_PREFIX = 'upload-session:'
+
+// Identify a file well enough to match it up with an unfinished session
+const fileFingerprint = file =>
+  `${SESSION_STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`
+
+const sha256Hex = async buffer => {
+  const digest = await crypto.subtle.digest('SHA-256', buffer)
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Reuse the session started for this file on a previous attempt, if the
+// server still has it open
+const resumeSession = async file => {
+  const sessionId = localStorage.getItem(fileFingerprint(file))
+  if (!sessionId) return null
+
+  try {
+    const { data } = await api.get(`/upload/sessions/${sessionId}`)
+    if (data.session.status === 'UPLOADING') {
+      return data.session
+    }
+  } catch (error) {
+    // Unknown or expired session: fall through and start a new one
+  }
+
+  localStorage.removeItem(fileFingerprint(file))
+  return null
+}
+
+const startSession = async file => {
+  const { data } = await api.post('/upload/sessions', {
+    fileName: file.name,
+    fileSize: file.size,
+  })
+  localStorage.setItem(fileFingerprint(file), data.session.id)
+  return data.session
+}
+
+const uploadChunk = async (session, file, index, onChunkProgress) => {
+  const start = index * session.chunkSize
+  const blob = file.slice(start, Math.min(start + session.chunkSize, file.size))
+  const buffer = await blob.arrayBuffer()
+  const checksum = await sha256Hex(buffer)
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const { data } = await api.put(
+        `/upload/sessions/${session.id}/chunks/${index}`,
+        buffer,
+        {
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'X-Chunk-Checksum': checksum,
+          },
+          onUploadProgress: event => onChunkProgress(event.loaded),
+        }
+      )
+      return data.session
+    } catch (error) {
+      const status = error?.response?.status
+      // Client errors other than a corrupted chunk won't fix themselves
+      const retryable = !status || status >= 500 || status === 422
+      if (!retryable || attempt >= MAX_CHUNK_RETRIES) throw error
+      onChunkProgress(0)
+      await wait(Math.min(1000 * 2 ** (attempt - 1), 15000))
+    }
+  }
+}
+
+/**
+ * Upload a model file in resumable, checksummed chunks and create the model.
+ *
+ * `onProgress` receives the percentage the server has confirmed, plus the
+ * bytes of the chunk currently in flight. If the upload is interrupted,
+ * calling this again with the same file resumes from the missing chunks.
+ */
+export const uploadModelInChunks = async ({
+  file,
+  fields,
+  onProgress = () => {},
+}) => {
+  let session = (await resumeSession(file)) || (await startSession(file))
+  const uploaded = new Set(session.uploadedChunks)
+
+  const report = (receivedBytes, inFlight = 0) =>
+    onProgress(
+      Math.min(100, Math.floor(((receivedBytes + inFlight) / file.size) * 100))
+    )
+
+  report(session.receivedBytes)
+
+  for (let index = 0; index < session.totalChunks; index++) {
+    if (uploaded.has(index)) continue
+
+    const confirmedBytes = session.receivedBytes
+    session = await uploadChunk(session, file, index, loaded =>
+      report(confirmedBytes, loaded)
+    )
+    report(session.receivedBytes)
+  }
+
+  const { data } = await api.post(
+    `/upload/sessions/${session.id}/complete`,
+    fields
+  )
+  localStorage.removeItem(fileFingerprint(file))
+
+  return data.model
+}
@@ -0,0 +1,132 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { api } from './api'
+import { uploadModelInChunks } from './chunkedUpload'
+
+vi.mock('./api', () => ({
+  api: { get: vi.fn(), post: vi.fn(), put: vi.fn() },
+}))
+
+const CHUNK_SIZE = 4
+const bytes = new TextEncoder().encode('0123456789')
+// jsdom's Blob can't be read as an ArrayBuffer, so stand in for the File
+const file = {
+  name: 'crate.obj',
+  size: bytes.length,
+  lastModified: 1,
+  slice: (start, end) => ({ arrayBuffer: async () => bytes.slice(start, end).buffer }),
+}
+const sessionKey = 'upload-session:crate.obj:10:1'
+
+const session = fields => ({
+  id: 's1',
+  status: 'UPLOADING',
+  chunkSize: CHUNK_SIZE,
+  totalChunks: 3,
+  uploadedChunks: [],
+  receivedBytes: 0,
+  ...fields,
+})
+
+// Confirm each chunk the way the server does, counting its bytes
+const acceptChunks = (start = session()) => {
+  let current = start
+  api.put.mockImplementation(async (url, buffer) => {
+    const index = Number(url.split('/').pop())
+    current = {
+      ...current,
+      uploadedChunks: [...current.uploadedChunks, index],
+      receivedBytes: current.receivedBytes + buffer.byteLength,
+    }
+    return { data: { session: current } }
+  })
+}
+
+const uploadedIndexes = () => api.put.mock.calls.map(([url]) => Number(url.split('/').pop()))
+
+const storage = new Map()
+
+beforeEach(() => {
+  vi.clearAllMocks()
+  storage.clear()
+  localStorage.getItem.mockImplementation(key => storage.get(key) ?? null)
+  localStorage.setItem.mockImplementation((key, value) => storage.set(key, String(value)))
+  localStorage.removeItem.mockImplementation(key => storage.delete(key))
+  api.post.mockImplementation(async url => (url === '/upload/sessions'
+    ? { data: { session: session() } }
+    : { data: { model: { id: 'm1' } } }))
+})
+
+describe('uploadModelInChunks', () => {
+  it('uploads every chunk with its checksum, then creates the model', async () => {
+    acceptChunks()
+    const progress = []
+
+    const model = await uploadModelInChunks({ file, fields: { title: 'Crate' }, onProgress: p => progress.push(p) })
+
+    expect(model).toEqual({ id: 'm1' })
+    expect(uploadedIndexes()).toEqual([0, 1, 2])
+    expect(api.put.mock.calls[2][1].byteLength).toBe(2)
+    expect(api.put.mock.calls[0][2].headers['X-Chunk-Checksum']).toMatch(/^[0-9a-f]{64}$/)
+    expect(api.post).toHaveBeenLastCalledWith('/upload/sessions/s1/complete', { title: 'Crate' })
+    expect(progress[0]).toBe(0)
+    expect(progress[progress.length - 1]).toBe(100)
+    expect(storage.has(sessionKey)).toBe(false)
+  })
+
+  it('resumes an unfinished session from the missing chunks', async () => {
+    storage.set(sessionKey, 's1')
+    const unfinished = session({ uploadedChunks: [0, 2], receivedBytes: 6 })
+    api.get.mockResolvedValue({ data: { session: unfinished } })
+    acceptChunks(unfinished)
+
+    await uploadModelInChunks({ file, fields: {} })
+
+    expect(api.get).toHaveBeenCalledWith('/upload/sessions/s1')
+    expect(api.post).not.toHaveBeenCalledWith('/upload/sessions', expect.anything())
+    expect(uploadedIndexes()).toEqual([1])
+  })
+
+  it('starts over when the saved session is gone', async () => {
+    storage.set(sessionKey, 'old')
+    api.get.mockRejectedValue({ response: { status: 404 } })
+    acceptChunks()
+
+    await uploadModelInChunks({ file, fields: {} })
+
+    expect(api.post).toHaveBeenCalledWith('/upload/sessions', { fileName: 'crate.obj', fileSize: 10 })
+    expect(uploadedIndexes()).toEqual([0, 1, 2])
+  })
+
+  it('retries a chunk the server failed on or found corrupted, backing off', async () => {
+    // Skip the waits between attempts, noting how long they would be
+    const delays = []
+    const setTimeoutSpy = vi.spyOn(globalThis, 'setTimeout').mockImplementation((callback, ms) => {
+      delays.push(ms)
+      callback()
+      return 0
+    })
+    try {
+      acceptChunks()
+      const accept = api.put.getMockImplementation()
+      api.put
+        .mockRejectedValueOnce({ response: { status: 503 } })
+        .mockRejectedValueOnce({ response: { status: 422 } })
+        .mockImplementation(accept)
+
+      await uploadModelInChunks({ file, fields: {} })
+
+      expect(uploadedIndexes()).toEqual([0, 0, 0, 1, 2])
+      expect(delays).toEqual([1000, 2000])
+    } finally {
+      setTimeoutSpy.mockRestore()
+    }
+  })
+
+  it('gives up on client errors straight away', async () => {
+    api.put.mockRejectedValue({ response: { status: 413 } })
+
+    await expect(uploadModelInChunks({ file, fields: {} })).rejects.toEqual({ response: { status: 413 } })
+    expect(api.put).toHaveBeenCalledTimes(1)
+    expect(storage.get(sessionKey)).toBe('s1')
+  })
+})
@@ -0,0 +1,6 @@
+// Who can see a collection, as the API names it and as the UI labels it
+export const VISIBILITY_OPTIONS = [
+  ['PUBLIC', 'Public'],
+  ['UNLISTED', 'Unlisted (link only)'],
+  ['PRIVATE', 'Private'],
+]
@@ -0,0 +1,23 @@
+// A link to a work on another site, rather than a model page here or a bare model id
+export const isExternalUrl = value => {
+  try {
+    const url = new URL(value.trim())
+    return ['http:', 'https:'].includes(url.protocol) && url.origin !== window.location.origin
+  } catch {
+    return false
+  }
+}
+
+// The upload's `basedOn` from the sources typed in: models by their link or
+// id, works elsewhere with whatever credit was given for them
+export const toBasedOn = sources =>
+  sources
+    .filter(source => source.ref.trim())
+    .map(source => (isExternalUrl(source.ref)
+      ? {
+          url: source.ref.trim(),
+          title: source.title.trim() || null,
+          author: source.author.trim() || null,
+          license: source.license || null,
+        }
+      : source.ref.trim()))
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest'
+import { isExternalUrl, toBasedOn } from './derivations'
+
+const source = fields => ({ ref: '', title: '', author: '', license: '', ...fields })
+
+describe('isExternalUrl', () => {
+  it('tells links to other sites from model links and ids', () => {
+    expect(isExternalUrl(' https://example.com/chair ')).toBe(true)
+    expect(isExternalUrl(`${window.location.origin}/models/abc`)).toBe(false)
+    expect(isExternalUrl('abc123')).toBe(false)
+    expect(isExternalUrl('ftp://example.com/chair')).toBe(false)
+  })
+})
+
+describe('toBasedOn', () => {
+  it('sends models as their link or id and credits works elsewhere', () => {
+    const modelLink = `${window.location.origin}/models/abc`
+
+    expect(toBasedOn([
+      source({ ref: ` ${modelLink} `, title: 'ignored' }),
+      source({ ref: '   ' }),
+      source({ ref: 'https://example.com/chair', title: ' Chair ', license: 'cc-by' }),
+      source({ ref: 'xyz' }),
+    ])).toEqual([
+      modelLink,
+      { url: 'https://example.com/chair', title: 'Chair', author: null, license: 'cc-by' },
+      'xyz',
+    ])
+  })
+})
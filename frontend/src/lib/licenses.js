@@ -0,0 +1,26 @@
+import { useQuery } from 'react-query'
+import { api } from './api'
+
+// Picked for new uploads until the creator chooses another
+export const DEFAULT_LICENSE = 'cc-by'
+
+/**
+ * The licenses models can be published under, from the server's registry,
+ * with what each allows. `findLicense(id)` is null until they've loaded.
+ */
+export const useLicenses = () => {
+  const { data: licenses = [], isSuccess } = useQuery(
+    'licenses',
+    async () => {
+      const { data } = await api.get('/licenses')
+      return data.licenses
+    },
+    { staleTime: Infinity }
+  )
+
+  return {
+    licenses,
+    isLoaded: isSuccess,
+    findLicense: id => licenses.find(license => license.id === id) || null,
+  }
+}
@@ -0,0 +1,40 @@
+import { useQuery } from 'react-query'
+import { api } from './api'
+
+const getExtension = fileName => fileName.split('.').pop().toLowerCase()
+
+/**
+ * The model formats the server accepts, from its format registry, plus the
+ * archive types a multi-file model can be zipped in. Exposes helpers for
+ * the file picker; until the list has loaded every file passes the
+ * client-side check and the server has the final say.
+ */
+export const useModelFormats = () => {
+  const { data: { formats = [], bundleExtensions = [] } = {}, isSuccess } = useQuery(
+    'model-formats',
+    async () => {
+      const { data } = await api.get('/formats')
+      return data
+    },
+    { staleTime: Infinity }
+  )
+
+  const extensions = [...formats.flatMap(format => format.extensions), ...bundleExtensions]
+
+  const formatForFile = fileName => {
+    const extension = getExtension(fileName)
+    return formats.find(format => format.extensions.includes(extension)) || null
+  }
+
+  const isBundle = fileName => bundleExtensions.includes(getExtension(fileName))
+
+  return {
+    formats,
+    extensions,
+    isLoaded: isSuccess,
+    accept: extensions.map(extension => `.${extension}`).join(','),
+    isAllowed: fileName => !isSuccess || Boolean(formatForFile(fileName)) || isBundle(fileName),
+    formatForFile,
+    bundleExtensions,
+  }
+}
@@ -0,0 +1,21 @@
+// The last few searches submitted from this browser, newest first
+const STORAGE_KEY = 'recentSearches'
+const MAX_RECENT = 5
+
+export const getRecentSearches = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(saved) ? saved : []
+  } catch {
+    return []
+  }
+}
+
+export const addRecentSearch = query => {
+  const trimmed = query.trim()
+  if (!trimmed) return
+  const recent = getRecentSearches().filter(saved => saved.toLowerCase() !== trimmed.toLowerCase())
+  localStorage.setItem(STORAGE_KEY, JSON.stringify([trimmed, ...recent].slice(0, MAX_RECENT)))
+}
+
+export const clearRecentSearches = () => localStorage.removeItem(STORAGE_KEY)
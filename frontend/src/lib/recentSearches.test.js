@@ -0,0 +1,36 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import { addRecentSearch, getRecentSearches } from './recentSearches'
+
+// The test setup stubs localStorage out, so give it somewhere to keep things
+const storage = new Map()
+
+beforeEach(() => {
+  storage.clear()
+  localStorage.getItem.mockImplementation(key => storage.get(key) ?? null)
+  localStorage.setItem.mockImplementation((key, value) => storage.set(key, String(value)))
+})
+
+describe('recent searches', () => {
+  it('keeps the last five, newest first, without repeats', () => {
+    for (const query of ['chair', 'table', 'lamp', 'Chair', 'sofa', 'rug', 'desk']) {
+      addRecentSearch(query)
+    }
+
+    expect(getRecentSearches()).toEqual(['desk', 'rug', 'sofa', 'Chair', 'lamp'])
+  })
+
+  it('ignores blank searches and trims the rest', () => {
+    addRecentSearch('  ')
+    addRecentSearch(' chair ')
+
+    expect(getRecentSearches()).toEqual(['chair'])
+  })
+
+  it('recovers from whatever else is saved under its key', () => {
+    storage.set('recentSearches', '{not json')
+    expect(getRecentSearches()).toEqual([])
+
+    storage.set('recentSearches', '{"a":1}')
+    expect(getRecentSearches()).toEqual([])
+  })
+})
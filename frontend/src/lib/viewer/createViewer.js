@@ -0,0 +1,350 @@
+import * as THREE from 'three'
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js'
+
+export const DISPLAY_MODES = ['shaded', 'wireframe', 'matcap', 'normals']
+
+export const ENVIRONMENTS = {
+  studio: { label: 'Studio', background: 0xf1f5f9, envIntensity: 1, lightIntensity: 0.4 },
+  daylight: { label: 'Daylight', background: 0xdbeafe, envIntensity: 0.6, lightIntensity: 1.4 },
+  night: { label: 'Night', background: 0x0f172a, envIntensity: 0.25, lightIntensity: 0.6 },
+}
+
+export const isWebGLAvailable = () => {
+  try {
+    const canvas = document.createElement('canvas')
+    return Boolean(window.WebGLRenderingContext && (canvas.getContext('webgl2') || canvas.getContext('webgl')))
+  } catch (error) {
+    return false
+  }
+}
+
+// A clay-like matcap drawn on a canvas, so no texture has to be fetched
+const createMatcapTexture = () => {
+  const size = 256
+  const canvas = document.createElement('canvas')
+  canvas.width = size
+  canvas.height = size
+  const context = canvas.getContext('2d')
+  const gradient = context.createRadialGradient(size * 0.35, size * 0.3, size * 0.05, size / 2, size / 2, size / 2)
+  gradient.addColorStop(0, '#ffffff')
+  gradient.addColorStop(0.35, '#c7ccd6')
+  gradient.addColorStop(0.8, '#5d6675')
+  gradient.addColorStop(1, '#262b33')
+  context.fillStyle = gradient
+  context.fillRect(0, 0, size, size)
+  const texture = new THREE.CanvasTexture(canvas)
+  texture.colorSpace = THREE.SRGBColorSpace
+  return texture
+}
+
+// Put back the materials display modes swapped out
+const restoreMaterials = object => {
+  object.traverse(child => {
+    if (child.userData.originalMaterial) {
+      child.material = child.userData.originalMaterial
+      delete child.userData.originalMaterial
+    }
+  })
+}
+
+const disposeObject = object => {
+  restoreMaterials(object)
+  object.traverse(child => {
+    if (child.geometry) child.geometry.dispose()
+    const materials = [].concat(child.material || [])
+    materials.forEach(material => {
+      Object.values(material).forEach(value => {
+        if (value && value.isTexture) value.dispose()
+      })
+      material.dispose()
+    })
+  })
+}
+
+/**
+ * Create a WebGL viewer inside `container`: orbit/zoom/pan controls, display
+ * modes, lighting presets, animation playback and the picking and camera
+ * moves annotations need. Returns an object of methods; call `dispose()`
+ * when the container goes away.
+ *
+ * `background` overrides the lighting preset's backdrop with a CSS colour,
+ * or 'transparent' to show the page behind the canvas. `autoRotate` spins
+ * the model until the user grabs it.
+ */
+export const createViewer = (container, { environment = 'studio', background = null, autoRotate = false } = {}) => {
+  const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true })
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+  renderer.outputColorSpace = THREE.SRGBColorSpace
+  renderer.toneMapping = THREE.ACESFilmicToneMapping
+  container.appendChild(renderer.domElement)
+  renderer.domElement.style.display = 'block'
+  renderer.domElement.style.width = '100%'
+  renderer.domElement.style.height = '100%'
+
+  const scene = new THREE.Scene()
+  const camera = new THREE.PerspectiveCamera(45, 1, 0.01, 1000)
+  camera.position.set(2, 1.5, 3)
+
+  const controls = new OrbitControls(camera, renderer.domElement)
+  controls.enableDamping = true
+  controls.screenSpacePanning = true
+  controls.autoRotate = autoRotate
+  controls.addEventListener('start', () => {
+    controls.autoRotate = false
+    flight = null
+  })
+
+  const pmrem = new THREE.PMREMGenerator(renderer)
+  const environmentMap = pmrem.fromScene(new RoomEnvironment(), 0.04).texture
+  scene.environment = environmentMap
+
+  const hemisphere = new THREE.HemisphereLight(0xffffff, 0x8d8d8d, 1)
+  const sun = new THREE.DirectionalLight(0xffffff, 1)
+  sun.position.set(3, 5, 4)
+  scene.add(hemisphere, sun)
+
+  const matcapTexture = createMatcapTexture()
+  const overrideMaterials = {
+    wireframe: new THREE.MeshBasicMaterial({ color: 0x2563eb, wireframe: true }),
+    matcap: new THREE.MeshMatcapMaterial({ matcap: matcapTexture }),
+    normals: new THREE.MeshNormalMaterial(),
+  }
+
+  const clock = new THREE.Clock()
+  let model = null
+  let animations = []
+  let mixer = null
+  let currentAction = null
+  let displayMode = 'shaded'
+  let frameId = null
+  let initialView = null
+  // Camera move in progress from flyTo
+  let flight = null
+  let frameCallback = null
+  const raycaster = new THREE.Raycaster()
+
+  const resize = () => {
+    const { clientWidth, clientHeight } = container
+    if (!clientWidth || !clientHeight) return
+    renderer.setSize(clientWidth, clientHeight, false)
+    camera.aspect = clientWidth / clientHeight
+    camera.updateProjectionMatrix()
+  }
+  const resizeObserver = new ResizeObserver(resize)
+  resizeObserver.observe(container)
+  resize()
+
+  const updateFlight = () => {
+    const t = Math.min((performance.now() - flight.start) / flight.duration, 1)
+    const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+    camera.position.lerpVectors(flight.from.position, flight.to.position, eased)
+    controls.target.lerpVectors(flight.from.target, flight.to.target, eased)
+    if (t === 1) flight = null
+  }
+
+  const renderLoop = () => {
+    frameId = requestAnimationFrame(renderLoop)
+    const delta = clock.getDelta()
+    if (mixer) mixer.update(delta)
+    if (flight) updateFlight()
+    controls.update()
+    renderer.render(scene, camera)
+    if (frameCallback) frameCallback()
+  }
+  renderLoop()
+
+  const applyBackground = () => {
+    if (background === 'transparent') {
+      scene.background = null
+    } else {
+      const preset = ENVIRONMENTS[environment] || ENVIRONMENTS.studio
+      scene.background = new THREE.Color(background || preset.background)
+    }
+  }
+
+  const setEnvironment = name => {
+    const preset = ENVIRONMENTS[name] || ENVIRONMENTS.studio
+    applyBackground()
+    hemisphere.intensity = preset.lightIntensity
+    sun.intensity = preset.lightIntensity
+    // The scene has no overall environment intensity, so set it per material
+    if (model) {
+      model.traverse(child => {
+        const materials = [].concat(child.userData.originalMaterial || child.material || [])
+        materials.forEach(material => {
+          if ('envMapIntensity' in material) material.envMapIntensity = preset.envIntensity
+        })
+      })
+    }
+  }
+
+  const setDisplayMode = mode => {
+    displayMode = DISPLAY_MODES.includes(mode) ? mode : 'shaded'
+    if (!model) return
+
+    model.traverse(child => {
+      if (!child.isMesh) return
+      if (!child.userData.originalMaterial) child.userData.originalMaterial = child.material
+      child.material = displayMode === 'shaded'
+        ? child.userData.originalMaterial
+        : overrideMaterials[displayMode]
+    })
+  }
+
+  // Point the camera at the model's bounds from a three-quarter angle
+  const frameModel = () => {
+    if (!model) return
+    const box = new THREE.Box3().setFromObject(model)
+    if (box.isEmpty()) return
+
+    const size = box.getSize(new THREE.Vector3())
+    const center = box.getCenter(new THREE.Vector3())
+    const radius = Math.max(size.length() / 2, 1e-3)
+    const distance = radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2))
+
+    camera.near = distance / 100
+    camera.far = distance * 100
+    camera.position.copy(center).add(new THREE.Vector3(0.6, 0.45, 0.8).normalize().multiplyScalar(distance))
+    camera.updateProjectionMatrix()
+    controls.target.copy(center)
+    controls.minDistance = radius * 0.05
+    controls.maxDistance = distance * 10
+    controls.update()
+    initialView = { position: camera.position.clone(), target: center.clone() }
+  }
+
+  const resetView = () => {
+    if (!initialView) return
+    flight = null
+    camera.position.copy(initialView.position)
+    controls.target.copy(initialView.target)
+    controls.update()
+  }
+
+  // The camera's view as plain arrays, for saving
+  const getView = () => ({ position: camera.position.toArray(), target: controls.target.toArray() })
+
+  // Ease the camera over to a view saved by getView
+  const flyTo = ({ position, target }, duration = 800) => {
+    controls.autoRotate = false
+    flight = {
+      from: { position: camera.position.clone(), target: controls.target.clone() },
+      to: { position: new THREE.Vector3(...position), target: new THREE.Vector3(...target) },
+      start: performance.now(),
+      duration,
+    }
+  }
+
+  // The point on the model under a viewport position, with the surface
+  // normal there facing the camera, or null when nothing is hit
+  const pickPoint = (clientX, clientY) => {
+    if (!model) return null
+    const rect = renderer.domElement.getBoundingClientRect()
+    const pointer = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    )
+    raycaster.setFromCamera(pointer, camera)
+    const hit = raycaster.intersectObject(model, true).find(intersection => intersection.face)
+    if (!hit) return null
+
+    const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+    if (normal.dot(raycaster.ray.direction) > 0) normal.negate()
+    return { position: hit.point.toArray(), normal: normal.toArray() }
+  }
+
+  // Where a point shows in the container, in CSS pixels. `visible` is false
+  // behind the camera or, given its surface normal, on the far side.
+  const projectPoint = (position, normal) => {
+    const point = new THREE.Vector3(...position)
+    const facing = !normal || new THREE.Vector3(...normal).dot(camera.position.clone().sub(point)) > 0
+    const projected = point.clone().project(camera)
+    return {
+      x: ((projected.x + 1) / 2) * container.clientWidth,
+      y: ((1 - projected.y) / 2) * container.clientHeight,
+      visible: facing && projected.z < 1,
+    }
+  }
+
+  // `keepView` leaves the camera alone, for swapping in a more detailed
+  // version of the model that is already on screen
+  const setModel = (object, clips = [], { keepView = false } = {}) => {
+    if (model) {
+      scene.remove(model)
+      disposeObject(model)
+    }
+    if (mixer) mixer.stopAllAction()
+
+    model = object
+    animations = clips
+    mixer = clips.length > 0 ? new THREE.AnimationMixer(object) : null
+    currentAction = null
+    scene.add(object)
+
+    if (!keepView || !initialView) frameModel()
+    setDisplayMode(displayMode)
+    setEnvironment(environment)
+  }
+
+  // Play an animation clip by index; pass null to stop
+  const playClip = index => {
+    if (!mixer) return
+    if (currentAction) currentAction.stop()
+    currentAction = index === null || !animations[index] ? null : mixer.clipAction(animations[index])
+    if (currentAction) currentAction.reset().play()
+  }
+
+  const setPlaying = playing => {
+    if (mixer) mixer.timeScale = playing ? 1 : 0
+  }
+
+  const dispose = () => {
+    cancelAnimationFrame(frameId)
+    frameCallback = null
+    resizeObserver.disconnect()
+    controls.dispose()
+    if (model) disposeObject(model)
+    Object.values(overrideMaterials).forEach(material => material.dispose())
+    matcapTexture.dispose()
+    environmentMap.dispose()
+    pmrem.dispose()
+    renderer.dispose()
+    renderer.domElement.remove()
+  }
+
+  setEnvironment(environment)
+
+  return {
+    scene,
+    camera,
+    controls,
+    renderer,
+    getModel: () => model,
+    setModel,
+    setDisplayMode,
+    setEnvironment: name => {
+      environment = name
+      setEnvironment(name)
+    },
+    setBackground: value => {
+      background = value
+      applyBackground()
+    },
+    setAutoRotate: enabled => {
+      controls.autoRotate = enabled
+    },
+    playClip,
+    setPlaying,
+    resetView,
+    getView,
+    flyTo,
+    pickPoint,
+    projectPoint,
+    // Called after every frame is drawn, to keep overlays in step
+    setFrameCallback: callback => {
+      frameCallback = callback
+    },
+    dispose,
+  }
+}
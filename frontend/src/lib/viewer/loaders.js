@@ -0,0 +1,150 @@
+import * as THREE from 'three'
+
+// Formats the browser viewer can display, each loaded with the matching
+// three.js loader. The loaders are imported on demand so a page only pays
+// for the one it needs.
+export const VIEWABLE_FORMATS = ['glb', 'gltf', 'obj', 'stl', 'ply', 'fbx', 'dae', '3ds']
+
+export const isViewableFormat = format => VIEWABLE_FORMATS.includes(format)
+
+const defaultMaterial = geometry =>
+  new THREE.MeshStandardMaterial({
+    color: 0xb4bcc8,
+    roughness: 0.6,
+    metalness: 0.05,
+    vertexColors: Boolean(geometry.getAttribute('color')),
+  })
+
+// Directory part of a URL, for loaders that resolve sibling files. Signed
+// URLs carry their signature in the query, which siblings don't share.
+const baseUrl = url => {
+  const path = url.split(/[?#]/)[0]
+  return path.slice(0, path.lastIndexOf('/') + 1)
+}
+
+// Model files are served on signed URLs, so the files a model refers to
+// can't be fetched next to it by path alone. `files` has their signed URLs
+// by path from the model's folder; the manager swaps them in as the
+// loaders ask for them.
+const resourceManager = (url, files = {}) => {
+  const manager = new THREE.LoadingManager()
+  if (Object.keys(files).length === 0) return manager
+
+  const base = new URL(baseUrl(url), window.location.href).href
+  manager.setURLModifier(requested => {
+    if (/^(data|blob):/.test(requested)) return requested
+    const resolved = new URL(requested, window.location.href)
+    const path = resolved.origin + resolved.pathname
+    if (!path.startsWith(base)) return requested
+    return files[decodeURIComponent(path.slice(base.length))] || requested
+  })
+  return manager
+}
+
+// STL and 3DS files are Z-up; the viewer is Y-up
+const zUpToYUp = object => {
+  const wrapper = new THREE.Group()
+  object.rotation.x = -Math.PI / 2
+  wrapper.add(object)
+  return wrapper
+}
+
+// The server's optimized GLBs use meshopt compression
+const loadGltf = async (url, { manager }) => {
+  const [{ GLTFLoader }, { MeshoptDecoder }] = await Promise.all([
+    import('three/examples/jsm/loaders/GLTFLoader.js'),
+    import('three/examples/jsm/libs/meshopt_decoder.module.js'),
+  ])
+  const gltf = await new GLTFLoader(manager).setMeshoptDecoder(MeshoptDecoder).loadAsync(url)
+  return { object: gltf.scene, animations: gltf.animations }
+}
+
+const loadObj = async (url, { manager, materialLibraries = [] }) => {
+  const { OBJLoader } = await import('three/examples/jsm/loaders/OBJLoader.js')
+  const loader = new OBJLoader(manager)
+
+  // Materials are a nicety; a missing .mtl still shows the geometry, and
+  // is reported in `missingMaterials`
+  const missingMaterials = []
+  if (materialLibraries.length > 0) {
+    try {
+      const { MTLLoader } = await import('three/examples/jsm/loaders/MTLLoader.js')
+      const materials = await new MTLLoader(manager)
+        .setPath(baseUrl(url))
+        .loadAsync(materialLibraries[0])
+      materials.preload()
+      loader.setMaterials(materials)
+    } catch {
+      missingMaterials.push(materialLibraries[0])
+    }
+  }
+
+  return { object: await loader.loadAsync(url), animations: [], missingMaterials }
+}
+
+const loadStl = async url => {
+  const { STLLoader } = await import('three/examples/jsm/loaders/STLLoader.js')
+  const geometry = await new STLLoader().loadAsync(url)
+  return { object: zUpToYUp(new THREE.Mesh(geometry, defaultMaterial(geometry))), animations: [] }
+}
+
+const loadPly = async url => {
+  const { PLYLoader } = await import('three/examples/jsm/loaders/PLYLoader.js')
+  const geometry = await new PLYLoader().loadAsync(url)
+
+  // Without faces a PLY file is a point cloud
+  if (!geometry.index) {
+    const material = new THREE.PointsMaterial({
+      size: 0.01,
+      sizeAttenuation: true,
+      color: geometry.getAttribute('color') ? 0xffffff : 0xb4bcc8,
+      vertexColors: Boolean(geometry.getAttribute('color')),
+    })
+    return { object: new THREE.Points(geometry, material), animations: [] }
+  }
+
+  if (!geometry.getAttribute('normal')) geometry.computeVertexNormals()
+  return { object: new THREE.Mesh(geometry, defaultMaterial(geometry)), animations: [] }
+}
+
+const loadFbx = async (url, { manager }) => {
+  const { FBXLoader } = await import('three/examples/jsm/loaders/FBXLoader.js')
+  const object = await new FBXLoader(manager).loadAsync(url)
+  return { object, animations: object.animations || [] }
+}
+
+const loadCollada = async (url, { manager }) => {
+  const { ColladaLoader } = await import('three/examples/jsm/loaders/ColladaLoader.js')
+  const collada = await new ColladaLoader(manager).loadAsync(url)
+  return { object: collada.scene, animations: collada.scene.animations || [] }
+}
+
+const loadTds = async (url, { manager }) => {
+  const { TDSLoader } = await import('three/examples/jsm/loaders/TDSLoader.js')
+  const object = await new TDSLoader(manager).setResourcePath(baseUrl(url)).loadAsync(url)
+  return { object: zUpToYUp(object), animations: [] }
+}
+
+const loaders = {
+  glb: loadGltf,
+  gltf: loadGltf,
+  obj: loadObj,
+  stl: loadStl,
+  ply: loadPly,
+  fbx: loadFbx,
+  dae: loadCollada,
+  '3ds': loadTds,
+}
+
+/**
+ * Load a model file into a three.js object. Resolves to
+ * `{ object, animations, missingMaterials }`, the last listing material
+ * libraries that failed to load; rejects for formats the viewer can't show.
+ * `files` are the signed URLs of the files it refers to (see
+ * resourceManager).
+ */
+export const loadModel = async ({ url, format, materialLibraries, files }) => {
+  const load = loaders[format]
+  if (!load) throw new Error(`The viewer does not support ${format} files`)
+  return { missingMaterials: [], ...await load(url, { materialLibraries, manager: resourceManager(url, files) }) }
+}
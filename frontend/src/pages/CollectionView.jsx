@@ -0,0 +1,350 @@
+import { useState, useRef } from 'react'
+import { Link, useParams, useNavigate } from 'react-router-dom'
+import { useQuery } from 'react-query'
+import { FolderOpen, Download, ChevronLeft, ChevronRight, X, Pencil, Trash2, Image } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { api, getApiErrorMessage } from '../lib/api'
+import TurntablePreview from '../components/TurntablePreview'
+import UpdatedBadge from '../components/UpdatedBadge'
+import { CollectionCover } from '../components/CollectionCard'
+import { VISIBILITY_OPTIONS } from '../lib/collections'
+
+// The order can only be changed when every model shows on one page
+const PAGE_SIZE = 100
+
+const inputClass = 'w-full px-3 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg bg-white dark:bg-secondary-800 text-secondary-900 dark:text-white'
+
+const EditCollectionForm = ({ collection, onSaved, onCancel }) => {
+  const [title, setTitle] = useState(collection.title)
+  const [description, setDescription] = useState(collection.description || '')
+  const [visibility, setVisibility] = useState(collection.visibility)
+  const [saving, setSaving] = useState(false)
+
+  const handleSubmit = async e => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      await api.put(`/collections/${collection.id}`, { title, description, visibility })
+      toast.success('Collection updated')
+      onSaved()
+    } catch (error) {
+      toast.error(getApiErrorMessage(error))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <input
+        type="text"
+        value={title}
+        onChange={e => setTitle(e.target.value)}
+        maxLength={100}
+        required
+        aria-label="Title"
+        className={inputClass}
+      />
+      <textarea
+        value={description}
+        onChange={e => setDescription(e.target.value)}
+        maxLength={1000}
+        rows={3}
+        placeholder="What is this collection for?"
+        aria-label="Description"
+        className={inputClass}
+      />
+      <select
+        value={visibility}
+        onChange={e => setVisibility(e.target.value)}
+        aria-label="Visibility"
+        className={inputClass}
+      >
+        {VISIBILITY_OPTIONS.map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <div className="flex space-x-2">
+        <button type="submit" disabled={saving || !title.trim()} className="btn-primary disabled:opacity-50">
+          Save
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg text-secondary-700 dark:text-secondary-300"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+const CollectionView = () => {
+  const { collectionId } = useParams()
+  const navigate = useNavigate()
+  const [page, setPage] = useState(1)
+  const [editing, setEditing] = useState(false)
+  const coverInputRef = useRef(null)
+
+  const { data, error, isLoading, refetch } = useQuery(
+    ['collection', collectionId, page],
+    async () => {
+      const { data } = await api.get(`/collections/${collectionId}`, { params: { page, limit: PAGE_SIZE } })
+      return data
+    },
+    { keepPreviousData: true }
+  )
+
+  const run = async (action, success) => {
+    try {
+      await action()
+      if (success) toast.success(success)
+      await refetch()
+    } catch (err) {
+      toast.error(getApiErrorMessage(err))
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-secondary-50 dark:bg-secondary-900 flex items-center justify-center">
+        <div className="w-8 h-8 border-4 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-secondary-50 dark:bg-secondary-900 flex items-center justify-center">
+        <div className="text-center">
+          <FolderOpen className="w-16 h-16 text-secondary-400 mx-auto mb-4" />
+          <h2 className="text-2xl font-bold text-secondary-900 dark:text-white mb-2">
+            Collection Not Found
+          </h2>
+          <p className="text-secondary-600 dark:text-secondary-400">{getApiErrorMessage(error)}</p>
+        </div>
+      </div>
+    )
+  }
+
+  const { collection, models, pagination } = data
+  const canReorder = collection.isOwner && pagination.pages <= 1
+
+  const move = (index, offset) => {
+    const order = models.map(model => model.id)
+    const [moved] = order.splice(index, 1)
+    order.splice(index + offset, 0, moved)
+    run(() => api.put(`/collections/${collection.id}/items/order`, { modelIds: order }))
+  }
+
+  const remove = model =>
+    run(() => api.delete(`/collections/${collection.id}/items/${model.id}`), `Removed ${model.title}`)
+
+  const uploadCover = file => {
+    const formData = new FormData()
+    formData.append('cover', file)
+    run(() => api.post(`/collections/${collection.id}/cover`, formData), 'Cover updated')
+  }
+
+  const deleteCollection = async () => {
+    if (!window.confirm(`Delete "${collection.title}"? The models themselves are not affected.`)) return
+    try {
+      await api.delete(`/collections/${collection.id}`)
+      toast.success('Collection deleted')
+      navigate(`/profile/${collection.owner.username}`)
+    } catch (err) {
+      toast.error(getApiErrorMessage(err))
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-secondary-50 dark:bg-secondary-900 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm overflow-hidden mb-6">
+          <CollectionCover collection={collection} className="w-full h-48" />
+          <div className="p-6">
+            {editing ? (
+              <EditCollectionForm
+                collection={collection}
+                onSaved={() => {
+                  setEditing(false)
+                  refetch()
+                }}
+                onCancel={() => setEditing(false)}
+              />
+            ) : (
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <h1 className="text-3xl font-bold text-secondary-900 dark:text-white mb-2">
+                    {collection.title}
+                  </h1>
+                  {collection.description && (
+                    <p className="text-secondary-600 dark:text-secondary-400 mb-2 whitespace-pre-line">
+                      {collection.description}
+                    </p>
+                  )}
+                  <p className="text-sm text-secondary-500 dark:text-secondary-400">
+                    {collection.itemCount} {collection.itemCount === 1 ? 'model' : 'models'} · by{' '}
+                    <Link
+                      to={`/profile/${collection.owner.username}`}
+                      className="text-primary-600 hover:text-primary-700 dark:text-primary-400"
+                    >
+                      {collection.owner.username}
+                    </Link>
+                    {collection.visibility !== 'PUBLIC' && (
+                      <> · {VISIBILITY_OPTIONS.find(([value]) => value === collection.visibility)?.[1]}</>
+                    )}
+                  </p>
+                </div>
+
+                {collection.isOwner && (
+                  <div className="flex items-center space-x-1">
+                    <button
+                      onClick={() => setEditing(true)}
+                      className="p-2 text-secondary-500 hover:text-secondary-700 dark:text-secondary-400 dark:hover:text-secondary-200"
+                      title="Edit details"
+                    >
+                      <Pencil className="w-5 h-5" />
+                    </button>
+                    <button
+                      onClick={() => coverInputRef.current?.click()}
+                      className="p-2 text-secondary-500 hover:text-secondary-700 dark:text-secondary-400 dark:hover:text-secondary-200"
+                      title="Upload cover image"
+                    >
+                      <Image className="w-5 h-5" />
+                    </button>
+                    {collection.coverUrl && (
+                      <button
+                        onClick={() => run(() => api.delete(`/collections/${collection.id}/cover`), 'Cover removed')}
+                        className="px-2 py-1 text-sm text-secondary-500 hover:text-secondary-700 dark:text-secondary-400 dark:hover:text-secondary-200"
+                      >
+                        Remove cover
+                      </button>
+                    )}
+                    <button
+                      onClick={deleteCollection}
+                      className="p-2 text-red-500 hover:text-red-700"
+                      title="Delete collection"
+                    >
+                      <Trash2 className="w-5 h-5" />
+                    </button>
+                    <input
+                      ref={coverInputRef}
+                      type="file"
+                      accept="image/jpeg,image/png,image/webp,image/gif"
+                      className="hidden"
+                      onChange={e => {
+                        if (e.target.files[0]) uploadCover(e.target.files[0])
+                        e.target.value = ''
+                      }}
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {models.length === 0 ? (
+          <div className="text-center py-12">
+            <FolderOpen className="w-16 h-16 text-secondary-400 mx-auto mb-4" />
+            <p className="text-secondary-600 dark:text-secondary-400">
+              Nothing saved here yet.
+            </p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+            {models.map((model, index) => (
+              <div
+                key={model.id}
+                className="relative bg-white dark:bg-secondary-800 rounded-lg shadow-sm overflow-hidden hover:shadow-md transition-shadow"
+              >
+                <Link to={`/models/${model.id}`}>
+                  <TurntablePreview
+                    thumbnailUrl={model.thumbnailUrl}
+                    turntable={model.turntable}
+                    alt={model.title}
+                  />
+                  <div className="p-4">
+                    <h3 className="font-semibold text-secondary-900 dark:text-white mb-1">
+                      {model.title}
+                      {model.recentlyUpdated && <UpdatedBadge version={model.latestVersion} className="ml-2 align-middle" />}
+                    </h3>
+                    <div className="flex items-center justify-between text-sm text-secondary-500 dark:text-secondary-400">
+                      <span>by {model.creator?.username || 'Unknown User'}</span>
+                      <span className="flex items-center space-x-1">
+                        <Download className="w-4 h-4" />
+                        <span>{model.downloadCount || 0}</span>
+                      </span>
+                    </div>
+                  </div>
+                </Link>
+
+                {collection.isOwner && (
+                  <div className="flex items-center justify-between px-4 pb-3">
+                    <div className="flex space-x-1">
+                      {canReorder && (
+                        <>
+                          <button
+                            onClick={() => move(index, -1)}
+                            disabled={index === 0}
+                            className="p-1 text-secondary-500 hover:text-secondary-700 dark:text-secondary-400 disabled:opacity-30"
+                            title="Move earlier"
+                          >
+                            <ChevronLeft className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => move(index, 1)}
+                            disabled={index === models.length - 1}
+                            className="p-1 text-secondary-500 hover:text-secondary-700 dark:text-secondary-400 disabled:opacity-30"
+                            title="Move later"
+                          >
+                            <ChevronRight className="w-4 h-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => remove(model)}
+                      className="flex items-center space-x-1 text-sm text-secondary-500 hover:text-red-600 dark:text-secondary-400"
+                    >
+                      <X className="w-4 h-4" />
+                      <span>Remove</span>
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="flex items-center justify-center space-x-4 mt-8">
+            <button
+              type="button"
+              disabled={page <= 1}
+              onClick={() => setPage(page - 1)}
+              className="px-4 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg text-secondary-700 dark:text-secondary-300 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-secondary-500 dark:text-secondary-400">
+              Page {page} of {pagination.pages}
+            </span>
+            <button
+              type="button"
+              disabled={page >= pagination.pages}
+              onClick={() => setPage(page + 1)}
+              className="px-4 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg text-secondary-700 dark:text-secondary-300 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CollectionView
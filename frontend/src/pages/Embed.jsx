@@ -0,0 +1,88 @@
+import { useParams, useSearchParams } from 'react-router-dom'
+import { useQuery } from 'react-query'
+import { Box } from 'lucide-react'
+import { api, getApiErrorMessage } from '../lib/api'
+import ModelViewer from '../components/ModelViewer'
+
+// Embed options come from the iframe URL:
+//   autospin=1     spin the model until the visitor grabs it
+//   bg=rrggbb      backdrop colour (hex, no #), or bg=transparent
+//   ui=0           hide the toolbar and the link back to the model page
+const parseOptions = searchParams => {
+  const bg = (searchParams.get('bg') || '').toLowerCase()
+  let background = null
+  if (bg === 'transparent') background = 'transparent'
+  else if (/^([0-9a-f]{3}|[0-9a-f]{6})$/.test(bg)) background = `#${bg}`
+
+  return {
+    autoRotate: ['1', 'true'].includes(searchParams.get('autospin')),
+    background,
+    showUi: searchParams.get('ui') !== '0',
+  }
+}
+
+const Message = ({ children }) => (
+  <div className="h-screen flex flex-col items-center justify-center text-center p-4 text-secondary-600 dark:text-secondary-300">
+    <Box className="w-12 h-12 text-secondary-400 mb-3" />
+    <p className="text-sm">{children}</p>
+  </div>
+)
+
+// Chrome-less viewer for iframes on other sites (see the oEmbed endpoint)
+const Embed = () => {
+  const { modelId } = useParams()
+  const [searchParams] = useSearchParams()
+  const { autoRotate, background, showUi } = parseOptions(searchParams)
+
+  const { data: model, error, isLoading } = useQuery(
+    ['model-embed', modelId],
+    async () => {
+      const { data } = await api.get(`/models/${modelId}/embed`)
+      return data
+    },
+    { retry: false, refetchOnWindowFocus: false }
+  )
+
+  if (isLoading) {
+    return (
+      <div className="h-screen flex items-center justify-center">
+        <div className="w-8 h-8 border-4 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    )
+  }
+
+  if (error) {
+    return <Message>{getApiErrorMessage(error)}</Message>
+  }
+
+  return (
+    <div className="relative h-screen">
+      <ModelViewer
+        src={model.viewer?.url}
+        format={model.viewer?.format}
+        lods={model.viewer?.lods}
+        thumbnailUrl={model.thumbnailUrl}
+        title={model.title}
+        materialLibraries={model.metadata?.extras?.materialLibraries}
+        files={model.viewer?.files}
+        autoRotate={autoRotate}
+        background={background}
+        showControls={showUi}
+        fill
+      />
+
+      {showUi && (
+        <a
+          href={`/models/${model.id}`}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="absolute top-2 left-2 max-w-[70%] truncate px-2 py-1 rounded bg-white/80 dark:bg-secondary-800/80 text-xs text-secondary-700 dark:text-secondary-200 hover:text-primary-600"
+        >
+          <span className="font-medium">{model.title}</span> by {model.creator.username}
+        </a>
+      )}
+    </div>
+  )
+}
+
+export default Embed
@@ -1,50 +1,34 @@
 import { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
-import { supabase } from '../lib/supabase'
-import { Package, Download, Users, Calendar } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import { api } from '../lib/api'
+import TurntablePreview from '../components/TurntablePreview'
+import UpdatedBadge from '../components/UpdatedBadge'
+import { Package, Download, Users, Calendar, Sparkles } from 'lucide-react'
 
 const Home = () => {
   const [recentModels, setRecentModels] = useState([])
   const [stats, setStats] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [updates, setUpdates] = useState([])
+  const { isAuthenticated } = useAuth()
 
   useEffect(() => {
     const fetchData = async () => {
       try {
         setLoading(true)
         
-        // Fetch recent models
-        const { data: models, error: modelsError } = await supabase
-          .from('models')
-          .select(`
-            *,
-            creator:profiles!models_user_id_fkey(
-              username
-            )
-          `)
-          .order('created_at', { ascending: false })
-          .limit(12)
+        // Fetch recent models and basic stats
+        const [{ data: modelsData }, { data: statsData }] = await Promise.all([
+          api.get('/models', { params: { sort: 'newest', limit: 12 } }),
+          api.get('/stats/platform')
+        ])
 
-        if (modelsError) throw modelsError
-
-        // Fetch basic stats
-        const { count: totalModels } = await supabase
-          .from('models')
-          .select('*', { count: 'exact', head: true })
-
-        const { count: totalUsers } = await supabase
-          .from('profiles')
-          .select('*', { count: 'exact', head: true })
-
-        const { count: totalDownloads } = await supabase
-          .from('downloads')
-          .select('*', { count: 'exact', head: true })
-
-        setRecentModels(models || [])
+        setRecentModels(modelsData.models || [])
         setStats({
-          totalModels: totalModels || 0,
-          totalUsers: totalUsers || 0,
-          totalDownloads: totalDownloads || 0
+          totalModels: statsData.overview?.totalModels || 0,
+          totalUsers: statsData.overview?.totalUsers || 0,
+          totalDownloads: statsData.overview?.totalDownloads || 0
         })
       } catch (error) {
         console.error('Error fetching home data:', error)
@@ -62,6 +46,19 @@ const Home = () => {
     fetchData()
   }, [])
 
+  // New versions of models the user downloaded or whose creators they follow
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setUpdates([])
+      return
+    }
+
+    api.get('/users/me/updates')
+      .then(({ data }) => setUpdates(data.updates || []))
+      // The page is complete without the feed, so it's left out quietly
+      .catch(() => setUpdates([]))
+  }, [isAuthenticated])
+
   if (loading) {
     return (
       <div className="min-h-screen bg-secondary-50 dark:bg-secondary-900 flex items-center justify-center">
@@ -134,6 +131,56 @@ const Home = () => {
         </section>
       )}
 
+      {/* Updates Section */}
+      {updates.length > 0 && (
+        <section className="pt-16">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <h2 className="text-2xl font-bold text-secondary-900 dark:text-white mb-6 flex items-center">
+              <Sparkles className="w-6 h-6 mr-2 text-green-600 dark:text-green-400" />
+              Updates for You
+            </h2>
+            <ul className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm divide-y divide-secondary-200 dark:divide-secondary-700">
+              {updates.map(update => (
+                <li key={update.id}>
+                  <Link
+                    to={`/models/${update.id}`}
+                    className="flex items-center space-x-4 p-4 hover:bg-secondary-50 dark:hover:bg-secondary-700 transition-colors"
+                  >
+                    {update.thumbnailUrl ? (
+                      <img
+                        src={update.thumbnailUrl}
+                        alt={update.title}
+                        loading="lazy"
+                        className="w-12 h-12 rounded object-cover bg-secondary-100 dark:bg-secondary-700"
+                      />
+                    ) : (
+                      <div className="w-12 h-12 rounded flex items-center justify-center bg-secondary-100 dark:bg-secondary-700">
+                        <Package className="w-5 h-5 text-secondary-400" />
+                      </div>
+                    )}
+                    <div className="min-w-0 flex-1">
+                      <p className="font-medium text-secondary-900 dark:text-white truncate">
+                        {update.title}
+                        <UpdatedBadge version={update.latestVersion} className="ml-2 align-middle" />
+                      </p>
+                      <p className="text-sm text-secondary-500 dark:text-secondary-400 truncate">
+                        {update.downloadedAt && new Date(update.downloadedAt) < new Date(update.versionedAt)
+                          ? 'You downloaded an earlier version'
+                          : `New from ${update.creator?.username}`}
+                        {update.changelog && ` · ${update.changelog}`}
+                      </p>
+                    </div>
+                    <span className="text-sm text-secondary-500 dark:text-secondary-400 whitespace-nowrap">
+                      {new Date(update.versionedAt).toLocaleDateString()}
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </section>
+      )}
+
       {/* Recent Models Section */}
       <section className="py-16">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -169,19 +216,16 @@ const Home = () => {
                   key={model.id}
                   className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm overflow-hidden hover:shadow-md transition-shadow"
                 >
-                  {model.thumbnail_path && (
-                    <div className="aspect-video bg-secondary-200 dark:bg-secondary-600 overflow-hidden">
-                      <img
-                        src={model.thumbnail_path}
-                        alt={model.title}
-                        className="w-full h-full object-cover"
-                      />
-                    </div>
-                  )}
+                  <TurntablePreview
+                    thumbnailUrl={model.thumbnailUrl}
+                    turntable={model.turntable}
+                    alt={model.title}
+                  />
                   
                   <div className="p-6">
                     <h3 className="font-semibold text-secondary-900 dark:text-white mb-2">
                       {model.title}
+                      {model.recentlyUpdated && <UpdatedBadge version={model.latestVersion} className="ml-2 align-middle" />}
                     </h3>
                     
                     <p className="text-sm text-secondary-600 dark:text-secondary-400 mb-4 line-clamp-2">
@@ -192,7 +236,7 @@ const Home = () => {
                       <span className="capitalize">{model.category}</span>
                       <div className="flex items-center space-x-1">
                         <Download className="w-4 h-4" />
-                        <span>{model.downloads_count || 0}</span>
+                        <span>{model.downloadCount || 0}</span>
                       </div>
                     </div>
                     
@@ -209,7 +253,7 @@ const Home = () => {
                       
                       <span className="text-sm text-secondary-500 dark:text-secondary-400 flex items-center">
                         <Calendar className="w-4 h-4 mr-1" />
-                        {new Date(model.created_at).toLocaleDateString()}
+                        {new Date(model.createdAt).toLocaleDateString()}
                       </span>
                     </div>
                     
@@ -1,9 +1,39 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, lazy, Suspense } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { Eye, Download, Calendar, User, Tag, Package, Share2 } from 'lucide-react';
+import { Eye, Download, Calendar, User, Tag, Package, Share2, Code, Loader2, AlertCircle, Sparkles } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
-import { supabase } from '../lib/supabase';
+import { api, getApiErrorMessage } from '../lib/api';
+import ModelStats from '../components/ModelStats';
+import TextureList from '../components/TextureList';
+import FileTree from '../components/FileTree';
+import ModelVersions from '../components/ModelVersions';
+import VersionCompare from '../components/VersionCompare';
+import UpdatedBadge from '../components/UpdatedBadge';
+import SaveToCollection from '../components/SaveToCollection';
+import CommentsPanel from '../components/CommentsPanel';
+import AnnotationList from '../components/AnnotationList';
+import LicenseInfo from '../components/LicenseInfo';
+import DerivationTree from '../components/DerivationTree';
+import { formatFileSize } from '../lib/formatFileSize';
+
+// three.js is large, so the viewer is only loaded on this page
+const ModelViewer = lazy(() => import('../components/ModelViewer'));
+
+// How often to check on a conversion the server is working on
+const CONVERSION_POLL_INTERVAL = 2000;
+
+// Wait for a download conversion queued on the server. Resolves to null
+// once it's ready, or to the reason it failed.
+const waitForConversion = async (statusUrl) => {
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, CONVERSION_POLL_INTERVAL));
+    // statusUrl already starts with /api
+    const { data } = await api.get(statusUrl, { baseURL: import.meta.env.VITE_API_URL || '' });
+    if (data.status === 'ready') return null;
+    if (data.status !== 'converting') return data.error || 'The model could not be converted';
+  }
+};
 
 const ModelDetail = () => {
   const { modelId } = useParams();
@@ -11,7 +41,17 @@ const ModelDetail = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [downloading, setDownloading] = useState(false);
-  const { user, isAuthenticated } = useAuth();
+  // Null until picked: bundles default to the whole zip, other models to
+  // the original file
+  const [downloadFormat, setDownloadFormat] = useState(null);
+  const [annotations, setAnnotations] = useState([]);
+  const [activeAnnotationId, setActiveAnnotationId] = useState(null);
+  // What the next click on the model does: 'new' places an annotation, an
+  // annotation's id moves that one
+  const [placing, setPlacing] = useState(null);
+  // A placed point waiting for its annotation's text
+  const [draftAnnotation, setDraftAnnotation] = useState(null);
+  const { isAuthenticated } = useAuth();
 
   useEffect(() => {
     if (modelId) {
@@ -19,43 +59,75 @@ const ModelDetail = () => {
     }
   }, [modelId]);
 
+  const fetchAnnotations = useCallback(async () => {
+    try {
+      const { data } = await api.get(`/models/${modelId}/annotations`);
+      setAnnotations(data.annotations);
+    } catch {
+      // The model is still worth showing without its annotations
+      setAnnotations([]);
+    }
+  }, [modelId]);
+
+  useEffect(() => {
+    if (modelId) {
+      fetchAnnotations();
+    }
+  }, [modelId, fetchAnnotations]);
+
   const fetchModelDetails = async () => {
     try {
       setLoading(true);
       
-      // Fetch model details from Supabase
-      const { data, error: supabaseError } = await supabase
-        .from('models')
-        .select(`
-          *,
-          creator:profiles!models_user_id_fkey(
-            id, username, avatar_url
-          )
-        `)
-        .eq('id', modelId)
-        .single();
-      
-      if (supabaseError) {
-        throw new Error(supabaseError.message);
-      }
+      const { data } = await api.get(`/models/${modelId}`);
 
       setModel(data);
     } catch (err) {
       console.error('Error fetching model:', err);
-      setError(err.message);
+      setError(getApiErrorMessage(err));
       toast.error('Failed to load model details');
     } finally {
       setLoading(false);
     }
   };
 
-  const handleDownload = async () => {
+  const handleSurfacePick = async (point) => {
+    const target = placing;
+    setPlacing(null);
+
+    if (target === 'new') {
+      setDraftAnnotation(point);
+      return;
+    }
+
+    try {
+      await api.put(`/annotations/${target}`, point);
+      toast.success('Annotation moved');
+      setActiveAnnotationId(target);
+      fetchAnnotations();
+    } catch (err) {
+      toast.error(getApiErrorMessage(err));
+    }
+  };
+
+  const handleAnnotationSelect = (annotation) => {
+    setActiveAnnotationId(annotation.id);
+  };
+
+  // The draft shows as the next numbered hotspot until it's saved
+  const viewerAnnotations = draftAnnotation
+    ? [...annotations, { id: 'draft', number: annotations.length + 1, body: 'New annotation', ...draftAnnotation }]
+    : annotations;
+
+  const selectedFormat = downloadFormat || (model?.bundle ? 'bundle' : 'original');
+
+  const handleDownload = async (params) => {
     if (!isAuthenticated) {
       toast.error('Please log in to download models');
       return;
     }
 
-    if (!model.file_path) {
+    if (!model.hasFile) {
       toast.error('No file available for download');
       return;
     }
@@ -63,42 +135,36 @@ const ModelDetail = () => {
     try {
       setDownloading(true);
       
-      // Create signed URL for download
-      const { data, error } = await supabase.storage
-        .from('models')
-        .createSignedUrl(model.file_path, 60); // 60 seconds expiry
-
-      if (error) throw error;
-
-      // Record download in database
-      const { error: downloadError } = await supabase
-        .from('downloads')
-        .insert({
-          model_id: model.id,
-          user_id: user.id
-        });
-
-      if (downloadError) {
-        console.error('Error recording download:', downloadError);
-      }
-
-      // Update download count
-      const { error: updateError } = await supabase
-        .from('models')
-        .update({ downloads_count: (model.downloads_count || 0) + 1 })
-        .eq('id', model.id);
-
-      if (updateError) {
-        console.error('Error updating download count:', updateError);
+      // The backend records the download and streams it back. Another
+      // format is converted first, on the server's worker if it hasn't
+      // been already.
+      const fetchDownload = () => api.get(`/downloads/${model.id}`, {
+        params,
+        responseType: 'blob',
+      });
+      let response = await fetchDownload();
+      if (response.status === 202) {
+        const { statusUrl } = JSON.parse(await response.data.text());
+        toast('Converting the model, the download will start when it is ready');
+        const failure = await waitForConversion(statusUrl);
+        if (failure) {
+          toast.error(failure);
+          return;
+        }
+        response = await fetchDownload();
       }
+      const { data, headers } = response;
+      const fileName = /filename="([^"]+)"/.exec(headers['content-disposition'] || '')?.[1];
 
       // Start download
+      const blobUrl = URL.createObjectURL(data);
       const link = document.createElement('a');
-      link.href = data.signedUrl;
-      link.download = model.title || '3d-model';
+      link.href = blobUrl;
+      link.download = fileName || model.title || '3d-model';
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
+      URL.revokeObjectURL(blobUrl);
 
       toast.success('Download started!');
       
@@ -107,12 +173,33 @@ const ModelDetail = () => {
       
     } catch (error) {
       console.error('Download error:', error);
-      toast.error('Failed to download model');
+      // Error bodies arrive as blobs too
+      const body = error.response?.data instanceof Blob
+        ? await error.response.data.text().then(JSON.parse).catch(() => null)
+        : null;
+      toast.error(body?.error || 'Failed to download model');
     } finally {
       setDownloading(false);
     }
   };
 
+  // Parameters for the option picked in the format menu
+  const handleDownloadSelected = () => handleDownload({
+    original: {},
+    optimized: { variant: 'optimized' },
+    bundle: { variant: 'bundle' },
+  }[selectedFormat] || { format: selectedFormat });
+
+  const handleDownloadFile = file => handleDownload({ file: file.path });
+
+  // Earlier versions come as they were uploaded, zipped up for bundles
+  const handleDownloadVersion = version => handleDownload({
+    version: version.number,
+    ...(version.isBundle ? { variant: 'bundle' } : {}),
+  });
+
+  const currentVersion = model?.versions?.find(version => version.isCurrent);
+
   const handleShare = async () => {
     if (navigator.share) {
       try {
@@ -131,6 +218,17 @@ const ModelDetail = () => {
     }
   };
 
+  const handleCopyEmbed = async () => {
+    const src = `${window.location.origin}/embed/${model.id}`;
+    const code = `<iframe src="${src}" title="${model.title.replace(/"/g, '&quot;')}" width="640" height="360" frameborder="0" allow="autoplay; fullscreen; xr-spatial-tracking" allowfullscreen></iframe>`;
+    try {
+      await navigator.clipboard.writeText(code);
+      toast.success('Embed code copied to clipboard!');
+    } catch (error) {
+      toast.error('Could not copy the embed code');
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-secondary-50 dark:bg-secondary-900 flex items-center justify-center">
@@ -173,6 +271,9 @@ const ModelDetail = () => {
             <div className="flex-1">
               <h1 className="text-3xl font-bold text-secondary-900 dark:text-white mb-2">
                 {model.title}
+                {model.recentlyUpdated && (
+                  <UpdatedBadge version={model.latestVersion} className="ml-3 align-middle" />
+                )}
               </h1>
               <p className="text-secondary-600 dark:text-secondary-400 text-lg">
                 {model.description}
@@ -180,6 +281,7 @@ const ModelDetail = () => {
             </div>
             
             <div className="flex items-center space-x-2">
+              <SaveToCollection modelId={model.id} />
               <button
                 onClick={handleShare}
                 className="p-2 text-secondary-500 hover:text-secondary-700 dark:text-secondary-400 dark:hover:text-secondary-200 transition-colors"
@@ -187,6 +289,15 @@ const ModelDetail = () => {
               >
                 <Share2 className="w-5 h-5" />
               </button>
+              {model.embeddable && (
+                <button
+                  onClick={handleCopyEmbed}
+                  className="p-2 text-secondary-500 hover:text-secondary-700 dark:text-secondary-400 dark:hover:text-secondary-200 transition-colors"
+                  title="Copy embed code"
+                >
+                  <Code className="w-5 h-5" />
+                </button>
+              )}
             </div>
           </div>
 
@@ -207,41 +318,161 @@ const ModelDetail = () => {
             
             <div className="flex items-center space-x-2 text-secondary-600 dark:text-secondary-400">
               <Calendar className="w-4 h-4" />
-              <span>{new Date(model.created_at).toLocaleDateString()}</span>
+              <span>{new Date(model.createdAt).toLocaleDateString()}</span>
             </div>
             
             <div className="flex items-center space-x-2 text-secondary-600 dark:text-secondary-400">
               <Download className="w-4 h-4" />
-              <span>{model.downloads_count || 0} downloads</span>
+              <span>{model.downloadCount || 0} downloads</span>
             </div>
           </div>
 
           {/* Tags */}
           {model.tags && model.tags.length > 0 && (
             <div className="flex flex-wrap gap-2">
-              {model.tags.map((tag, index) => (
-                <span
-                  key={index}
-                  className="px-3 py-1 bg-secondary-100 dark:bg-secondary-700 text-secondary-700 dark:text-secondary-300 rounded-full text-sm"
+              {model.tags.map(tag => (
+                <Link
+                  key={tag.slug}
+                  to={`/tags/${tag.slug}`}
+                  className="px-3 py-1 bg-secondary-100 dark:bg-secondary-700 text-secondary-700 dark:text-secondary-300 hover:bg-secondary-200 dark:hover:bg-secondary-600 rounded-full text-sm"
                 >
-                  {tag}
-                </span>
+                  {tag.name}
+                </Link>
               ))}
             </div>
           )}
         </div>
 
-        {/* Thumbnail */}
-        {model.thumbnail_path && (
+        {/* Processing status */}
+        {['queued', 'processing'].includes(model.processingStatus) && (
+          <div className="flex items-center space-x-3 bg-primary-50 dark:bg-secondary-800 border border-primary-200 dark:border-primary-800 rounded-lg p-4 mb-6 text-sm text-primary-800 dark:text-primary-300">
+            <Loader2 className="w-5 h-5 flex-shrink-0 animate-spin" />
+            <span>
+              {model.processingStatus === 'queued' ? 'Waiting to be processed.' : 'Processing now.'}{' '}
+              Statistics, previews and optimized downloads will appear when it finishes.
+            </span>
+          </div>
+        )}
+        {model.processingStatus === 'failed' && (
+          <div className="flex items-start space-x-3 bg-red-50 dark:bg-secondary-800 border border-red-200 dark:border-red-800 rounded-lg p-4 mb-6 text-sm text-red-700 dark:text-red-400">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>
+              This model could not be processed, so statistics and previews are unavailable.
+              {model.processingError && <> ({model.processingError})</>}
+            </span>
+          </div>
+        )}
+
+        {/* New version since the user's last download */}
+        {model.updatedSinceDownload && (
+          <div className="flex items-start space-x-3 bg-green-50 dark:bg-secondary-800 border border-green-200 dark:border-green-800 rounded-lg p-4 mb-6 text-sm text-green-800 dark:text-green-300">
+            <Sparkles className="w-5 h-5 flex-shrink-0" />
+            <span>
+              Version {model.latestVersion} came out after your last download.
+              {currentVersion?.changelog && <> What changed: {currentVersion.changelog}</>}
+            </span>
+          </div>
+        )}
+
+        {/* 3D Preview */}
+        {(model.viewer || model.thumbnailUrl) && (
           <div className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm p-6 mb-6">
             <h3 className="text-lg font-semibold text-secondary-900 dark:text-white mb-4">Preview</h3>
-            <div className="aspect-video bg-secondary-100 dark:bg-secondary-700 rounded-lg overflow-hidden">
-              <img
-                src={model.thumbnail_path}
-                alt={model.title}
-                className="w-full h-full object-cover"
+            <Suspense
+              fallback={
+                <div className="aspect-video bg-secondary-100 dark:bg-secondary-700 rounded-lg overflow-hidden">
+                  {model.thumbnailUrl && (
+                    <img
+                      src={model.thumbnailUrl}
+                      alt={model.title}
+                      className="w-full h-full object-cover"
+                    />
+                  )}
+                </div>
+              }
+            >
+              <ModelViewer
+                src={model.viewer?.url}
+                format={model.viewer?.format}
+                lods={model.viewer?.lods}
+                thumbnailUrl={model.thumbnailUrl}
+                title={model.title}
+                materialLibraries={model.metadata?.extras?.materialLibraries}
+                files={model.viewer?.files}
+                annotations={viewerAnnotations}
+                activeAnnotationId={activeAnnotationId}
+                onAnnotationSelect={handleAnnotationSelect}
+                onSurfacePick={placing ? handleSurfacePick : undefined}
               />
-            </div>
+            </Suspense>
+            {model.viewer && (
+              <AnnotationList
+                modelId={model.id}
+                annotations={annotations}
+                activeId={activeAnnotationId}
+                onSelect={handleAnnotationSelect}
+                placing={placing}
+                onPlace={setPlacing}
+                draft={draftAnnotation}
+                onDraftDone={() => setDraftAnnotation(null)}
+                onChanged={fetchAnnotations}
+              />
+            )}
+          </div>
+        )}
+
+        {/* Model Statistics */}
+        <div className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm p-6 mb-6">
+          <h3 className="text-lg font-semibold text-secondary-900 dark:text-white mb-4">Model Details</h3>
+          <ModelStats metadata={model.metadata} />
+        </div>
+
+        {/* License */}
+        <div className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm p-6 mb-6">
+          <h3 className="text-lg font-semibold text-secondary-900 dark:text-white mb-4">License</h3>
+          <LicenseInfo license={model.license} />
+        </div>
+
+        {/* Remixed from and remixes */}
+        <DerivationTree modelId={model.id} />
+
+        {/* Textures */}
+        {model.textures?.length > 0 && (
+          <div className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm p-6 mb-6">
+            <h3 className="text-lg font-semibold text-secondary-900 dark:text-white mb-2">
+              Textures ({model.textures.length})
+            </h3>
+            <TextureList textures={model.textures} />
+          </div>
+        )}
+
+        {/* Bundle files */}
+        {model.bundle && (
+          <div className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm p-6 mb-6">
+            <h3 className="text-lg font-semibold text-secondary-900 dark:text-white mb-2">
+              Files ({model.bundle.files.length}, {formatFileSize(model.bundle.totalSize)})
+            </h3>
+            <FileTree files={model.bundle.files} onDownload={handleDownloadFile} disabled={downloading} />
+          </div>
+        )}
+
+        {/* Versions */}
+        {(model.versions?.length > 1 || model.isOwner) && (
+          <div className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm p-6 mb-6">
+            <h3 className="text-lg font-semibold text-secondary-900 dark:text-white mb-2">
+              Versions ({model.versions?.length || 0})
+            </h3>
+            <ModelVersions
+              model={model}
+              onDownload={handleDownloadVersion}
+              disabled={downloading}
+              onVersionUploaded={fetchModelDetails}
+            />
+            {model.versions.length > 1 && (
+              <div className="mt-4 pt-4 border-t border-secondary-200 dark:border-secondary-700">
+                <VersionCompare model={model} />
+              </div>
+            )}
           </div>
         )}
 
@@ -253,29 +484,63 @@ const ModelDetail = () => {
                 Download Model
               </h3>
               <p className="text-secondary-600 dark:text-secondary-400">
-                Get this 3D model for your projects
+                Get this 3D model for your projects. Downloads come with a LICENSE.txt saying how it may be used.
               </p>
+              {model.optimized && (
+                <p className="text-sm text-secondary-500 dark:text-secondary-400 mt-1">
+                  Optimized GLB: {formatFileSize(model.optimized.size)}
+                  {model.optimized.savings > 0 && (
+                    <> ({Math.round(model.optimized.savings * 100)}% smaller than the {formatFileSize(model.optimized.originalSize)} original)</>
+                  )}
+                </p>
+              )}
             </div>
             
-            <button
-              onClick={handleDownload}
-              disabled={downloading || !model.file_path}
-              className="flex items-center space-x-2 px-6 py-3 bg-primary-600 hover:bg-primary-700 disabled:bg-primary-400 text-white rounded-lg font-medium transition-colors disabled:cursor-not-allowed"
-            >
-              {downloading ? (
-                <>
-                  <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                  <span>Downloading...</span>
-                </>
-              ) : (
-                <>
-                  <Download className="w-4 h-4" />
-                  <span>Download</span>
-                </>
+            <div className="flex items-center space-x-3">
+              {(model.downloadFormats?.length > 1 || model.optimized || model.bundle) && (
+                <select
+                  value={selectedFormat}
+                  onChange={e => setDownloadFormat(e.target.value)}
+                  disabled={downloading}
+                  className="px-3 py-3 border border-secondary-200 dark:border-secondary-600 rounded-lg bg-white dark:bg-secondary-800 text-secondary-700 dark:text-secondary-300"
+                  aria-label="Download format"
+                  title="Converted files contain geometry only"
+                >
+                  {model.bundle && (
+                    <option value="bundle">ZIP (all {model.bundle.files.length} files)</option>
+                  )}
+                  {model.downloadFormats.map((format, index) => (
+                    <option key={format} value={index === 0 ? 'original' : format}>
+                      {format.toUpperCase()}{index === 0 ? ' (original)' : ''}
+                    </option>
+                  ))}
+                  {model.optimized && (
+                    <option value="optimized">GLB (optimized for web)</option>
+                  )}
+                </select>
               )}
-            </button>
+              <button
+                onClick={handleDownloadSelected}
+                disabled={downloading || !model.hasFile}
+                className="flex items-center space-x-2 px-6 py-3 bg-primary-600 hover:bg-primary-700 disabled:bg-primary-400 text-white rounded-lg font-medium transition-colors disabled:cursor-not-allowed"
+              >
+                {downloading ? (
+                  <>
+                    <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                    <span>Downloading...</span>
+                  </>
+                ) : (
+                  <>
+                    <Download className="w-4 h-4" />
+                    <span>Download</span>
+                  </>
+                )}
+              </button>
+            </div>
           </div>
         </div>
+
+        <CommentsPanel modelId={model.id} />
       </div>
     </div>
   );
@@ -1,12 +1,61 @@
 import { useState, useEffect } from 'react'
-import { useParams, Link } from 'react-router-dom'
+import { useParams, Link, useSearchParams } from 'react-router-dom'
+import { useQuery } from 'react-query'
 import { useAuth } from '../contexts/AuthContext'
-import { supabase } from '../lib/supabase'
-import { User, Calendar, Download, Package } from 'lucide-react'
+import { api, getApiErrorMessage } from '../lib/api'
+import TurntablePreview from '../components/TurntablePreview'
+import UpdatedBadge from '../components/UpdatedBadge'
+import CollectionCard from '../components/CollectionCard'
+import { User, Calendar, Download, Package, FolderOpen } from 'lucide-react'
+
+const TABS = [
+  ['models', 'Models'],
+  ['collections', 'Collections'],
+]
+
+// The user's collections; they see their own unlisted and private ones too
+const ProfileCollections = ({ username }) => {
+  const { data: collections = [], error, isLoading } = useQuery(['collections', username], async () => {
+    const { data } = await api.get('/collections', { params: { username } })
+    return data.collections
+  })
+
+  if (isLoading) {
+    return <p className="text-secondary-600 dark:text-secondary-400">Loading collections...</p>
+  }
+
+  if (error) {
+    return <p className="text-red-600 dark:text-red-400">{getApiErrorMessage(error)}</p>
+  }
+
+  if (collections.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <FolderOpen className="w-16 h-16 text-secondary-400 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-secondary-900 dark:text-white mb-2">
+          No collections yet
+        </h3>
+        <p className="text-secondary-600 dark:text-secondary-400">
+          Collections saved from model pages show up here.
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+      {collections.map(collection => (
+        <CollectionCard key={collection.id} collection={collection} />
+      ))}
+    </div>
+  )
+}
 
 const ProfileView = () => {
   const { username } = useParams()
   const { user: currentUser } = useAuth()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const tab = searchParams.get('tab') === 'collections' ? 'collections' : 'models'
   const [profile, setProfile] = useState(null)
   const [models, setModels] = useState([])
   const [loading, setLoading] = useState(true)
@@ -15,38 +64,22 @@ const ProfileView = () => {
   useEffect(() => {
     if (username) {
       fetchProfile()
-      fetchUserModels()
     }
   }, [username])
 
   const fetchProfile = async () => {
     try {
-      const { data, error } = await supabase
-        .from('profiles')
-        .select('*')
-        .eq('username', username)
-        .single()
-
-      if (error) throw error
-      setProfile(data)
-    } catch (err) {
-      console.error('Error fetching profile:', err)
-      setError(err.message)
-    }
-  }
+      setLoading(true)
+      const [{ data: profileData }, { data: modelsData }] = await Promise.all([
+        api.get(`/users/${username}`),
+        api.get(`/users/${username}/models`)
+      ])
 
-  const fetchUserModels = async () => {
-    try {
-      const { data, error } = await supabase
-        .from('models')
-        .select('*')
-        .eq('user_id', profile?.id)
-        .order('created_at', { ascending: false })
-
-      if (error) throw error
-      setModels(data || [])
+      setProfile(profileData.user)
+      setModels(modelsData.models || [])
     } catch (err) {
-      console.error('Error fetching user models:', err)
+      console.error('Error fetching profile:', err)
+      setError(getApiErrorMessage(err))
     } finally {
       setLoading(false)
     }
@@ -92,9 +125,9 @@ const ProfileView = () => {
         <div className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm p-6 mb-6">
           <div className="flex items-center space-x-6">
             <div className="w-20 h-20 bg-primary-100 dark:bg-primary-900 rounded-full flex items-center justify-center">
-              {profile.avatar_url ? (
+              {profile.avatar ? (
                 <img
-                  src={profile.avatar_url}
+                  src={profile.avatar}
                   alt={profile.username}
                   className="w-20 h-20 rounded-full object-cover"
                 />
@@ -110,7 +143,7 @@ const ProfileView = () => {
               <div className="flex items-center space-x-4 text-secondary-600 dark:text-secondary-400">
                 <div className="flex items-center space-x-2">
                   <Calendar className="w-4 h-4" />
-                  <span>Joined {new Date(profile.created_at).toLocaleDateString()}</span>
+                  <span>Joined {new Date(profile.createdAt).toLocaleDateString()}</span>
                 </div>
                 <div className="flex items-center space-x-2">
                   <Package className="w-4 h-4" />
@@ -121,13 +154,28 @@ const ProfileView = () => {
           </div>
         </div>
 
-        {/* User's Models */}
         <div className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm p-6">
-          <h2 className="text-2xl font-bold text-secondary-900 dark:text-white mb-6">
-            Models by {profile.username}
-          </h2>
+          <div className="flex space-x-6 border-b border-secondary-200 dark:border-secondary-700 mb-6" role="tablist">
+            {TABS.map(([value, label]) => (
+              <button
+                key={value}
+                role="tab"
+                aria-selected={tab === value}
+                onClick={() => setSearchParams(value === 'models' ? {} : { tab: value }, { replace: true })}
+                className={`pb-3 -mb-px border-b-2 font-medium transition-colors ${
+                  tab === value
+                    ? 'border-primary-600 text-primary-600 dark:text-primary-400'
+                    : 'border-transparent text-secondary-500 hover:text-secondary-700 dark:text-secondary-400 dark:hover:text-secondary-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
 
-          {models.length === 0 ? (
+          {tab === 'collections' ? (
+            <ProfileCollections username={profile.username} />
+          ) : models.length === 0 ? (
             <div className="text-center py-12">
               <Package className="w-16 h-16 text-secondary-400 mx-auto mb-4" />
               <h3 className="text-lg font-medium text-secondary-900 dark:text-white mb-2">
@@ -144,18 +192,16 @@ const ProfileView = () => {
                   key={model.id}
                   className="bg-secondary-50 dark:bg-secondary-700 rounded-lg p-4 hover:shadow-md transition-shadow"
                 >
-                  {model.thumbnail_path && (
-                    <div className="aspect-video bg-secondary-200 dark:bg-secondary-600 rounded-lg overflow-hidden mb-4">
-                      <img
-                        src={model.thumbnail_path}
-                        alt={model.title}
-                        className="w-full h-full object-cover"
-                      />
-                    </div>
-                  )}
+                  <TurntablePreview
+                    thumbnailUrl={model.thumbnailUrl}
+                    turntable={model.turntable}
+                    alt={model.title}
+                    className="rounded-lg mb-4"
+                  />
                   
                   <h3 className="font-semibold text-secondary-900 dark:text-white mb-2">
                     {model.title}
+                    {model.recentlyUpdated && <UpdatedBadge version={model.latestVersion} className="ml-2 align-middle" />}
                   </h3>
                   
                   <p className="text-sm text-secondary-600 dark:text-secondary-400 mb-3 line-clamp-2">
@@ -166,7 +212,7 @@ const ProfileView = () => {
                     <span className="capitalize">{model.category}</span>
                     <div className="flex items-center space-x-1">
                       <Download className="w-4 h-4" />
-                      <span>{model.downloads_count || 0}</span>
+                      <span>{model.downloadCount || 0}</span>
                     </div>
                   </div>
                   
@@ -0,0 +1,216 @@
+import { Link, useSearchParams } from 'react-router-dom'
+import { useQuery } from 'react-query'
+import { Package, Download, Search as SearchIcon } from 'lucide-react'
+import { api, getApiErrorMessage } from '../lib/api'
+import TurntablePreview from '../components/TurntablePreview'
+import UpdatedBadge from '../components/UpdatedBadge'
+
+const FACETS = [
+  ['category', 'Category'],
+  ['format', 'Format'],
+  ['license', 'License'],
+  ['commercial', 'Commercial use'],
+  ['price', 'Price'],
+  ['polys', 'Triangles'],
+]
+
+const FACET_LABELS = {
+  price: { free: 'Free', paid: 'Paid' },
+  commercial: { yes: 'Allowed', no: 'Not allowed' },
+  polys: {
+    'under-1k': 'Under 1k',
+    '1k-10k': '1k – 10k',
+    '10k-100k': '10k – 100k',
+    '100k-1m': '100k – 1M',
+    'over-1m': 'Over 1M',
+  },
+}
+
+const SORTS = [
+  ['relevance', 'Most relevant'],
+  ['newest', 'Newest'],
+  ['downloads', 'Most downloaded'],
+  ['likes', 'Most liked'],
+  ['trending', 'Trending'],
+]
+
+const facetLabel = (facet, value) =>
+  FACET_LABELS[facet]?.[value] || (facet === 'format' || facet === 'license' ? value.toUpperCase() : value)
+
+// Search results for ?q=, narrowed by the facets picked in the sidebar.
+// Everything lives in the URL so searches can be shared and go back/forward.
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const q = searchParams.get('q') || ''
+  const page = parseInt(searchParams.get('page')) || 1
+
+  const { data, error, isLoading } = useQuery(
+    ['search', searchParams.toString()],
+    async () => {
+      const { data } = await api.get('/search', { params: searchParams })
+      return data
+    },
+    { enabled: Boolean(q.trim()), keepPreviousData: true }
+  )
+
+  const selected = facet => (searchParams.get(facet) || '').split(',').filter(Boolean)
+
+  const update = changes => {
+    const next = new URLSearchParams(searchParams)
+    for (const [key, value] of Object.entries(changes)) {
+      if (value) next.set(key, value)
+      else next.delete(key)
+    }
+    if (!('page' in changes)) next.delete('page')
+    setSearchParams(next)
+  }
+
+  const toggleFacet = (facet, value) => {
+    const values = selected(facet)
+    update({
+      [facet]: (values.includes(value) ? values.filter(v => v !== value) : [...values, value]).join(','),
+    })
+  }
+
+  const { models = [], facets = {}, pagination } = data || {}
+
+  return (
+    <div className="min-h-screen bg-secondary-50 dark:bg-secondary-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+          <h1 className="text-2xl font-bold text-secondary-900 dark:text-white">
+            {q ? <>Results for &ldquo;{q}&rdquo;</> : 'Search'}
+          </h1>
+          <select
+            value={searchParams.get('sort') || 'relevance'}
+            onChange={e => update({ sort: e.target.value === 'relevance' ? null : e.target.value })}
+            className="px-3 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg bg-white dark:bg-secondary-800 text-secondary-700 dark:text-secondary-300"
+            aria-label="Sort results"
+          >
+            {SORTS.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+          <aside className="space-y-6">
+            {FACETS.map(([facet, title]) => facets[facet]?.length > 0 && (
+              <div key={facet}>
+                <h2 className="text-sm font-semibold text-secondary-900 dark:text-white mb-2">{title}</h2>
+                <ul className="space-y-1">
+                  {facets[facet].map(({ value, count }) => (
+                    <li key={value}>
+                      <label className="flex items-center space-x-2 text-sm text-secondary-700 dark:text-secondary-300 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={selected(facet).includes(value)}
+                          onChange={() => toggleFacet(facet, value)}
+                          className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+                        />
+                        <span className="flex-1 capitalize">{facetLabel(facet, value)}</span>
+                        <span className="text-secondary-400">{count}</span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </aside>
+
+          <div className="lg:col-span-3">
+            {!q.trim() && (
+              <div className="text-center py-12 text-secondary-600 dark:text-secondary-400">
+                <SearchIcon className="w-12 h-12 text-secondary-400 mx-auto mb-4" />
+                Type something to search for models.
+              </div>
+            )}
+            {isLoading && (
+              <p className="text-secondary-600 dark:text-secondary-400">Searching...</p>
+            )}
+            {error && (
+              <p className="text-red-600 dark:text-red-400">{getApiErrorMessage(error)}</p>
+            )}
+
+            {data && models.length === 0 && (
+              <div className="text-center py-12">
+                <Package className="w-16 h-16 text-secondary-400 mx-auto mb-4" />
+                <h3 className="text-lg font-medium text-secondary-900 dark:text-white mb-2">
+                  No models found
+                </h3>
+                <p className="text-secondary-600 dark:text-secondary-400">
+                  Try other words or fewer filters.
+                </p>
+              </div>
+            )}
+
+            {models.length > 0 && (
+              <>
+                <p className="text-sm text-secondary-500 dark:text-secondary-400 mb-4">
+                  {pagination.total} {pagination.total === 1 ? 'model' : 'models'}
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+                  {models.map(model => (
+                    <Link
+                      key={model.id}
+                      to={`/models/${model.id}`}
+                      className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm overflow-hidden hover:shadow-md transition-shadow"
+                    >
+                      <TurntablePreview
+                        thumbnailUrl={model.thumbnailUrl}
+                        turntable={model.turntable}
+                        alt={model.title}
+                      />
+                      <div className="p-4">
+                        <h3 className="font-semibold text-secondary-900 dark:text-white mb-1">
+                          {model.title}
+                          {model.recentlyUpdated && <UpdatedBadge version={model.latestVersion} className="ml-2 align-middle" />}
+                        </h3>
+                        <p className="text-sm text-secondary-600 dark:text-secondary-400 mb-3 line-clamp-2">
+                          {model.description}
+                        </p>
+                        <div className="flex items-center justify-between text-sm text-secondary-500 dark:text-secondary-400">
+                          <span>by {model.creator?.username || 'Unknown User'}</span>
+                          <span className="flex items-center space-x-1">
+                            <Download className="w-4 h-4" />
+                            <span>{model.downloadCount || 0}</span>
+                          </span>
+                        </div>
+                      </div>
+                    </Link>
+                  ))}
+                </div>
+
+                {pagination.pages > 1 && (
+                  <div className="flex items-center justify-center space-x-4 mt-8">
+                    <button
+                      type="button"
+                      disabled={page <= 1}
+                      onClick={() => update({ page: String(page - 1) })}
+                      className="px-4 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg text-secondary-700 dark:text-secondary-300 disabled:opacity-50"
+                    >
+                      Previous
+                    </button>
+                    <span className="text-sm text-secondary-500 dark:text-secondary-400">
+                      Page {page} of {pagination.pages}
+                    </span>
+                    <button
+                      type="button"
+                      disabled={page >= pagination.pages}
+                      onClick={() => update({ page: String(page + 1) })}
+                      className="px-4 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg text-secondary-700 dark:text-secondary-300 disabled:opacity-50"
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Search
@@ -0,0 +1,181 @@
+import { useEffect } from 'react'
+import { Link, useParams, useNavigate, useSearchParams } from 'react-router-dom'
+import { useQuery } from 'react-query'
+import { Package, Download, Tag } from 'lucide-react'
+import { api, getApiErrorMessage } from '../lib/api'
+import TurntablePreview from '../components/TurntablePreview'
+import UpdatedBadge from '../components/UpdatedBadge'
+
+const SORTS = [
+  ['newest', 'Newest'],
+  ['trending', 'Trending'],
+  ['downloads', 'Most downloaded'],
+  ['likes', 'Most liked'],
+]
+
+// Public models with a tag. Aliases redirect to the tag they stand for, so
+// /tags/scifi ends up on /tags/sci-fi.
+const TagView = () => {
+  const { slug } = useParams()
+  const navigate = useNavigate()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const sort = searchParams.get('sort') || 'newest'
+  const page = parseInt(searchParams.get('page')) || 1
+
+  const { data: tag, error: tagError } = useQuery(['tag', slug], async () => {
+    const { data } = await api.get(`/tags/${encodeURIComponent(slug)}`)
+    return data.tag
+  })
+
+  useEffect(() => {
+    if (tag && tag.slug !== slug) {
+      navigate(`/tags/${tag.slug}?${searchParams}`, { replace: true })
+    }
+  }, [tag, slug, navigate, searchParams])
+
+  const { data, error, isLoading } = useQuery(
+    ['tag-models', tag?.slug, sort, page],
+    async () => {
+      const { data } = await api.get(`/tags/${tag.slug}/models`, { params: { sort, page } })
+      return data
+    },
+    { enabled: Boolean(tag) && tag.slug === slug, keepPreviousData: true }
+  )
+
+  const update = changes => {
+    const next = new URLSearchParams(searchParams)
+    for (const [key, value] of Object.entries(changes)) {
+      if (value) next.set(key, value)
+      else next.delete(key)
+    }
+    if (!('page' in changes)) next.delete('page')
+    setSearchParams(next)
+  }
+
+  if (tagError) {
+    return (
+      <div className="min-h-screen bg-secondary-50 dark:bg-secondary-900 flex items-center justify-center">
+        <div className="text-center">
+          <Tag className="w-16 h-16 text-secondary-400 mx-auto mb-4" />
+          <h1 className="text-xl font-semibold text-secondary-900 dark:text-white mb-2">
+            {tagError.response?.status === 404 ? 'Tag not found' : 'Could not load tag'}
+          </h1>
+          {tagError.response?.status !== 404 && (
+            <p className="text-secondary-600 dark:text-secondary-400">{getApiErrorMessage(tagError)}</p>
+          )}
+        </div>
+      </div>
+    )
+  }
+
+  const { models = [], pagination } = data || {}
+
+  return (
+    <div className="min-h-screen bg-secondary-50 dark:bg-secondary-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+          <div>
+            <h1 className="flex items-center space-x-2 text-2xl font-bold text-secondary-900 dark:text-white">
+              <Tag className="w-6 h-6 text-primary-600" />
+              <span>{tag ? tag.name : slug}</span>
+            </h1>
+            {tag && (
+              <p className="mt-1 text-sm text-secondary-500 dark:text-secondary-400">
+                {tag.usageCount} {tag.usageCount === 1 ? 'model' : 'models'}
+                {tag.aliases?.length > 0 && <> · also known as {tag.aliases.join(', ')}</>}
+              </p>
+            )}
+          </div>
+          <select
+            value={sort}
+            onChange={e => update({ sort: e.target.value === 'newest' ? null : e.target.value })}
+            className="px-3 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg bg-white dark:bg-secondary-800 text-secondary-700 dark:text-secondary-300"
+            aria-label="Sort models"
+          >
+            {SORTS.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {isLoading && (
+          <p className="text-secondary-600 dark:text-secondary-400">Loading models...</p>
+        )}
+        {error && (
+          <p className="text-red-600 dark:text-red-400">{getApiErrorMessage(error)}</p>
+        )}
+
+        {data && models.length === 0 && (
+          <div className="text-center py-12">
+            <Package className="w-16 h-16 text-secondary-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-secondary-900 dark:text-white">
+              No models with this tag yet
+            </h3>
+          </div>
+        )}
+
+        {models.length > 0 && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+              {models.map(model => (
+                <Link
+                  key={model.id}
+                  to={`/models/${model.id}`}
+                  className="bg-white dark:bg-secondary-800 rounded-lg shadow-sm overflow-hidden hover:shadow-md transition-shadow"
+                >
+                  <TurntablePreview
+                    thumbnailUrl={model.thumbnailUrl}
+                    turntable={model.turntable}
+                    alt={model.title}
+                  />
+                  <div className="p-4">
+                    <h3 className="font-semibold text-secondary-900 dark:text-white mb-1">
+                      {model.title}
+                      {model.recentlyUpdated && <UpdatedBadge version={model.latestVersion} className="ml-2 align-middle" />}
+                    </h3>
+                    <p className="text-sm text-secondary-600 dark:text-secondary-400 mb-3 line-clamp-2">
+                      {model.description}
+                    </p>
+                    <div className="flex items-center justify-between text-sm text-secondary-500 dark:text-secondary-400">
+                      <span>by {model.creator?.username || 'Unknown User'}</span>
+                      <span className="flex items-center space-x-1">
+                        <Download className="w-4 h-4" />
+                        <span>{model.downloadCount || 0}</span>
+                      </span>
+                    </div>
+                  </div>
+                </Link>
+              ))}
+            </div>
+
+            {pagination.pages > 1 && (
+              <div className="flex items-center justify-center space-x-4 mt-8">
+                <button
+                  type="button"
+                  disabled={page <= 1}
+                  onClick={() => update({ page: String(page - 1) })}
+                  className="px-4 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg text-secondary-700 dark:text-secondary-300 disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <span className="text-sm text-secondary-500 dark:text-secondary-400">
+                  Page {page} of {pagination.pages}
+                </span>
+                <button
+                  type="button"
+                  disabled={page >= pagination.pages}
+                  onClick={() => update({ page: String(page + 1) })}
+                  className="px-4 py-2 border border-secondary-200 dark:border-secondary-600 rounded-lg text-secondary-700 dark:text-secondary-300 disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default TagView
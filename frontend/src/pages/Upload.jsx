@@ -1,7 +1,14 @@
 import { useState, useRef, useCallback } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
-import { supabase } from '../lib/supabase'
+import { api, getApiErrorMessage } from '../lib/api'
+import { uploadModelInChunks } from '../lib/chunkedUpload'
+import { useModelFormats } from '../lib/modelFormats'
+import { useLicenses, DEFAULT_LICENSE } from '../lib/licenses'
+import { formatFileSize } from '../lib/formatFileSize'
+import { toBasedOn } from '../lib/derivations'
+import TagInput from '../components/TagInput'
+import SourceInput from '../components/SourceInput'
 import { 
   Upload as UploadIcon, 
   X, 
@@ -17,8 +24,10 @@ import {
 import toast from 'react-hot-toast'
 
 const Upload = () => {
-  const { user, profile, isAuthenticated } = useAuth()
+  const { profile, isAuthenticated } = useAuth()
   const navigate = useNavigate()
+  const modelFormats = useModelFormats()
+  const { licenses, findLicense } = useLicenses()
   const modelInputRef = useRef(null)
   const thumbnailInputRef = useRef(null)
   const [isUploading, setIsUploading] = useState(false)
@@ -28,7 +37,11 @@ const Upload = () => {
     title: '',
     description: '',
     category: 'Characters',
-    tags: ''
+    tags: [],
+    license: DEFAULT_LICENSE,
+    licenseText: '',
+    attribution: '',
+    basedOn: []
   })
   
   const [files, setFiles] = useState({
@@ -50,51 +63,18 @@ const Upload = () => {
     }
   }, [])
 
-  const handleDrop = useCallback((e) => {
-    e.preventDefault()
-    e.stopPropagation()
-    setDragActive(false)
-    
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFileSelect(e.dataTransfer.files[0], 'model')
-    }
-  }, [])
-
-  // Check if user is authenticated
-  if (!isAuthenticated) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <div className="text-center">
-          <h2 className="text-2xl font-bold text-secondary-900 dark:text-white mb-4">
-            Authentication Required
-          </h2>
-          <p className="text-secondary-600 dark:text-secondary-400 mb-6">
-            You need to be logged in to upload 3D models.
-          </p>
-          <button
-            onClick={() => navigate('/login')}
-            className="btn-primary"
-          >
-            Sign In
-          </button>
-        </div>
-      </div>
-    )
-  }
-
   // Handle file selection
-  const handleFileSelect = (file, type) => {
+  const handleFileSelect = useCallback((file, type) => {
     console.log('🔍 File selected:', file.name, 'Type:', type, 'Size:', (file.size / 1024 / 1024).toFixed(2), 'MB')
     
-    const allowedModelTypes = ['obj', 'fbx', 'glb', 'gltf', 'dae', 'blend', '3ds', 'max', 'ma', 'mb']
     const allowedImageTypes = ['jpg', 'jpeg', 'png', 'webp', 'gif']
     
     const fileExtension = file.name.split('.').pop().toLowerCase()
     console.log('🔍 File extension:', fileExtension)
     
     if (type === 'model') {
-      if (!allowedModelTypes.includes(fileExtension)) {
-        toast.error(`Invalid model file type. Allowed: ${allowedModelTypes.join(', ')}`)
+      if (!modelFormats.isAllowed(file.name)) {
+        toast.error(`Invalid model file type. Allowed: ${modelFormats.extensions.join(', ')}`)
         return
       }
       
@@ -126,6 +106,38 @@ const Upload = () => {
     }))
     
     toast.success(`${type.charAt(0).toUpperCase() + type.slice(1)} file selected: ${file.name}`)
+  }, [modelFormats])
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    setDragActive(false)
+    
+    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
+      handleFileSelect(e.dataTransfer.files[0], 'model')
+    }
+  }, [handleFileSelect])
+
+  // Check if user is authenticated
+  if (!isAuthenticated) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <h2 className="text-2xl font-bold text-secondary-900 dark:text-white mb-4">
+            Authentication Required
+          </h2>
+          <p className="text-secondary-600 dark:text-secondary-400 mb-6">
+            You need to be logged in to upload 3D models.
+          </p>
+          <button
+            onClick={() => navigate('/login')}
+            className="btn-primary"
+          >
+            Sign In
+          </button>
+        </div>
+      </div>
+    )
   }
 
   // Handle form input changes
@@ -158,13 +170,19 @@ const Upload = () => {
     if (!formData.category) {
       newErrors.category = 'Category is required'
     }
+
+    if (formData.license === 'custom' && !formData.licenseText.trim()) {
+      newErrors.licenseText = 'Write out the terms of your license'
+    }
     
     if (!files.model) {
       newErrors.model = '3D model file is required'
     }
     
-    if (!files.thumbnail) {
-      newErrors.thumbnail = 'Thumbnail image is required'
+    // Formats the server can read get a rendered thumbnail if none is given
+    const modelFormat = files.model && modelFormats.formatForFile(files.model.name)
+    if (!files.thumbnail && modelFormat && !modelFormat.previewable) {
+      newErrors.thumbnail = `A thumbnail image is required for ${modelFormat.name} files`
     }
     
     setErrors(newErrors)
@@ -184,57 +202,37 @@ const Upload = () => {
     setUploadProgress(0)
     
     try {
-      // Upload model file
-      const modelFileName = `${Date.now()}-${files.model.name}`
-      const { data: modelData, error: modelError } = await supabase.storage
-        .from('models')
-        .upload(modelFileName, files.model)
-      
-      if (modelError) throw modelError
-      
-      setUploadProgress(30)
+      // Upload the model in resumable chunks; progress is what the server has received
+      const model = await uploadModelInChunks({
+        file: files.model,
+        fields: {
+          title: formData.title,
+          description: formData.description,
+          category: formData.category.toLowerCase(),
+          tags: formData.tags,
+          license: formData.license,
+          ...(formData.license === 'custom' ? { licenseText: formData.licenseText } : {}),
+          attribution: formData.attribution,
+          basedOn: toBasedOn(formData.basedOn)
+        },
+        onProgress: setUploadProgress
+      })
       
       // Upload thumbnail
-      const thumbnailFileName = `${Date.now()}-${files.thumbnail.name}`
-      const { data: thumbnailData, error: thumbnailError } = await supabase.storage
-        .from('thumbnails')
-        .upload(thumbnailFileName, files.thumbnail)
-      
-      if (thumbnailError) throw thumbnailError
-      
-      setUploadProgress(60)
-      
-      // Create model record in database
-      const modelRecordData = {
-        title: formData.title,
-        description: formData.description,
-        category: formData.category,
-        tags: formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag),
-        file_path: modelData.path,
-        thumbnail_path: thumbnailData.path,
-        user_id: user.id,
-        file_size: files.model.size,
-        file_type: files.model.name.split('.').pop().toLowerCase()
+      if (files.thumbnail) {
+        const thumbnailData = new FormData()
+        thumbnailData.append('thumbnail', files.thumbnail)
+        await api.post(`/upload/${model.id}/thumbnail`, thumbnailData)
       }
       
-      const { data: dbModel, error: dbError } = await supabase
-        .from('models')
-        .insert(modelRecordData)
-        .select()
-        .single()
-      
-      if (dbError) throw dbError
-      
-      setUploadProgress(100)
-      
       toast.success('Model uploaded successfully!')
       
       // Redirect to model detail page
-      navigate(`/models/${dbModel.id}`)
+      navigate(`/models/${model.id}`)
       
     } catch (error) {
       console.error('Upload error:', error)
-      toast.error(`Upload failed: ${error.message}`)
+      toast.error(`Upload failed: ${getApiErrorMessage(error)}`)
     } finally {
       setIsUploading(false)
       setUploadProgress(0)
@@ -253,15 +251,6 @@ const Upload = () => {
     }))
   }
 
-  // Format file size
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes'
-    const k = 1024
-    const sizes = ['Bytes', 'KB', 'MB', 'GB']
-    const i = Math.floor(Math.log(bytes) / Math.log(k))
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
-  }
-
   return (
     <div className="min-h-screen bg-secondary-50 dark:bg-secondary-900 py-8">
       <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -363,17 +352,100 @@ const Upload = () => {
               <label htmlFor="tags" className="block text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-2">
                 Tags
               </label>
-              <input
-                type="text"
+              <TagInput
                 id="tags"
-                name="tags"
                 value={formData.tags}
-                onChange={handleInputChange}
-                className="w-full px-3 py-2 border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 dark:bg-secondary-700 dark:text-white"
-                placeholder="Enter tags separated by commas (e.g., character, fantasy, warrior)"
+                onChange={tags => setFormData(prev => ({ ...prev, tags }))}
+              />
+              <p className="mt-1 text-sm text-secondary-500 dark:text-secondary-400">
+                Press Enter or a comma after each tag. Tags help others find your model
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label htmlFor="license" className="block text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-2">
+                  License
+                </label>
+                <select
+                  id="license"
+                  name="license"
+                  value={formData.license}
+                  onChange={handleInputChange}
+                  className="w-full px-3 py-2 border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 dark:bg-secondary-700 dark:text-white"
+                >
+                  {licenses.length === 0 && <option value={DEFAULT_LICENSE}>CC BY 4.0</option>}
+                  {licenses.map(license => (
+                    <option key={license.id} value={license.id}>{license.name}</option>
+                  ))}
+                </select>
+                {findLicense(formData.license) && (
+                  <p className="mt-1 text-sm text-secondary-500 dark:text-secondary-400">
+                    {findLicense(formData.license).summary}
+                  </p>
+                )}
+              </div>
+
+              <div>
+                <label htmlFor="attribution" className="block text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-2">
+                  Credit as
+                </label>
+                <input
+                  type="text"
+                  id="attribution"
+                  name="attribution"
+                  value={formData.attribution}
+                  onChange={handleInputChange}
+                  maxLength={200}
+                  className="w-full px-3 py-2 border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 dark:bg-secondary-700 dark:text-white"
+                  placeholder={profile?.username || 'Your username'}
+                />
+                <p className="mt-1 text-sm text-secondary-500 dark:text-secondary-400">
+                  The name people should credit; your username if left empty
+                </p>
+              </div>
+            </div>
+
+            {formData.license === 'custom' && (
+              <div>
+                <label htmlFor="licenseText" className="block text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-2">
+                  License terms *
+                </label>
+                <textarea
+                  id="licenseText"
+                  name="licenseText"
+                  value={formData.licenseText}
+                  onChange={handleInputChange}
+                  rows={5}
+                  maxLength={10000}
+                  className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 ${
+                    errors.licenseText
+                      ? 'border-red-500 focus:border-red-500'
+                      : 'border-secondary-300 dark:border-secondary-600 focus:border-primary-500'
+                  } dark:bg-secondary-700 dark:text-white`}
+                  placeholder="What may people do with your model?"
+                />
+                {errors.licenseText && (
+                  <p className="mt-1 text-sm text-red-600 dark:text-red-400 flex items-center">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    {errors.licenseText}
+                  </p>
+                )}
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="basedOn" className="block text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-2">
+                Based on
+              </label>
+              <SourceInput
+                id="basedOn"
+                value={formData.basedOn}
+                onChange={basedOn => setFormData(prev => ({ ...prev, basedOn }))}
               />
               <p className="mt-1 text-sm text-secondary-500 dark:text-secondary-400">
-                Separate tags with commas to help others find your model
+                If this is a remix, list what it is made from. Their creators are credited alongside you, and
+                their licenses must allow remixes under the license you picked
               </p>
             </div>
 
@@ -423,8 +495,15 @@ const Upload = () => {
                           or drag and drop
                         </p>
                         <p className="text-xs text-secondary-500 dark:text-secondary-400 mt-1">
-                          OBJ, FBX, GLB, GLTF, DAE, BLEND, 3DS, MAX, MA, MB (max 100MB)
+                          {modelFormats.isLoaded
+                            ? modelFormats.extensions.join(', ').toUpperCase()
+                            : '3D model files'} (max 100MB)
                         </p>
+                        {modelFormats.bundleExtensions.length > 0 && (
+                          <p className="text-xs text-secondary-500 dark:text-secondary-400 mt-1">
+                            Zip a glTF or OBJ together with its .bin, .mtl and texture files to upload them as one model
+                          </p>
+                        )}
                       </div>
                     </div>
                   )}
@@ -433,7 +512,7 @@ const Upload = () => {
                   ref={modelInputRef}
                   type="file"
                   className="hidden"
-                  accept=".obj,.fbx,.glb,.gltf,.dae,.blend,.3ds,.max,.ma,.mb"
+                  accept={modelFormats.accept || undefined}
                   onChange={(e) => e.target.files[0] && handleFileSelect(e.target.files[0], 'model')}
                 />
                 {errors.model && (
@@ -447,7 +526,7 @@ const Upload = () => {
               {/* Thumbnail Image */}
               <div>
                 <label className="block text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-2">
-                  Thumbnail Image *
+                  Thumbnail Image
                 </label>
                 <div className="border-2 border-dashed border-secondary-300 dark:border-secondary-600 rounded-lg p-6 text-center hover:border-secondary-400 dark:hover:border-secondary-500 transition-colors">
                   {files.thumbnail ? (
@@ -480,6 +559,13 @@ const Upload = () => {
                         <p className="text-xs text-secondary-500 dark:text-secondary-400 mt-1">
                           JPG, PNG, WEBP, GIF (max 5MB)
                         </p>
+                        {modelFormats.isLoaded && (
+                          <p className="text-xs text-secondary-500 dark:text-secondary-400 mt-1">
+                            Leave empty to have one rendered from{' '}
+                            {modelFormats.formats.filter(format => format.previewable).map(format => format.name).join(', ')}{' '}
+                            models
+                          </p>
+                        )}
                       </div>
                     </div>
                   )}